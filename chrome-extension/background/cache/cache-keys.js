@@ -0,0 +1,56 @@
+/**
+ * Cache keys
+ * Builds SHA-256 cache keys from the inputs that determine an LLM response
+ */
+
+import { CACHE_CONFIG } from '../config.js';
+import { sha256 } from '../utils/hash.js';
+
+/**
+ * Normalizes a prompt so trivial differences in case and spacing share a cache entry
+ * @param {string} prompt - User prompt
+ * @returns {string} - Normalized prompt
+ */
+function normalizePrompt(prompt) {
+  return (prompt || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Checks whether full responses for a task type are cached
+ * @param {string} taskType - Detected task type
+ * @returns {boolean} - True if the task type has a response cache entry
+ */
+export function isResponseCacheable(taskType) {
+  return CACHE_CONFIG.enabled && !!CACHE_CONFIG.responsePageFields[taskType];
+}
+
+/**
+ * Builds the cache key for a full task response
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} taskType - Detected task type
+ * @param {string} prompt - User prompt
+ * @param {Object} pageContent - Page content data
+ * @returns {Promise<string>} - Cache key
+ */
+export async function buildResponseCacheKey(session, taskType, prompt, pageContent) {
+  const pageFields = CACHE_CONFIG.responsePageFields[taskType].map((field) => pageContent?.[field] ?? '');
+  const pageHash = await sha256(JSON.stringify(pageFields));
+  const keyHash = await sha256(
+    JSON.stringify([session.providerId, session.model, taskType, normalizePrompt(prompt), pageHash])
+  );
+  return `response:${keyHash}`;
+}
+
+/**
+ * Builds the cache key for the translation of a single text block
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} text - Source text block
+ * @param {string} targetLanguage - Target language name
+ * @returns {Promise<string>} - Cache key
+ */
+export async function buildTranslationCacheKey(session, text, targetLanguage) {
+  const keyHash = await sha256(
+    JSON.stringify([session.providerId, session.model, targetLanguage.toLowerCase(), text.trim()])
+  );
+  return `translation:${keyHash}`;
+}
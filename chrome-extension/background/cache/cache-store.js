@@ -0,0 +1,142 @@
+/**
+ * Cache store
+ * Promise wrappers around the IndexedDB object store that holds cache entries
+ */
+
+import { CACHE_CONFIG } from '../config.js';
+
+let databasePromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<*>} - The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and on first use creates) the cache database
+ * The connection is reused for the lifetime of the service worker
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_CONFIG.dbName, CACHE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_CONFIG.storeName)) {
+          const store = db.createObjectStore(CACHE_CONFIG.storeName, { keyPath: 'key' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a callback against the object store in a transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store and returns a promise
+ * @returns {Promise<*>} - The callback result, once the transaction completes
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(CACHE_CONFIG.storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await callback(transaction.objectStore(CACHE_CONFIG.storeName));
+  await done;
+  return result;
+}
+
+/**
+ * Checks whether an entry is past its TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} - True if the entry has expired
+ */
+function isExpired(entry) {
+  return Date.now() - entry.createdAt > CACHE_CONFIG.ttlMs;
+}
+
+/**
+ * Reads several entries, dropping expired ones
+ * @param {string[]} keys - Cache keys
+ * @returns {Promise<Array<*>>} - Values in key order, null for misses
+ */
+export async function readEntries(keys) {
+  const entries = await withStore('readonly', (store) =>
+    Promise.all(keys.map((key) => promisifyRequest(store.get(key))))
+  );
+
+  const expiredKeys = entries.filter((entry) => entry && isExpired(entry)).map((entry) => entry.key);
+  if (expiredKeys.length > 0) {
+    await withStore('readwrite', async (store) => {
+      expiredKeys.forEach((key) => store.delete(key));
+    });
+  }
+
+  return entries.map((entry) => (entry && !isExpired(entry) ? entry.value : null));
+}
+
+/**
+ * Writes several entries, then evicts the oldest entries beyond CACHE_CONFIG.maxEntries
+ * @param {Array<{key: string, value: *}>} items - Entries to write
+ * @returns {Promise<void>}
+ */
+export async function writeEntries(items) {
+  const createdAt = Date.now();
+
+  await withStore('readwrite', async (store) => {
+    items.forEach(({ key, value }) => store.put({ key, value, createdAt }));
+  });
+
+  await withStore('readwrite', async (store) => {
+    const count = await promisifyRequest(store.count());
+    let excess = count - CACHE_CONFIG.maxEntries;
+    if (excess <= 0) return;
+
+    // Walk entries oldest first and delete until under the cap
+    await new Promise((resolve, reject) => {
+      const cursorRequest = store.index('createdAt').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  });
+}
+
+/**
+ * Deletes every cache entry
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearEntries() {
+  return withStore('readwrite', async (store) => {
+    const count = await promisifyRequest(store.count());
+    await promisifyRequest(store.clear());
+    return count;
+  });
+}
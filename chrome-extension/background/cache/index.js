@@ -0,0 +1,12 @@
+/**
+ * Cache index
+ * Re-exports the response and translation cache API
+ */
+
+export {
+  getCachedResponse,
+  setCachedResponse,
+  getCachedTranslations,
+  setCachedTranslations,
+  clearResponseCache,
+} from './response-cache.js';
@@ -0,0 +1,123 @@
+/**
+ * Response cache
+ * Caches full task responses and per-block translations so repeated requests
+ * on an unchanged page skip the LLM call. Cache failures never fail a request.
+ */
+
+import { CACHE_CONFIG, LLM_BACKEND_MODES } from '../config.js';
+import { readEntries, writeEntries, clearEntries } from './cache-store.js';
+import { isResponseCacheable, buildResponseCacheKey, buildTranslationCacheKey } from './cache-keys.js';
+
+const UNAVAILABLE_TRANSLATION = '[Translation unavailable]';
+
+/**
+ * Checks whether the cache is used for a session
+ * Recording needs real calls and replays should not depend on earlier cache state
+ * @param {Object} session - LLM session
+ * @returns {boolean} - True for live sessions when caching is enabled
+ */
+function isCacheActive(session) {
+  return CACHE_CONFIG.enabled && session.backendMode === LLM_BACKEND_MODES.LIVE;
+}
+
+/**
+ * Looks up a cached task response
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} taskType - Detected task type
+ * @param {string} prompt - User prompt
+ * @param {Object} pageContent - Page content data
+ * @returns {Promise<Object|null>} - Cached response data, or null on a miss
+ */
+export async function getCachedResponse(session, taskType, prompt, pageContent) {
+  if (!isCacheActive(session) || !isResponseCacheable(taskType)) return null;
+
+  try {
+    const key = await buildResponseCacheKey(session, taskType, prompt, pageContent);
+    const [data] = await readEntries([key]);
+    console.log('[Browser Wand] Response cache', data ? 'hit' : 'miss', 'for', taskType);
+    return data;
+  } catch (error) {
+    console.warn('[Browser Wand] Response cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores a successful task response
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} taskType - Detected task type
+ * @param {string} prompt - User prompt
+ * @param {Object} pageContent - Page content data
+ * @param {Object} data - Response data to cache
+ * @returns {Promise<void>}
+ */
+export async function setCachedResponse(session, taskType, prompt, pageContent, data) {
+  if (!isCacheActive(session) || !isResponseCacheable(taskType)) return;
+
+  try {
+    const key = await buildResponseCacheKey(session, taskType, prompt, pageContent);
+    await writeEntries([{ key, value: data }]);
+  } catch (error) {
+    console.warn('[Browser Wand] Response cache write failed:', error);
+  }
+}
+
+/**
+ * Looks up cached translations for a list of text blocks
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string[]} textBlocks - Source text blocks
+ * @param {string} targetLanguage - Target language name
+ * @returns {Promise<Array<string|null>>} - Translations in block order, null for misses
+ */
+export async function getCachedTranslations(session, textBlocks, targetLanguage) {
+  if (!isCacheActive(session)) return textBlocks.map(() => null);
+
+  try {
+    const keys = await Promise.all(textBlocks.map((text) => buildTranslationCacheKey(session, text, targetLanguage)));
+    return await readEntries(keys);
+  } catch (error) {
+    console.warn('[Browser Wand] Translation cache read failed:', error);
+    return textBlocks.map(() => null);
+  }
+}
+
+/**
+ * Stores translations for a list of text blocks, skipping failed ones
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string[]} textBlocks - Source text blocks
+ * @param {string[]} translations - Translations in block order
+ * @param {string} targetLanguage - Target language name
+ * @returns {Promise<void>}
+ */
+export async function setCachedTranslations(session, textBlocks, translations, targetLanguage) {
+  if (!isCacheActive(session)) return;
+
+  try {
+    const items = [];
+    for (let i = 0; i < textBlocks.length; i++) {
+      const translation = translations[i];
+      if (!translation || translation === UNAVAILABLE_TRANSLATION) continue;
+      items.push({ key: await buildTranslationCacheKey(session, textBlocks[i], targetLanguage), value: translation });
+    }
+    if (items.length > 0) {
+      await writeEntries(items);
+    }
+  } catch (error) {
+    console.warn('[Browser Wand] Translation cache write failed:', error);
+  }
+}
+
+/**
+ * Removes every cached response and translation
+ * @returns {Promise<Object>} - Result with the number of entries removed
+ */
+export async function clearResponseCache() {
+  try {
+    const removed = await clearEntries();
+    console.log('[Browser Wand] Cache cleared:', removed, 'entries');
+    return { success: true, data: { removed } };
+  } catch (error) {
+    console.error('[Browser Wand] Cache clear failed:', error);
+    return { success: false, error: error.message };
+  }
+}
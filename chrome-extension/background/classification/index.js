@@ -0,0 +1,6 @@
+/**
+ * Classification module
+ * Hybrid rule and model classification of requests into task types
+ */
+
+export { classifyIntent, isClassifiableTaskType } from './intent-classifier.js';
@@ -0,0 +1,202 @@
+/**
+ * Intent classifier
+ * Picks the task type of a request: the keyword rules first, then a short model call
+ * when the rules are unsure, for example when rules for different task types match
+ */
+
+import { TASK_TYPES, TASK_CATEGORY_MAP, CLASSIFIER_CONFIG, LLM_BACKEND_MODES } from '../config.js';
+import { callLLM } from '../llm-client.js';
+import { createLLMSession } from '../llm-session.js';
+import { getProvider } from '../providers/index.js';
+import { assertWithinBudget } from '../usage/index.js';
+import { resolveRequestApiKey } from '../credentials/index.js';
+import { loadTaskRouting, resolveTaskRoute } from '../routing/index.js';
+import { buildIntentClassificationSchema, parseStructuredResponse } from '../schemas/index.js';
+import { detectTaskTypeWithConfidence } from '../task-detector.js';
+import { planTaskSteps } from '../planning/index.js';
+import { parseSlashCommand } from '../commands/index.js';
+import {
+  buildIntentClassificationSystemPrompt,
+  buildIntentClassificationUserMessage,
+} from '../prompts/prompt-builder.js';
+
+// Task types a request can be classified as (every task that produces a result)
+const CLASSIFIABLE_TASK_TYPES = Object.keys(TASK_CATEGORY_MAP);
+
+/**
+ * Model classifications by lowercased prompt, so running a request after it was
+ * classified, or classifying it again, does not pay for another call
+ */
+const classificationCache = new Map();
+
+/**
+ * Checks whether a task type can be chosen for a request, for validating overrides from the popup
+ * @param {string} taskType - Task type to check
+ * @returns {boolean} - True if requests can be run as this task type
+ */
+export function isClassifiableTaskType(taskType) {
+  return CLASSIFIABLE_TASK_TYPES.includes(taskType);
+}
+
+/**
+ * Keeps a model classification, evicting the oldest beyond CLASSIFIER_CONFIG.maxCachedPrompts
+ * @param {string} key - Lowercased prompt
+ * @param {Object} classification - Classification to keep
+ */
+function rememberClassification(key, classification) {
+  classificationCache.set(key, classification);
+  if (classificationCache.size > CLASSIFIER_CONFIG.maxCachedPrompts) {
+    classificationCache.delete(classificationCache.keys().next().value);
+  }
+}
+
+/**
+ * Clamps a confidence to 0..1 with two decimals
+ * @param {number} confidence - Confidence from the model
+ * @returns {number} - Clamped confidence
+ */
+function normalizeConfidence(confidence) {
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * Classifies a request with a model call
+ * Uses the INTENT_CLASSIFICATION route, or the provider's cheap model when the route has no model
+ * @param {Object} connection - Profile, provider, model and backend mode of the request
+ * @param {string} prompt - User's request
+ * @param {Object} ruleResult - Result of the keyword rules, sent as a hint
+ * @returns {Promise<Object>} - Classification with 'model' as the source
+ */
+async function classifyWithModel(connection, prompt, ruleResult) {
+  const { profileId, model, provider, providerBaseUrl, backendMode } = connection;
+  const route = resolveTaskRoute(await loadTaskRouting(), TASK_TYPES.INTENT_CLASSIFICATION);
+  const session = createLLMSession({
+    model,
+    provider,
+    providerBaseUrl,
+    backendMode,
+    taskType: TASK_TYPES.INTENT_CLASSIFICATION,
+    route: { ...route, model: route.model || CLASSIFIER_CONFIG.providerModels[getProvider(provider).id] || '' },
+  });
+
+  if (session.backendMode !== LLM_BACKEND_MODES.REPLAY) {
+    session.apiKey = await resolveRequestApiKey(profileId, session.providerId);
+    await assertWithinBudget();
+  }
+
+  const responseSchema = buildIntentClassificationSchema(CLASSIFIABLE_TASK_TYPES);
+  const response = await callLLM(
+    session,
+    buildIntentClassificationSystemPrompt(CLASSIFIABLE_TASK_TYPES),
+    buildIntentClassificationUserMessage(prompt, ruleResult),
+    { responseSchema }
+  );
+  const { taskType, confidence, alternatives } = parseStructuredResponse(response, responseSchema);
+
+  const otherTypes = alternatives
+    .filter((alternative) => alternative.taskType !== taskType)
+    .map((alternative) => ({ taskType: alternative.taskType, confidence: normalizeConfidence(alternative.confidence) }));
+  // Keep the rules' pick on offer when the model overruled it
+  if (ruleResult.taskType !== taskType && !otherTypes.some((alternative) => alternative.taskType === ruleResult.taskType)) {
+    otherTypes.push({ taskType: ruleResult.taskType, confidence: ruleResult.confidence });
+  }
+
+  return {
+    taskType,
+    confidence: normalizeConfidence(confidence),
+    alternatives: otherTypes
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, CLASSIFIER_CONFIG.maxAlternatives),
+    source: 'model',
+    model: session.servedModels.at(-1) || session.model,
+  };
+}
+
+/**
+ * Classifies the prompt of a single task: the rules when they are confident, else a cached
+ * or fresh model classification, falling back to the rules when the model call fails
+ * @param {string} prompt - Trimmed prompt
+ * @param {Object} connection - Profile, key, provider, model and backend mode for the model call
+ * @param {boolean} rulesOnly - Answer with the rules even when they are unsure
+ * @returns {Promise<Object>} - Classification with taskType, confidence, alternatives and source
+ */
+async function classifyPrompt(prompt, connection, rulesOnly) {
+  const ruleResult = detectTaskTypeWithConfidence(prompt);
+  if (rulesOnly || !CLASSIFIER_CONFIG.enabled || ruleResult.confidence >= CLASSIFIER_CONFIG.confidenceThreshold) {
+    return ruleResult;
+  }
+
+  const cacheKey = prompt.toLowerCase();
+  if (classificationCache.has(cacheKey)) {
+    return classificationCache.get(cacheKey);
+  }
+
+  try {
+    const classification = await classifyWithModel(connection, prompt, ruleResult);
+    console.log('[Browser Wand] classifyIntent:', {
+      rules: ruleResult.taskType,
+      rulesConfidence: ruleResult.confidence,
+      model: classification.taskType,
+      confidence: classification.confidence,
+    });
+    rememberClassification(cacheKey, classification);
+    return classification;
+  } catch (error) {
+    console.warn('[Browser Wand] classifyIntent: Model classification failed, using rules:', error.message);
+    return ruleResult;
+  }
+}
+
+/**
+ * Classifies a request so the popup can show the task type before running it (CLASSIFY_TASK)
+ * The keyword rules answer when they are confident; otherwise a model call decides. If that
+ * call fails (locked key vault, missing key, budget, network), the rules' answer is returned as is.
+ * Compound requests are split into steps that are classified one by one
+ * @param {Object} payload - The request payload
+ * @param {string} payload.prompt - User's request
+ * @param {boolean} [payload.rulesOnly] - Skip the model call, for prompts still being typed
+ * @param {string} [payload.profileId] - Key profile whose key is used for the model call
+ * @param {string} [payload.model] - Profile model, used when the provider has no cheap model
+ * @param {string} [payload.provider] - LLM provider ID
+ * @param {string} [payload.providerBaseUrl] - Base URL override for the provider
+ * @param {string} [payload.backendMode] - LLM_BACKEND_MODES value
+ * @returns {Promise<Object>} - Result with taskType, confidence (0 to 1), alternatives
+ *   (strongest first) and source ('rules', 'model' or 'command'); a compound request has the
+ *   MULTI_STEP task type, the confidence of its least certain step and the steps in order
+ */
+export async function classifyIntent({ prompt, rulesOnly = false, ...connection }) {
+  const trimmedPrompt = (prompt || '').trim();
+  if (!trimmedPrompt) {
+    return { success: false, error: 'Enter a prompt' };
+  }
+
+  const command = parseSlashCommand(trimmedPrompt);
+  if (command) {
+    return command.error
+      ? { success: false, error: command.error }
+      : { success: true, data: { taskType: command.taskType, confidence: 1, alternatives: [], source: 'command' } };
+  }
+
+  const plannedSteps = planTaskSteps(trimmedPrompt);
+  if (plannedSteps.length < 2) {
+    return { success: true, data: await classifyPrompt(trimmedPrompt, connection, rulesOnly) };
+  }
+
+  // One model call at a time, so the budget check before each call sees the cost of the last
+  const steps = [];
+  for (const step of plannedSteps) {
+    const { taskType, confidence, source } = await classifyPrompt(step.prompt, connection, rulesOnly);
+    steps.push({ prompt: step.prompt, taskType, confidence, source });
+  }
+
+  return {
+    success: true,
+    data: {
+      taskType: TASK_TYPES.MULTI_STEP,
+      confidence: Math.min(...steps.map((step) => step.confidence)),
+      alternatives: [],
+      source: steps.some((step) => step.source === 'model') ? 'model' : 'rules',
+      steps: steps.map(({ prompt: stepPrompt, taskType, confidence }) => ({ prompt: stepPrompt, taskType, confidence })),
+    },
+  };
+}
@@ -0,0 +1,6 @@
+/**
+ * Commands module
+ * Slash commands typed in the prompt box
+ */
+
+export { parseSlashCommand, listSlashCommands } from './slash-commands.js';
@@ -0,0 +1,166 @@
+/**
+ * Slash commands
+ * Explicit commands typed in the prompt box ("/translate ja", "/hide .sidebar") that name their
+ * task type, so they skip task detection, classification and planning
+ */
+
+import { TASK_TYPES } from '../config.js';
+import { resolveLanguage } from '../task-rules/index.js';
+
+const SUMMARY_FORMATS = {
+  bullets: 'Summarize this page as a bulleted list of its key points',
+  short: 'Summarize this page in two or three sentences',
+  detailed: 'Summarize this page in detail, section by section',
+};
+
+/**
+ * Commands in the order the popup lists them
+ * build() turns the argument into the prompt and options the task runs with, or an error
+ */
+const SLASH_COMMANDS = [
+  {
+    name: 'translate',
+    taskType: TASK_TYPES.TRANSLATION,
+    argument: 'language',
+    argumentRequired: true,
+    description: 'Add translations beside the text',
+    suggestions: ['zh', 'es', 'ja', 'fr', 'de'],
+    build(argument) {
+      const targetLanguage = resolveLanguage(argument);
+      if (!targetLanguage) {
+        return { error: `Unknown language "${argument}". Use a code like ja or a name like Japanese.` };
+      }
+      return { prompt: `Translate this page to ${targetLanguage}`, options: { targetLanguage } };
+    },
+  },
+  {
+    name: 'summarize',
+    taskType: TASK_TYPES.SUMMARIZE,
+    argument: 'format or focus',
+    argumentRequired: false,
+    description: 'Summarize the page in a modal',
+    suggestions: Object.keys(SUMMARY_FORMATS),
+    build(argument) {
+      if (!argument) {
+        return { prompt: 'Summarize this page' };
+      }
+      return { prompt: SUMMARY_FORMATS[argument.toLowerCase()] || `Summarize this page, focusing on ${argument}` };
+    },
+  },
+  {
+    name: 'hide',
+    taskType: TASK_TYPES.ELEMENT_HIDING,
+    argument: 'selector or description',
+    argumentRequired: true,
+    description: 'Hide elements; a CSS selector is hidden without an AI call',
+    suggestions: ['.sidebar', 'header', 'footer', 'the cookie banner'],
+    build(argument) {
+      // Only the page can tell a selector from a description, so modifyPage checks it there
+      return { prompt: `Hide ${argument}`, options: { selector: argument } };
+    },
+  },
+  {
+    name: 'reskin',
+    taskType: TASK_TYPES.THEMATIC_RESKINNING,
+    argument: 'theme',
+    argumentRequired: true,
+    description: 'Restyle the whole page around a theme',
+    suggestions: ['synthwave', 'cyberpunk', 'vintage newspaper', 'pixel art', 'storybook'],
+    build(argument) {
+      return { prompt: `Reskin this page in a ${argument} style` };
+    },
+  },
+  {
+    name: 'style',
+    taskType: TASK_TYPES.STYLING,
+    argument: 'change',
+    argumentRequired: true,
+    description: 'Change colors, fonts or spacing',
+    suggestions: ['dark mode', 'larger text', 'sepia background'],
+    build(argument) {
+      return { prompt: argument };
+    },
+  },
+  {
+    name: 'reader',
+    taskType: TASK_TYPES.CONTENT_EXTRACTION,
+    argument: '',
+    argumentRequired: false,
+    description: 'Show only the main article',
+    suggestions: [],
+    build() {
+      return { prompt: 'Show only the main article content' };
+    },
+  },
+  {
+    name: 'analyze',
+    taskType: TASK_TYPES.ANALYZE,
+    argument: 'question',
+    argumentRequired: true,
+    description: 'Ask a question about the page',
+    suggestions: ['How many links are on this page?', 'List all headings'],
+    build(argument) {
+      return { prompt: argument };
+    },
+  },
+  {
+    name: 'search',
+    taskType: TASK_TYPES.MAGIC_BAR,
+    argument: 'query',
+    argumentRequired: true,
+    description: 'Search the web with the Magic Bar',
+    suggestions: [],
+    build(argument) {
+      return { prompt: argument };
+    },
+  },
+];
+
+/**
+ * Lists the commands for the popup's autocomplete (LIST_SLASH_COMMANDS)
+ * @returns {Object} - Result with the commands' names, task types, arguments, descriptions and suggestions
+ */
+export function listSlashCommands() {
+  return {
+    success: true,
+    data: SLASH_COMMANDS.map(({ name, taskType, argument, argumentRequired, description, suggestions }) => ({
+      name,
+      taskType,
+      argument,
+      argumentRequired,
+      description,
+      suggestions,
+    })),
+  };
+}
+
+/**
+ * Parses a prompt that starts with a slash command
+ * @param {string} prompt - The user's request
+ * @returns {Object|null} - null if the prompt is not a command; otherwise the command name with
+ *   either an error or the taskType, prompt and options (such as targetLanguage) to run; the
+ *   selector option of /hide is only used as a selector if it matches elements in the page
+ */
+export function parseSlashCommand(prompt) {
+  const match = (prompt || '').trim().match(/^\/([a-z]+)(?:\s+([\s\S]*))?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  const argument = (match[2] || '').trim();
+  const command = SLASH_COMMANDS.find((candidate) => candidate.name === name);
+  if (!command) {
+    const names = SLASH_COMMANDS.map((candidate) => `/${candidate.name}`).join(', ');
+    return { name, error: `Unknown command /${name}. Available commands: ${names}.` };
+  }
+  if (command.argumentRequired && !argument) {
+    return { name, error: `/${name} needs a ${command.argument}, for example /${name} ${command.suggestions[0] || '...'}` };
+  }
+
+  const built = command.build(argument);
+  if (built.error) {
+    return { name, error: built.error };
+  }
+  return { name, argument, taskType: command.taskType, prompt: built.prompt, options: built.options || {} };
+}
@@ -2,6 +2,10 @@
  * Configuration constants for the Browser Wand extension
  */
 
+/**
+ * Display names for well-known models, used to label entries of the provider's models list
+ * The popup shows these as its model cards until the list has loaded
+ */
 export const AVAILABLE_MODELS = [
   { id: 'gemini-3-pro-preview', name: 'Gemini 3 Pro', description: 'Best quality, slower' },
   { id: 'gemini-3-flash-preview', name: 'Gemini 3 Flash', description: 'Fast and efficient' },
@@ -29,17 +33,148 @@ export const API_CONFIG = {
   temperature: 1.0,
 };
 
+/**
+ * LLM provider identifiers
+ * Each provider lives in background/providers/ and declares the capabilities it supports
+ */
+export const PROVIDER_IDS = {
+  GEMINI: 'gemini',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  LOCAL: 'local',
+};
+
+export const DEFAULT_PROVIDER = PROVIDER_IDS.GEMINI;
+
+/**
+ * Default endpoint and model per provider
+ * Both can be overridden from the popup settings
+ */
+export const PROVIDER_DEFAULTS = {
+  [PROVIDER_IDS.GEMINI]: { baseUrl: API_CONFIG.baseUrl, model: DEFAULT_MODEL },
+  [PROVIDER_IDS.OPENAI_COMPATIBLE]: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  [PROVIDER_IDS.LOCAL]: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+};
+
+/**
+ * Where LLM responses come from
+ * LIVE calls the provider, RECORD calls it and saves each response as a fixture,
+ * REPLAY answers from saved fixtures without any network access
+ */
+export const LLM_BACKEND_MODES = {
+  LIVE: 'live',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * Record/replay fixtures (see background/replay/)
+ * Packaged fixtures live in fixtures/llm/<TASK_TYPE>.json; recordings are kept in
+ * chrome.storage.local until exported from the popup
+ */
+export const REPLAY_CONFIG = {
+  fixturesPath: 'fixtures/llm',
+  recordingsKey: 'browserWandRecordedFixtures',
+  buildBackendMode: null,          // Build flag: set to a LLM_BACKEND_MODES value to override the popup setting
+};
+
+/**
+ * API key profiles (see background/credentials/)
+ * Keys are encrypted at rest with AES-GCM under a key derived from the user's passphrase;
+ * the derived key is kept in chrome.storage.session so it is forgotten when the browser closes
+ */
+export const KEY_PROFILES_CONFIG = {
+  storageKey: 'browserWandKeyProfiles',
+  sessionKey: 'browserWandVaultKey',
+  pbkdf2Iterations: 310000,
+  defaultProfileName: 'Personal',
+};
+
+/**
+ * Retry policy shared by every LLM request (see transport.js)
+ * maxAttempts is the total budget per request; each error class may allow fewer retries
+ */
+export const RETRY_CONFIG = {
+  maxAttempts: 4,                  // Total attempts per request, including the first
+  maxDelayMs: 30000,               // Upper bound for a computed backoff delay
+  maxRetryAfterMs: 60000,          // Give up instead of waiting longer than this for Retry-After
+  jitterRatio: 0.2,                // Random +/- spread applied to backoff delays
+  policies: {
+    RATE_LIMITED: { retry: true, maxRetries: 3, baseDelayMs: 2000 },   // 429
+    SERVER_ERROR: { retry: true, maxRetries: 2, baseDelayMs: 1000 },   // 500, 502, 503, 504
+    NETWORK_ERROR: { retry: true, maxRetries: 2, baseDelayMs: 500 },   // fetch rejected
+    MODEL_UNAVAILABLE: { retry: false, maxRetries: 0, baseDelayMs: 0 }, // 404, model not found or not offered
+    CLIENT_ERROR: { retry: false, maxRetries: 0, baseDelayMs: 0 },     // other 4xx
+  },
+};
+
+/**
+ * Model fallback chains (see generateWithFallback in llm-client.js)
+ * When a model still fails with one of errorClasses after its retries, the request
+ * moves on to the next model in its chain. Models without a chain have no fallback
+ */
+export const FALLBACK_CONFIG = {
+  enabled: true,
+  errorClasses: ['RATE_LIMITED', 'SERVER_ERROR', 'MODEL_UNAVAILABLE'],
+  chains: {
+    'gemini-3-pro-preview': ['gemini-3-flash-preview'],
+    // Image generation only falls back to models that can output images
+    'gemini-3-pro-image-preview': ['gemini-2.5-flash-image'],
+  },
+};
+
+/**
+ * Optional provider features that task handlers check before relying on them
+ */
+export const PROVIDER_CAPABILITIES = {
+  SEARCH_GROUNDING: 'searchGrounding',
+  IMAGE_OUTPUT: 'imageOutput',
+  IMAGE_INPUT: 'imageInput',
+  JSON_MODE: 'jsonMode',
+};
+
+/**
+ * Model ID prefixes that accept a response schema together with tools (Google Search grounding)
+ * Gemini 2.5 models reject that combination with a 400, so grounded requests to any other
+ * model are sent without the schema; their responses are still validated against it
+ */
+export const STRUCTURED_OUTPUT_WITH_TOOLS_MODELS = ['gemini-3'];
+
 export const CONTENT_LIMITS = {
   htmlSubstringLength: 15000,
   textSubstringLength: 5000,
   linksPreviewCount: 10,
-  htmlContextLength: 20000,
-  adsPreviewCount: 15,
   minArticleTextLength: 300,
   minFallbackTextLength: 500,
   substantialTextLength: 1000,
 };
 
+/**
+ * Page context packing for modification prompts (see prompts/context-packer.js)
+ * The page's regions, elements and headings are ranked by their section's priority plus
+ * their relevance to the prompt, and added in that order until the token budget is spent.
+ * Tokens are estimated from characters; the request itself always fits
+ */
+export const CONTEXT_PACKING_CONFIG = {
+  tokenBudget: 8000,               // Whole user message, about 32,000 characters
+  charsPerToken: 4,
+  htmlChunkLength: 2000,           // Page HTML is ranked in regions of about this many characters
+  relevanceWeight: 25,             // Added per prompt term an item contains
+  phraseWeight: 3,                 // Quoted phrases from the prompt count as this many terms
+  refWeight: 4,                    // "ref 42" in the prompt counts this many terms for element 42
+  htmlPositionDecay: 0.5,          // Later HTML regions rank lower, so the top of the page wins ties
+  maxDroppedPreviews: 5,           // Dropped items named per section in the debug view
+  sectionPriorities: {
+    mainContentCandidates: 60,
+    suspectedAds: 60,
+    suspectedComments: 60,
+    layout: 50,
+    interactiveElements: 45,
+    headings: 40,
+    semanticStructure: 30,
+    html: 20,
+  },
+};
+
 export const TASK_TYPES = {
   CONTENT_EXTRACTION: 'CONTENT_EXTRACTION',
   AD_REMOVAL: 'AD_REMOVAL',
@@ -52,6 +187,74 @@ export const TASK_TYPES = {
   ANALYZE: 'ANALYZE',
   MAGIC_BAR: 'MAGIC_BAR',
   GENERAL: 'GENERAL',
+  // The intent classifier's own model call; never the detected type of a request
+  INTENT_CLASSIFICATION: 'INTENT_CLASSIFICATION',
+  // A compound request run as several steps, each with its own task type and route
+  MULTI_STEP: 'MULTI_STEP',
+};
+
+/**
+ * Per-task model routing (see background/routing/)
+ * Each task type gets a model, temperature, output token limit and thinking budget;
+ * any field can be overridden from the popup settings. An empty model uses the key
+ * profile's model. thinkingBudget is in tokens (null for the model default, 0 to turn
+ * thinking off, -1 for dynamic), is only sent to Gemini and counts toward maxOutputTokens
+ */
+const DEFAULT_TASK_ROUTE = {
+  model: '',
+  temperature: API_CONFIG.temperature,
+  maxOutputTokens: API_CONFIG.maxOutputTokens,
+  thinkingBudget: null,
+};
+
+export const TASK_ROUTING_CONFIG = {
+  storageKey: 'browserWandTaskRouting',
+  maxTemperature: 2,
+  maxOutputTokens: 65536,          // Upper bound accepted from the settings
+  maxThinkingBudget: 32768,
+  defaults: {
+    [TASK_TYPES.CONTENT_EXTRACTION]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.AD_REMOVAL]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.COMMENT_REMOVAL]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.STYLING]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.THEMATIC_RESKINNING]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.ELEMENT_HIDING]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.TRANSLATION]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.SUMMARIZE]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.ANALYZE]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.MAGIC_BAR]: { ...DEFAULT_TASK_ROUTE, temperature: 0.5, maxOutputTokens: 8192 },   // Search results are long lists
+    [TASK_TYPES.GENERAL]: DEFAULT_TASK_ROUTE,
+    [TASK_TYPES.INTENT_CLASSIFICATION]: { ...DEFAULT_TASK_ROUTE, temperature: 0, maxOutputTokens: 1024 },
+  },
+};
+
+/**
+ * Compound requests (see background/planning/)
+ * "Hide the ads, switch to dark mode and translate to Spanish" is split into steps that run
+ * in order, each against the page as the previous step left it. Requests that split into
+ * more than maxSteps steps run as a single task
+ */
+export const PLANNER_CONFIG = {
+  enabled: true,
+  maxSteps: 4,
+};
+
+/**
+ * Hybrid intent classification (see background/classification/)
+ * Keyword rules pick the task type first; when their confidence is below confidenceThreshold,
+ * usually because rules for different tasks matched, a short model call decides instead.
+ * providerModels is the cheap model used for that call when the INTENT_CLASSIFICATION
+ * route has no model of its own; other providers use the profile's model
+ */
+export const CLASSIFIER_CONFIG = {
+  enabled: true,
+  confidenceThreshold: 0.7,
+  disagreementPenalty: 0.5,        // Share of the strongest competing rule's weight taken off the confidence
+  maxAlternatives: 3,
+  maxCachedPrompts: 50,            // Model classifications kept in memory, keyed by prompt
+  providerModels: {
+    [PROVIDER_IDS.GEMINI]: 'gemini-3-flash-preview',
+  },
 };
 
 /**
@@ -94,6 +297,89 @@ export const CHUNKING_CONFIG = {
   chunkOverlap: 200,
   maxChunksPerRequest: 10,
   translationBatchSize: 15,
+  maxConcurrentBatches: 3,         // Translation batches and summary sections sent in parallel
+};
+
+/**
+ * Streaming configuration for progressively rendered results (summaries, analysis)
+ */
+export const STREAMING_CONFIG = {
+  enabled: true,
+  renderIntervalMs: 250,           // Minimum time between modal updates in the page
+};
+
+/**
+ * Follow-up "continue" turns for responses cut off at maxOutputTokens
+ */
+export const CONTINUATION_CONFIG = {
+  enabled: true,
+  maxContinuations: 3,             // Extra requests per response before giving up on truncated output
+  minOverlapLength: 20,            // Shortest repeated text trimmed where a continuation overlaps the output
+};
+
+/**
+ * Screenshots attached to page modification requests when enabled in the popup settings
+ * Not attached in Record or Replay mode, since a new screenshot never matches a fixture
+ */
+export const SCREENSHOT_CONFIG = {
+  format: 'jpeg',
+  quality: 70,                     // JPEG quality (0-100); keeps the image part small
+};
+
+/**
+ * Follow-up chat on analysis and summary modals (see background/conversations/)
+ * Conversations are kept per tab in chrome.storage.session until the tab navigates
+ */
+export const CONVERSATION_CONFIG = {
+  enabled: true,
+  storageKeyPrefix: 'browserWandConversation:',
+  maxTurns: 20,                    // Older turns are dropped from the history sent with a follow-up
+  maxPageContextLength: 24000,     // Characters of page markdown kept as context for follow-ups
+};
+
+/**
+ * Persistent response cache (IndexedDB, see background/cache/)
+ * responsePageFields lists the pageContent fields hashed into the key for each
+ * cached task type; translation is cached per text block instead
+ */
+export const CACHE_CONFIG = {
+  enabled: true,
+  dbName: 'browser-wand-cache',
+  dbVersion: 1,
+  storeName: 'entries',
+  ttlMs: 24 * 60 * 60 * 1000,      // Entries older than a day are ignored and removed
+  maxEntries: 2000,                // Oldest entries are evicted beyond this count
+  responsePageFields: {
+    [TASK_TYPES.SUMMARIZE]: ['url', 'title', 'html'],
+    [TASK_TYPES.ANALYZE]: ['url', 'title', 'html', 'text'],
+  },
+};
+
+/**
+ * Default estimated prices in USD, used for the usage dashboard and budgets
+ * Prices entered under Model Prices in the popup settings override and extend these. Requests to
+ * a model without a price are shown as unpriced, and are refused while a spending limit is set;
+ * models of providers that need no API key (local servers) are free
+ */
+export const MODEL_PRICING = {
+  'gemini-3-pro-preview': { inputPerMillion: 2.0, outputPerMillion: 12.0 },
+  'gemini-3-flash-preview': { inputPerMillion: 0.5, outputPerMillion: 3.0 },
+  'gemini-3-pro-image-preview': { inputPerMillion: 2.0, outputPerMillion: 0, perImage: 0.134 },   // Image output is billed per image
+  'gemini-2.5-flash-image': { inputPerMillion: 0.3, outputPerMillion: 0, perImage: 0.039 },   // Image fallback (FALLBACK_CONFIG)
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10.0 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+};
+
+/**
+ * Token usage tracking (see background/usage/)
+ * Budgets are set in the popup settings; an empty or zero budget means no limit
+ */
+export const USAGE_CONFIG = {
+  storageKey: 'browserWandUsage',
+  retentionDays: 62,               // Daily records older than this are pruned
+  dailyBudgetKey: 'dailyBudgetUsd',
+  monthlyBudgetKey: 'monthlyBudgetUsd',
+  pricingKey: 'modelPricing',      // Prices from the settings, keyed by model ID like MODEL_PRICING
 };
 
 /**
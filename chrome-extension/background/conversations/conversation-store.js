@@ -0,0 +1,100 @@
+/**
+ * Conversation store
+ * Keeps the follow-up chat of an analysis or summary modal per tab in chrome.storage.session,
+ * so it survives the service worker being suspended but not a navigation or browser restart
+ */
+
+import { CONVERSATION_CONFIG } from '../config.js';
+
+/**
+ * Gets the storage key of a tab's conversation
+ * @param {number} tabId - Tab ID
+ * @returns {string} - chrome.storage.session key
+ */
+function getStorageKey(tabId) {
+  return `${CONVERSATION_CONFIG.storageKeyPrefix}${tabId}`;
+}
+
+/**
+ * Strips the fragment from a URL, since in-page anchors do not leave the page
+ * @param {string} url - Page URL
+ * @returns {string} - URL without its hash
+ */
+function stripHash(url) {
+  return (url || '').split('#')[0];
+}
+
+/**
+ * Starts a tab's conversation, replacing any previous one
+ * @param {number} tabId - Tab ID
+ * @param {Object} conversation - Conversation to store
+ * @param {string} conversation.url - Page the conversation is about
+ * @param {string} conversation.chatToken - Token the tab's content script sends with follow-up questions
+ * @param {string} conversation.taskType - Task type of the first answer (ANALYZE or SUMMARIZE)
+ * @param {string} conversation.pageContext - Page markdown sent as context with follow-ups
+ * @param {boolean} conversation.parseMarkdown - Whether answers are rendered as markdown
+ * @param {Object} conversation.connection - Profile, provider, model and backend mode of the request
+ * @param {Array<{role: string, text: string}>} conversation.turns - First question and answer
+ * @returns {Promise<void>}
+ */
+export async function startConversation(tabId, conversation) {
+  await chrome.storage.session.set({ [getStorageKey(tabId)]: conversation });
+  console.log('[Browser Wand] Conversation started for tab:', tabId, conversation.taskType);
+}
+
+/**
+ * Gets a tab's conversation
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} - Conversation, or null if the tab has none
+ */
+export async function getConversation(tabId) {
+  const key = getStorageKey(tabId);
+  const result = await chrome.storage.session.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Adds turns to a tab's conversation, keeping the newest CONVERSATION_CONFIG.maxTurns
+ * @param {number} tabId - Tab ID
+ * @param {Array<{role: string, text: string}>} turns - Turns to add, oldest first
+ * @returns {Promise<void>}
+ */
+export async function appendConversationTurns(tabId, turns) {
+  const conversation = await getConversation(tabId);
+  if (!conversation) return;
+
+  // Trimmed in question/answer pairs so the history always starts with a user turn
+  let allTurns = [...conversation.turns, ...turns];
+  while (allTurns.length > CONVERSATION_CONFIG.maxTurns) {
+    allTurns = allTurns.slice(2);
+  }
+  await chrome.storage.session.set({ [getStorageKey(tabId)]: { ...conversation, turns: allTurns } });
+}
+
+/**
+ * Ends a tab's conversation
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export async function clearConversation(tabId) {
+  await chrome.storage.session.remove(getStorageKey(tabId));
+}
+
+/**
+ * Ends a tab's conversation when the tab leaves the page it is about
+ * A reload also ends it, since the modal holding the conversation is gone
+ * @param {number} tabId - Tab ID
+ * @param {Object} changeInfo - chrome.tabs.onUpdated change info
+ * @returns {Promise<void>}
+ */
+export async function handleTabUpdated(tabId, changeInfo) {
+  if (changeInfo.status !== 'loading' && !changeInfo.url) return;
+
+  const conversation = await getConversation(tabId);
+  if (!conversation) return;
+
+  if (changeInfo.status === 'loading' || stripHash(changeInfo.url) !== stripHash(conversation.url)) {
+    console.log('[Browser Wand] Tab navigated, ending conversation:', tabId);
+    await clearConversation(tabId);
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Conversations module
+ * Per-tab follow-up chat on analysis and summary results
+ */
+
+export {
+  startConversation,
+  getConversation,
+  appendConversationTurns,
+  clearConversation,
+  handleTabUpdated,
+} from './conversation-store.js';
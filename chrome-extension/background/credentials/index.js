@@ -0,0 +1,18 @@
+/**
+ * Credentials module
+ * API key profiles with passphrase-encrypted keys
+ */
+
+export {
+  KeyVaultLockedError,
+  MissingProfileKeyError,
+  getKeyProfiles,
+  unlockKeyVault,
+  lockKeyVault,
+  resetKeyVault,
+  saveKeyProfile,
+  deleteKeyProfile,
+  setActiveKeyProfile,
+  resolveProfileApiKey,
+  resolveRequestApiKey,
+} from './key-profiles.js';
@@ -0,0 +1,401 @@
+/**
+ * Key profiles
+ * Named API key profiles (provider, endpoint, default model and encrypted key)
+ * stored in chrome.storage.local. Keys are only ever decrypted in the service worker
+ */
+
+import { KEY_PROFILES_CONFIG, DEFAULT_PROVIDER, PROVIDER_IDS } from '../config.js';
+import { getProvider } from '../providers/index.js';
+import { createVault, openVault, encryptText, decryptText, exportVaultKey, importVaultKey } from './key-vault.js';
+
+// Settings written by versions that stored a single plain-text key
+const LEGACY_SETTINGS_KEYS = ['apiKey', 'model', 'provider', 'providerBaseUrl', 'customModel'];
+
+// Serializes read-modify-write cycles so concurrent messages do not lose changes
+let writeQueue = Promise.resolve();
+
+/**
+ * Error thrown when a profile's key is needed while the vault is locked
+ */
+export class KeyVaultLockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyVaultLockedError';
+  }
+}
+
+/**
+ * Error thrown when a request needs a key and the chosen profile has none
+ */
+export class MissingProfileKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MissingProfileKeyError';
+  }
+}
+
+/**
+ * Builds the first profile from the single-key settings of earlier versions
+ * The plain-text key is left in place until the vault is unlocked and it can be encrypted
+ * @param {Object} legacy - Legacy settings from chrome.storage.local
+ * @returns {Object} - Profile store
+ */
+function migrateLegacySettings(legacy) {
+  const provider = Object.values(PROVIDER_IDS).includes(legacy.provider) ? legacy.provider : DEFAULT_PROVIDER;
+  const profile = {
+    id: crypto.randomUUID(),
+    name: KEY_PROFILES_CONFIG.defaultProfileName,
+    provider,
+    providerBaseUrl: legacy.providerBaseUrl || '',
+    model: (provider === PROVIDER_IDS.GEMINI ? legacy.model : legacy.customModel) || '',
+    encryptedKey: null,
+  };
+
+  return {
+    activeProfileId: profile.id,
+    vault: null,
+    legacyKeyProfileId: legacy.apiKey ? profile.id : null,
+    profiles: [profile],
+  };
+}
+
+/**
+ * Loads the profile store, creating it from legacy settings on first use
+ * @returns {Promise<Object>} - Profile store
+ */
+async function loadProfileStore() {
+  const result = await chrome.storage.local.get([KEY_PROFILES_CONFIG.storageKey, ...LEGACY_SETTINGS_KEYS]);
+  if (result[KEY_PROFILES_CONFIG.storageKey]) {
+    return result[KEY_PROFILES_CONFIG.storageKey];
+  }
+
+  // Saved right away so the generated profile ID stays stable across calls
+  const store = migrateLegacySettings(result);
+  await chrome.storage.local.set({ [KEY_PROFILES_CONFIG.storageKey]: store });
+  return store;
+}
+
+/**
+ * Applies a change to the profile store and saves it
+ * @param {Function} update - Async function that mutates the store and returns a value
+ * @returns {Promise<*>} - The value returned by update
+ */
+function updateProfileStore(update) {
+  const run = writeQueue.then(async () => {
+    const store = await loadProfileStore();
+    const value = await update(store);
+    await chrome.storage.local.set({ [KEY_PROFILES_CONFIG.storageKey]: store });
+    return value;
+  });
+
+  // Keep the queue going after a failed update; the caller still sees the error
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Gets the vault key of the current browser session
+ * @returns {Promise<CryptoKey|null>} - Vault key, or null if the vault is locked
+ */
+async function getSessionVaultKey() {
+  const result = await chrome.storage.session.get(KEY_PROFILES_CONFIG.sessionKey);
+  const rawKey = result[KEY_PROFILES_CONFIG.sessionKey];
+  return rawKey ? importVaultKey(rawKey) : null;
+}
+
+/**
+ * Encrypts the legacy plain-text key into its profile and removes it from storage
+ * @param {Object} store - Profile store
+ * @param {CryptoKey} key - Vault key
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyKey(store, key) {
+  if (!store.legacyKeyProfileId) return;
+
+  const { apiKey } = await chrome.storage.local.get('apiKey');
+  const profile = store.profiles.find((candidate) => candidate.id === store.legacyKeyProfileId);
+  if (apiKey && profile && !profile.encryptedKey) {
+    profile.encryptedKey = await encryptText(key, apiKey);
+  }
+  store.legacyKeyProfileId = null;
+  await chrome.storage.local.remove('apiKey');
+  console.log('[Browser Wand] Legacy API key moved into an encrypted profile');
+}
+
+/**
+ * Strips a profile down to what the popup may see
+ * @param {Object} profile - Stored profile
+ * @param {Object} store - Profile store
+ * @returns {Object} - Profile without key material
+ */
+function toPublicProfile(profile, store) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    provider: profile.provider,
+    providerBaseUrl: profile.providerBaseUrl,
+    model: profile.model,
+    hasKey: !!profile.encryptedKey || profile.id === store.legacyKeyProfileId,
+  };
+}
+
+/**
+ * Lists the key profiles and the vault state
+ * @returns {Promise<Object>} - Result with profiles, activeProfileId, vaultCreated and vaultUnlocked
+ */
+export async function getKeyProfiles() {
+  try {
+    const store = await loadProfileStore();
+    const key = store.vault ? await getSessionVaultKey() : null;
+    return {
+      success: true,
+      data: {
+        profiles: store.profiles.map((profile) => toPublicProfile(profile, store)),
+        activeProfileId: store.activeProfileId,
+        vaultCreated: !!store.vault,
+        vaultUnlocked: !!key,
+      },
+    };
+  } catch (error) {
+    console.error('[Browser Wand] getKeyProfiles error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Unlocks the vault for this browser session, creating it on first use
+ * @param {Object} payload - The request payload
+ * @param {string} payload.passphrase - User passphrase
+ * @returns {Promise<Object>} - Result indicating whether the vault was unlocked
+ */
+export async function unlockKeyVault({ passphrase }) {
+  if (!passphrase) {
+    return { success: false, error: 'Enter a passphrase' };
+  }
+
+  try {
+    const unlocked = await updateProfileStore(async (store) => {
+      let key;
+      if (store.vault) {
+        key = await openVault(store.vault, passphrase);
+        if (!key) return false;
+      } else {
+        ({ vault: store.vault, key } = await createVault(passphrase));
+        console.log('[Browser Wand] Key vault created');
+      }
+
+      await migrateLegacyKey(store, key);
+      await chrome.storage.session.set({ [KEY_PROFILES_CONFIG.sessionKey]: await exportVaultKey(key) });
+      return true;
+    });
+
+    if (!unlocked) {
+      return { success: false, error: 'Wrong passphrase' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('[Browser Wand] unlockKeyVault error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Locks the vault until the passphrase is entered again
+ * @returns {Promise<Object>} - Result indicating success
+ */
+export async function lockKeyVault() {
+  await chrome.storage.session.remove(KEY_PROFILES_CONFIG.sessionKey);
+  return { success: true };
+}
+
+/**
+ * Deletes the vault and every stored key, keeping the profiles
+ * Used when the passphrase is forgotten; keys have to be entered again
+ * @returns {Promise<Object>} - Result with the number of keys removed
+ */
+export async function resetKeyVault() {
+  try {
+    const removed = await updateProfileStore(async (store) => {
+      const count = store.profiles.filter((profile) => profile.encryptedKey).length;
+      store.profiles.forEach((profile) => {
+        profile.encryptedKey = null;
+      });
+      store.vault = null;
+      return count;
+    });
+    await chrome.storage.session.remove(KEY_PROFILES_CONFIG.sessionKey);
+    console.log('[Browser Wand] Key vault reset, keys removed:', removed);
+    return { success: true, data: { removed } };
+  } catch (error) {
+    console.error('[Browser Wand] resetKeyVault error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Creates or updates a profile; a new profile becomes the active one
+ * @param {Object} payload - The request payload
+ * @param {string} [payload.id] - Profile to update; omitted to create a profile
+ * @param {string} payload.name - Profile name
+ * @param {string} payload.provider - LLM provider ID
+ * @param {string} [payload.providerBaseUrl] - Base URL override for the provider
+ * @param {string} [payload.model] - Default model, empty for the provider default
+ * @param {string} [payload.apiKey] - New API key; empty keeps the stored key
+ * @returns {Promise<Object>} - Result with the saved profile
+ */
+export async function saveKeyProfile({ id, name, provider, providerBaseUrl = '', model = '', apiKey = '' }) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    return { success: false, error: 'Enter a profile name' };
+  }
+
+  try {
+    const key = apiKey ? await getSessionVaultKey() : null;
+    if (apiKey && !key) {
+      throw new KeyVaultLockedError('Unlock your keys with your passphrase before saving a new key');
+    }
+
+    const profile = await updateProfileStore(async (store) => {
+      let target = id ? store.profiles.find((candidate) => candidate.id === id) : null;
+      if (id && !target) {
+        throw new Error('Profile not found');
+      }
+      if (!target) {
+        target = { id: crypto.randomUUID(), encryptedKey: null };
+        store.profiles.push(target);
+        store.activeProfileId = target.id;
+      }
+
+      Object.assign(target, { name: trimmedName, provider, providerBaseUrl, model });
+      if (apiKey) {
+        target.encryptedKey = await encryptText(key, apiKey);
+        if (store.legacyKeyProfileId === target.id) {
+          store.legacyKeyProfileId = null;
+          await chrome.storage.local.remove('apiKey');
+        }
+      }
+      return toPublicProfile(target, store);
+    });
+
+    return { success: true, data: { profile } };
+  } catch (error) {
+    console.error('[Browser Wand] saveKeyProfile error:', error);
+    return { success: false, vaultLocked: error instanceof KeyVaultLockedError, error: error.message };
+  }
+}
+
+/**
+ * Deletes a profile; the last profile cannot be deleted
+ * @param {Object} payload - The request payload
+ * @param {string} payload.id - Profile to delete
+ * @returns {Promise<Object>} - Result with the new activeProfileId
+ */
+export async function deleteKeyProfile({ id }) {
+  try {
+    const activeProfileId = await updateProfileStore(async (store) => {
+      if (store.profiles.length <= 1) {
+        throw new Error('Keep at least one profile');
+      }
+      store.profiles = store.profiles.filter((profile) => profile.id !== id);
+      if (store.legacyKeyProfileId === id) {
+        store.legacyKeyProfileId = null;
+        await chrome.storage.local.remove('apiKey');
+      }
+      if (store.activeProfileId === id) {
+        store.activeProfileId = store.profiles[0].id;
+      }
+      return store.activeProfileId;
+    });
+    return { success: true, data: { activeProfileId } };
+  } catch (error) {
+    console.error('[Browser Wand] deleteKeyProfile error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Makes a profile the active one
+ * @param {Object} payload - The request payload
+ * @param {string} payload.id - Profile to activate
+ * @returns {Promise<Object>} - Result indicating success
+ */
+export async function setActiveKeyProfile({ id }) {
+  try {
+    await updateProfileStore(async (store) => {
+      if (!store.profiles.some((profile) => profile.id === id)) {
+        throw new Error('Profile not found');
+      }
+      store.activeProfileId = id;
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('[Browser Wand] setActiveKeyProfile error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Finds a profile in the store
+ * @param {Object} store - Profile store
+ * @param {string} [profileId] - Profile ID, defaults to the active profile
+ * @returns {Object|null} - Stored profile, or null if it does not exist
+ */
+function findProfile(store, profileId) {
+  const targetId = profileId || store.activeProfileId;
+  return store.profiles.find((candidate) => candidate.id === targetId) || null;
+}
+
+/**
+ * Decrypts the key of a stored profile
+ * @param {Object} store - Profile store
+ * @param {Object} profile - Stored profile
+ * @returns {Promise<string>} - API key, empty if the profile has none
+ * @throws {KeyVaultLockedError} - If the profile has a key and the vault is locked
+ */
+async function decryptProfileKey(store, profile) {
+  if (!profile.encryptedKey) {
+    if (profile.id !== store.legacyKeyProfileId) return '';
+    const { apiKey } = await chrome.storage.local.get('apiKey');
+    return apiKey || '';
+  }
+
+  const key = await getSessionVaultKey();
+  if (!key) {
+    throw new KeyVaultLockedError(`Enter your passphrase in Settings to unlock the "${profile.name}" key`);
+  }
+  return decryptText(key, profile.encryptedKey);
+}
+
+/**
+ * Decrypts the API key of a profile
+ * @param {string} [profileId] - Profile ID, defaults to the active profile
+ * @returns {Promise<string>} - API key, empty if the profile has none
+ * @throws {KeyVaultLockedError} - If the profile has a key and the vault is locked
+ */
+export async function resolveProfileApiKey(profileId) {
+  const store = await loadProfileStore();
+  const profile = findProfile(store, profileId);
+  return profile ? decryptProfileKey(store, profile) : '';
+}
+
+/**
+ * Decrypts the API key an LLM request is sent with
+ * Requests only ever use the chosen profile's own key, never a key from another profile
+ * @param {string} [profileId] - Profile ID, defaults to the active profile
+ * @param {string} providerId - Provider the request is sent to
+ * @returns {Promise<string>} - API key, empty for a provider that needs none
+ * @throws {MissingProfileKeyError} - If the provider needs a key and the profile has none
+ * @throws {KeyVaultLockedError} - If the profile has a key and the vault is locked
+ */
+export async function resolveRequestApiKey(profileId, providerId) {
+  const store = await loadProfileStore();
+  const profile = findProfile(store, profileId);
+  const apiKey = profile ? await decryptProfileKey(store, profile) : '';
+  if (apiKey || !getProvider(providerId).requiresApiKey) {
+    return apiKey;
+  }
+
+  throw new MissingProfileKeyError(profile
+    ? `The "${profile.name}" profile has no API key. Add one in Settings.`
+    : 'The selected key profile no longer exists. Pick another one in Settings.');
+}
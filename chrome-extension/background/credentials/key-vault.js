@@ -0,0 +1,121 @@
+/**
+ * Key vault
+ * WebCrypto helpers that encrypt API keys with a passphrase-derived AES-GCM key
+ */
+
+import { KEY_PROFILES_CONFIG } from '../config.js';
+
+// Encrypted with the vault key when the vault is created, to check passphrases on unlock
+const VAULT_CHECK_TEXT = 'browser-wand-key-vault';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decodes a base64 string
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derives the vault key from a passphrase with PBKDF2
+ * The key is extractable so it can be kept in session storage between service worker restarts
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt stored with the vault
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ */
+async function deriveVaultKey(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations: KEY_PROFILES_CONFIG.pbkdf2Iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts text with a fresh random IV
+ * @param {CryptoKey} key - Vault key
+ * @param {string} text - Plain text
+ * @returns {Promise<{iv: string, data: string}>} - Base64 IV and ciphertext
+ */
+export async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, textEncoder.encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypts text encrypted with encryptText
+ * @param {CryptoKey} key - Vault key
+ * @param {{iv: string, data: string}} payload - Base64 IV and ciphertext
+ * @returns {Promise<string>} - Plain text
+ * @throws {DOMException} - If the key is wrong or the ciphertext was tampered with
+ */
+export async function decryptText(key, payload) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+    key,
+    fromBase64(payload.data)
+  );
+  return textDecoder.decode(data);
+}
+
+/**
+ * Creates a new vault for a passphrase
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{vault: Object, key: CryptoKey}>} - Vault record to store and its key
+ */
+export async function createVault(passphrase) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveVaultKey(passphrase, salt);
+  const check = await encryptText(key, VAULT_CHECK_TEXT);
+  return { vault: { salt, check }, key };
+}
+
+/**
+ * Derives the key of an existing vault, checking the passphrase
+ * @param {Object} vault - Stored vault record
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<CryptoKey|null>} - Vault key, or null if the passphrase is wrong
+ */
+export async function openVault(vault, passphrase) {
+  const key = await deriveVaultKey(passphrase, vault.salt);
+  try {
+    return (await decryptText(key, vault.check)) === VAULT_CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exports a vault key for session storage
+ * @param {CryptoKey} key - Vault key
+ * @returns {Promise<string>} - Base64 raw key
+ */
+export async function exportVaultKey(key) {
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+/**
+ * Imports a vault key from session storage
+ * @param {string} rawKey - Base64 raw key
+ * @returns {Promise<CryptoKey>} - Vault key
+ */
+export function importVaultKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64(rawKey), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
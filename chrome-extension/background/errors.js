@@ -0,0 +1,96 @@
+/**
+ * Error taxonomy
+ * Typed error codes attached to failed results, so the popup can explain what
+ * went wrong and offer the right next step instead of showing a raw message
+ */
+
+import { ApiRequestError, ERROR_CLASSES, isAbortError } from './transport.js';
+import { SchemaValidationError } from './schemas/index.js';
+import { MissingProfileKeyError } from './credentials/index.js';
+import { BudgetExceededError } from './usage/index.js';
+
+export const ERROR_CODES = {
+  INVALID_KEY: 'INVALID_KEY',
+  MISSING_KEY: 'MISSING_KEY',
+  QUOTA: 'QUOTA',
+  BUDGET: 'BUDGET',
+  SAFETY_BLOCK: 'SAFETY_BLOCK',
+  RECITATION: 'RECITATION',
+  NETWORK: 'NETWORK',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  PARSE_FAILURE: 'PARSE_FAILURE',
+  CSP_BLOCKED: 'CSP_BLOCKED',
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Gemini error statuses (google.rpc.Code names) that map to a specific code
+const API_STATUS_CODES = {
+  UNAUTHENTICATED: ERROR_CODES.INVALID_KEY,
+  PERMISSION_DENIED: ERROR_CODES.INVALID_KEY,
+  RESOURCE_EXHAUSTED: ERROR_CODES.QUOTA,
+  DEADLINE_EXCEEDED: ERROR_CODES.TIMEOUT,
+  UNAVAILABLE: ERROR_CODES.NETWORK,
+  NOT_FOUND: ERROR_CODES.MODEL_UNAVAILABLE,
+};
+
+/**
+ * Error thrown when the AI answered but the answer cannot be used
+ * (blocked by a filter, empty or malformed)
+ */
+export class LLMResponseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - One of ERROR_CODES
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'LLMResponseError';
+    this.code = code;
+  }
+}
+
+/**
+ * Maps an error status reported inside an API response body to an error code
+ * @param {string} [status] - Status such as RESOURCE_EXHAUSTED
+ * @returns {string} - One of ERROR_CODES
+ */
+export function codeForApiStatus(status) {
+  return API_STATUS_CODES[status] || ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Maps a failed HTTP request to an error code
+ * @param {ApiRequestError} error - Error from fetchWithRetry
+ * @returns {string} - One of ERROR_CODES
+ */
+function classifyRequestError(error) {
+  if (error.errorClass === ERROR_CLASSES.NETWORK_ERROR) return ERROR_CODES.NETWORK;
+  if (error.errorClass === ERROR_CLASSES.RATE_LIMITED) return ERROR_CODES.QUOTA;
+  if (error.errorClass === ERROR_CLASSES.MODEL_UNAVAILABLE) return ERROR_CODES.MODEL_UNAVAILABLE;
+  if (error.status === 504) return ERROR_CODES.TIMEOUT;
+  if (error.errorClass === ERROR_CLASSES.SERVER_ERROR) return ERROR_CODES.NETWORK;
+  if (error.status === 401 || error.status === 403) return ERROR_CODES.INVALID_KEY;
+  // Gemini answers a bad key with 400 API_KEY_INVALID rather than 401
+  if (error.status === 400 && /api[\s_-]?key/i.test(error.message)) return ERROR_CODES.INVALID_KEY;
+  return ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Classifies any error raised while handling a request
+ * @param {Error} error - The error to classify
+ * @returns {string} - One of ERROR_CODES
+ */
+export function classifyError(error) {
+  if (error instanceof LLMResponseError) return error.code;
+  if (error instanceof ApiRequestError) return classifyRequestError(error);
+  if (error instanceof MissingProfileKeyError) return ERROR_CODES.MISSING_KEY;
+  if (error instanceof BudgetExceededError) return ERROR_CODES.BUDGET;
+  if (error instanceof SchemaValidationError || error instanceof SyntaxError) return ERROR_CODES.PARSE_FAILURE;
+  if (error?.name === 'TimeoutError') return ERROR_CODES.TIMEOUT;
+  // Requests are only aborted when the user cancels them; the popup reports its own timeouts
+  if (isAbortError(error)) return ERROR_CODES.CANCELLED;
+  if (/content security policy/i.test(error?.message || '')) return ERROR_CODES.CSP_BLOCKED;
+  return ERROR_CODES.UNKNOWN;
+}
@@ -0,0 +1,84 @@
+/**
+ * Chat follow-up handler
+ * Answers questions asked in the chat form of an analysis or summary modal (CHAT_FOLLOW_UP),
+ * sending the earlier turns and the page context with each question
+ */
+
+import { LLM_BACKEND_MODES } from '../config.js';
+import { callLLM } from '../llm-client.js';
+import { createLLMSession } from '../llm-session.js';
+import { assertWithinBudget } from '../usage/index.js';
+import { resolveRequestApiKey, KeyVaultLockedError } from '../credentials/index.js';
+import { loadTaskRouting, resolveTaskRoute } from '../routing/index.js';
+import { getConversation, appendConversationTurns } from '../conversations/index.js';
+import { buildFollowUpSystemPrompt } from '../prompts/prompt-builder.js';
+import { classifyError } from '../errors.js';
+import { openChatStream } from './utils/index.js';
+
+/**
+ * Answers a follow-up question and streams the answer into the modal's chat thread
+ * @param {Object} payload - The request payload
+ * @param {number} payload.tabId - Tab whose modal the question was asked in
+ * @param {string} payload.question - The follow-up question
+ * @param {string} payload.chatToken - Token the content script was given when the conversation started
+ * @returns {Promise<Object>} - Result with the answer and the models that served it
+ */
+export async function handleChatFollowUp({ tabId, question, chatToken }) {
+  const trimmedQuestion = (question || '').trim();
+  if (!trimmedQuestion) {
+    return { success: false, error: 'Enter a question' };
+  }
+
+  // Both are checked before the question is shown in the page's chat thread
+  const conversation = await getConversation(tabId);
+  if (!conversation) {
+    return { success: false, error: 'This conversation has ended. Run the analysis or summary again to ask follow-up questions.' };
+  }
+  // A question for an earlier conversation, or from a page that never received the token
+  if (!chatToken || conversation.chatToken !== chatToken) {
+    console.warn('[Browser Wand] handleChatFollowUp: Chat token does not match the conversation of tab:', tabId);
+    return { success: false, error: 'This question does not belong to the current conversation' };
+  }
+
+  const stream = await openChatStream(tabId, trimmedQuestion, { parseMarkdown: !!conversation.parseMarkdown });
+
+  try {
+    const { connection, taskType } = conversation;
+    const route = resolveTaskRoute(await loadTaskRouting(), taskType);
+    const session = createLLMSession({ ...connection, tabId, taskType, route });
+    console.log('[Browser Wand] handleChatFollowUp:', {
+      tabId,
+      taskType,
+      historyTurns: conversation.turns.length,
+      model: session.model,
+    });
+
+    if (session.backendMode !== LLM_BACKEND_MODES.REPLAY) {
+      session.apiKey = await resolveRequestApiKey(connection.profileId, session.providerId);
+      await assertWithinBudget();
+    }
+
+    const answer = await callLLM(session, buildFollowUpSystemPrompt(conversation.pageContext), trimmedQuestion, {
+      history: conversation.turns,
+      onText: stream?.onText,
+    });
+    if (stream) {
+      await stream.finish(answer);
+    }
+
+    await appendConversationTurns(tabId, [
+      { role: 'user', text: trimmedQuestion },
+      { role: 'model', text: answer },
+    ]);
+    return { success: true, data: { answer, servedModels: session.servedModels } };
+  } catch (error) {
+    console.error('[Browser Wand] handleChatFollowUp error:', error);
+    if (stream) {
+      await stream.fail(`Follow-up failed: ${error.message}`);
+    }
+    if (error instanceof KeyVaultLockedError) {
+      return { success: false, vaultLocked: true, error: error.message };
+    }
+    return { success: false, errorCode: classifyError(error), error: `Follow-up failed: ${error.message}` };
+  }
+}
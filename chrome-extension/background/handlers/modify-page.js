@@ -4,9 +4,28 @@
  * Routes requests to appropriate task handlers based on detected task type
  */
 
-import { TASK_TYPES, SCRIPT_CATEGORIES, TASK_CATEGORY_MAP } from '../config.js';
+import {
+  TASK_TYPES,
+  SCRIPT_CATEGORIES,
+  TASK_CATEGORY_MAP,
+  LLM_BACKEND_MODES,
+  CONVERSATION_CONFIG,
+  PROVIDER_CAPABILITIES,
+} from '../config.js';
 import { callLLM, parseModificationResponse } from '../llm-client.js';
+import { createLLMSession, sessionSupports } from '../llm-session.js';
+import { getCachedResponse, setCachedResponse } from '../cache/index.js';
+import { assertWithinBudget, BudgetExceededError } from '../usage/index.js';
+import { resolveRequestApiKey, KeyVaultLockedError, MissingProfileKeyError } from '../credentials/index.js';
+import { loadTaskRouting, resolveTaskRoute } from '../routing/index.js';
+import { startConversation } from '../conversations/index.js';
+import { isClassifiableTaskType } from '../classification/index.js';
+import { parseSlashCommand } from '../commands/index.js';
+import { planTaskSteps, getPlanScriptCategory, isValidTaskPlan } from '../planning/index.js';
+import { RESPONSE_SCHEMAS } from '../schemas/index.js';
 import { detectTaskType } from '../task-detector.js';
+import { classifyError } from '../errors.js';
+import { captureVisibleTab } from '../page-capture.js';
 import { buildModifySystemPrompt, buildModifyUserMessage } from '../prompts/prompt-builder.js';
 import {
   handleAnalysis,
@@ -14,6 +33,7 @@ import {
   handleTranslation,
   handleMagicBar,
 } from './task-handlers/index.js';
+import { convertToMarkdown, readPageState, applyModificationsInTab, matchSelectorInTab, enableChatInTab, notifyPopup } from './utils/index.js';
 
 /**
  * Task type to handler mapping
@@ -28,20 +48,25 @@ const TASK_HANDLERS = {
 
 /**
  * Handles general page modification requests via LLM
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's modification request
  * @param {Object} pageContent - Page content data
  * @param {Object} previousModifications - Previously applied modifications
  * @param {string} taskType - Detected task type
- * @param {string} [model] - Optional model ID to use
+ * @param {{mimeType: string, data: string}|null} screenshot - Screenshot of the visible page, if attached
  * @returns {Promise<Object>} - Modification result
  */
-async function handleGeneralModification(apiKey, prompt, pageContent, previousModifications, taskType, model) {
+async function handleGeneralModification(session, prompt, pageContent, previousModifications, taskType, screenshot) {
   const systemPrompt = buildModifySystemPrompt(taskType, pageContent);
-  const userMessage = buildModifyUserMessage(taskType, prompt, pageContent, null, previousModifications);
+  const { userMessage, contextReport } = buildModifyUserMessage(
+    taskType, prompt, pageContent, null, previousModifications, !!screenshot
+  );
 
   console.log('[Browser Wand] Calling LLM...');
-  const response = await callLLM(apiKey, systemPrompt, userMessage, model);
+  const response = await callLLM(session, systemPrompt, userMessage, {
+    responseSchema: RESPONSE_SCHEMAS.MODIFICATION,
+    images: screenshot ? [screenshot] : undefined,
+  });
   console.log('[Browser Wand] LLM response received, parsing...');
 
   const parsed = parseModificationResponse(response);
@@ -61,6 +86,215 @@ async function handleGeneralModification(apiKey, prompt, pageContent, previousMo
       ...parsed,
       taskType,
       scriptCategory,
+      contextReport,
+    },
+  };
+}
+
+/**
+ * Routes a request to the specialized handler for its task type, or to general modification
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} taskType - Detected task type
+ * @param {string} prompt - User's modification request
+ * @param {Object} pageContent - Page content data
+ * @param {Object} previousModifications - Previously applied modifications
+ * @param {{mimeType: string, data: string}|null} screenshot - Screenshot of the visible page, if attached
+ * @param {Object} options - Handler options from a slash command, such as targetLanguage
+ * @returns {Promise<Object>} - Modification result
+ */
+async function routeTask(session, taskType, prompt, pageContent, previousModifications, screenshot, options) {
+  // Check if we have a specialized handler for this task type
+  const handler = TASK_HANDLERS[taskType];
+  if (handler) {
+    console.log('[Browser Wand] Using specialized handler for:', taskType);
+    return handler(session, prompt, pageContent, previousModifications, options);
+  }
+
+  // Fall back to general modification handler
+  console.log('[Browser Wand] Handling general modification task');
+  try {
+    return await handleGeneralModification(session, prompt, pageContent, previousModifications, taskType, screenshot);
+  } catch (error) {
+    console.error('[Browser Wand] modifyPage error:', error);
+    return { success: false, errorCode: classifyError(error), error: error.message };
+  }
+}
+
+/**
+ * Hides the elements a /hide command named by selector, without an LLM call
+ * @param {string} selector - CSS selector from the command
+ * @returns {Object} - Modification result with the CSS rule
+ */
+function hideSelector(selector) {
+  console.log('[Browser Wand] Hiding selector from command:', selector);
+  return {
+    success: true,
+    data: {
+      code: '',
+      css: `${selector} {\n  display: none !important;\n}`,
+      explanation: `Hid the elements matching ${selector}.`,
+      taskType: TASK_TYPES.ELEMENT_HIDING,
+      scriptCategory: SCRIPT_CATEGORIES.STATIC_SCRIPT,
+    },
+  };
+}
+
+/**
+ * Captures the visible page for a screenshot-grounded request
+ * Only general modifications use the screenshot, and recorded fixtures must not depend on
+ * what happened to be on screen, so it is skipped outside live mode
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} taskType - Detected task type
+ * @param {boolean} attachScreenshot - Whether the user enabled screenshots
+ * @returns {Promise<{mimeType: string, data: string}|null>} - Screenshot, or null if none is attached
+ */
+async function captureScreenshotFor(session, taskType, attachScreenshot) {
+  if (!attachScreenshot || !session.tabId || TASK_HANDLERS[taskType]) {
+    return null;
+  }
+  if (session.backendMode !== LLM_BACKEND_MODES.LIVE) {
+    console.log('[Browser Wand] Screenshot skipped in backend mode:', session.backendMode);
+    return null;
+  }
+  if (!sessionSupports(session, PROVIDER_CAPABILITIES.IMAGE_INPUT)) {
+    console.log('[Browser Wand] Screenshot skipped, provider has no image input:', session.providerId);
+    return null;
+  }
+  return captureVisibleTab(session.tabId);
+}
+
+/**
+ * Starts the follow-up chat for a result shown in a chat-enabled modal (analysis and summaries)
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} prompt - User's original request
+ * @param {Object} pageContent - Page content data
+ * @param {Object} data - Result data; only results with an answer start a conversation
+ * @param {Object} connection - Profile, provider, model and backend mode reused for follow-ups
+ * @returns {Promise<void>}
+ */
+async function startFollowUpConversation(session, prompt, pageContent, data, connection) {
+  if (!CONVERSATION_CONFIG.enabled || !session.tabId || typeof data.answer !== 'string') {
+    return;
+  }
+
+  // Only the content script of the tab's top frame learns the token, so the page cannot ask questions
+  const chatToken = crypto.randomUUID();
+  await startConversation(session.tabId, {
+    url: pageContent.url,
+    chatToken,
+    taskType: data.taskType,
+    pageContext: convertToMarkdown(pageContent).substring(0, CONVERSATION_CONFIG.maxPageContextLength),
+    // Analysis modals render markdown, summaries are plain text
+    parseMarkdown: data.taskType === TASK_TYPES.ANALYZE,
+    connection,
+    turns: [
+      { role: 'user', text: prompt },
+      { role: 'model', text: data.answer },
+    ],
+  });
+  await enableChatInTab(session.tabId, chatToken);
+}
+
+/**
+ * Gets the steps to run a request as
+ * A plan sent by the popup (classified or saved) is used as is; otherwise requests without a
+ * chosen task type are split by the planner. Plans need a tab, since each step is applied
+ * in the page before the next one reads it
+ * @param {string} prompt - User's request
+ * @param {string} [requestedTaskType] - Task type chosen in the popup
+ * @param {Array<Object>} [taskPlan] - Steps chosen in the popup
+ * @param {number} [tabId] - Tab the request runs against
+ * @returns {Array<{prompt: string, taskType: string}>} - Steps; a single step for one task
+ */
+function resolveTaskSteps(prompt, requestedTaskType, taskPlan, tabId) {
+  if (isClassifiableTaskType(requestedTaskType)) {
+    return [{ prompt, taskType: requestedTaskType }];
+  }
+  if (!tabId) {
+    return [{ prompt, taskType: detectTaskType(prompt) }];
+  }
+  if (isValidTaskPlan(taskPlan)) {
+    return taskPlan.map((step) => ({ prompt: step.prompt.trim(), taskType: step.taskType }));
+  }
+  return planTaskSteps(prompt);
+}
+
+/**
+ * Runs a compound request as its steps, in order
+ * Each step is applied in the page before the next one reads it, so later steps build on
+ * earlier ones (a translation sees the page without the ads hidden by the step before).
+ * The popup gets a TASK_PLAN_PROGRESS message whenever a step starts or ends. A failed step
+ * stops the plan; the steps before it stay applied
+ * @param {Object} request - The MODIFY_PAGE payload
+ * @param {Array<{prompt: string, taskType: string}>} steps - Steps to run
+ * @returns {Promise<Object>} - Result whose data combines the code, CSS and explanations of all
+ *   steps and is already applied (data.applied); a failure names the step that failed
+ */
+async function runTaskPlan(request, steps) {
+  const { tabId, signal, attachScreenshot } = request;
+  const progress = steps.map(({ prompt, taskType }) => ({ prompt, taskType, status: 'pending' }));
+  const reportProgress = (index, status, error) => {
+    progress[index] = { ...progress[index], status, error };
+    return notifyPopup('TASK_PLAN_PROGRESS', { steps: progress, current: index });
+  };
+  const stepResults = [];
+
+  console.log('[Browser Wand] runTaskPlan:', steps.map((step) => step.taskType));
+
+  for (const [index, step] of steps.entries()) {
+    if (signal?.aborted) {
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
+    await reportProgress(index, 'running');
+
+    let result;
+    try {
+      // The first step runs against the page state the popup sent
+      const pageState = index === 0
+        ? { pageContent: request.pageContent, previousModifications: request.previousModifications }
+        : await readPageState(tabId, { includeLayout: !!attachScreenshot });
+      result = await modifyPage({ ...request, ...pageState, prompt: step.prompt, taskType: step.taskType, taskPlan: null });
+      if (result.success) {
+        const applyResult = await applyModificationsInTab(tabId, result.data);
+        if (!applyResult.success) {
+          result = { success: false, error: applyResult.error };
+        }
+      }
+    } catch (error) {
+      result = { success: false, errorCode: classifyError(error), error: error.message };
+    }
+
+    if (!result.success) {
+      console.warn('[Browser Wand] runTaskPlan: Step failed:', index + 1, result.error);
+      await reportProgress(index, result.cancelled ? 'cancelled' : 'failed', result.error);
+      if (result.cancelled || result.vaultLocked || result.budgetExceeded) {
+        return result;
+      }
+      const error = `Step ${index + 1} of ${steps.length} (${step.taskType}) failed: ${result.error}`;
+      return { ...result, error: index > 0 ? `${error}. The steps before it stay applied.` : error };
+    }
+
+    stepResults.push(result.data);
+    await reportProgress(index, 'done');
+  }
+
+  return {
+    success: true,
+    data: {
+      // Blocks keep top-level declarations of different steps from clashing when saved as one script
+      code: stepResults.map((data) => data.code?.trim()).filter(Boolean).map((code) => `{\n${code}\n}`).join('\n\n'),
+      css: stepResults.map((data) => data.css?.trim()).filter(Boolean).join('\n\n'),
+      explanation: stepResults.map((data, index) => `${index + 1}. ${data.explanation || steps[index].prompt}`).join('\n'),
+      taskType: TASK_TYPES.MULTI_STEP,
+      scriptCategory: getPlanScriptCategory(stepResults.map((data) => data.scriptCategory)),
+      steps: stepResults.map((data, index) => ({
+        prompt: steps[index].prompt,
+        taskType: data.taskType,
+        scriptCategory: data.scriptCategory,
+        explanation: data.explanation,
+      })),
+      applied: true,
+      servedModels: [...new Set(stepResults.flatMap((data) => data.servedModels || []))],
     },
   };
 }
@@ -68,38 +302,149 @@ async function handleGeneralModification(apiKey, prompt, pageContent, previousMo
 /**
  * Modifies a page based on user prompt
  * Routes to specialized handlers for known task types, falls back to general modification
+ * The task type is the one the popup showed (classified or picked by the user), or detected
+ * from the prompt with the keyword rules when none is given. Compound requests run as a plan
+ * of steps (see runTaskPlan), and slash commands ("/translate ja") name their task type and options
+ * The task routing table picks the model and generation parameters for the task type
  * @param {Object} payload - The request payload
- * @param {string} payload.apiKey - API key for authentication
+ * @param {string} [payload.profileId] - Key profile whose encrypted key is used (defaults to the active profile)
  * @param {string} payload.prompt - User's modification request
+ * @param {string} [payload.taskType] - Task type to run the request as, from CLASSIFY_TASK or the user
+ * @param {Array<{prompt: string, taskType: string}>} [payload.taskPlan] - Steps to run a MULTI_STEP
+ *   request as, from CLASSIFY_TASK or a saved script; planned from the prompt when missing
  * @param {Object} payload.pageContent - Page content data
  * @param {Object} payload.previousModifications - Previously applied modifications
  * @param {string} [payload.model] - Optional model ID to use
- * @returns {Promise<Object>} - Modification result with success status
+ * @param {string} [payload.provider] - Optional LLM provider ID (defaults to Gemini)
+ * @param {string} [payload.providerBaseUrl] - Optional base URL override for the provider
+ * @param {number} [payload.tabId] - Optional tab ID, used to stream results into the page
+ * @param {AbortSignal} [payload.signal] - Optional signal that cancels the request
+ * @param {string} [payload.backendMode] - Optional LLM_BACKEND_MODES value (live, record or replay)
+ * @param {boolean} [payload.attachScreenshot] - Send a screenshot of the visible page with general
+ *   modifications, for providers that accept image input
+ * @returns {Promise<Object>} - Modification result with success status; data.servedModels lists
+ *   the models that answered, which differ from data.requestedModel after a fallback, and a
+ *   failed result carries an ERROR_CODES value in errorCode
  */
-export async function modifyPage({ apiKey, prompt, pageContent, previousModifications, model }) {
+export async function modifyPage({
+  profileId,
+  prompt,
+  taskType: requestedTaskType,
+  taskPlan,
+  pageContent,
+  previousModifications,
+  model,
+  provider,
+  providerBaseUrl,
+  tabId,
+  signal,
+  backendMode,
+  attachScreenshot,
+}) {
+  const command = parseSlashCommand(prompt);
+  if (command?.error) {
+    return { success: false, error: command.error };
+  }
+  // "/hide div" is hidden right away; "/hide the cookie banner" matches nothing and goes to the model
+  if (command?.options.selector && await matchSelectorInTab(tabId, command.options.selector)) {
+    return hideSelector(command.options.selector);
+  }
+
+  const steps = command
+    ? [{ prompt: command.prompt, taskType: command.taskType }]
+    : resolveTaskSteps(prompt, requestedTaskType, taskPlan, tabId);
+  if (steps.length > 1) {
+    return runTaskPlan({
+      profileId,
+      pageContent,
+      previousModifications,
+      model,
+      provider,
+      providerBaseUrl,
+      tabId,
+      signal,
+      backendMode,
+      attachScreenshot,
+    }, steps);
+  }
+
+  const { prompt: taskPrompt, taskType } = steps[0];
+  const route = resolveTaskRoute(await loadTaskRouting(), taskType);
+  const session = createLLMSession({
+    model,
+    provider,
+    providerBaseUrl,
+    tabId,
+    signal,
+    taskType,
+    backendMode,
+    route,
+  });
   console.log('[Browser Wand] modifyPage called:', {
-    promptLength: prompt?.length,
+    promptLength: taskPrompt.length,
+    command: command?.name,
     pageContentKeys: pageContent ? Object.keys(pageContent) : null,
     hasPreviousModifications: !!previousModifications,
-    model: model || 'default',
+    provider: session.providerId,
+    model: session.model,
+    generation: session.generation,
+    taskType,
+    requestedTaskType,
+    backendMode: session.backendMode,
   });
 
-  const taskType = detectTaskType(prompt);
-  console.log('[Browser Wand] Detected task type:', taskType);
+  // No key is kept for follow-ups; the profile key is decrypted again for each question
+  const connection = { profileId, model, provider, providerBaseUrl, backendMode };
 
-  // Check if we have a specialized handler for this task type
-  const handler = TASK_HANDLERS[taskType];
-  if (handler) {
-    console.log('[Browser Wand] Using specialized handler for:', taskType);
-    return handler(apiKey, prompt, pageContent, previousModifications, model);
+  const cachedData = await getCachedResponse(session, taskType, taskPrompt, pageContent);
+  if (cachedData) {
+    await startFollowUpConversation(session, taskPrompt, pageContent, cachedData, connection);
+    return { success: true, data: { ...cachedData, fromCache: true } };
   }
 
-  // Fall back to general modification handler
-  console.log('[Browser Wand] Handling general modification task');
+  // Fail fast with a clear message instead of letting the handler wrap key and budget errors
+  // Replayed responses cost nothing and need no key, so they are never blocked
   try {
-    return await handleGeneralModification(apiKey, prompt, pageContent, previousModifications, taskType, model);
+    if (session.backendMode !== LLM_BACKEND_MODES.REPLAY) {
+      session.apiKey = await resolveRequestApiKey(profileId, session.providerId);
+      await assertWithinBudget();
+    }
   } catch (error) {
-    console.error('[Browser Wand] modifyPage error:', error);
-    return { success: false, error: error.message };
+    if (error instanceof KeyVaultLockedError) {
+      console.warn('[Browser Wand] modifyPage: Key vault locked');
+      return { success: false, vaultLocked: true, error: error.message };
+    }
+    if (error instanceof MissingProfileKeyError) {
+      console.warn('[Browser Wand] modifyPage: No API key:', error.message);
+      return { success: false, errorCode: classifyError(error), error: error.message };
+    }
+    if (error instanceof BudgetExceededError) {
+      console.warn('[Browser Wand] modifyPage: Budget exceeded:', error.message);
+      return { success: false, budgetExceeded: true, error: error.message };
+    }
+    throw error;
   }
+
+  const screenshot = await captureScreenshotFor(session, taskType, attachScreenshot);
+  const result = await routeTask(session, taskType, taskPrompt, pageContent, previousModifications, screenshot, command?.options || {});
+
+  // Handlers may have finished part of the work before the abort; never apply partial results
+  if (signal?.aborted) {
+    console.log('[Browser Wand] modifyPage: Request cancelled, discarding result');
+    return { success: false, cancelled: true, error: 'Request cancelled' };
+  }
+
+  if (result.success) {
+    // Lets the popup say which model answered when the fallback chain was used
+    // Handlers that call a model of their own (image generation) name it as the requested model
+    result.data = {
+      ...result.data,
+      requestedModel: result.data.requestedModel || session.model,
+      servedModels: session.servedModels,
+    };
+    await setCachedResponse(session, taskType, taskPrompt, pageContent, result.data);
+    await startFollowUpConversation(session, taskPrompt, pageContent, result.data, connection);
+  }
+
+  return result;
 }
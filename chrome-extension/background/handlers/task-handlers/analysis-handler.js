@@ -1,12 +1,18 @@
 /**
  * Analysis task handler
  * Handles page content analysis and returns results in modal overlay
+ * The analysis streams into the modal while it is generated
  */
 
-import { TASK_TYPES, SCRIPT_CATEGORIES } from '../../config.js';
+import { TASK_TYPES, SCRIPT_CATEGORIES, CONVERSATION_CONFIG } from '../../config.js';
 import { callLLM } from '../../llm-client.js';
+import { isAbortError } from '../../transport.js';
+import { classifyError } from '../../errors.js';
 import { buildModifySystemPrompt, buildModifyUserMessage } from '../../prompts/prompt-builder.js';
 import { generateModalDisplayCode } from '../ui-generators/index.js';
+import { openModalStream } from '../utils/index.js';
+
+const JSON_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
 
 /**
  * Parses the analysis response from the LLM
@@ -30,26 +36,76 @@ function parseAnalysisResponse(response) {
   }
 }
 
+/**
+ * Extracts the "analysis" string from a partially streamed JSON response
+ * The closing quote may not have arrived yet, so the value is decoded up to
+ * the end of the text received so far
+ * @param {string} partialResponse - Accumulated LLM response
+ * @returns {string} - Decoded analysis text received so far
+ */
+function extractStreamingAnalysis(partialResponse) {
+  const match = partialResponse.match(/"analysis"\s*:\s*"/);
+  if (!match) {
+    // Plain-text responses are shown as they arrive; JSON waits for the analysis field
+    return /^\s*(```|\{)/.test(partialResponse) ? '' : partialResponse;
+  }
+
+  let result = '';
+  for (let i = match.index + match[0].length; i < partialResponse.length; i++) {
+    const char = partialResponse[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      result += char;
+      continue;
+    }
+
+    const next = partialResponse[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = partialResponse.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    result += JSON_ESCAPES[next] || next;
+    i++;
+  }
+
+  return result;
+}
+
 /**
  * Handles analysis task - analyzes page content and displays result in overlay
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's request
  * @param {Object} pageContent - Page content data
  * @param {Object} previousModifications - Previously applied modifications
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Analysis result with display code
  */
-export async function handleAnalysis(apiKey, prompt, pageContent, previousModifications, model) {
+export async function handleAnalysis(session, prompt, pageContent, previousModifications) {
   console.log('[Browser Wand] handleAnalysis started');
   const systemPrompt = buildModifySystemPrompt(TASK_TYPES.ANALYZE, pageContent);
-  const userMessage = buildModifyUserMessage(TASK_TYPES.ANALYZE, prompt, pageContent, null, previousModifications);
+  const { userMessage, contextReport } = buildModifyUserMessage(TASK_TYPES.ANALYZE, prompt, pageContent, null, previousModifications);
+
+  const stream = await openModalStream(session.tabId, 'Page Analysis', {
+    parseMarkdown: true,
+    status: 'Analyzing page...',
+    transformText: extractStreamingAnalysis,
+  });
 
   try {
-    console.log('[Browser Wand] handleAnalysis: Calling LLM...');
-    const response = await callLLM(apiKey, systemPrompt, userMessage, model);
+    console.log('[Browser Wand] handleAnalysis: Calling LLM...', { streaming: !!stream });
+    const response = await callLLM(session, systemPrompt, userMessage, { onText: stream?.onText });
     console.log('[Browser Wand] handleAnalysis: LLM response received');
+    if (stream) {
+      await stream.finish();
+    }
     const { analysis, title } = parseAnalysisResponse(response);
-    const displayCode = generateModalDisplayCode(analysis, title, { parseMarkdown: true });
+    const displayCode = generateModalDisplayCode(analysis, title, {
+      parseMarkdown: true,
+      chat: CONVERSATION_CONFIG.enabled && !!session.tabId,
+    });
 
     console.log('[Browser Wand] handleAnalysis: Returning success response');
     return {
@@ -58,12 +114,19 @@ export async function handleAnalysis(apiKey, prompt, pageContent, previousModifi
         code: displayCode,
         css: '',
         explanation: 'Analysis completed and displayed in a modal overlay.',
+        answer: analysis,
         taskType: TASK_TYPES.ANALYZE,
         scriptCategory: SCRIPT_CATEGORIES.RUNTIME_LLM,
+        contextReport,
       },
     };
   } catch (error) {
     console.error('[Browser Wand] handleAnalysis error:', error);
-    return { success: false, error: `Analysis failed: ${error.message}` };
+    if (stream && isAbortError(error)) {
+      await stream.close();
+    } else if (stream) {
+      await stream.fail(`Analysis failed: ${error.message}`);
+    }
+    return { success: false, errorCode: classifyError(error), error: `Analysis failed: ${error.message}` };
   }
 }
@@ -3,27 +3,39 @@
  * Handles image generation requests using Gemini's image generation API
  */
 
-import { TASK_TYPES, SCRIPT_CATEGORIES } from '../../config.js';
+import { TASK_TYPES, SCRIPT_CATEGORIES, PROVIDER_CAPABILITIES, IMAGE_GENERATION_CONFIG } from '../../config.js';
 import { generateImages } from '../../llm-client.js';
+import { classifyError, ERROR_CODES } from '../../errors.js';
+import { sessionSupports, getSessionProviderName } from '../../llm-session.js';
 import { generateImageDisplayCode } from '../ui-generators/index.js';
 
 /**
  * Handles image generation requests
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's image generation prompt
  * @param {Object} imageIntent - Detected image intent with options
  * @param {Object} [context] - Optional context from current page
  * @returns {Promise<Object>} - Image generation result with display code
  */
-export async function handleImageGeneration(apiKey, prompt, imageIntent, context = {}) {
+export async function handleImageGeneration(session, prompt, imageIntent, context = {}) {
   console.log('[Browser Wand] handleImageGeneration started:', {
     numberOfImages: imageIntent.numberOfImages,
     aspectRatio: imageIntent.aspectRatio,
     hasContext: !!context.pageTitle || !!context.url,
   });
 
+  if (!sessionSupports(session, PROVIDER_CAPABILITIES.IMAGE_OUTPUT)) {
+    const providerName = getSessionProviderName(session);
+    console.warn('[Browser Wand] handleImageGeneration: Provider does not support image output:', providerName);
+    return {
+      success: false,
+      errorCode: ERROR_CODES.MODEL_UNAVAILABLE,
+      error: `Image generation is not supported by the ${providerName} provider. Switch to Google Gemini in settings to generate images.`,
+    };
+  }
+
   try {
-    const imageResult = await generateImages(apiKey, prompt, {
+    const imageResult = await generateImages(session, prompt, {
       numberOfImages: imageIntent.numberOfImages,
       aspectRatio: imageIntent.aspectRatio,
       context,
@@ -48,12 +60,15 @@ export async function handleImageGeneration(apiKey, prompt, imageIntent, context
         explanation,
         taskType: TASK_TYPES.MAGIC_BAR,
         scriptCategory: SCRIPT_CATEGORIES.RUNTIME_LLM,
+        // Images come from the image model, not the session model
+        requestedModel: IMAGE_GENERATION_CONFIG.model,
       },
     };
   } catch (error) {
     console.error('[Browser Wand] handleImageGeneration error:', error);
     return {
       success: false,
+      errorCode: classifyError(error),
       error: `Image generation failed: ${error.message}`,
     };
   }
@@ -5,6 +5,7 @@
 
 import { TASK_TYPES, SCRIPT_CATEGORIES } from '../../config.js';
 import { magicBarSearch, detectImageGenerationIntent, detectNewsTimelineIntent, newsTimelineSearch } from '../../llm-client.js';
+import { classifyError } from '../../errors.js';
 import { generateMagicBarDisplayCode, generateNewsTimelineDisplayCode } from '../ui-generators/index.js';
 import { extractProductInfo, isProductPageContext } from '../utils/index.js';
 import { handleImageGeneration } from './image-generation-handler.js';
@@ -102,13 +103,12 @@ function buildExplanation(searchResult) {
  * Handles Magic Bar search - universal search feature using Gemini with Google Search grounding
  * Also supports image generation when the query requests images
  * Also supports news timeline search for news/current events queries
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's search query
  * @param {Object} pageContent - Page content data for context
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Search result with display code
  */
-export async function handleMagicBar(apiKey, prompt, pageContent, model) {
+export async function handleMagicBar(session, prompt, pageContent) {
   console.log('[Browser Wand] handleMagicBar started');
 
   // Check if this is an image generation request
@@ -116,14 +116,14 @@ export async function handleMagicBar(apiKey, prompt, pageContent, model) {
   if (imageIntent.isImageRequest) {
     console.log('[Browser Wand] handleMagicBar: Detected image generation request');
     const context = buildSearchContext(pageContent);
-    return handleImageGeneration(apiKey, prompt, imageIntent, context);
+    return handleImageGeneration(session, prompt, imageIntent, context);
   }
 
   // Check if this is a news timeline request
   const isNewsTimeline = detectNewsTimelineIntent(prompt);
   if (isNewsTimeline) {
     console.log('[Browser Wand] handleMagicBar: Detected news timeline request');
-    return handleNewsTimeline(apiKey, prompt, pageContent, model);
+    return handleNewsTimeline(session, prompt, pageContent);
   }
 
   const context = buildSearchContext(pageContent);
@@ -131,7 +131,7 @@ export async function handleMagicBar(apiKey, prompt, pageContent, model) {
 
   try {
     console.log('[Browser Wand] handleMagicBar: Searching...');
-    const searchResult = await magicBarSearch(apiKey, prompt, context, model);
+    const searchResult = await magicBarSearch(session, prompt, context);
     console.log('[Browser Wand] handleMagicBar: Got result type:', searchResult.type);
 
     const displayCode = generateMagicBarDisplayCode(searchResult, prompt);
@@ -151,6 +151,7 @@ export async function handleMagicBar(apiKey, prompt, pageContent, model) {
     console.error('[Browser Wand] handleMagicBar error:', error);
     return {
       success: false,
+      errorCode: classifyError(error),
       error: `Magic Bar search failed: ${error.message}`,
     };
   }
@@ -158,19 +159,18 @@ export async function handleMagicBar(apiKey, prompt, pageContent, model) {
 
 /**
  * Handles news timeline search - searches for news background and displays as timeline
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's search query
  * @param {Object} pageContent - Page content data for context
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Search result with timeline display code
  */
-async function handleNewsTimeline(apiKey, prompt, pageContent, model) {
+async function handleNewsTimeline(session, prompt, pageContent) {
   const context = buildSearchContext(pageContent);
   console.log('[Browser Wand] handleNewsTimeline: Context:', context);
 
   try {
     console.log('[Browser Wand] handleNewsTimeline: Searching for news timeline...');
-    const searchResult = await newsTimelineSearch(apiKey, prompt, context, model);
+    const searchResult = await newsTimelineSearch(session, prompt, context);
     console.log('[Browser Wand] handleNewsTimeline: Got result with', searchResult.timeline?.length || 0, 'events');
 
     const displayCode = generateNewsTimelineDisplayCode(searchResult, prompt);
@@ -191,6 +191,7 @@ async function handleNewsTimeline(apiKey, prompt, pageContent, model) {
     console.error('[Browser Wand] handleNewsTimeline error:', error);
     return {
       success: false,
+      errorCode: classifyError(error),
       error: `News timeline search failed: ${error.message}`,
     };
   }
@@ -1,30 +1,39 @@
 /**
  * Summarization task handler
  * Handles page content summarization using chunked processing
+ * The summary streams into a modal in the page while it is generated
  */
 
-import { TASK_TYPES, SCRIPT_CATEGORIES } from '../../config.js';
+import { TASK_TYPES, SCRIPT_CATEGORIES, CONVERSATION_CONFIG } from '../../config.js';
 import { summarizeInChunks } from '../../llm-client.js';
+import { isAbortError } from '../../transport.js';
+import { classifyError } from '../../errors.js';
 import { generateModalDisplayCode } from '../ui-generators/index.js';
-import { convertToMarkdown } from '../utils/index.js';
+import { convertToMarkdown, openModalStream } from '../utils/index.js';
 
 /**
  * Handles summarization task
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's request
  * @param {Object} pageContent - Page content data
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Summarization result
  */
-export async function handleSummarization(apiKey, prompt, pageContent, model) {
+export async function handleSummarization(session, prompt, pageContent) {
   console.log('[Browser Wand] handleSummarization started');
   const markdownContent = convertToMarkdown(pageContent);
+  const stream = await openModalStream(session.tabId, 'Page Summary', { status: 'Reading page...' });
 
   try {
-    console.log('[Browser Wand] handleSummarization: Calling summarizeInChunks...');
-    const summary = await summarizeInChunks(apiKey, markdownContent, prompt, model);
+    console.log('[Browser Wand] handleSummarization: Calling summarizeInChunks...', { streaming: !!stream });
+    const summary = await summarizeInChunks(session, markdownContent, prompt, stream || {});
     console.log('[Browser Wand] handleSummarization: Summary received');
-    const displayCode = generateModalDisplayCode(summary, 'Page Summary', { parseMarkdown: false });
+    if (stream) {
+      await stream.finish();
+    }
+    const displayCode = generateModalDisplayCode(summary, 'Page Summary', {
+      parseMarkdown: false,
+      chat: CONVERSATION_CONFIG.enabled && !!session.tabId,
+    });
 
     console.log('[Browser Wand] handleSummarization: Returning success response');
     return {
@@ -33,12 +42,18 @@ export async function handleSummarization(apiKey, prompt, pageContent, model) {
         code: displayCode,
         css: '',
         explanation: 'Summary generated and displayed in a modal overlay.',
+        answer: summary,
         taskType: TASK_TYPES.SUMMARIZE,
         scriptCategory: SCRIPT_CATEGORIES.RUNTIME_LLM,
       },
     };
   } catch (error) {
     console.error('[Browser Wand] handleSummarization error:', error);
-    return { success: false, error: `Summarization failed: ${error.message}` };
+    if (stream && isAbortError(error)) {
+      await stream.close();
+    } else if (stream) {
+      await stream.fail(`Summarization failed: ${error.message}`);
+    }
+    return { success: false, errorCode: classifyError(error), error: `Summarization failed: ${error.message}` };
   }
 }
@@ -1,26 +1,59 @@
 /**
  * Translation task handler
  * Handles page content translation with chunked processing
+ * Translations are cached per text block, so only new blocks are sent to the LLM
  */
 
 import { TASK_TYPES, SCRIPT_CATEGORIES } from '../../config.js';
 import { translateInChunks } from '../../llm-client.js';
+import { classifyError } from '../../errors.js';
+import { getCachedTranslations, setCachedTranslations } from '../../cache/index.js';
 import { extractTargetLanguage } from '../../task-detector.js';
 import { generateTranslationCode } from '../ui-generators/index.js';
 import { extractTextBlocks } from '../utils/index.js';
 
+/**
+ * Translates text blocks, reusing cached translations and only requesting the rest
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string[]} textBlocks - Source text blocks
+ * @param {string} targetLanguage - Target language name
+ * @returns {Promise<string[]>} - Translations in block order
+ */
+async function translateWithCache(session, textBlocks, targetLanguage) {
+  const translations = await getCachedTranslations(session, textBlocks, targetLanguage);
+  const missingIndexes = [];
+  translations.forEach((translation, index) => {
+    if (translation === null) missingIndexes.push(index);
+  });
+
+  console.log('[Browser Wand] translateWithCache:', textBlocks.length - missingIndexes.length, 'cached,', missingIndexes.length, 'to translate');
+  if (missingIndexes.length === 0) {
+    return translations;
+  }
+
+  const missingBlocks = missingIndexes.map((index) => textBlocks[index]);
+  const freshTranslations = await translateInChunks(session, missingBlocks, targetLanguage);
+  missingIndexes.forEach((blockIndex, i) => {
+    translations[blockIndex] = freshTranslations[i];
+  });
+
+  await setCachedTranslations(session, missingBlocks, freshTranslations, targetLanguage);
+  return translations;
+}
+
 /**
  * Handles translation task with chunked processing
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - User's request
  * @param {Object} pageContent - Page content data
  * @param {Object} previousModifications - Previously applied modifications
- * @param {string} [model] - Optional model ID to use
+ * @param {Object} [options] - Handler options
+ * @param {string} [options.targetLanguage] - Language named by a /translate command
  * @returns {Promise<Object>} - Translation result with modification data
  */
-export async function handleTranslation(apiKey, prompt, pageContent, previousModifications, model) {
+export async function handleTranslation(session, prompt, pageContent, previousModifications, options = {}) {
   console.log('[Browser Wand] handleTranslation started');
-  const targetLanguage = extractTargetLanguage(prompt) || 'Chinese';
+  const targetLanguage = options.targetLanguage || extractTargetLanguage(prompt) || 'Chinese';
   const { headings, paragraphs } = extractTextBlocks(pageContent);
   const totalBlocks = headings.length + paragraphs.length;
   console.log('[Browser Wand] handleTranslation: Found', headings.length, 'headings and', paragraphs.length, 'paragraphs to translate to', targetLanguage);
@@ -37,12 +70,12 @@ export async function handleTranslation(apiKey, prompt, pageContent, previousMod
 
     if (headings.length > 0) {
       console.log('[Browser Wand] handleTranslation: Translating headings...');
-      headingTranslations = await translateInChunks(apiKey, headings, targetLanguage, model);
+      headingTranslations = await translateWithCache(session, headings, targetLanguage);
     }
 
     if (paragraphs.length > 0) {
       console.log('[Browser Wand] handleTranslation: Translating paragraphs...');
-      paragraphTranslations = await translateInChunks(apiKey, paragraphs, targetLanguage, model);
+      paragraphTranslations = await translateWithCache(session, paragraphs, targetLanguage);
     }
 
     console.log('[Browser Wand] handleTranslation: Translations received -', headingTranslations.length, 'headings,', paragraphTranslations.length, 'paragraphs');
@@ -64,6 +97,6 @@ export async function handleTranslation(apiKey, prompt, pageContent, previousMod
     };
   } catch (error) {
     console.error('[Browser Wand] handleTranslation error:', error);
-    return { success: false, error: `Translation failed: ${error.message}` };
+    return { success: false, errorCode: classifyError(error), error: `Translation failed: ${error.message}` };
   }
 }
@@ -3,7 +3,14 @@
  * Re-exports all UI generation utilities
  */
 
-export { generateModalDisplayCode } from './modal-generator.js';
+export {
+  generateModalDisplayCode,
+  generateStreamingModalCode,
+  generateStreamingModalUpdateCode,
+  generateStreamingModalCloseCode,
+  generateChatTurnCode,
+  generateChatAnswerUpdateCode,
+} from './modal-generator.js';
 export { generateTranslationCode } from './translation-ui-generator.js';
 export { generateMagicBarDisplayCode } from './magic-bar-panel-generator.js';
 export { generateNewsTimelineDisplayCode } from './news-timeline-panel-generator.js';
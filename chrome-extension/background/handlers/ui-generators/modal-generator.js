@@ -11,6 +11,11 @@ const MODAL_STYLES = {
   closeBtn: 'position:absolute;top:12px;right:16px;background:none;border:none;font-size:28px;cursor:pointer;color:#666;line-height:1;',
   title: 'margin:0 0 20px 0;color:#333;font-size:24px;padding-right:30px;',
   content: 'color:#444;font-size:16px;line-height:1.7;',
+  status: 'margin:-12px 0 16px 0;color:#888;font-size:13px;font-style:italic;',
+  chatTurn: 'margin-top:24px;padding-top:20px;border-top:1px solid #eee;',
+  chatQuestion: 'margin:0 0 12px auto;max-width:80%;width:fit-content;padding:10px 14px;background:#f3f0ff;color:#333;border-radius:12px;font-size:15px;white-space:pre-wrap;',
+  chatStatus: 'margin:0 0 8px 0;color:#888;font-size:13px;font-style:italic;',
+  chatSlot: 'margin-top:24px;position:sticky;bottom:-32px;padding:12px 0 32px;background:#fff;',
 };
 
 /**
@@ -39,15 +44,34 @@ function getPlainTextCode() {
     contentEl.textContent = content;`;
 }
 
+/**
+ * Generates the chat thread and the slot for the follow-up question form of chat-enabled modals
+ * The content script fills the slot with a form in a closed shadow root, so the page can neither
+ * read nor submit the question, and sends the user's questions to the service worker (CHAT_FOLLOW_UP)
+ * @returns {string} - JavaScript code that appends the chat thread and form slot to modal
+ */
+function getChatFormCode() {
+  return `
+  var threadEl = document.createElement('div');
+  threadEl.dataset.bwRole = 'chat-thread';
+  modal.appendChild(threadEl);
+
+  var chatSlot = document.createElement('div');
+  chatSlot.dataset.bwRole = 'chat-slot';
+  chatSlot.style.cssText = '${MODAL_STYLES.chatSlot}';
+  modal.appendChild(chatSlot);`;
+}
+
 /**
  * Generates JavaScript code to display content in a modal overlay
  * @param {string} content - The content to display
  * @param {string} title - The modal title
  * @param {Object} options - Display options
  * @param {boolean} options.parseMarkdown - Whether to parse markdown formatting
+ * @param {boolean} [options.chat] - Whether to add a follow-up question form
  * @returns {string} - JavaScript code string
  */
-export function generateModalDisplayCode(content, title, { parseMarkdown = false } = {}) {
+export function generateModalDisplayCode(content, title, { parseMarkdown = false, chat = false } = {}) {
   const contentProcessing = parseMarkdown ? getMarkdownParsingCode() : getPlainTextCode();
 
   return `
@@ -55,6 +79,10 @@ export function generateModalDisplayCode(content, title, { parseMarkdown = false
   var content = ${JSON.stringify(content)};
   var modalTitle = ${JSON.stringify(title)};
 
+  // Replace any existing modal, including a streaming one for this result
+  var existing = document.getElementById('${OVERLAY_ID}');
+  if (existing) existing.remove();
+
   var overlay = document.createElement('div');
   overlay.id = '${OVERLAY_ID}';
   overlay.style.cssText = '${MODAL_STYLES.overlay}';
@@ -78,6 +106,7 @@ export function generateModalDisplayCode(content, title, { parseMarkdown = false
   modal.appendChild(closeBtn);
   modal.appendChild(titleEl);
   modal.appendChild(contentEl);
+  ${chat ? getChatFormCode() : ''}
   overlay.appendChild(modal);
 
   overlay.onclick = function(e) {
@@ -87,3 +116,162 @@ export function generateModalDisplayCode(content, title, { parseMarkdown = false
   document.body.appendChild(overlay);
 })();`;
 }
+
+/**
+ * Generates JavaScript code to open an empty modal that is filled in while a response streams
+ * The final result replaces it with the code from generateModalDisplayCode
+ * @param {string} title - The modal title
+ * @param {string} status - Initial status message shown under the title
+ * @returns {string} - JavaScript code string
+ */
+export function generateStreamingModalCode(title, status) {
+  return `
+(function() {
+  var existing = document.getElementById('${OVERLAY_ID}');
+  if (existing) existing.remove();
+
+  var overlay = document.createElement('div');
+  overlay.id = '${OVERLAY_ID}';
+  overlay.dataset.bwStreaming = 'true';
+  overlay.style.cssText = '${MODAL_STYLES.overlay}';
+
+  var modal = document.createElement('div');
+  modal.style.cssText = '${MODAL_STYLES.modal}';
+
+  var closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.style.cssText = '${MODAL_STYLES.closeBtn}';
+  closeBtn.onclick = function() { overlay.remove(); };
+
+  var titleEl = document.createElement('h2');
+  titleEl.textContent = ${JSON.stringify(title)};
+  titleEl.style.cssText = '${MODAL_STYLES.title}';
+
+  var statusEl = document.createElement('div');
+  statusEl.dataset.bwRole = 'status';
+  statusEl.textContent = ${JSON.stringify(status)};
+  statusEl.style.cssText = '${MODAL_STYLES.status}';
+
+  var contentEl = document.createElement('div');
+  contentEl.dataset.bwRole = 'content';
+  contentEl.style.cssText = '${MODAL_STYLES.content}';
+
+  modal.appendChild(closeBtn);
+  modal.appendChild(titleEl);
+  modal.appendChild(statusEl);
+  modal.appendChild(contentEl);
+  overlay.appendChild(modal);
+
+  overlay.onclick = function(e) {
+    if (e.target === overlay) overlay.remove();
+  };
+
+  document.body.appendChild(overlay);
+})();`;
+}
+
+/**
+ * Generates JavaScript code to update the streaming modal with the text received so far
+ * Does nothing if the user has closed the modal
+ * @param {string} content - The accumulated content to display
+ * @param {string} status - Status message, or an empty string to hide it
+ * @param {Object} options - Display options
+ * @param {boolean} options.parseMarkdown - Whether to parse markdown formatting
+ * @returns {string} - JavaScript code string
+ */
+export function generateStreamingModalUpdateCode(content, status, { parseMarkdown = false } = {}) {
+  const contentProcessing = parseMarkdown ? getMarkdownParsingCode() : getPlainTextCode();
+
+  return `
+(function() {
+  var overlay = document.getElementById('${OVERLAY_ID}');
+  if (!overlay || overlay.dataset.bwStreaming !== 'true') return;
+
+  var content = ${JSON.stringify(content)};
+  var statusEl = overlay.querySelector('[data-bw-role="status"]');
+  var contentEl = overlay.querySelector('[data-bw-role="content"]');
+
+  statusEl.textContent = ${JSON.stringify(status)};
+  statusEl.style.display = ${JSON.stringify(status)} ? '' : 'none';
+  ${contentProcessing}
+})();`;
+}
+
+/**
+ * Generates JavaScript code to remove the streaming modal, e.g. when the request is cancelled
+ * @returns {string} - JavaScript code string
+ */
+export function generateStreamingModalCloseCode() {
+  return `
+(function() {
+  var overlay = document.getElementById('${OVERLAY_ID}');
+  if (overlay && overlay.dataset.bwStreaming === 'true') overlay.remove();
+})();`;
+}
+
+/**
+ * Generates JavaScript code to add a follow-up question and an empty answer to the modal thread
+ * @param {string} question - The follow-up question
+ * @param {string} status - Status message shown until the answer starts
+ * @returns {string} - JavaScript code string
+ */
+export function generateChatTurnCode(question, status) {
+  return `
+(function() {
+  var overlay = document.getElementById('${OVERLAY_ID}');
+  var threadEl = overlay && overlay.querySelector('[data-bw-role="chat-thread"]');
+  if (!threadEl) return;
+
+  var turnEl = document.createElement('div');
+  turnEl.dataset.bwRole = 'chat-turn';
+  turnEl.style.cssText = '${MODAL_STYLES.chatTurn}';
+
+  var questionEl = document.createElement('div');
+  questionEl.textContent = ${JSON.stringify(question)};
+  questionEl.style.cssText = '${MODAL_STYLES.chatQuestion}';
+
+  var statusEl = document.createElement('div');
+  statusEl.dataset.bwRole = 'chat-status';
+  statusEl.textContent = ${JSON.stringify(status)};
+  statusEl.style.cssText = '${MODAL_STYLES.chatStatus}';
+
+  var contentEl = document.createElement('div');
+  contentEl.dataset.bwRole = 'chat-content';
+  contentEl.style.cssText = '${MODAL_STYLES.content}';
+
+  turnEl.appendChild(questionEl);
+  turnEl.appendChild(statusEl);
+  turnEl.appendChild(contentEl);
+  threadEl.appendChild(turnEl);
+  turnEl.scrollIntoView({ block: 'nearest' });
+})();`;
+}
+
+/**
+ * Generates JavaScript code to update the newest answer in the modal thread
+ * Does nothing if the user has closed the modal
+ * @param {string} content - The accumulated answer to display
+ * @param {string} status - Status message, or an empty string to hide it
+ * @param {Object} options - Display options
+ * @param {boolean} options.parseMarkdown - Whether to parse markdown formatting
+ * @returns {string} - JavaScript code string
+ */
+export function generateChatAnswerUpdateCode(content, status, { parseMarkdown = false } = {}) {
+  const contentProcessing = parseMarkdown ? getMarkdownParsingCode() : getPlainTextCode();
+
+  return `
+(function() {
+  var overlay = document.getElementById('${OVERLAY_ID}');
+  var turns = overlay ? overlay.querySelectorAll('[data-bw-role="chat-turn"]') : [];
+  if (turns.length === 0) return;
+
+  var turnEl = turns[turns.length - 1];
+  var content = ${JSON.stringify(content)};
+  var statusEl = turnEl.querySelector('[data-bw-role="chat-status"]');
+  var contentEl = turnEl.querySelector('[data-bw-role="chat-content"]');
+
+  statusEl.textContent = ${JSON.stringify(status)};
+  statusEl.style.display = ${JSON.stringify(status)} ? '' : 'none';
+  ${contentProcessing}
+})();`;
+}
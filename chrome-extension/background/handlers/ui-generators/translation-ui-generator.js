@@ -1,6 +1,8 @@
 /**
  * Translation UI generator
  * Generates JavaScript code to display side-by-side translations
+ * The code matches text in open shadow roots and same-origin frames too, through the deep
+ * query helpers the page executor declares before it
  */
 
 const TRANSLATION_STYLES = `
@@ -66,20 +68,6 @@ const TRANSLATION_STYLES = `
   }
 `;
 
-const CONTENT_SELECTORS = [
-  '[itemprop="articleBody"]',
-  'article',
-  'main',
-  '[role="main"]',
-  '[class*="article-content"]',
-  '[class*="article-body"]',
-  '[class*="post-content"]',
-  '[class*="entry-content"]',
-  '[class*="content-body"]',
-  '#content',
-  '.content',
-];
-
 /**
  * Creates translation pair objects from original texts and translations
  * @param {string[]} originals - Original texts
@@ -118,21 +106,19 @@ export function generateTranslationCode(headings, headingTranslations, paragraph
   style.textContent = \`${TRANSLATION_STYLES}\`;
   document.head.appendChild(style);
 
-  // Find main content area with multiple fallbacks
-  const contentSelectors = ${JSON.stringify(CONTENT_SELECTORS)};
-
-  let mainContent = null;
-  for (const selector of contentSelectors) {
-    const el = document.querySelector(selector);
-    if (el && el.textContent.trim().length > 200) {
-      mainContent = el;
-      break;
-    }
+  // Shadow roots and frames do not get the page's styles, so each one with a translation gets a copy
+  const styledRoots = new Set([document]);
+  function styleRootOf(el) {
+    const root = el.getRootNode();
+    if (styledRoots.has(root)) return;
+    styledRoots.add(root);
+    const rootStyle = document.createElement('style');
+    rootStyle.textContent = style.textContent;
+    (root.head || root).appendChild(rootStyle);
   }
 
-  if (!mainContent) {
-    mainContent = document.body;
-  }
+  // Same article root as page capture and reader mode, from the shared scorer
+  const mainContent = bwFindArticleRoot({ queryAll: bwQueryAll }) || document.body;
 
   console.log('[Browser Wand] Translation: Main content found:', mainContent.tagName, mainContent.className);
 
@@ -175,7 +161,7 @@ export function generateTranslationCode(headings, headingTranslations, paragraph
   let translatedCount = 0;
 
   // Process paragraphs using PARAGRAPH_PAIRS
-  const paragraphElements = mainContent.querySelectorAll('p');
+  const paragraphElements = bwQueryAll('p', mainContent);
   paragraphElements.forEach((p) => {
     if (p.hasAttribute('data-bw-translated')) return;
     if (p.closest('.bw-bilingual-container')) return;
@@ -220,12 +206,13 @@ export function generateTranslationCode(headings, headingTranslations, paragraph
     container.appendChild(translatedDiv);
 
     p.setAttribute('data-bw-translated', 'true');
+    styleRootOf(p);
     p.parentNode.replaceChild(container, p);
     translatedCount++;
   });
 
   // Process headings using HEADING_PAIRS
-  const headingElements = mainContent.querySelectorAll('h1, h2, h3, h4');
+  const headingElements = bwQueryAll('h1, h2, h3, h4', mainContent);
   headingElements.forEach((h) => {
     if (h.hasAttribute('data-bw-translated')) return;
     if (h.querySelector('.bw-heading-translation')) return;
@@ -241,6 +228,7 @@ export function generateTranslationCode(headings, headingTranslations, paragraph
     const translatedSpan = document.createElement('span');
     translatedSpan.className = 'bw-heading-translation';
     translatedSpan.textContent = match.pair.translated;
+    styleRootOf(h);
     h.appendChild(translatedSpan);
     h.setAttribute('data-bw-translated', 'true');
     translatedCount++;
@@ -256,7 +244,7 @@ export function generateTranslationCode(headings, headingTranslations, paragraph
     let visible = true;
     toggleBtn.onclick = function() {
       visible = !visible;
-      const translations = document.querySelectorAll('.bw-translated-text, .bw-heading-translation');
+      const translations = bwQueryAll('.bw-translated-text, .bw-heading-translation');
       translations.forEach(el => {
         el.style.display = visible ? '' : 'none';
       });
@@ -5,3 +5,5 @@
 
 export { convertToMarkdown, extractTextBlocks } from './text-extractor.js';
 export { extractProductInfo, isProductPageContext } from './product-detector.js';
+export { openModalStream, openChatStream } from './modal-stream.js';
+export { readPageState, applyModificationsInTab, matchSelectorInTab, enableChatInTab, notifyPopup } from './tab-messaging.js';
@@ -0,0 +1,141 @@
+/**
+ * Modal stream utility
+ * Opens a modal in the page right away and keeps it updated while an LLM response streams,
+ * and streams follow-up answers into the chat thread of a finished modal
+ */
+
+import { STREAMING_CONFIG } from '../../config.js';
+import { executeCodeInPage } from '../../page-executor.js';
+import {
+  generateStreamingModalCode,
+  generateStreamingModalUpdateCode,
+  generateStreamingModalCloseCode,
+  generateChatTurnCode,
+  generateChatAnswerUpdateCode,
+} from '../ui-generators/index.js';
+
+/**
+ * Creates a stream that renders accumulated text into the page
+ * Page updates are throttled to STREAMING_CONFIG.renderIntervalMs and run in order
+ * @param {number} tabId - The tab to render into
+ * @param {string} status - Initial status message
+ * @param {Object} renderers - Code generators for the page updates
+ * @param {Function} renderers.buildUpdateCode - Builds update code from (text, status)
+ * @param {Function} renderers.buildCloseCode - Builds the code that removes the streamed output
+ * @param {Function} [renderers.transformText] - Maps the raw accumulated response to displayable text
+ * @returns {Object} - Stream with onText/onStatus/fail/close/finish; finish takes optional final text
+ */
+function createPageStream(tabId, status, { buildUpdateCode, buildCloseCode, transformText }) {
+  let text = '';
+  let currentStatus = status;
+  let lastRenderAt = 0;
+  let pendingTimer = null;
+  let renderQueue = Promise.resolve();
+
+  const render = () => {
+    pendingTimer = null;
+    lastRenderAt = Date.now();
+    const code = buildUpdateCode(text, currentStatus);
+    renderQueue = renderQueue.then(() => executeCodeInPage(tabId, code));
+  };
+
+  const scheduleRender = () => {
+    if (pendingTimer) return;
+    const wait = Math.max(0, STREAMING_CONFIG.renderIntervalMs - (Date.now() - lastRenderAt));
+    pendingTimer = setTimeout(render, wait);
+  };
+
+  const cancelPendingRender = () => {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  };
+
+  return {
+    onText(accumulated) {
+      text = transformText ? transformText(accumulated) : accumulated;
+      currentStatus = '';
+      scheduleRender();
+    },
+
+    onStatus(message) {
+      currentStatus = message;
+      scheduleRender();
+    },
+
+    async fail(message) {
+      cancelPendingRender();
+      currentStatus = message;
+      render();
+      await renderQueue;
+    },
+
+    async close() {
+      cancelPendingRender();
+      await renderQueue;
+      await executeCodeInPage(tabId, buildCloseCode());
+    },
+
+    async finish(finalText) {
+      cancelPendingRender();
+      // Output that is not replaced afterwards (chat answers) is rendered in full one last time
+      if (finalText !== undefined) {
+        text = finalText;
+        currentStatus = '';
+        render();
+      }
+      await renderQueue;
+    },
+  };
+}
+
+/**
+ * Opens a streaming modal in a tab
+ * Page updates are throttled to STREAMING_CONFIG.renderIntervalMs and run in order
+ * @param {number} tabId - The tab to render into
+ * @param {string} title - The modal title
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.parseMarkdown] - Whether to parse markdown formatting
+ * @param {string} [options.status] - Initial status message
+ * @param {Function} [options.transformText] - Maps the raw accumulated response to displayable text
+ * @returns {Promise<Object|null>} - Stream with onText/onStatus/fail/close/finish, or null if streaming is unavailable
+ */
+export async function openModalStream(tabId, title, { parseMarkdown = false, status = 'Generating...', transformText } = {}) {
+  if (!STREAMING_CONFIG.enabled || !tabId) {
+    return null;
+  }
+
+  const opened = await executeCodeInPage(tabId, generateStreamingModalCode(title, status));
+  if (!opened.success) {
+    console.warn('[Browser Wand] openModalStream: Could not open streaming modal:', opened.error);
+    return null;
+  }
+
+  return createPageStream(tabId, status, {
+    buildUpdateCode: (text, currentStatus) => generateStreamingModalUpdateCode(text, currentStatus, { parseMarkdown }),
+    buildCloseCode: generateStreamingModalCloseCode,
+    transformText,
+  });
+}
+
+/**
+ * Adds a follow-up question to the chat thread of the modal in a tab and streams its answer
+ * @param {number} tabId - The tab to render into
+ * @param {string} question - The follow-up question
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.parseMarkdown] - Whether to parse markdown formatting
+ * @returns {Promise<Object|null>} - Stream with onText/onStatus/fail/close/finish, or null if the page cannot be updated
+ */
+export async function openChatStream(tabId, question, { parseMarkdown = false } = {}) {
+  const status = 'Thinking...';
+  const opened = await executeCodeInPage(tabId, generateChatTurnCode(question, status));
+  if (!opened.success) {
+    console.warn('[Browser Wand] openChatStream: Could not add chat turn:', opened.error);
+    return null;
+  }
+
+  return createPageStream(tabId, status, {
+    buildUpdateCode: (text, currentStatus) => generateChatAnswerUpdateCode(text, currentStatus, { parseMarkdown }),
+    // A cancelled follow-up leaves its question in place with an empty answer
+    buildCloseCode: () => generateChatAnswerUpdateCode('', 'Cancelled', { parseMarkdown }),
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Tab messaging utility
+ * Reads and changes a page through its content script, for requests the service worker runs
+ * against the page itself rather than handing the result back to the popup
+ */
+
+/**
+ * Reads the page content and the modifications applied so far
+ * @param {number} tabId - The tab to read
+ * @param {Object} [options] - Options passed to GET_PAGE_CONTENT
+ * @param {boolean} [options.includeLayout] - Include the boxes of visible elements
+ * @returns {Promise<{pageContent: Object, previousModifications: Object}>} - Current page state
+ */
+export async function readPageState(tabId, options = {}) {
+  const pageContent = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_CONTENT', payload: options });
+  const previousModifications = await chrome.tabs.sendMessage(tabId, { type: 'GET_MODIFICATION_STATE' });
+  return { pageContent, previousModifications };
+}
+
+/**
+ * Applies generated code and CSS in the page
+ * @param {number} tabId - The tab to modify
+ * @param {Object} data - Modification result data
+ * @param {string} [data.code] - JavaScript to run
+ * @param {string} [data.css] - CSS to inject
+ * @returns {Promise<Object>} - APPLY_MODIFICATIONS response with success and error
+ */
+export async function applyModificationsInTab(tabId, { code, css }) {
+  const result = await chrome.tabs.sendMessage(tabId, { type: 'APPLY_MODIFICATIONS', payload: { code, css } });
+  return result || { success: false, error: 'The page did not answer. Try reloading it.' };
+}
+
+/**
+ * Checks whether text is a CSS selector that matches elements in the tab's top frame
+ * The content script parses it with the page's own selector engine
+ * @param {number} tabId - The tab to check in
+ * @param {string} selector - Text to try as a selector
+ * @returns {Promise<boolean>} - False for invalid selectors, selectors matching nothing and unreachable tabs
+ */
+export async function matchSelectorInTab(tabId, selector) {
+  if (!tabId) {
+    return false;
+  }
+  try {
+    const result = await chrome.tabs.sendMessage(tabId, { type: 'MATCH_SELECTOR', payload: { selector } }, { frameId: 0 });
+    return !!result?.matches;
+  } catch (error) {
+    console.warn('[Browser Wand] Could not check selector in tab:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Hands the chat token of a new conversation to the content script of the tab's top frame,
+ * which adds the follow-up form to the modal and sends the token with each question
+ * @param {number} tabId - The tab the conversation is about
+ * @param {string} chatToken - Token the service worker expects with follow-up questions
+ * @returns {Promise<void>}
+ */
+export async function enableChatInTab(tabId, chatToken) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'ENABLE_CHAT', payload: { chatToken } }, { frameId: 0 });
+  } catch (error) {
+    console.warn('[Browser Wand] Could not enable follow-up questions in tab:', error.message);
+  }
+}
+
+/**
+ * Tells the popup about a request's progress; the popup may have been closed, which is not an error
+ * @param {string} type - Message type
+ * @param {Object} payload - Progress details
+ * @returns {Promise<void>}
+ */
+export async function notifyPopup(type, payload) {
+  try {
+    await chrome.runtime.sendMessage({ type, payload });
+  } catch {
+    // No popup is listening
+  }
+}
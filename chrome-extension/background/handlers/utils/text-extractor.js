@@ -27,11 +27,13 @@ function normalizeText(text) {
 
 /**
  * Converts page content to markdown for efficient LLM processing
+ * Uses the article root's markup when capture found one, so summaries skip navigation and sidebars
  * @param {Object} pageContent - Page content data
  * @returns {string} - Markdown formatted content
  */
 export function convertToMarkdown(pageContent) {
-  const markdown = htmlToMarkdown(pageContent.html, { maxLength: MARKDOWN_LIMITS.maxLength });
+  const html = pageContent.article?.html || pageContent.html;
+  const markdown = htmlToMarkdown(html, { maxLength: MARKDOWN_LIMITS.maxLength });
   return `# ${pageContent.title || 'Page Content'}\n\nSource: ${pageContent.url}\n\n---\n\n${markdown}`;
 }
 
@@ -1,67 +1,516 @@
 /**
  * LLM API client module
- * Handles communication with the official Gemini API
+ * Handles communication with the configured LLM provider (Gemini by default)
+ *
+ * Requests and responses use the Gemini format internally; providers in
+ * ./providers/ translate to and from their own wire formats.
  */
 
-import { API_CONFIG, CHUNKING_CONFIG, IMAGE_GENERATION_CONFIG } from './config.js';
+import {
+  API_CONFIG,
+  CHUNKING_CONFIG,
+  CONTINUATION_CONFIG,
+  FALLBACK_CONFIG,
+  IMAGE_GENERATION_CONFIG,
+  LLM_BACKEND_MODES,
+  PROVIDER_CAPABILITIES,
+  STRUCTURED_OUTPUT_WITH_TOOLS_MODELS,
+} from './config.js';
+import { getProvider } from './providers/index.js';
+import { sessionSupports } from './llm-session.js';
+import { fetchWithRetry, isAbortError, ApiRequestError } from './transport.js';
+import { LLMResponseError, ERROR_CODES, codeForApiStatus } from './errors.js';
+import { recordUsage, assertWithinBudget } from './usage/index.js';
+import { RESPONSE_SCHEMAS, buildTranslationSchema, parseStructuredResponse } from './schemas/index.js';
+import { runWithConcurrency } from './utils/concurrency.js';
+import { replayResponse, recordResponse } from './replay/index.js';
 
 /**
- * Builds the Gemini API URL with the API key
- * @param {string} apiKey - The API key for authentication
+ * Posts a request built by the session's provider through the shared retrying transport
+ * Refuses to send once the usage budget is spent, or to a model without a price while a budget is set
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {Object} provider - Provider definition
  * @param {string} model - The model ID to use
- * @returns {string} - The complete API URL
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @param {boolean} stream - Whether to request a server-sent event stream
+ * @returns {Promise<Response>} - The successful fetch response
  */
-function buildApiUrl(apiKey, model) {
-  const modelId = model || API_CONFIG.model;
-  return `${API_CONFIG.baseUrl}/models/${modelId}:generateContent?key=${apiKey}`;
+async function sendProviderRequest(session, provider, model, requestBody, label, stream) {
+  await assertWithinBudget(session, model);
+
+  const request = provider.buildRequest({
+    baseUrl: session.baseUrl,
+    apiKey: session.apiKey,
+    model,
+    body: requestBody,
+    stream,
+  });
+
+  return fetchWithRetry(
+    request.url,
+    {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: session.signal,
+    },
+    label
+  );
+}
+
+/**
+ * Records a successful live response: usage always, and a fixture in record mode
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - Model that served the request
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point
+ * @param {Object} data - Gemini-format response data
+ * @returns {Promise<void>}
+ */
+async function recordResponseData(session, model, requestBody, label, data) {
+  await recordUsage(session, model, data);
+  if (session.backendMode === LLM_BACKEND_MODES.RECORD) {
+    await recordResponse(session, model, requestBody, label, data);
+  }
+}
+
+/**
+ * Sends a generateContent request through the session's provider
+ * In replay mode the response comes from a recorded fixture instead
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - The model ID to use
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @returns {Promise<Object>} - Gemini-format response data
+ */
+async function generateContent(session, model, requestBody, label) {
+  if (session.backendMode === LLM_BACKEND_MODES.REPLAY) {
+    return replayResponse(session, requestBody, label);
+  }
+
+  const provider = getProvider(session.providerId);
+  const response = await sendProviderRequest(session, provider, model, requestBody, label, false);
+  const data = provider.normalizeResponse(await response.json());
+  if (!data.error) {
+    await recordResponseData(session, model, requestBody, label, data);
+  }
+  return data;
+}
+
+/**
+ * Reads a server-sent event stream and calls onEvent with each parsed data payload
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {Function} onEvent - Called with the parsed JSON of each event
+ * @returns {Promise<void>}
+ */
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const processLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    try {
+      onEvent(JSON.parse(payload));
+    } catch (parseError) {
+      console.warn('[Browser Wand] Skipping malformed stream event:', payload.substring(0, 200), parseError);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(processLine);
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    processLine(buffer);
+  }
+}
+
+/**
+ * Sends a streaming request through the session's provider
+ * Chunks are merged into a single Gemini-format response so callers can
+ * validate it the same way as a non-streaming response
+ * In replay mode the recorded response is delivered as a single chunk
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - The model ID to use
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @param {Function} onText - Called with the accumulated text after each chunk
+ * @returns {Promise<Object>} - Gemini-format response data
+ */
+async function streamGenerateContent(session, model, requestBody, label, onText) {
+  if (session.backendMode === LLM_BACKEND_MODES.REPLAY) {
+    const replayed = await replayResponse(session, requestBody, label);
+    const replayedText = getCandidateText(replayed);
+    if (replayedText) {
+      onText(replayedText);
+    }
+    return replayed;
+  }
+
+  const provider = getProvider(session.providerId);
+  const response = await sendProviderRequest(session, provider, model, requestBody, label, true);
+
+  let text = '';
+  let finishReason;
+  let promptFeedback;
+  let usageMetadata;
+  let error;
+
+  await readServerSentEvents(response, (event) => {
+    const chunk = provider.normalizeStreamChunk(event);
+    if (chunk.error) {
+      error = chunk.error;
+      return;
+    }
+    promptFeedback = chunk.promptFeedback || promptFeedback;
+    usageMetadata = chunk.usageMetadata || usageMetadata;
+
+    const candidate = chunk.candidates?.[0];
+    if (!candidate) return;
+    finishReason = candidate.finishReason || finishReason;
+
+    const delta = (candidate.content?.parts || [])
+      .filter((part) => part.text !== undefined)
+      .map((part) => part.text)
+      .join('');
+    if (delta) {
+      text += delta;
+      onText(text);
+    }
+  });
+
+  if (error) {
+    return { error };
+  }
+
+  const data = {
+    candidates: text || finishReason
+      ? [{ content: { role: 'model', parts: [{ text }] }, finishReason }]
+      : [],
+    promptFeedback,
+    usageMetadata,
+  };
+  await recordResponseData(session, model, requestBody, label, data);
+  return data;
+}
+
+/**
+ * Builds the generation config from the session's task route
+ * @param {Object} session - LLM session (generation parameters)
+ * @returns {Object} - Gemini generationConfig
+ */
+function buildGenerationConfig(session) {
+  const { temperature, maxOutputTokens, thinkingBudget } = session.generation;
+  const generationConfig = { maxOutputTokens, temperature };
+  if (thinkingBudget !== null) {
+    generationConfig.thinkingConfig = { thinkingBudget };
+  }
+  return generationConfig;
 }
 
 /**
  * Builds the request body for Gemini API
+ * @param {Object} session - LLM session (generation parameters)
  * @param {string} systemPrompt - The system prompt
  * @param {string} userMessage - The user message
+ * @param {Array<{role: string, text: string}>} [history] - Earlier turns of a conversation, oldest first
+ * @param {Array<{mimeType: string, data: string}>} [images] - Base64 images sent before the user message
  * @returns {Object} - The request body object
  */
-function buildRequestBody(systemPrompt, userMessage) {
+function buildRequestBody(session, systemPrompt, userMessage, history = [], images = []) {
   return {
     systemInstruction: {
       parts: [{ text: systemPrompt }],
     },
     contents: [
+      ...history.map((turn) => ({
+        role: turn.role,
+        parts: [{ text: turn.text }],
+      })),
       {
         role: 'user',
-        parts: [{ text: userMessage }],
+        parts: [
+          ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+          { text: userMessage },
+        ],
       },
     ],
-    generationConfig: {
-      maxOutputTokens: API_CONFIG.maxOutputTokens,
-      temperature: API_CONFIG.temperature,
+    generationConfig: buildGenerationConfig(session),
+  };
+}
+
+/**
+ * Appended to search prompts when the provider cannot ground answers in web results
+ */
+const NO_SEARCH_GROUNDING_NOTE = `
+
+NOTE: Web search is not available for this request. Answer from your own knowledge, mention in the summary that results may be out of date, and leave URLs empty rather than guessing them.`;
+
+/**
+ * Builds the request body for search-style requests (Magic Bar, news timeline)
+ * @param {Object} session - LLM session (generation parameters)
+ * @param {string} systemPrompt - The system prompt
+ * @param {string} userMessage - The user message
+ * @param {boolean} withSearchGrounding - Whether to attach the Google Search tool
+ * @returns {Object} - The request body object
+ */
+function buildSearchRequestBody(session, systemPrompt, userMessage, withSearchGrounding) {
+  const requestBody = {
+    systemInstruction: {
+      parts: [{ text: systemPrompt }],
     },
+    contents: [
+      {
+        role: 'user',
+        parts: [{ text: userMessage }],
+      },
+    ],
+    generationConfig: buildGenerationConfig(session),
   };
+
+  if (withSearchGrounding) {
+    requestBody.tools = [{ googleSearch: {} }];
+  }
+
+  return requestBody;
+}
+
+/**
+ * Checks whether a model accepts a response schema in a request that also carries tools
+ * @param {string} model - The model ID
+ * @returns {boolean} - True if the schema can be sent alongside the tools
+ */
+function supportsStructuredOutputWithTools(model) {
+  return STRUCTURED_OUTPUT_WITH_TOOLS_MODELS.some((prefix) => model.startsWith(prefix));
+}
+
+/**
+ * Asks the provider for JSON output matching a schema, if it has a JSON mode
+ * Requests with tools only get the schema when every model in the fallback chain accepts
+ * both together. Responses are validated against the schema either way
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - The requested model ID
+ * @param {Object} requestBody - Gemini-format request body, modified in place
+ * @param {{name: string, schema: Object}} [responseSchema] - Named schema from RESPONSE_SCHEMAS
+ * @returns {Object} - The request body
+ */
+function applyResponseSchema(session, model, requestBody, responseSchema) {
+  if (!responseSchema || !sessionSupports(session, PROVIDER_CAPABILITIES.JSON_MODE)) {
+    return requestBody;
+  }
+  if (requestBody.tools?.length && !getModelChain(model).every(supportsStructuredOutputWithTools)) {
+    console.log('[Browser Wand] Sending without response schema: model does not accept it together with tools');
+    return requestBody;
+  }
+  requestBody.generationConfig.responseMimeType = 'application/json';
+  requestBody.generationConfig.responseSchema = responseSchema.schema;
+  return requestBody;
+}
+
+/**
+ * Sent after a truncated response to have the model pick up where it stopped
+ */
+const CONTINUE_PROMPT = 'Your previous response was cut off. Continue exactly where it stopped, without repeating any text and without adding a preamble, markdown fences or commentary.';
+
+/**
+ * Joins the text parts of a response's first candidate
+ * @param {Object} data - Gemini-format response data
+ * @returns {string} - Concatenated text
+ */
+function getCandidateText(data) {
+  return (data.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.text !== undefined)
+    .map((part) => part.text)
+    .join('');
+}
+
+/**
+ * Joins a continuation onto the earlier output, dropping text the model repeated
+ * @param {string} previous - Output so far
+ * @param {string} continuation - Text of the continuation turn
+ * @returns {string} - Stitched output
+ */
+function stitchContinuation(previous, continuation) {
+  const maxOverlap = Math.min(previous.length, continuation.length);
+  for (let length = maxOverlap; length >= CONTINUATION_CONFIG.minOverlapLength; length--) {
+    if (previous.endsWith(continuation.substring(0, length))) {
+      return previous + continuation.substring(length);
+    }
+  }
+  return previous + continuation;
+}
+
+/**
+ * Builds the request for a continuation turn: the original conversation, the
+ * truncated output as a model turn, and a request to continue
+ * The JSON mode is dropped because the continuation is a fragment, not a whole object;
+ * the stitched output is still validated by the caller
+ * @param {Object} requestBody - Original Gemini-format request body
+ * @param {string} previousText - Output so far
+ * @returns {Object} - Request body for the continuation
+ */
+function buildContinuationRequestBody(requestBody, previousText) {
+  const generationConfig = { ...requestBody.generationConfig };
+  delete generationConfig.responseMimeType;
+  delete generationConfig.responseSchema;
+
+  return {
+    ...requestBody,
+    contents: [
+      ...requestBody.contents,
+      { role: 'model', parts: [{ text: previousText }] },
+      { role: 'user', parts: [{ text: CONTINUE_PROMPT }] },
+    ],
+    generationConfig,
+  };
+}
+
+/**
+ * Generates content, issuing "continue" turns while the response stops at MAX_TOKENS
+ * Stops at STOP, on a failed turn, or after CONTINUATION_CONFIG.maxContinuations
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - The model ID to use
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @param {Function} [onText] - Streams the response; called with the stitched text after each chunk
+ * @returns {Promise<Object>} - Gemini-format response data with the stitched text
+ */
+async function generateWithContinuation(session, model, requestBody, label, onText) {
+  const send = (body, onChunkText) => (onChunkText
+    ? streamGenerateContent(session, model, body, label, onChunkText)
+    : generateContent(session, model, body, label));
+
+  const first = await send(requestBody, onText);
+  // Only text can be stitched, so image responses are returned as they are
+  const returnsImages = requestBody.generationConfig?.responseModalities?.includes('IMAGE');
+  if (!CONTINUATION_CONFIG.enabled || returnsImages || first.candidates?.[0]?.finishReason !== 'MAX_TOKENS') {
+    return first;
+  }
+
+  let text = getCandidateText(first);
+  let finishReason = 'MAX_TOKENS';
+  const groundingChunks = [...(first.candidates[0].groundingMetadata?.groundingChunks || [])];
+  const usageMetadata = {
+    promptTokenCount: first.usageMetadata?.promptTokenCount || 0,
+    candidatesTokenCount: first.usageMetadata?.candidatesTokenCount || 0,
+  };
+
+  for (let turn = 1; turn <= CONTINUATION_CONFIG.maxContinuations && finishReason === 'MAX_TOKENS'; turn++) {
+    session.signal?.throwIfAborted();
+    console.log(`[Browser Wand] ${label}: Response hit MAX_TOKENS, requesting continuation ${turn}/${CONTINUATION_CONFIG.maxContinuations}`);
+
+    const previousText = text;
+    const streamContinuation = onText ? (partial) => onText(stitchContinuation(previousText, partial)) : null;
+    const data = await send(buildContinuationRequestBody(requestBody, previousText), streamContinuation);
+
+    const candidate = data.candidates?.[0];
+    if (data.error || !candidate) {
+      console.warn(`[Browser Wand] ${label}: Continuation ${turn} failed, keeping truncated output`);
+      break;
+    }
+
+    text = stitchContinuation(previousText, getCandidateText(data));
+    finishReason = candidate.finishReason || 'STOP';
+    groundingChunks.push(...(candidate.groundingMetadata?.groundingChunks || []));
+    usageMetadata.promptTokenCount += data.usageMetadata?.promptTokenCount || 0;
+    usageMetadata.candidatesTokenCount += data.usageMetadata?.candidatesTokenCount || 0;
+  }
+
+  const groundingMetadata = first.candidates[0].groundingMetadata
+    ? { ...first.candidates[0].groundingMetadata, groundingChunks }
+    : undefined;
+
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason, groundingMetadata }],
+    promptFeedback: first.promptFeedback,
+    usageMetadata,
+  };
+}
+
+/**
+ * Gets the models to try for a request: the requested model, then its fallback chain
+ * @param {string} model - Requested model ID
+ * @returns {string[]} - Model IDs in the order to try them
+ */
+function getModelChain(model) {
+  if (!FALLBACK_CONFIG.enabled) return [model];
+  return [model, ...(FALLBACK_CONFIG.chains[model] || []).filter((fallback) => fallback !== model)];
+}
+
+/**
+ * Generates content with the first model of the fallback chain that succeeds
+ * Moves on only for the error classes in FALLBACK_CONFIG.errorClasses; other errors
+ * and cancellation are rethrown. The model that answered is added to session.servedModels
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string} model - The requested model ID
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @param {Function} [onText] - Streams the response; called with the stitched text after each chunk
+ * @returns {Promise<Object>} - Gemini-format response data
+ */
+async function generateWithFallback(session, model, requestBody, label, onText) {
+  const models = getModelChain(model);
+
+  for (let index = 0; ; index++) {
+    try {
+      const data = await generateWithContinuation(session, models[index], requestBody, label, onText);
+      if (!session.servedModels.includes(models[index])) {
+        session.servedModels.push(models[index]);
+      }
+      return data;
+    } catch (error) {
+      const nextModel = models[index + 1];
+      const canFallBack = error instanceof ApiRequestError && FALLBACK_CONFIG.errorClasses.includes(error.errorClass);
+      if (!nextModel || !canFallBack) {
+        throw error;
+      }
+      console.warn(`[Browser Wand] ${label}: ${models[index]} failed with ${error.errorClass}, falling back to ${nextModel}`);
+    }
+  }
+}
+
+/**
+ * Throws the error an API response body reports instead of a result
+ * @param {Object} data - The raw API response data
+ * @throws {LLMResponseError} - If the response carries an error
+ */
+function assertNoApiError(data) {
+  if (data.error) {
+    const errorMessage = data.error.message || JSON.stringify(data.error);
+    throw new LLMResponseError(`Gemini API error: ${errorMessage}`, codeForApiStatus(data.error.status));
+  }
 }
 
 /**
  * Parses the Gemini API response and extracts text content
  * @param {Object} data - The raw API response data
  * @returns {string} - The extracted text content
- * @throws {Error} - If the response format is invalid
+ * @throws {LLMResponseError} - If the response was blocked, empty or malformed
  */
 function parseGeminiResponse(data) {
   // Check for API-level errors
-  if (data.error) {
-    const errorMessage = data.error.message || JSON.stringify(data.error);
-    throw new Error(`Gemini API error: ${errorMessage}`);
-  }
+  assertNoApiError(data);
 
   // Check for prompt feedback (content filtering)
   if (data.promptFeedback?.blockReason) {
-    throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+    throw new LLMResponseError(`Content blocked: ${data.promptFeedback.blockReason}`, ERROR_CODES.SAFETY_BLOCK);
   }
 
   // Validate candidates exist
   if (!data.candidates || data.candidates.length === 0) {
     console.error('[Browser Wand] No candidates in response:', data);
-    throw new Error('No response generated from AI');
+    throw new LLMResponseError('No response generated from AI', ERROR_CODES.PARSE_FAILURE);
   }
 
   const candidate = data.candidates[0];
@@ -70,20 +519,20 @@ function parseGeminiResponse(data) {
   if (candidate.finishReason && candidate.finishReason !== 'STOP') {
     const reason = candidate.finishReason;
     if (reason === 'SAFETY') {
-      throw new Error('Response blocked due to safety filters');
+      throw new LLMResponseError('Response blocked due to safety filters', ERROR_CODES.SAFETY_BLOCK);
     }
     if (reason === 'MAX_TOKENS') {
-      console.warn('[Browser Wand] Response truncated due to max tokens');
+      console.warn('[Browser Wand] Response still truncated due to max tokens after continuations');
     }
     if (reason === 'RECITATION') {
-      throw new Error('Response blocked due to recitation concerns');
+      throw new LLMResponseError('Response blocked due to recitation concerns', ERROR_CODES.RECITATION);
     }
   }
 
   // Extract content from candidate
   if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
     console.error('[Browser Wand] Invalid candidate structure:', candidate);
-    throw new Error('Invalid response structure from AI');
+    throw new LLMResponseError('Invalid response structure from AI', ERROR_CODES.PARSE_FAILURE);
   }
 
   // Concatenate all text parts
@@ -92,67 +541,45 @@ function parseGeminiResponse(data) {
     .map((part) => part.text);
 
   if (textParts.length === 0) {
-    throw new Error('No text content in AI response');
+    throw new LLMResponseError('No text content in AI response', ERROR_CODES.PARSE_FAILURE);
   }
 
   return textParts.join('');
 }
 
 /**
- * Calls the Gemini LLM API with the given prompts
- * @param {string} apiKey - The API key for authentication
+ * Calls the LLM with the given prompts
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} systemPrompt - The system prompt
  * @param {string} userMessage - The user message
- * @param {string} [model] - Optional model ID to use (defaults to API_CONFIG.model)
+ * @param {Object} [options] - Call options
+ * @param {string} [options.model] - Model ID override (defaults to the session model)
+ * @param {Function} [options.onText] - Streams the response; called with the accumulated text after each chunk
+ * @param {Object} [options.responseSchema] - Named schema from RESPONSE_SCHEMAS to request JSON output with
+ * @param {Array<{role: string, text: string}>} [options.history] - Earlier user and model turns sent before the message
+ * @param {Array<{mimeType: string, data: string}>} [options.images] - Base64 images attached to the message
  * @returns {Promise<string>} - The LLM response content
  */
-export async function callLLM(apiKey, systemPrompt, userMessage, model) {
-  const modelId = model || API_CONFIG.model;
-  const apiUrl = buildApiUrl(apiKey, modelId);
+export async function callLLM(session, systemPrompt, userMessage, options = {}) {
+  const modelId = options.model || session.model || API_CONFIG.model;
 
   console.log('[Browser Wand] LLM Request:', {
+    provider: session.providerId,
     model: modelId,
     systemPromptLength: systemPrompt.length,
     userMessageLength: userMessage.length,
+    historyTurns: options.history?.length || 0,
+    images: options.images?.length || 0,
+    streaming: !!options.onText,
   });
 
-  const requestBody = buildRequestBody(systemPrompt, userMessage);
-
-  let response;
-  try {
-    response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-  } catch (fetchError) {
-    console.error('[Browser Wand] LLM Fetch Error:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
-  }
-
-  console.log('[Browser Wand] LLM Response Status:', response.status, response.statusText);
-
-  // Handle HTTP errors
-  if (!response.ok) {
-    const errorText = await response.text();
-    let errorMessage = `API request failed: ${response.status}`;
-
-    try {
-      const errorData = JSON.parse(errorText);
-      if (errorData.error?.message) {
-        errorMessage = `API error: ${errorData.error.message}`;
-      }
-    } catch {
-      errorMessage = `API request failed: ${response.status} - ${errorText}`;
-    }
-
-    console.error('[Browser Wand] LLM API Error:', { status: response.status, errorText });
-    throw new Error(errorMessage);
-  }
-
-  const data = await response.json();
+  const requestBody = applyResponseSchema(
+    session,
+    modelId,
+    buildRequestBody(session, systemPrompt, userMessage, options.history, options.images),
+    options.responseSchema
+  );
+  const data = await generateWithFallback(session, modelId, requestBody, 'LLM', options.onText);
 
   console.log('[Browser Wand] LLM Response Data:', {
     hasCandidates: !!data.candidates,
@@ -174,353 +601,139 @@ export async function callLLM(apiKey, systemPrompt, userMessage, model) {
 
 /**
  * Parses the modification response from the LLM
- * Handles both raw JSON and markdown-wrapped JSON
- * Also handles truncated JSON by attempting to repair it
  * @param {string} response - The raw LLM response
  * @returns {Object} - Parsed modification data with code, css, and explanation
+ * @throws {SchemaValidationError} - If the response does not match the modification schema
  */
 export function parseModificationResponse(response) {
-  let jsonStr = response.trim();
-
-  // Try to extract JSON from markdown code block (handles ```json ... ``` format)
-  // Use greedy match to capture the entire JSON block
-  const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*)\s*```/);
-  if (jsonMatch) {
-    jsonStr = jsonMatch[1].trim();
-    // If there are multiple code blocks, take the content up to the first closing ```
-    // by finding the actual JSON object boundaries
-    const endOfJson = findJsonEndIndex(jsonStr);
-    if (endOfJson !== -1) {
-      jsonStr = jsonStr.substring(0, endOfJson);
-    }
-  }
-
-  // Try to find JSON object if still not valid JSON
-  if (!jsonStr.startsWith('{')) {
-    const jsonObjectMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (jsonObjectMatch) {
-      jsonStr = jsonObjectMatch[0];
-    }
-  }
-
-  try {
-    const parsed = JSON.parse(jsonStr);
-    return {
-      // Support both 'javascript' and 'code' field names for JavaScript code
-      code: parsed.javascript || parsed.code || '',
-      css: parsed.css || '',
-      explanation: parsed.explanation || 'Modifications applied.',
-    };
-  } catch (error) {
-    console.error('[Browser Wand] parseModificationResponse: JSON parse failed:', error.message);
-    console.error('[Browser Wand] parseModificationResponse: Raw response (first 500 chars):', response.substring(0, 500));
-
-    // Try to repair truncated JSON by extracting what we can
-    const repaired = repairTruncatedModificationJson(jsonStr);
-    if (repaired.code || repaired.css) {
-      console.log('[Browser Wand] parseModificationResponse: Successfully repaired truncated JSON');
-      return repaired;
-    }
-
-    // If repair failed, return the raw response as explanation
-    return {
-      code: '',
-      css: '',
-      explanation: response,
-    };
-  }
-}
-
-/**
- * Attempts to repair truncated modification JSON by extracting code and css fields
- * @param {string} truncatedJson - The truncated JSON string
- * @returns {Object} - Best-effort parsed result with code, css, and explanation
- */
-function repairTruncatedModificationJson(truncatedJson) {
-  let code = '';
-  let css = '';
-  let explanation = 'Modifications applied (recovered from truncated response).';
-
-  // Try to extract code field (handles both "code" and "javascript" field names)
-  // The code is typically a function wrapped in a string, so we need to handle escaped characters
-  const codePatterns = [
-    /"(?:code|javascript)"\s*:\s*"((?:[^"\\]|\\.)*)"/s,
-    /"(?:code|javascript)"\s*:\s*"([\s\S]*?)(?:"\s*,\s*"|"\s*,\s*"css"|"\s*\}|$)/,
-  ];
-
-  for (const pattern of codePatterns) {
-    const codeMatch = truncatedJson.match(pattern);
-    if (codeMatch && codeMatch[1]) {
-      try {
-        // The code is JSON-escaped, so we need to unescape it
-        code = JSON.parse(`"${codeMatch[1]}"`);
-        break;
-      } catch {
-        // Try simple unescaping
-        code = codeMatch[1]
-          .replace(/\\n/g, '\n')
-          .replace(/\\t/g, '\t')
-          .replace(/\\"/g, '"')
-          .replace(/\\\\/g, '\\');
-        break;
-      }
-    }
-  }
-
-  // Try to extract css field
-  const cssMatch = truncatedJson.match(/"css"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  if (cssMatch && cssMatch[1]) {
-    try {
-      css = JSON.parse(`"${cssMatch[1]}"`);
-    } catch {
-      css = cssMatch[1]
-        .replace(/\\n/g, '\n')
-        .replace(/\\t/g, '\t')
-        .replace(/\\"/g, '"')
-        .replace(/\\\\/g, '\\');
-    }
-  }
-
-  // Try to extract explanation field
-  const explanationMatch = truncatedJson.match(/"explanation"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  if (explanationMatch && explanationMatch[1]) {
-    try {
-      explanation = JSON.parse(`"${explanationMatch[1]}"`);
-    } catch {
-      explanation = explanationMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '\n');
-    }
-  }
-
-  console.log('[Browser Wand] repairTruncatedModificationJson: Recovered', {
-    codeLength: code.length,
-    cssLength: css.length,
-    hasExplanation: explanation.length > 0,
-  });
-
-  return { code, css, explanation };
-}
-
-/**
- * Finds the end index of a JSON object in a string
- * Handles nested braces properly
- * @param {string} str - String containing JSON
- * @returns {number} - End index of JSON object, or -1 if not found
- */
-function findJsonEndIndex(str) {
-  let depth = 0;
-  let inString = false;
-  let escapeNext = false;
-
-  for (let i = 0; i < str.length; i++) {
-    const char = str[i];
-
-    if (escapeNext) {
-      escapeNext = false;
-      continue;
-    }
-
-    if (char === '\\' && inString) {
-      escapeNext = true;
-      continue;
-    }
-
-    if (char === '"' && !escapeNext) {
-      inString = !inString;
-      continue;
-    }
-
-    if (!inString) {
-      if (char === '{') {
-        depth++;
-      } else if (char === '}') {
-        depth--;
-        if (depth === 0) {
-          return i + 1;
-        }
-      }
-    }
-  }
-
-  return -1;
+  const { code, css, explanation } = parseStructuredResponse(response, RESPONSE_SCHEMAS.MODIFICATION);
+  return {
+    code,
+    css,
+    explanation: explanation || 'Modifications applied.',
+  };
 }
 
 /**
- * Translates text blocks in batches using chunked LLM calls
- * @param {string} apiKey - API key for authentication
- * @param {string[]} textBlocks - Array of text blocks to translate
+ * Translates one batch of text blocks
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string[]} batch - Text blocks in the batch
  * @param {string} targetLanguage - Target language for translation
- * @param {string} [model] - Optional model ID to use
- * @returns {Promise<string[]>} - Array of translated text blocks
+ * @returns {Promise<string[]>} - Translations in batch order
  */
-export async function translateInChunks(apiKey, textBlocks, targetLanguage, model) {
-  const batchSize = CHUNKING_CONFIG.translationBatchSize;
-  const allTranslations = [];
-
-  for (let i = 0; i < textBlocks.length; i += batchSize) {
-    const batch = textBlocks.slice(i, i + batchSize);
-
-    const systemPrompt = `You are a professional translator. Translate the following text blocks to ${targetLanguage}.
+async function translateBatch(session, batch, targetLanguage) {
+  const systemPrompt = `You are a professional translator. Translate the following text blocks to ${targetLanguage}.
 
 CRITICAL RULES:
 1. Maintain the original meaning and tone
 2. Keep proper nouns and technical terms appropriately
-3. Return ONLY a valid JSON array of translated strings - NO other text, NO explanations, NO markdown
+3. Return ONLY valid JSON - NO other text, NO explanations, NO markdown
 4. Each translation must correspond to the input text block at the same index
 5. The number of translations MUST equal the number of input texts (${batch.length} items)
-6. Start your response with [ and end with ]
 
 REQUIRED OUTPUT FORMAT (exactly like this):
-["translation 1", "translation 2", "translation 3"]`;
+{"translations": ["translation 1", "translation 2", "translation 3"]}`;
 
-    const userMessage = `Translate these ${batch.length} text blocks to ${targetLanguage}. Return ONLY a JSON array with exactly ${batch.length} translated strings:
+  const userMessage = `Translate these ${batch.length} text blocks to ${targetLanguage}. Return ONLY a JSON object whose "translations" array has exactly ${batch.length} translated strings:
 
 ${JSON.stringify(batch)}`;
 
-    try {
-      const response = await callLLM(apiKey, systemPrompt, userMessage, model);
-      const translations = parseTranslationResponse(response, batch.length);
-      allTranslations.push(...translations);
-    } catch (error) {
-      console.error(`Translation batch ${i / batchSize + 1} failed:`, error);
-      allTranslations.push(...batch.map(() => '[Translation unavailable]'));
-    }
-  }
-
-  return allTranslations;
+  const responseSchema = buildTranslationSchema(batch.length);
+  const response = await callLLM(session, systemPrompt, userMessage, { responseSchema });
+  const { translations } = parseStructuredResponse(response, responseSchema);
+  return translations;
 }
 
 /**
- * Parses translation response from LLM
- * Handles multiple response formats: JSON array, numbered list, or formatted text
- * @param {string} response - The raw LLM response
- * @param {number} expectedCount - Expected number of translations
- * @returns {string[]} - Array of translated strings
+ * Translates text blocks in batches, running up to CHUNKING_CONFIG.maxConcurrentBatches at once
+ * @param {Object} session - LLM session (provider, credentials and model)
+ * @param {string[]} textBlocks - Array of text blocks to translate
+ * @param {string} targetLanguage - Target language for translation
+ * @returns {Promise<string[]>} - Array of translated text blocks
  */
-function parseTranslationResponse(response, expectedCount) {
-  // Clean response - remove markdown code block wrappers if present
-  let cleanedResponse = response.trim();
-  const codeBlockMatch = cleanedResponse.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
-  if (codeBlockMatch) {
-    cleanedResponse = codeBlockMatch[1].trim();
-  }
-
-  // First, try to parse as JSON array
-  try {
-    // Try direct parsing first (most common case when LLM follows instructions)
-    const directParsed = JSON.parse(cleanedResponse);
-    if (Array.isArray(directParsed) && directParsed.length > 0) {
-      console.log('[Browser Wand] parseTranslationResponse: Parsed as direct JSON array');
-      return directParsed.map((item) => String(item));
-    }
-  } catch {
-    // Direct parsing failed, try to extract JSON array from mixed content
-  }
-
-  // Try to extract JSON array from response (handles mixed text + JSON)
-  try {
-    // Use non-greedy match to find the first complete JSON array
-    const jsonMatch = cleanedResponse.match(/\[[\s\S]*?\]/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (Array.isArray(parsed) && parsed.length > 0) {
-        console.log('[Browser Wand] parseTranslationResponse: Extracted JSON array from response');
-        return parsed.map((item) => String(item));
-      }
-    }
-  } catch {
-    // JSON extraction failed, try other formats
+export async function translateInChunks(session, textBlocks, targetLanguage) {
+  const batchSize = CHUNKING_CONFIG.translationBatchSize;
+  const batches = [];
+  for (let i = 0; i < textBlocks.length; i += batchSize) {
+    batches.push(textBlocks.slice(i, i + batchSize));
   }
 
-  // Try to parse numbered list format (e.g., "1. Translation" or "1) Translation")
-  const translations = [];
-  const lines = cleanedResponse.split('\n');
-  const numberedItemRegex = /^\s*(\d+)[.)]\s*(.+)/;
-
-  for (const line of lines) {
-    const match = line.match(numberedItemRegex);
-    if (match) {
-      let content = match[2].trim();
-      // Remove markdown bold wrapper if present (e.g., "**translation**")
-      const boldMatch = content.match(/^\*\*(.+?)\*\*$/);
-      if (boldMatch) {
-        content = boldMatch[1];
-      }
-      // Remove quotes if the entire content is quoted
-      const quotedMatch = content.match(/^["'](.+)["']$/);
-      if (quotedMatch) {
-        content = quotedMatch[1];
-      }
-      if (content) {
-        translations.push(content);
+  const batchTranslations = await runWithConcurrency(
+    batches,
+    CHUNKING_CONFIG.maxConcurrentBatches,
+    async (batch, batchIndex) => {
+      try {
+        return await translateBatch(session, batch, targetLanguage);
+      } catch (error) {
+        // Cancellation must abort the whole translation, not just this batch
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.error(`Translation batch ${batchIndex + 1} failed:`, error);
+        return batch.map(() => '[Translation unavailable]');
       }
-    }
-  }
-
-  if (translations.length > 0) {
-    console.log(
-      '[Browser Wand] parseTranslationResponse: Parsed',
-      translations.length,
-      'items from numbered list format'
-    );
-    return translations;
-  }
-
-  // Last resort: try to split by newlines and filter meaningful content
-  const lineBasedTranslations = cleanedResponse
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0 && !line.startsWith('#') && !line.startsWith('```'));
-
-  if (lineBasedTranslations.length >= expectedCount) {
-    console.log(
-      '[Browser Wand] parseTranslationResponse: Using line-based parsing, found',
-      lineBasedTranslations.length,
-      'lines'
-    );
-    return lineBasedTranslations.slice(0, expectedCount);
-  }
+    },
+    session.signal
+  );
 
-  console.warn('[Browser Wand] parseTranslationResponse: Failed to parse response, returning unavailable');
-  console.warn('[Browser Wand] Raw response was:', cleanedResponse.substring(0, 500));
-  return Array(expectedCount).fill('[Translation unavailable]');
+  return batchTranslations.flat();
 }
 
-
 /**
  * Summarizes content in chunks for large pages
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} markdownContent - The markdown content to summarize
  * @param {string} userPrompt - Original user prompt for context
- * @param {string} [model] - Optional model ID to use
+ * @param {Object} [progress] - Optional progress callbacks for streaming display
+ * @param {Function} [progress.onText] - Called with the accumulated text of the final summary as it streams
+ * @param {Function} [progress.onStatus] - Called with a status message before each chunk is summarized
  * @returns {Promise<string>} - The combined summary
  */
-export async function summarizeInChunks(apiKey, markdownContent, userPrompt, model) {
+export async function summarizeInChunks(session, markdownContent, userPrompt, progress = {}) {
+  const { onText, onStatus } = progress;
   const maxChunkSize = CHUNKING_CONFIG.maxChunkSize;
 
   if (markdownContent.length <= maxChunkSize) {
-    return await summarizeSingleChunk(apiKey, markdownContent, userPrompt, model);
+    return await summarizeSingleChunk(session, markdownContent, userPrompt, onText);
   }
 
   const chunks = splitContentIntoChunks(markdownContent, maxChunkSize);
   const maxChunks = Math.min(chunks.length, CHUNKING_CONFIG.maxChunksPerRequest);
 
-  const chunkSummaries = [];
-
-  for (let i = 0; i < maxChunks; i++) {
-    const chunkSummary = await summarizeSingleChunk(
-      apiKey,
-      chunks[i],
-      `Summarize this section (part ${i + 1} of ${maxChunks}):`,
-      model
-    );
-    chunkSummaries.push(chunkSummary);
-  }
+  let sectionsDone = 0;
+  if (onStatus) {
+    onStatus(`Reading ${maxChunks} sections...`);
+  }
+
+  const chunkSummaries = await runWithConcurrency(
+    chunks.slice(0, maxChunks),
+    CHUNKING_CONFIG.maxConcurrentBatches,
+    async (chunk, i) => {
+      // Section summaries are only streamed when there is one section, as it is then the final summary
+      const chunkSummary = await summarizeSingleChunk(
+        session,
+        chunk,
+        `Summarize this section (part ${i + 1} of ${maxChunks}):`,
+        maxChunks === 1 ? onText : undefined
+      );
+      sectionsDone++;
+      if (onStatus) {
+        onStatus(`Read ${sectionsDone} of ${maxChunks} sections...`);
+      }
+      return chunkSummary;
+    },
+    session.signal
+  );
 
   if (chunkSummaries.length === 1) {
     return chunkSummaries[0];
   }
 
-  const combinedSummary = await combineSummaries(apiKey, chunkSummaries, userPrompt, model);
+  session.signal?.throwIfAborted();
+  if (onStatus) {
+    onStatus('Combining section summaries...');
+  }
+  const combinedSummary = await combineSummaries(session, chunkSummaries, userPrompt, onText);
   return combinedSummary;
 }
 
@@ -543,13 +756,13 @@ function stripCodeBlockWrapper(text) {
 
 /**
  * Summarizes a single chunk of content
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} content - Content to summarize
  * @param {string} prompt - User prompt
- * @param {string} [model] - Optional model ID to use
+ * @param {Function} [onText] - Streams the summary; called with the accumulated text
  * @returns {Promise<string>} - Summary text
  */
-async function summarizeSingleChunk(apiKey, content, prompt, model) {
+async function summarizeSingleChunk(session, content, prompt, onText) {
   const systemPrompt = `You are an expert content summarizer. Create concise, informative summaries that capture the key points and main ideas.
 
 RULES:
@@ -567,19 +780,19 @@ ${content}
 
 Provide a clear, well-structured summary:`;
 
-  const response = await callLLM(apiKey, systemPrompt, userMessage, model);
+  const response = await callLLM(session, systemPrompt, userMessage, { onText });
   return stripCodeBlockWrapper(response);
 }
 
 /**
  * Combines multiple chunk summaries into a final summary
- * @param {string} apiKey - API key for authentication
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string[]} summaries - Array of chunk summaries
  * @param {string} userPrompt - Original user prompt
- * @param {string} [model] - Optional model ID to use
+ * @param {Function} [onText] - Streams the summary; called with the accumulated text
  * @returns {Promise<string>} - Combined final summary
  */
-async function combineSummaries(apiKey, summaries, userPrompt, model) {
+async function combineSummaries(session, summaries, userPrompt, onText) {
   const systemPrompt = `You are an expert content summarizer. Combine the following section summaries into one coherent, comprehensive summary.
 
 RULES:
@@ -597,22 +810,22 @@ ${summaries.map((s, i) => `--- Section ${i + 1} ---\n${s}`).join('\n\n')}
 
 Create a unified, comprehensive summary:`;
 
-  const response = await callLLM(apiKey, systemPrompt, userMessage, model);
+  const response = await callLLM(session, systemPrompt, userMessage, { onText });
   return stripCodeBlockWrapper(response);
 }
 
 /**
  * Performs a Magic Bar search using Gemini API with Google Search grounding
  * This is a universal search feature that can search for any information online
- * @param {string} apiKey - API key for authentication
+ * Falls back to the model's own knowledge when the provider has no search grounding
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} searchQuery - The search query from user
  * @param {Object} context - Optional context from current page
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Search results with answer and sources
  */
-export async function magicBarSearch(apiKey, searchQuery, context, model) {
-  const modelId = model || API_CONFIG.model;
-  const apiUrl = `${API_CONFIG.baseUrl}/models/${modelId}:generateContent?key=${apiKey}`;
+export async function magicBarSearch(session, searchQuery, context) {
+  const modelId = session.model || API_CONFIG.model;
+  const canSearch = sessionSupports(session, PROVIDER_CAPABILITIES.SEARCH_GROUNDING);
 
   console.log('[Browser Wand] magicBarSearch: Query:', searchQuery);
 
@@ -688,55 +901,21 @@ ${context?.selectedText ? `Selected text: ${context.selectedText}` : ''}
 Please search for this information and provide a comprehensive answer.`;
   }
 
-  // Use higher token limit for Magic Bar to avoid truncation of search results
-  const magicBarMaxTokens = Math.max(API_CONFIG.maxOutputTokens, 8192);
-
-  const requestBody = {
-    systemInstruction: {
-      parts: [{ text: systemPrompt }],
-    },
-    contents: [
-      {
-        role: 'user',
-        parts: [{ text: userMessage }],
-      },
-    ],
-    tools: [
-      {
-        googleSearch: {},
-      },
-    ],
-    generationConfig: {
-      maxOutputTokens: magicBarMaxTokens,
-      temperature: 0.5,
-    },
-  };
-
-  console.log('[Browser Wand] magicBarSearch: Calling Gemini API with Google Search grounding...');
-
-  let response;
-  try {
-    response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-  } catch (fetchError) {
-    console.error('[Browser Wand] magicBarSearch Fetch Error:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
+  if (!canSearch) {
+    console.warn('[Browser Wand] magicBarSearch: Provider has no search grounding, answering from model knowledge');
+    systemPrompt += NO_SEARCH_GROUNDING_NOTE;
   }
 
-  console.log('[Browser Wand] magicBarSearch Response Status:', response.status);
+  const requestBody = applyResponseSchema(
+    session,
+    modelId,
+    buildSearchRequestBody(session, systemPrompt, userMessage, canSearch),
+    getMagicBarSchema(isProductSearch)
+  );
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[Browser Wand] magicBarSearch API Error:', errorText);
-    throw new Error(`API request failed: ${response.status}`);
-  }
+  console.log('[Browser Wand] magicBarSearch: Calling LLM', canSearch ? 'with Google Search grounding...' : 'without search grounding...');
 
-  const data = await response.json();
+  const data = await generateWithFallback(session, modelId, requestBody, 'magicBarSearch');
   console.log('[Browser Wand] magicBarSearch: Response received');
 
   // Parse the response based on search type
@@ -804,19 +983,19 @@ export function detectNewsTimelineIntent(query) {
 /**
  * Performs a news timeline search using Gemini API with Google Search grounding
  * Searches for current news background and returns events in timeline format
- * @param {string} apiKey - API key for authentication
+ * Falls back to the model's own knowledge when the provider has no search grounding
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} searchQuery - The search query from user
  * @param {Object} context - Optional context from current page
- * @param {string} [model] - Optional model ID to use
  * @returns {Promise<Object>} - Search results with timeline events and background summary
  */
-export async function newsTimelineSearch(apiKey, searchQuery, context, model) {
-  const modelId = model || API_CONFIG.model;
-  const apiUrl = `${API_CONFIG.baseUrl}/models/${modelId}:generateContent?key=${apiKey}`;
+export async function newsTimelineSearch(session, searchQuery, context) {
+  const modelId = session.model || API_CONFIG.model;
+  const canSearch = sessionSupports(session, PROVIDER_CAPABILITIES.SEARCH_GROUNDING);
 
   console.log('[Browser Wand] newsTimelineSearch: Query:', searchQuery);
 
-  const systemPrompt = `You are a news research assistant using Google Search to find current news, background information, and historical context.
+  let systemPrompt = `You are a news research assistant using Google Search to find current news, background information, and historical context.
 
 YOUR TASK:
 Search the web for news and background information about the topic. Provide a comprehensive timeline of events and developments.
@@ -868,54 +1047,21 @@ ${context?.selectedText ? `Selected text: ${context.selectedText}` : ''}
 
 Please search for current news and background information, then create a comprehensive timeline.`;
 
-  const magicBarMaxTokens = Math.max(API_CONFIG.maxOutputTokens, 8192);
-
-  const requestBody = {
-    systemInstruction: {
-      parts: [{ text: systemPrompt }],
-    },
-    contents: [
-      {
-        role: 'user',
-        parts: [{ text: userMessage }],
-      },
-    ],
-    tools: [
-      {
-        googleSearch: {},
-      },
-    ],
-    generationConfig: {
-      maxOutputTokens: magicBarMaxTokens,
-      temperature: 0.5,
-    },
-  };
-
-  console.log('[Browser Wand] newsTimelineSearch: Calling Gemini API with Google Search grounding...');
-
-  let response;
-  try {
-    response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-  } catch (fetchError) {
-    console.error('[Browser Wand] newsTimelineSearch Fetch Error:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
+  if (!canSearch) {
+    console.warn('[Browser Wand] newsTimelineSearch: Provider has no search grounding, answering from model knowledge');
+    systemPrompt += NO_SEARCH_GROUNDING_NOTE;
   }
 
-  console.log('[Browser Wand] newsTimelineSearch Response Status:', response.status);
+  const requestBody = applyResponseSchema(
+    session,
+    modelId,
+    buildSearchRequestBody(session, systemPrompt, userMessage, canSearch),
+    RESPONSE_SCHEMAS.NEWS_TIMELINE
+  );
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[Browser Wand] newsTimelineSearch API Error:', errorText);
-    throw new Error(`API request failed: ${response.status}`);
-  }
+  console.log('[Browser Wand] newsTimelineSearch: Calling LLM', canSearch ? 'with Google Search grounding...' : 'without search grounding...');
 
-  const data = await response.json();
+  const data = await generateWithFallback(session, modelId, requestBody, 'newsTimelineSearch');
   console.log('[Browser Wand] newsTimelineSearch: Response received');
 
   return parseNewsTimelineResponse(data);
@@ -925,73 +1071,23 @@ Please search for current news and background information, then create a compreh
  * Parses news timeline response from Gemini API
  * @param {Object} data - Full Gemini API response
  * @returns {Object} - Parsed timeline result
+ * @throws {SchemaValidationError} - If the response does not match the news timeline schema
  */
 function parseNewsTimelineResponse(data) {
-  const candidate = data.candidates?.[0];
-  if (!candidate) {
-    console.warn('[Browser Wand] parseNewsTimelineResponse: No candidates in response');
-    return {
-      type: 'news_timeline',
-      topic: '',
-      backgroundSummary: 'No results found',
-      currentStatus: '',
-      timeline: [],
-      sources: [],
-    };
-  }
-
   // Extract grounding metadata for URLs
-  const groundingMetadata = candidate.groundingMetadata;
+  const groundingMetadata = data.candidates?.[0]?.groundingMetadata;
   const groundingChunks = groundingMetadata?.groundingChunks || [];
 
   console.log('[Browser Wand] parseNewsTimelineResponse: Grounding chunks:', groundingChunks.length);
 
-  // Extract text content from LLM response
-  const textParts = candidate.content?.parts?.filter((part) => part.text)?.map((part) => part.text) || [];
-  const textContent = textParts.join('');
+  const textContent = parseGeminiResponse(data);
 
   console.log('[Browser Wand] parseNewsTimelineResponse: LLM response:', textContent.substring(0, 500));
 
-  let parsedResult;
-  try {
-    let cleanedResponse = textContent.trim();
-
-    // Remove markdown code block wrapper if present
-    const codeBlockMatch = cleanedResponse.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-    if (codeBlockMatch) {
-      cleanedResponse = codeBlockMatch[1].trim();
-    }
-
-    // Find the start of JSON object
-    const jsonStartIndex = cleanedResponse.indexOf('{');
-    if (jsonStartIndex === -1) {
-      throw new Error('No JSON object found');
-    }
-
-    const jsonPart = cleanedResponse.substring(jsonStartIndex);
-    const jsonEndIndex = findJsonEndIndex(jsonPart);
-
-    if (jsonEndIndex !== -1) {
-      const jsonStr = jsonPart.substring(0, jsonEndIndex);
-      parsedResult = JSON.parse(jsonStr);
-    } else {
-      console.warn('[Browser Wand] parseNewsTimelineResponse: JSON appears truncated, attempting repair');
-      parsedResult = repairTruncatedNewsJson(jsonPart);
-    }
-  } catch (e) {
-    console.warn('[Browser Wand] parseNewsTimelineResponse: Failed to parse JSON:', e.message);
-    parsedResult = {
-      type: 'news_timeline',
-      topic: '',
-      backgroundSummary: textContent || 'Search completed. Results may be incomplete.',
-      currentStatus: '',
-      timeline: [],
-      sources: [],
-    };
-  }
+  const parsedResult = parseStructuredResponse(textContent, RESPONSE_SCHEMAS.NEWS_TIMELINE);
 
   // Enrich timeline with grounded URLs
-  if (parsedResult.timeline && parsedResult.timeline.length > 0) {
+  if (parsedResult.timeline.length > 0) {
     parsedResult.timeline = enrichTimelineWithGrounding(parsedResult.timeline, groundingChunks);
   }
 
@@ -1003,77 +1099,13 @@ function parseNewsTimelineResponse(data) {
       url: chunk.web.uri,
     }));
 
-  if (groundedSources.length > 0 && (!parsedResult.sources || parsedResult.sources.length === 0)) {
+  if (groundedSources.length > 0 && parsedResult.sources.length === 0) {
     parsedResult.sources = groundedSources;
   }
 
-  // Ensure type is set
-  parsedResult.type = 'news_timeline';
-
   return parsedResult;
 }
 
-/**
- * Attempts to repair truncated news timeline JSON
- * @param {string} truncatedJson - The truncated JSON string
- * @returns {Object} - Best-effort parsed result
- */
-function repairTruncatedNewsJson(truncatedJson) {
-  const result = {
-    type: 'news_timeline',
-    topic: '',
-    backgroundSummary: '',
-    currentStatus: '',
-    timeline: [],
-    sources: [],
-  };
-
-  // Try to extract topic
-  const topicMatch = truncatedJson.match(/"topic"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  if (topicMatch) {
-    result.topic = topicMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '\n');
-  }
-
-  // Try to extract backgroundSummary
-  const summaryMatch = truncatedJson.match(/"backgroundSummary"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  if (summaryMatch) {
-    result.backgroundSummary = summaryMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '\n');
-  }
-
-  // Try to extract currentStatus
-  const statusMatch = truncatedJson.match(/"currentStatus"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  if (statusMatch) {
-    result.currentStatus = statusMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '\n');
-  }
-
-  // Try to extract timeline events
-  const timelineMatch = truncatedJson.match(/"timeline"\s*:\s*\[([\s\S]*?)(?:\]|$)/);
-  if (timelineMatch) {
-    const timelineStr = timelineMatch[1];
-    const eventMatches = timelineStr.match(/\{[^{}]*\}/g);
-    if (eventMatches) {
-      eventMatches.forEach(eventStr => {
-        try {
-          const event = JSON.parse(eventStr);
-          if (event.title || event.date) {
-            result.timeline.push(event);
-          }
-        } catch {
-          // Skip invalid events
-        }
-      });
-    }
-  }
-
-  console.log('[Browser Wand] repairTruncatedNewsJson: Recovered', {
-    hasTopic: !!result.topic,
-    summaryLength: result.backgroundSummary.length,
-    timelineCount: result.timeline.length,
-  });
-
-  return result;
-}
-
 /**
  * Enriches timeline events with URLs from grounding metadata
  * @param {Array} timeline - Timeline events from LLM response
@@ -1139,160 +1171,36 @@ function detectProductSearchIntent(query) {
 }
 
 /**
- * Attempts to repair truncated JSON by extracting what we can from partial data
- * @param {string} truncatedJson - The truncated JSON string
- * @param {boolean} isProductSearch - Whether this is a product search result
- * @returns {Object} - Best-effort parsed result
+ * Gets the response schema for a Magic Bar search
+ * @param {boolean} isProductSearch - Whether this is a product search
+ * @returns {Object} - Named schema from RESPONSE_SCHEMAS
  */
-function repairTruncatedJson(truncatedJson, isProductSearch) {
-  // Try to extract type field
-  const typeMatch = truncatedJson.match(/"type"\s*:\s*"([^"]+)"/);
-  const type = typeMatch ? typeMatch[1] : (isProductSearch ? 'products' : 'information');
-
-  // Try to extract summary field
-  const summaryMatch = truncatedJson.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-  const summary = summaryMatch ? summaryMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '\n') : '';
-
-  // Try to extract key points if present
-  const keyPoints = [];
-  const keyPointsMatch = truncatedJson.match(/"keyPoints"\s*:\s*\[([\s\S]*?)(?:\]|$)/);
-  if (keyPointsMatch) {
-    const keyPointsStr = keyPointsMatch[1];
-    const pointMatches = keyPointsStr.match(/"((?:[^"\\]|\\.)*)"/g);
-    if (pointMatches) {
-      pointMatches.forEach(match => {
-        const point = match.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
-        if (point.trim()) {
-          keyPoints.push(point);
-        }
-      });
-    }
-  }
-
-  // Try to extract results/products if present
-  const results = [];
-  const resultsMatch = truncatedJson.match(/"results"\s*:\s*\[([\s\S]*?)(?:\]|$)/);
-  if (resultsMatch) {
-    // Try to extract individual product objects
-    const resultsStr = resultsMatch[1];
-    const productMatches = resultsStr.match(/\{[^{}]*\}/g);
-    if (productMatches) {
-      productMatches.forEach(productStr => {
-        try {
-          const product = JSON.parse(productStr);
-          if (product.title) {
-            results.push(product);
-          }
-        } catch {
-          // Skip invalid products
-        }
-      });
-    }
-  }
-
-  console.log('[Browser Wand] repairTruncatedJson: Recovered', {
-    type,
-    summaryLength: summary.length,
-    keyPointsCount: keyPoints.length,
-    resultsCount: results.length,
-  });
-
-  return {
-    type,
-    summary: summary || 'Search completed. Some results may be incomplete due to response truncation.',
-    keyPoints,
-    results,
-    sources: [],
-  };
+function getMagicBarSchema(isProductSearch) {
+  return isProductSearch ? RESPONSE_SCHEMAS.PRODUCT_SEARCH : RESPONSE_SCHEMAS.INFORMATION_SEARCH;
 }
 
 /**
  * Parses Magic Bar response from Gemini API
- * Handles truncated JSON responses gracefully by attempting to extract valid JSON
  * @param {Object} data - Full Gemini API response
  * @param {boolean} isProductSearch - Whether this was a product search
  * @returns {Object} - Parsed search result
+ * @throws {SchemaValidationError} - If the response does not match the search schema
  */
 function parseMagicBarResponse(data, isProductSearch) {
-  const candidate = data.candidates?.[0];
-  if (!candidate) {
-    console.warn('[Browser Wand] parseMagicBarResponse: No candidates in response');
-    return { type: 'error', summary: 'No results found', results: [], sources: [] };
-  }
-
-  // Check for truncation due to max tokens
-  const finishReason = candidate.finishReason;
-  const wasTruncated = finishReason === 'MAX_TOKENS';
-  if (wasTruncated) {
-    console.warn('[Browser Wand] parseMagicBarResponse: Response was truncated due to max tokens');
-  }
-
   // Extract grounding metadata for URLs
-  const groundingMetadata = candidate.groundingMetadata;
+  const groundingMetadata = data.candidates?.[0]?.groundingMetadata;
   const groundingChunks = groundingMetadata?.groundingChunks || [];
 
   console.log('[Browser Wand] parseMagicBarResponse: Grounding chunks:', groundingChunks.length);
 
-  // Extract text content from LLM response
-  const textParts = candidate.content?.parts?.filter((part) => part.text)?.map((part) => part.text) || [];
-  const textContent = textParts.join('');
+  const textContent = parseGeminiResponse(data);
 
   console.log('[Browser Wand] parseMagicBarResponse: LLM response:', textContent.substring(0, 500));
 
-  // Try to parse JSON response
-  let parsedResult;
-  try {
-    let cleanedResponse = textContent.trim();
-
-    // Remove markdown code block wrapper if present
-    const codeBlockMatch = cleanedResponse.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-    if (codeBlockMatch) {
-      cleanedResponse = codeBlockMatch[1].trim();
-    }
-
-    // Find the start of JSON object
-    const jsonStartIndex = cleanedResponse.indexOf('{');
-    if (jsonStartIndex === -1) {
-      throw new Error('No JSON object found');
-    }
-
-    // Extract just the JSON part starting from first {
-    const jsonPart = cleanedResponse.substring(jsonStartIndex);
-
-    // Use findJsonEndIndex to properly find the end of JSON even if truncated
-    const jsonEndIndex = findJsonEndIndex(jsonPart);
-
-    if (jsonEndIndex !== -1) {
-      // Found complete JSON object
-      const jsonStr = jsonPart.substring(0, jsonEndIndex);
-      parsedResult = JSON.parse(jsonStr);
-    } else {
-      // JSON is truncated - try to repair it
-      console.warn('[Browser Wand] parseMagicBarResponse: JSON appears truncated, attempting repair');
-      parsedResult = repairTruncatedJson(jsonPart, isProductSearch);
-    }
-  } catch (e) {
-    console.warn('[Browser Wand] parseMagicBarResponse: Failed to parse JSON:', e.message);
-    // Fall back to text response - strip any partial JSON and use as summary
-    let summaryText = textContent;
-    // Remove partial JSON from summary
-    const jsonStart = summaryText.indexOf('{');
-    if (jsonStart > 0) {
-      summaryText = summaryText.substring(0, jsonStart).trim();
-    }
-    if (!summaryText || summaryText.length < 20) {
-      summaryText = 'Search completed. Results may be incomplete due to response truncation.';
-    }
-    parsedResult = {
-      type: 'information',
-      summary: summaryText,
-      keyPoints: [],
-      sources: [],
-    };
-  }
+  const parsedResult = parseStructuredResponse(textContent, getMagicBarSchema(isProductSearch));
 
   // For product searches, enrich results with grounded URLs
-  if (isProductSearch && parsedResult.results) {
+  if (isProductSearch) {
     parsedResult.results = enrichProductsWithGrounding(parsedResult.results, groundingChunks);
   }
 
@@ -1306,7 +1214,7 @@ function parseMagicBarResponse(data, isProductSearch) {
         snippet: '',
       }));
 
-    if (groundedSources.length > 0 && (!parsedResult.sources || parsedResult.sources.length === 0)) {
+    if (groundedSources.length > 0 && parsedResult.sources.length === 0) {
       parsedResult.sources = groundedSources;
     }
   }
@@ -1964,7 +1872,10 @@ function detectAspectRatio(query) {
 
 /**
  * Generates images using the Nano Banana Pro (Gemini 3 Pro Image Preview) model
- * @param {string} apiKey - API key for authentication
+ * Falls back along the model's image-capable chain in FALLBACK_CONFIG, and adds the model
+ * that answered to session.servedModels like every other call
+ * Callers must check the IMAGE_OUTPUT capability first, as only Gemini supports it
+ * @param {Object} session - LLM session (provider, credentials and model)
  * @param {string} prompt - The image generation prompt
  * @param {Object} options - Generation options
  * @param {number} options.numberOfImages - Number of images to generate (1-4)
@@ -1972,8 +1883,9 @@ function detectAspectRatio(query) {
  * @param {string} options.imageSize - Image size ('1K', '2K', '4K')
  * @param {Object} options.context - Page context for contextual generation
  * @returns {Promise<Object>} - Generated images with metadata
+ * @throws {LLMResponseError} - If the API reported an error instead of images
  */
-export async function generateImages(apiKey, prompt, options = {}) {
+export async function generateImages(session, prompt, options = {}) {
   const {
     numberOfImages = 1,
     aspectRatio = IMAGE_GENERATION_CONFIG.defaultAspectRatio,
@@ -1982,7 +1894,6 @@ export async function generateImages(apiKey, prompt, options = {}) {
   } = options;
 
   const modelId = IMAGE_GENERATION_CONFIG.model;
-  const apiUrl = `${API_CONFIG.baseUrl}/models/${modelId}:generateContent?key=${apiKey}`;
 
   console.log('[Browser Wand] generateImages:', {
     prompt: prompt.substring(0, 100),
@@ -2013,30 +1924,9 @@ export async function generateImages(apiKey, prompt, options = {}) {
 
   console.log('[Browser Wand] generateImages: Calling Gemini Image API...');
 
-  let response;
-  try {
-    response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-  } catch (fetchError) {
-    console.error('[Browser Wand] generateImages Fetch Error:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
-  }
-
-  console.log('[Browser Wand] generateImages Response Status:', response.status);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[Browser Wand] generateImages API Error:', errorText);
-    throw new Error(`Image generation API request failed: ${response.status}`);
-  }
-
-  const data = await response.json();
+  const data = await generateWithFallback(session, modelId, requestBody, 'generateImages');
   console.log('[Browser Wand] generateImages: Response received');
+  assertNoApiError(data);
 
   return parseImageGenerationResponse(data, prompt);
 }
@@ -0,0 +1,66 @@
+/**
+ * LLM session module
+ * Bundles the provider, credentials, model and generation parameters used for every
+ * LLM call made on behalf of a single request, plus its task type (for usage tracking), the tab
+ * it was made for, its abort signal and whether responses are live, recorded or replayed
+ */
+
+import { PROVIDER_DEFAULTS, LLM_BACKEND_MODES, REPLAY_CONFIG, API_CONFIG } from './config.js';
+import { getProvider, providerSupports } from './providers/index.js';
+
+/**
+ * Creates an LLM session from a request payload
+ * @param {Object} settings - Connection settings from the popup
+ * @param {string} [settings.model] - Model ID to use
+ * @param {string} [settings.provider] - Provider ID (defaults to Gemini)
+ * @param {string} [settings.providerBaseUrl] - Custom endpoint for the provider
+ * @param {number} [settings.tabId] - Tab to render streamed results into
+ * @param {AbortSignal} [settings.signal] - Aborts every LLM call made for the request
+ * @param {string} [settings.taskType] - Detected task type, used to attribute usage and group fixtures
+ * @param {string} [settings.backendMode] - One of LLM_BACKEND_MODES (defaults to live)
+ * @param {Object} [settings.route] - Task route (model, temperature, maxOutputTokens, thinkingBudget);
+ *   a route model takes precedence over the profile model
+ * @returns {Object} - LLM session; servedModels lists the models that answered, filled in by llm-client.js
+ */
+export function createLLMSession({ model, provider, providerBaseUrl, tabId, signal, taskType, backendMode, route }) {
+  const providerId = getProvider(provider).id;
+  const defaults = PROVIDER_DEFAULTS[providerId];
+  const requestedMode = REPLAY_CONFIG.buildBackendMode || backendMode;
+
+  return {
+    providerId,
+    // Decrypted from the key profile by the handler, since replayed requests need none
+    apiKey: '',
+    baseUrl: providerBaseUrl || defaults.baseUrl,
+    model: route?.model || model || defaults.model,
+    generation: {
+      temperature: route?.temperature ?? API_CONFIG.temperature,
+      maxOutputTokens: route?.maxOutputTokens || API_CONFIG.maxOutputTokens,
+      thinkingBudget: route?.thinkingBudget ?? null,
+    },
+    tabId: tabId || null,
+    signal: signal || null,
+    taskType: taskType || null,
+    backendMode: Object.values(LLM_BACKEND_MODES).includes(requestedMode) ? requestedMode : LLM_BACKEND_MODES.LIVE,
+    servedModels: [],
+  };
+}
+
+/**
+ * Checks whether the session's provider supports an optional capability
+ * @param {Object} session - LLM session
+ * @param {string} capability - Capability name from PROVIDER_CAPABILITIES
+ * @returns {boolean} - True if the capability is supported
+ */
+export function sessionSupports(session, capability) {
+  return providerSupports(session.providerId, capability);
+}
+
+/**
+ * Gets the display name of the session's provider
+ * @param {Object} session - LLM session
+ * @returns {string} - Provider name
+ */
+export function getSessionProviderName(session) {
+  return getProvider(session.providerId).name;
+}
@@ -0,0 +1,6 @@
+/**
+ * Models module
+ * Model discovery and API key checks
+ */
+
+export { listModels, KEY_CHECK_RESULTS } from './model-catalog.js';
@@ -0,0 +1,100 @@
+/**
+ * Model catalog
+ * Lists the models a key can use through the provider's models endpoint, which
+ * doubles as an API key check with readable diagnostics
+ */
+
+import { PROVIDER_DEFAULTS } from '../config.js';
+import { getProvider } from '../providers/index.js';
+import { fetchWithRetry, ApiRequestError, ERROR_CLASSES } from '../transport.js';
+import { resolveProfileApiKey, KeyVaultLockedError } from '../credentials/index.js';
+
+export const KEY_CHECK_RESULTS = {
+  MISSING_KEY: 'MISSING_KEY',
+  INVALID_KEY: 'INVALID_KEY',
+  RESTRICTED_KEY: 'RESTRICTED_KEY',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  BAD_ENDPOINT: 'BAD_ENDPOINT',
+  UNREACHABLE: 'UNREACHABLE',
+  UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * Turns a failed models request into a key diagnostic
+ * @param {Error} error - Error from fetchWithRetry
+ * @param {string} baseUrl - Endpoint that was called
+ * @returns {{keyError: string, message: string}} - KEY_CHECK_RESULTS value and explanation
+ */
+function diagnoseListError(error, baseUrl) {
+  if (!(error instanceof ApiRequestError)) {
+    return { keyError: KEY_CHECK_RESULTS.UNKNOWN, message: error.message };
+  }
+
+  const detail = ` (${error.message})`;
+  if (error.errorClass === ERROR_CLASSES.NETWORK_ERROR) {
+    return {
+      keyError: KEY_CHECK_RESULTS.UNREACHABLE,
+      message: `Could not reach ${baseUrl}. Check the base URL and your connection.`,
+    };
+  }
+  if (error.status === 401 || (error.status === 400 && /api[\s_-]?key/i.test(error.message))) {
+    return {
+      keyError: KEY_CHECK_RESULTS.INVALID_KEY,
+      message: `The API key was rejected. Check that it was copied completely and has not been deleted${detail}`,
+    };
+  }
+  if (error.status === 403) {
+    return {
+      keyError: KEY_CHECK_RESULTS.RESTRICTED_KEY,
+      message: `The API key is not allowed to use this API. Check the key's API restrictions and that the API is enabled for its project${detail}`,
+    };
+  }
+  if (error.status === 429) {
+    return {
+      keyError: KEY_CHECK_RESULTS.QUOTA_EXCEEDED,
+      message: `The API key is out of quota. Try again later or switch to another key profile${detail}`,
+    };
+  }
+  if (error.status === 404) {
+    return {
+      keyError: KEY_CHECK_RESULTS.BAD_ENDPOINT,
+      message: `${baseUrl} has no models list. Check the base URL${detail}`,
+    };
+  }
+  return { keyError: KEY_CHECK_RESULTS.UNKNOWN, message: error.message };
+}
+
+/**
+ * Lists the models available to a key, checking the key on the way
+ * @param {Object} payload - The request payload
+ * @param {string} [payload.profileId] - Profile whose saved key is used when no key is given
+ * @param {string} payload.provider - LLM provider ID
+ * @param {string} [payload.providerBaseUrl] - Base URL override for the provider
+ * @param {string} [payload.apiKey] - Key to check before it is saved
+ * @returns {Promise<Object>} - Result with models, or keyError and an explanation
+ */
+export async function listModels({ profileId, provider, providerBaseUrl, apiKey }) {
+  const providerDefinition = getProvider(provider);
+  const baseUrl = providerBaseUrl || PROVIDER_DEFAULTS[providerDefinition.id].baseUrl;
+
+  try {
+    const key = apiKey || (profileId ? await resolveProfileApiKey(profileId) : '');
+    if (!key && providerDefinition.requiresApiKey) {
+      return { success: false, keyError: KEY_CHECK_RESULTS.MISSING_KEY, error: 'Enter an API key for this provider' };
+    }
+
+    const request = providerDefinition.buildModelsRequest({ baseUrl, apiKey: key });
+    const response = await fetchWithRetry(request.url, { method: 'GET', headers: request.headers }, 'listModels');
+    const models = providerDefinition.normalizeModels(await response.json());
+
+    console.log('[Browser Wand] listModels:', { provider: providerDefinition.id, count: models.length });
+    return { success: true, data: { models } };
+  } catch (error) {
+    if (error instanceof KeyVaultLockedError) {
+      return { success: false, vaultLocked: true, error: error.message };
+    }
+    const { keyError, message } = diagnoseListError(error, baseUrl);
+    console.warn('[Browser Wand] listModels failed:', keyError, error.message);
+    return { success: false, keyError, error: message };
+  }
+}
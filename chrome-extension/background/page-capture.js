@@ -0,0 +1,31 @@
+/**
+ * Page capture module
+ * Takes a screenshot of the visible part of a tab for multimodal requests
+ */
+
+import { SCREENSHOT_CONFIG } from './config.js';
+
+/**
+ * Captures the visible area of a tab as a base64 image
+ * The tab must be the active tab of its window, which it is while the popup is open on it
+ * @param {number} tabId - The tab to capture
+ * @returns {Promise<{mimeType: string, data: string}|null>} - Image, or null if the page cannot be captured
+ */
+export async function captureVisibleTab(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+      format: SCREENSHOT_CONFIG.format,
+      quality: SCREENSHOT_CONFIG.quality,
+    });
+
+    const [header, data] = dataUrl.split(',');
+    const mimeType = header.slice('data:'.length, header.indexOf(';'));
+    console.log('[Browser Wand] captureVisibleTab:', { mimeType, sizeKb: Math.round((data.length * 3) / 4 / 1024) });
+    return { mimeType, data };
+  } catch (error) {
+    // Browser pages, the Web Store and other extensions cannot be captured
+    console.warn('[Browser Wand] captureVisibleTab failed:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Page executor module
+ * Runs generated code in a tab's main world, shared by the service worker
+ * and handlers that update the page while a request is still running
+ */
+
+import { ERROR_CODES } from './errors.js';
+import { DEEP_QUERY_HELPERS } from './prompts/js-templates/index.js';
+
+// Shared with page capture, so generated code picks the same article root (bwFindArticleRoot)
+const ARTICLE_SCORER_FILE = 'content/article-scorer.js';
+const ARTICLE_SCORER_USE = /\bbw(?:FindArticleRoot|ScoreArticleCandidates)\b/;
+
+/**
+ * Loads the article scorer into the page's main world, unless this document already has it
+ * @param {number} tabId - The tab ID to load it in
+ * @returns {Promise<void>}
+ */
+async function ensureArticleScorer(tabId) {
+  const [loaded] = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    // Same check as the scorer's own: a function the page defined under these names is
+    // still writable or configurable, so the scorer is injected to replace it
+    func: () => ['bwScoreArticleCandidates', 'bwFindArticleRoot'].every((name) => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+      return typeof descriptor?.value === 'function' && !descriptor.writable && !descriptor.configurable;
+    }),
+  });
+  if (!loaded?.result) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      files: [ARTICLE_SCORER_FILE],
+    });
+  }
+}
+
+/**
+ * Executes code in the page's main world using chrome.scripting.executeScript
+ * This bypasses page CSP restrictions by injecting a script element into the page
+ * The deep query helpers are declared first, so code can reach shadow roots and frames,
+ * and the article scorer is loaded beforehand if the code calls it
+ * @param {number} tabId - The tab ID to execute in
+ * @param {string} code - The JavaScript code to execute
+ * @returns {Promise<Object>} - Execution result; failures carry errorCode CSP_BLOCKED
+ */
+export async function executeCodeInPage(tabId, code) {
+  try {
+    if (ARTICLE_SCORER_USE.test(code)) {
+      await ensureArticleScorer(tabId);
+    }
+
+    // Use chrome.scripting.executeScript with a static function that receives code as argument
+    // The function creates a script element to execute the code, which bypasses CSP
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      args: [`${DEEP_QUERY_HELPERS}\n${code}`],
+      func: (codeToExecute) => {
+        try {
+          // Create a script element and inject it into the page
+          // This executes in the page's context and bypasses extension CSP
+          const script = document.createElement('script');
+          script.textContent = codeToExecute;
+          document.documentElement.appendChild(script);
+          script.remove();
+          return { success: true };
+        } catch (error) {
+          console.error('Browser Wand: Code execution error:', error);
+          // Runs in the page, so ERROR_CODES is not in scope here
+          return { success: false, errorCode: 'CSP_BLOCKED', error: error.message };
+        }
+      },
+    });
+
+    console.log('[Browser Wand] executeCodeInPage results:', results);
+
+    if (results && results.length > 0 && results[0].result) {
+      return results[0].result;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('[Browser Wand] executeCodeInPage error:', error);
+    // The page refused the injection (restricted URL or its security policy)
+    return { success: false, errorCode: ERROR_CODES.CSP_BLOCKED, error: error.message };
+  }
+}
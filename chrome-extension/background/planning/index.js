@@ -0,0 +1,6 @@
+/**
+ * Planning module
+ * Splits compound requests into ordered steps
+ */
+
+export { planTaskSteps, getPlanScriptCategory, isValidTaskPlan } from './task-planner.js';
@@ -0,0 +1,119 @@
+/**
+ * Task planner
+ * Splits a compound request into steps with one task type each, in the order they were asked for
+ */
+
+import { PLANNER_CONFIG, CLASSIFIER_CONFIG, SCRIPT_CATEGORIES, TASK_CATEGORY_MAP } from '../config.js';
+import { detectTaskTypeWithConfidence } from '../task-detector.js';
+
+// Separators between clauses: commas, semicolons and sentence ends (optionally followed by
+// "and"/"then"/"also"), and "and"/"then"/"also" between words
+const CLAUSE_SEPARATOR = /(\s*[;,]\s*(?:and\s+then\s+|and\s+|then\s+)?|[.!]\s+(?:and\s+|then\s+|also\s+)?|\s+(?:and\s+then|and\s+also|then|and|also)\s+)/i;
+
+// A clause only starts a new step when it opens with one of these, so
+// "hide the header, footer and sidebar" and "make it black and white" stay one step
+const ACTION_VERBS = [
+  'add', 'analyse', 'analyze', 'apply', 'block', 'change', 'convert', 'count', 'create', 'decrease',
+  'delete', 'describe', 'disable', 'display', 'draw', 'enable', 'enlarge', 'explain', 'extract',
+  'find', 'focus', 'generate', 'get', 'give', 'hide', 'highlight', 'increase', 'insert', 'just',
+  'keep', 'list', 'make', 'move', 'only', 'put', 'remove', 'replace', 'reskin', 'restyle', 'search',
+  'set', 'show', 'shrink', 'style', 'summarise', 'summarize', 'switch', 'tell', 'transform',
+  'translate', 'turn', 'use',
+];
+
+/**
+ * Checks whether a clause opens with an action, ignoring a leading "please"
+ * @param {string} clause - Clause of the request
+ * @returns {boolean} - True if the clause can be a step of its own
+ */
+function startsWithAction(clause) {
+  const words = clause.trim().toLowerCase().split(/\s+/);
+  const firstWord = words[0] === 'please' ? words[1] : words[0];
+  return ACTION_VERBS.includes((firstWord || '').replace(/[^a-z]/g, ''));
+}
+
+/**
+ * Detects a step's task type with the keyword rules
+ * @param {string} prompt - Step prompt
+ * @returns {{prompt: string, taskType: string, confidence: number}} - Step
+ */
+function toStep(prompt) {
+  const { taskType, confidence } = detectTaskTypeWithConfidence(prompt);
+  return { prompt, taskType, confidence };
+}
+
+/**
+ * Splits a request into steps
+ * Clauses that do not open with an action, or that confidently have the same task type as
+ * the clause before them, are joined to the previous step
+ * @param {string} prompt - The user's request
+ * @returns {Array<{prompt: string, taskType: string, confidence: number}>} - Steps in order;
+ *   a single step for requests with one task type
+ */
+export function planTaskSteps(prompt) {
+  const trimmedPrompt = prompt.trim();
+  if (!PLANNER_CONFIG.enabled) {
+    return [toStep(trimmedPrompt)];
+  }
+
+  // split() keeps the captured separators at odd indexes: [clause, separator, clause, ...]
+  const parts = trimmedPrompt.split(CLAUSE_SEPARATOR);
+  const steps = [];
+
+  for (let index = 0; index < parts.length; index += 2) {
+    const clause = parts[index];
+    if (!clause.trim()) continue;
+
+    const previous = steps.at(-1);
+    const separator = parts[index - 1] || '';
+    if (previous && !startsWithAction(clause)) {
+      previous.prompt += separator + clause;
+      continue;
+    }
+
+    // A weak keyword match ("ad" in "add") is no reason to join two actions
+    const step = toStep(clause);
+    if (previous && previous.taskType === step.taskType && step.confidence >= CLASSIFIER_CONFIG.confidenceThreshold) {
+      previous.prompt += separator + clause;
+      continue;
+    }
+    steps.push(step);
+  }
+
+  if (steps.length < 2 || steps.length > PLANNER_CONFIG.maxSteps) {
+    return [toStep(trimmedPrompt)];
+  }
+
+  // Joined clauses can change a step's task type, so each step is detected again as a whole
+  return steps.map((step) => toStep(step.prompt.replace(/[\s.,;!]+$/, '')));
+}
+
+/**
+ * Gets the script category of a finished plan: it can only be saved as static code when every
+ * step can, needs fresh LLM calls when any step does, and cannot be saved if any step cannot
+ * @param {string[]} scriptCategories - Script category of each step
+ * @returns {string} - A SCRIPT_CATEGORIES value
+ */
+export function getPlanScriptCategory(scriptCategories) {
+  if (scriptCategories.includes(SCRIPT_CATEGORIES.RUNTIME_LLM)) {
+    return SCRIPT_CATEGORIES.RUNTIME_LLM;
+  }
+  if (scriptCategories.includes(SCRIPT_CATEGORIES.SAVABLE_RUNTIME)) {
+    return SCRIPT_CATEGORIES.SAVABLE_RUNTIME;
+  }
+  return SCRIPT_CATEGORIES.STATIC_SCRIPT;
+}
+
+/**
+ * Validates a plan sent back by the popup (from CLASSIFY_TASK or a saved script)
+ * @param {*} steps - Steps to check
+ * @returns {boolean} - True if it has 2 to PLANNER_CONFIG.maxSteps steps with a prompt and a runnable task type
+ */
+export function isValidTaskPlan(steps) {
+  return (
+    Array.isArray(steps) &&
+    steps.length >= 2 &&
+    steps.length <= PLANNER_CONFIG.maxSteps &&
+    steps.every((step) => typeof step?.prompt === 'string' && step.prompt.trim() && TASK_CATEGORY_MAP[step.taskType])
+  );
+}
@@ -11,7 +11,9 @@ CRITICAL RULES:
 4. Never make network requests, access storage, or execute external scripts
 5. For hiding elements, prefer CSS "display: none !important" over JavaScript removal
 6. Test selectors before applying changes using try-catch blocks
-7. Target elements using multiple strategies: ID, class, tag, attribute, and CSS selector combinations`;
+7. Target elements using multiple strategies: ID, class, tag, attribute, and CSS selector combinations
+8. Elements listed with a "hostPath" are inside open shadow roots or same-origin iframes; the path lists the host selectors from the document down, joined by " >>> ", and their "selector" only applies inside the last host. Page CSS and document.querySelector cannot reach them, so use these functions, which are always defined in your JavaScript: bwQuery(selector, hostPath) returns the first match inside that host, bwQueryAll(selector, container) returns all matches in the document (or container) and every shadow root and frame in it, and bwAddStyle(css, hostPath) adds CSS inside that host
+9. Elements listed with a "ref" number carry it on the page as the data-bw-ref attribute, which the page HTML shows too. Target them by ref rather than by selector whenever one is listed: in JavaScript bwRef(ref) returns the element (or null if it is gone), wherever it is, and in CSS use [data-bw-ref="42"] (with bwAddStyle for elements with a hostPath). Refs are reliable; selectors built from positions such as :nth-of-type often are not. Refs only last for this page visit, so in JavaScript fall back to a selector, as in bwRef(42) || document.querySelector('.sidebar')`;
 
 export const JSON_RESPONSE_FORMAT = `
 
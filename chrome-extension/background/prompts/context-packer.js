@@ -0,0 +1,190 @@
+/**
+ * Context packer module
+ * Fills a token budget with the page context of a modification prompt. Each section (page HTML
+ * regions, detected elements, headings...) lists items, which are added best first: their
+ * section's priority plus their relevance to the prompt. Sections are then rendered in their
+ * own order with the items that fit, and a report lists what was included and what was dropped
+ */
+
+import { CONTEXT_PACKING_CONFIG } from '../config.js';
+import { detectPromptLanguage, getLocalizedTaskRules, foldAccents } from '../task-rules/index.js';
+
+// Words too common in English requests to tell page elements apart; other languages add the
+// stop words of their rule set, and English ones still apply since prompts often mix them in
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'these', 'those', 'from', 'into', 'all', 'any',
+  'are', 'was', 'its', 'our', 'you', 'your', 'can', 'could', 'would', 'should', 'please',
+  'make', 'change', 'page', 'site', 'website', 'some', 'more', 'less', 'them', 'they', 'their',
+  'there', 'here', 'also', 'just', 'want', 'like', 'one', 'only', 'but', 'not', 'out', 'get',
+  'hide', 'remove', 'show', 'add', 'delete', 'move', 'turn', 'put', 'every',
+]);
+
+// Han, kana and Hangul are written without spaces, so their words are matched as character pairs
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+/**
+ * Estimates the tokens of a text from its length
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CONTEXT_PACKING_CONFIG.charsPerToken);
+}
+
+/**
+ * Extracts the terms of a prompt that page items are matched on
+ * @param {string} prompt - User's request
+ * @returns {{terms: Map<string, number>, refs: number[]}} - Lowercase terms with their weights,
+ *   and the element references the prompt names ("ref 42")
+ */
+export function extractPromptTerms(prompt) {
+  const terms = new Map();
+  const addTerm = (term, weight) => {
+    terms.set(term, Math.max(terms.get(term) || 0, weight));
+  };
+  const text = (prompt || '').toLowerCase();
+  const ruleSet = getLocalizedTaskRules(detectPromptLanguage(text));
+  const localStopWords = new Set(ruleSet?.stopWords || []);
+  const isStopWord = (word) => STOP_WORDS.has(word)
+    || localStopWords.has(ruleSet?.foldAccents ? foldAccents(word) : word);
+
+  for (const [, phrase] of text.matchAll(/["“”「」]([^"“”「」]{3,})["“”「」]/g)) {
+    addTerm(phrase.trim(), CONTEXT_PACKING_CONFIG.phraseWeight);
+  }
+
+  (text.match(/[\p{L}\p{N}][\p{L}\p{N}_-]*/gu) || []).forEach((word) => {
+    if (CJK_PATTERN.test(word)) {
+      for (let i = 0; i < word.length - 1; i++) {
+        const pair = word.slice(i, i + 2);
+        if (!isStopWord(pair)) addTerm(pair, 1);
+      }
+    } else if (word.length >= 3 && !isStopWord(word)) {
+      addTerm(word, 1);
+    }
+  });
+
+  const refs = [...text.matchAll(/\bref\s*#?(\d+)/g)].map(([, ref]) => Number(ref));
+  return { terms, refs };
+}
+
+/**
+ * Counts the weighted prompt terms and element references an item's text contains
+ * @param {string} text - Item text as it appears in the prompt
+ * @param {Object} promptTerms - Terms from extractPromptTerms
+ * @returns {number} - Relevance; 0 when nothing matches
+ */
+function scoreRelevance(text, { terms, refs }) {
+  const searchText = text.toLowerCase();
+  let relevance = 0;
+  terms.forEach((weight, term) => {
+    if (searchText.includes(term)) relevance += weight;
+  });
+  refs.forEach((ref) => {
+    // Captured elements list "ref": 42, and the page HTML shows data-bw-ref="42"
+    if (new RegExp(`("ref": ?|data-bw-ref=")${ref}\\b`).test(searchText)) {
+      relevance += CONTEXT_PACKING_CONFIG.refWeight;
+    }
+  });
+  return relevance;
+}
+
+/**
+ * Splits page HTML into regions of about htmlChunkLength characters, cut before a tag
+ * @param {string} html - Simplified page HTML
+ * @returns {Array<{start: number, end: number, text: string}>} - Regions in page order
+ */
+export function splitHtmlRegions(html) {
+  const { htmlChunkLength } = CONTEXT_PACKING_CONFIG;
+  const regions = [];
+  let start = 0;
+
+  while (start < html.length) {
+    let end = Math.min(html.length, start + htmlChunkLength);
+    if (end < html.length) {
+      const tagStart = html.lastIndexOf('<', end);
+      if (tagStart > start + htmlChunkLength / 2) end = tagStart;
+    }
+    regions.push({ start, end, text: html.slice(start, end) });
+    start = end;
+  }
+
+  return regions;
+}
+
+/**
+ * Packs sections of page context into a token budget
+ * @param {string} prompt - User's request, which items are ranked against
+ * @param {Array<Object>} sections - Sections in prompt order. Each has an id, a label for the
+ *   debug view, a priority, items, render(items, indexes) returning the prompt text for the
+ *   included items in their own order, and optionally itemText(item) (JSON by default),
+ *   describe(item) naming a dropped item and positionDecay lowering later items
+ * @param {Object} [options] - Packing options
+ * @param {number} [options.tokenBudget] - Tokens the whole message may use
+ * @param {number} [options.reservedTokens] - Tokens of the parts always sent, such as the request
+ * @returns {{text: string, report: Object}} - Packed text, and the report for the debug view
+ */
+export function packContext(prompt, sections, { tokenBudget = CONTEXT_PACKING_CONFIG.tokenBudget, reservedTokens = 0 } = {}) {
+  const promptTerms = extractPromptTerms(prompt);
+  const filledSections = sections.filter((section) => section.items.length > 0);
+
+  const candidates = filledSections.flatMap((section, sectionIndex) => {
+    const itemText = section.itemText || ((item) => JSON.stringify(item, null, 2));
+    return section.items.map((item, itemIndex) => {
+      const text = itemText(item);
+      const relevance = scoreRelevance(text, promptTerms);
+      return {
+        sectionIndex,
+        itemIndex,
+        tokens: estimateTokens(text),
+        relevance,
+        rank: section.priority - itemIndex * (section.positionDecay || 0) +
+          relevance * CONTEXT_PACKING_CONFIG.relevanceWeight,
+      };
+    });
+  });
+  candidates.sort((a, b) => b.rank - a.rank || a.sectionIndex - b.sectionIndex || a.itemIndex - b.itemIndex);
+
+  const included = filledSections.map(() => new Set());
+  let usedTokens = reservedTokens;
+  candidates.forEach((candidate) => {
+    const section = filledSections[candidate.sectionIndex];
+    // A section's header counts once, with its first item
+    const headerTokens = included[candidate.sectionIndex].size === 0 ? estimateTokens(section.render([], [])) : 0;
+    // Smaller items further down may still fit, so a miss does not end the packing
+    if (usedTokens + headerTokens + candidate.tokens > tokenBudget) return;
+    usedTokens += headerTokens + candidate.tokens;
+    included[candidate.sectionIndex].add(candidate.itemIndex);
+  });
+
+  const text = filledSections.map((section, sectionIndex) => {
+    const indexes = [...included[sectionIndex]].sort((a, b) => a - b);
+    return indexes.length > 0 ? section.render(indexes.map((index) => section.items[index]), indexes) : '';
+  }).join('');
+
+  const report = {
+    tokenBudget,
+    reservedTokens,
+    usedTokens: reservedTokens + estimateTokens(text),
+    terms: [...promptTerms.terms.keys()],
+    refs: promptTerms.refs,
+    sections: filledSections.map((section, sectionIndex) => {
+      const describe = section.describe || (() => section.label);
+      const kept = candidates.filter((candidate) =>
+        candidate.sectionIndex === sectionIndex && included[sectionIndex].has(candidate.itemIndex));
+      return {
+        id: section.id,
+        label: section.label,
+        included: kept.length,
+        total: section.items.length,
+        relevant: kept.filter((candidate) => candidate.relevance > 0).length,
+        tokens: kept.reduce((sum, candidate) => sum + candidate.tokens, 0),
+        dropped: section.items
+          .filter((item, index) => !included[sectionIndex].has(index))
+          .slice(0, CONTEXT_PACKING_CONFIG.maxDroppedPreviews)
+          .map(describe),
+      };
+    }),
+  };
+
+  return { text, report };
+}
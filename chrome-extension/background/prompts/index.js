@@ -40,6 +40,9 @@ export {
   generateCommentRemovalCSS,
 } from './css-templates.js';
 
+// Context packing
+export { packContext, splitHtmlRegions, estimateTokens } from './context-packer.js';
+
 // JavaScript templates
 export {
   getContentExtractionScript,
@@ -10,7 +10,6 @@ import { MARKERS } from '../selectors.js';
  */
 export const CONTENT_THRESHOLDS = {
   minContentLength: 300,
-  minFallbackLength: 500,
   minParagraphLength: 50,
   minSubstantialText: 1000,
 };
@@ -28,7 +27,6 @@ export const ELEMENT_SELECTORS = {
     '[class*="post-content"]',
     '[class*="entry-content"]',
   ],
-  contentCandidates: 'div, section, article',
   headings: 'h1, h2, h3',
   paragraphs: 'p',
 };
@@ -19,84 +19,88 @@ import { stylesToCSS } from './script-builder.js';
 // ============================================================================
 
 /**
- * Content finder - finds main content using selector priorities
+ * Content finder - finds main content with the article scorer page capture uses
+ * (content/article-scorer.js, which the page executor loads once per page for code that calls it)
  */
 export const CONTENT_FINDER = `
-function findMainContent(selectors, minLength = ${CONTENT_THRESHOLDS.minContentLength}) {
-  for (const selector of selectors) {
-    try {
-      const el = document.querySelector(selector);
-      if (el && (el.textContent || '').trim().length > minLength) {
-        return { element: el, selector };
-      }
-    } catch (e) { /* Invalid selector */ }
-  }
-  return null;
-}`;
-
-/**
- * Text density finder - fallback for finding content by text density
- */
-export const TEXT_DENSITY_FINDER = `
-function findByTextDensity(excludePatterns, minLength = ${CONTENT_THRESHOLDS.minFallbackLength}) {
-  const candidates = document.querySelectorAll('${ELEMENT_SELECTORS.contentCandidates}');
-  let best = { element: null, score: 0 };
-
-  candidates.forEach(el => {
-    const text = (el.textContent || '').trim();
-    const childCount = el.querySelectorAll('*').length || 1;
-    const score = text.length / Math.sqrt(childCount);
-
-    if (text.length > minLength && score > best.score) {
-      const identifier = ((el.className || '') + (el.id || '')).toLowerCase();
-      const isExcluded = excludePatterns.some(p => identifier.includes(p));
-
-      if (!isExcluded) {
-        best = { element: el, score };
-      }
-    }
-  });
-
-  return best.element ? { element: best.element, selector: 'fallback-density' } : null;
+function findMainContent() {
+  const element = bwFindArticleRoot({ queryAll: bwQueryAll });
+  if (!element) return null;
+  return { element, selector: element.tagName.toLowerCase() + (element.id ? '#' + element.id : '') };
 }`;
 
 /**
- * Main content locator - finds the main content area using common selectors
+ * Main content locator - finds the main content area, or the body if the page has none
  */
 export const MAIN_CONTENT_LOCATOR = `
-function findMainContentArea(minLength = ${CONTENT_THRESHOLDS.minContentLength}) {
-  const contentSelectors = ${JSON.stringify(ELEMENT_SELECTORS.mainContent)};
-
-  for (const selector of contentSelectors) {
-    const el = document.querySelector(selector);
-    if (el && el.textContent.trim().length > minLength) {
-      return el;
-    }
-  }
-  return document.body;
+function findMainContentArea() {
+  return bwFindArticleRoot({ queryAll: bwQueryAll }) || document.body;
 }`;
 
+// ============================================================================
+// Shadow DOM and Frame Utilities
+// ============================================================================
+
 /**
- * Generates a configurable content finder
+ * Deep query helpers - reach elements in open shadow roots and same-origin frames
+ * Host paths are the selectors of the hosts from the document down, joined by " >>> ",
+ * as the content script reports them. bwRef finds an element by the reference number
+ * page capture gave it. Prepended to every script run in the page, so they are only
+ * function declarations and can be declared again on each run
  */
-export function generateContentFinder(options = {}) {
-  const { minLength = CONTENT_THRESHOLDS.minContentLength, selectors = ELEMENT_SELECTORS.mainContent } = options;
-
-  return `
-function findMainContent() {
-  const selectors = ${JSON.stringify(selectors)};
-  for (const selector of selectors) {
+export const DEEP_QUERY_HELPERS = `
+function bwNestedRoot(el) {
+  if (el.shadowRoot) return el.shadowRoot;
+  if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
     try {
-      const el = document.querySelector(selector);
-      if (el && (el.textContent || '').trim().length > ${minLength}) {
-        return { element: el, selector };
-      }
-    } catch (e) {}
+      return el.contentDocument && el.contentDocument.body ? el.contentDocument : null;
+    } catch (e) { return null; }
   }
   return null;
-}`;
 }
 
+function bwFindRoot(hostPath) {
+  let root = document;
+  if (!hostPath) return root;
+  for (const hostSelector of hostPath.split(' >>> ')) {
+    const host = root.querySelector(hostSelector);
+    root = host && bwNestedRoot(host);
+    if (!root) return null;
+  }
+  return root;
+}
+
+function bwQuery(selector, hostPath) {
+  const root = bwFindRoot(hostPath);
+  return root ? root.querySelector(selector) : null;
+}
+
+function bwQueryAll(selector, container) {
+  const scope = container || document;
+  const matches = Array.from(scope.querySelectorAll(selector));
+  const hosts = Array.from(scope.querySelectorAll('*'));
+  if (scope.nodeType === Node.ELEMENT_NODE) hosts.unshift(scope);
+  hosts.forEach(el => {
+    const nestedRoot = bwNestedRoot(el);
+    if (nestedRoot) matches.push(...bwQueryAll(selector, nestedRoot));
+  });
+  return matches;
+}
+
+function bwAddStyle(css, hostPath) {
+  const root = bwFindRoot(hostPath);
+  if (!root) return null;
+  const style = document.createElement('style');
+  style.textContent = css;
+  (root.head || root).appendChild(style);
+  return style;
+}
+
+function bwRef(ref) {
+  return bwQueryAll('[${MARKERS.elementRef}="' + ref + '"]')[0] || null;
+}
+`;
+
 // ============================================================================
 // Element Marking Utilities
 // ============================================================================
@@ -371,7 +375,6 @@ export function combineUtilities(...utilities) {
 export function getContentExtractionUtilities() {
   return combineUtilities(
     CONTENT_FINDER,
-    TEXT_DENSITY_FINDER,
     getMarkerUtils(),
     getTitlePreserver(),
     getNonPreservedHider(),
@@ -90,9 +90,9 @@ export {
 export {
   // Content finding
   CONTENT_FINDER,
-  TEXT_DENSITY_FINDER,
   MAIN_CONTENT_LOCATOR,
-  generateContentFinder,
+  // Shadow DOM and frames
+  DEEP_QUERY_HELPERS,
   // Element marking
   getMarkerUtils,
   getTitlePreserver,
@@ -2,7 +2,7 @@
  * Content extraction script generator for reader mode
  */
 
-import { getAllContentSelectors, EXCLUSION_PATTERNS, MARKERS } from '../../selectors.js';
+import { MARKERS } from '../../selectors.js';
 import { generateHidingCSS } from '../../css-templates.js';
 import { ScriptBuilder, injectStyleCode, createLog } from '../script-builder.js';
 import {
@@ -13,7 +13,6 @@ import {
 } from '../config.js';
 import {
   CONTENT_FINDER,
-  TEXT_DENSITY_FINDER,
   WARNING_DISPLAY,
   getMarkerUtils,
   getTitlePreserver,
@@ -25,8 +24,6 @@ import {
  * Default configuration
  */
 const DEFAULT_CONFIG = {
-  minContentLength: CONTENT_THRESHOLDS.minContentLength,
-  minFallbackLength: CONTENT_THRESHOLDS.minFallbackLength,
   warningMessage: WARNING_MESSAGES.noContent,
   styleId: ELEMENT_IDS.readerStyle,
 };
@@ -36,7 +33,7 @@ const DEFAULT_CONFIG = {
  */
 function getMainExecutionCode(config) {
   return `
-const result = findMainContent(CONTENT_SELECTORS, ${config.minContentLength}) || findByTextDensity(EXCLUSION_PATTERNS, ${config.minFallbackLength});
+const result = findMainContent();
 
 if (!result) {
   console.warn('Browser Wand: Could not find main content.');
@@ -59,7 +56,6 @@ export function generateContentExtractionScript(options = {}) {
 
   const domUtilities = combineUtilities(
     CONTENT_FINDER,
-    TEXT_DENSITY_FINDER,
     getMarkerUtils(MARKERS.preserve, MARKERS.preserveAncestor),
     getTitlePreserver(MARKERS.preserve, MARKERS.preserveAncestor),
     getNonPreservedHider(MARKERS.preserve, MARKERS.preserveAncestor, MARKERS.hide),
@@ -69,10 +65,6 @@ export function generateContentExtractionScript(options = {}) {
   const styleInjection = injectStyleCode(generateHidingCSS(), config.styleId);
 
   return ScriptBuilder.create()
-    .constants({
-      CONTENT_SELECTORS: getAllContentSelectors(),
-      EXCLUSION_PATTERNS,
-    })
     .sections(domUtilities, getMainExecutionCode(config), styleInjection)
     .build();
 }
@@ -16,7 +16,6 @@ import {
  */
 const DEFAULT_CONFIG = {
   minParagraphLength: CONTENT_THRESHOLDS.minParagraphLength,
-  minContentLength: CONTENT_THRESHOLDS.minContentLength,
   translatedMarker: MARKERS.translated,
   containerClass: CSS_CLASSES.bilingualContainer,
   originalClass: CSS_CLASSES.originalText,
@@ -133,18 +132,12 @@ function addToggleButton() {
 
 /**
  * Generates content finder code
+ * Uses the shared article scorer, so translation picks the same root as page capture
  */
-function getContentFinderCode(config) {
+function getContentFinderCode() {
   return `
 function findMainContent() {
-  const contentSelectors = ${JSON.stringify(ELEMENT_SELECTORS.mainContent)};
-  for (const selector of contentSelectors) {
-    const el = document.querySelector(selector);
-    if (el && el.textContent.trim().length > ${config.minContentLength}) {
-      return el;
-    }
-  }
-  return document.body;
+  return bwFindArticleRoot({ queryAll: bwQueryAll }) || document.body;
 }`;
 }
 
@@ -168,7 +161,7 @@ addToggleButton();`;
 
   return ScriptBuilder.create()
     .sections(
-      getContentFinderCode(config),
+      getContentFinderCode(),
       getBilingualContainerCode(config),
       getParagraphProcessingCode(config),
       getHeadingProcessingCode(config),
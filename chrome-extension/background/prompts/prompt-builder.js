@@ -3,8 +3,9 @@
  * Constructs system and user prompts for LLM requests
  */
 
-import { TASK_TYPES, CONTENT_LIMITS } from '../config.js';
+import { TASK_TYPES, CONTENT_LIMITS, CONTEXT_PACKING_CONFIG } from '../config.js';
 import { JSON_RESPONSE_FORMAT } from './base-rules.js';
+import { packContext, splitHtmlRegions, estimateTokens } from './context-packer.js';
 import {
   CONTENT_EXTRACTION_PROMPT,
   AD_REMOVAL_PROMPT,
@@ -31,6 +32,21 @@ const TASK_PROMPTS = {
   [TASK_TYPES.GENERAL]: GENERAL_PROMPT,
 };
 
+// What each task type does, for the intent classifier
+const TASK_DESCRIPTIONS = {
+  [TASK_TYPES.CONTENT_EXTRACTION]: 'Show only the main article or content and hide everything else (reader mode)',
+  [TASK_TYPES.AD_REMOVAL]: 'Remove ads, sponsored content, promos and ad popups',
+  [TASK_TYPES.COMMENT_REMOVAL]: 'Remove comment sections and discussions',
+  [TASK_TYPES.STYLING]: 'Change colors, fonts, spacing or theme (for example dark mode) without hiding anything',
+  [TASK_TYPES.THEMATIC_RESKINNING]: 'Restyle the whole page in a theme, era or aesthetic (cyberpunk, retro newspaper)',
+  [TASK_TYPES.ELEMENT_HIDING]: 'Hide or remove specific page elements other than ads and comments',
+  [TASK_TYPES.TRANSLATION]: 'Translate the page text into another language',
+  [TASK_TYPES.SUMMARIZE]: 'Summarize the page in a popup',
+  [TASK_TYPES.ANALYZE]: 'Answer a question about the page or its elements in a popup',
+  [TASK_TYPES.MAGIC_BAR]: 'Search the web, compare products elsewhere or generate an image',
+  [TASK_TYPES.GENERAL]: 'Any other change to the page, such as adding, moving or changing behavior of elements',
+};
+
 /**
  * Builds the system prompt for page analysis
  */
@@ -71,6 +87,59 @@ Inputs: ${JSON.stringify(pageContent.elements.inputs, null, 2)}
 Headings: ${JSON.stringify(pageContent.elements.headings, null, 2)}`;
 }
 
+/**
+ * Builds the system prompt for follow-up questions on an analysis or summary
+ * The earlier questions and answers are sent as conversation turns
+ * @param {string} pageContext - Markdown of the page the conversation is about
+ * @returns {string} - System prompt
+ */
+export function buildFollowUpSystemPrompt(pageContext) {
+  return `You are an AI assistant answering follow-up questions about a web page you have already analyzed or summarized for the user.
+
+RULES:
+1. Answer from the page content below; say so when the page does not cover the question
+2. Refer back to your earlier answers when the user asks about them (for example "expand point 3")
+3. Keep answers focused and concise
+4. Return plain text or simple markdown - do NOT wrap your response in code blocks or JSON
+
+PAGE CONTENT:
+${pageContext}`;
+}
+
+/**
+ * Builds the system prompt for classifying a request into a task type
+ * @param {string[]} taskTypes - Task types to choose from
+ * @returns {string} - System prompt
+ */
+export function buildIntentClassificationSystemPrompt(taskTypes) {
+  const taskList = taskTypes.map((taskType) => `- ${taskType}: ${TASK_DESCRIPTIONS[taskType]}`).join('\n');
+
+  return `You classify requests made to a browser extension that changes and explains the web page the user is viewing.
+
+TASK TYPES:
+${taskList}
+
+RULES:
+1. Pick the task type that matches what the user wants done, not words that merely appear in the request ("make the ads area dark" is STYLING)
+2. Set confidence between 0 and 1
+3. List up to 3 other plausible task types as alternatives, most likely first, or an empty list
+4. Respond ONLY with JSON: {"taskType": "...", "confidence": 0.0, "alternatives": [{"taskType": "...", "confidence": 0.0}]}`;
+}
+
+/**
+ * Builds the user message for classifying a request
+ * @param {string} prompt - User's request
+ * @param {Object} ruleResult - Result of the keyword rules, given as a hint
+ * @returns {string} - User message
+ */
+export function buildIntentClassificationUserMessage(prompt, ruleResult) {
+  const ruleHints = [ruleResult, ...ruleResult.alternatives].map((match) => match.taskType).join(', ');
+
+  return `Request: ${prompt}
+
+Keyword rules matched (may be wrong): ${ruleHints}`;
+}
+
 /**
  * Builds the system prompt for page modification based on task type
  */
@@ -108,18 +177,155 @@ Semantic HTML Elements:
 }
 
 /**
- * Builds the user message for page modification
+ * Formats the on-screen boxes of the page's main regions
+ * @param {Object} layout - Viewport and boxes from the content script
+ * @param {boolean} hasScreenshot - Whether a screenshot of the viewport is attached
+ * @returns {string} - Layout section of the user message
+ */
+function formatVisibleLayout(layout, hasScreenshot) {
+  const { viewport, boxes } = layout;
+  const intro = hasScreenshot
+    ? `The attached image is a screenshot of what the user currently sees. It shows the ${viewport.width}x${viewport.height} viewport scrolled to (${viewport.scrollX}, ${viewport.scrollY}), scaled by a device pixel ratio of ${viewport.devicePixelRatio}.
+The boxes below are in viewport CSS pixels (x, y from the top-left corner) and use the same refs and selectors as the rest of this message. Use them to tell which element is which region in the screenshot.`
+    : `No screenshot could be captured. The boxes below describe the ${viewport.width}x${viewport.height} viewport scrolled to (${viewport.scrollX}, ${viewport.scrollY}) in CSS pixels.`;
+
+  return `\n=== VISIBLE LAYOUT ===
+${intro}
+${JSON.stringify(boxes, null, 2)}`;
+}
+
+/**
+ * Describes a captured element for the context debug view
+ */
+function describeElement(item) {
+  const name = item.text || item.selector || item.tag || item.type || 'element';
+  return item.ref ? `ref ${item.ref}: ${name}` : name;
+}
+
+/**
+ * Builds a context section that lists its items as JSON under a header
+ */
+function jsonSection(id, label, header, items, priority) {
+  return {
+    id,
+    label,
+    priority,
+    items,
+    describe: describeElement,
+    render: (included) => `\n=== ${header} ===\n${JSON.stringify(included, null, 2)}`,
+  };
+}
+
+/**
+ * Lists the page context sections a task type gets, in the order they appear in the message
+ * @param {string} taskType - Task type
+ * @param {Object} pageContent - Page content from the content script
+ * @param {boolean} hasScreenshot - Whether a screenshot of the viewport is attached
+ * @returns {Array<Object>} - Sections for packContext
  */
-export function buildModifyUserMessage(taskType, prompt, pageContent, translationData = null, previousModifications = null) {
+function getPageContextSections(taskType, pageContent, hasScreenshot) {
   const elements = pageContent.elements;
+  const priorities = CONTEXT_PACKING_CONFIG.sectionPriorities;
+  const sections = [];
 
-  let contextInfo = `User's modification request: ${prompt}
+  if (elements.semanticStructure) {
+    sections.push({
+      id: 'semanticStructure',
+      label: 'Semantic structure',
+      priority: priorities.semanticStructure,
+      items: [elements.semanticStructure],
+      itemText: formatSemanticStructure,
+      render: (included) => included.map(formatSemanticStructure).join(''),
+    });
+  }
+
+  // Main content candidates for content extraction
+  if (taskType === TASK_TYPES.CONTENT_EXTRACTION) {
+    sections.push(jsonSection('mainContentCandidates', 'Main content candidates', 'MAIN CONTENT CANDIDATES',
+      elements.mainContentCandidates || [], priorities.mainContentCandidates));
+  }
+
+  // Detected ads for ad removal and content extraction
+  if (taskType === TASK_TYPES.AD_REMOVAL || taskType === TASK_TYPES.CONTENT_EXTRACTION) {
+    const ads = elements.suspectedAds || [];
+    sections.push(jsonSection('suspectedAds', 'Detected ads', `DETECTED ADS (${ads.length} found)`,
+      ads, priorities.suspectedAds));
+  }
+
+  // Detected comments for comment removal and content extraction
+  if (taskType === TASK_TYPES.COMMENT_REMOVAL || taskType === TASK_TYPES.CONTENT_EXTRACTION) {
+    const comments = elements.suspectedComments || [];
+    sections.push(jsonSection('suspectedComments', 'Detected comments', `DETECTED COMMENTS (${comments.length} found)`,
+      comments, priorities.suspectedComments));
+  }
+
+  // On-screen boxes when the popup asked for the layout (screenshot-grounded requests)
+  if (pageContent.layout?.boxes) {
+    sections.push({
+      id: 'layout',
+      label: 'Visible layout',
+      priority: priorities.layout,
+      items: pageContent.layout.boxes,
+      describe: describeElement,
+      render: (included) => formatVisibleLayout({ ...pageContent.layout, boxes: included }, hasScreenshot),
+    });
+  }
+
+  sections.push(jsonSection('headings', 'Headings', 'HEADINGS', elements.headings || [], priorities.headings));
+
+  // Page HTML in regions, so the ones the request is about are kept on long pages
+  const regions = splitHtmlRegions(pageContent.html || '');
+  sections.push({
+    id: 'html',
+    label: 'Page HTML',
+    priority: priorities.html,
+    positionDecay: CONTEXT_PACKING_CONFIG.htmlPositionDecay,
+    items: regions,
+    itemText: (region) => region.text,
+    describe: (region) => `characters ${region.start}-${region.end}`,
+    render: (included, indexes) => {
+      const omitted = ' <!-- [omitted] --> ';
+      const parts = included.map((region, i) =>
+        (indexes[i] > (i === 0 ? 0 : indexes[i - 1] + 1) ? omitted : '') + region.text);
+      const tail = indexes.length > 0 && indexes[indexes.length - 1] < regions.length - 1 ? omitted : '';
+      return `\n=== PAGE HTML (regions most relevant to the request) ===\n${parts.join('')}${tail}`;
+    },
+  });
+
+  // Interactive elements for element hiding and general tasks
+  if (taskType === TASK_TYPES.ELEMENT_HIDING || taskType === TASK_TYPES.GENERAL) {
+    sections.push(jsonSection('buttons', 'Buttons', 'INTERACTIVE ELEMENTS: BUTTONS',
+      elements.buttons || [], priorities.interactiveElements));
+    sections.push(jsonSection('links', 'Links', 'INTERACTIVE ELEMENTS: LINKS',
+      elements.links || [], priorities.interactiveElements));
+    sections.push(jsonSection('inputs', 'Inputs', 'INTERACTIVE ELEMENTS: INPUTS',
+      elements.inputs || [], priorities.interactiveElements));
+  }
+
+  return sections;
+}
+
+/**
+ * Builds the user message for page modification
+ * The page context is packed into a token budget, most relevant to the request first (see
+ * context-packer.js); the request, previous modifications and translations are always sent
+ * @param {string} taskType - Task type
+ * @param {string} prompt - User's request
+ * @param {Object} pageContent - Page content from the content script
+ * @param {Object} [translationData] - Translations for translation tasks
+ * @param {Object} [previousModifications] - Modifications already applied to the page
+ * @param {boolean} [hasScreenshot] - Whether a screenshot of the viewport is attached to the request
+ * @returns {{userMessage: string, contextReport: Object}} - User message, and what the packer
+ *   included and dropped
+ */
+export function buildModifyUserMessage(taskType, prompt, pageContent, translationData = null, previousModifications = null, hasScreenshot = false) {
+  let header = `User's modification request: ${prompt}
 
 === PAGE STRUCTURE ===
 `;
 
   if (previousModifications?.hasModifications) {
-    contextInfo += `
+    header += `
 === PREVIOUS MODIFICATIONS APPLIED ===
 The page has already been modified with the following changes. Your new code should only implement the NEW changes requested, as the previous modifications are already applied and active on the page.
 
@@ -135,35 +341,9 @@ IMPORTANT: Do NOT repeat or undo the previous modifications. Only generate code
 `;
   }
 
-  // Add semantic structure if available
-  if (elements.semanticStructure) {
-    contextInfo += formatSemanticStructure(elements.semanticStructure);
-  }
-
-  // Add main content candidates for content extraction
-  if (taskType === TASK_TYPES.CONTENT_EXTRACTION && elements.mainContentCandidates?.length > 0) {
-    contextInfo += `\n=== MAIN CONTENT CANDIDATES ===\n${JSON.stringify(elements.mainContentCandidates, null, 2)}`;
-  }
-
-  // Add detected ads for ad removal and content extraction
-  if (
-    (taskType === TASK_TYPES.AD_REMOVAL || taskType === TASK_TYPES.CONTENT_EXTRACTION) &&
-    elements.suspectedAds?.length > 0
-  ) {
-    contextInfo += `\n=== DETECTED ADS (${elements.suspectedAds.length} found) ===\n${JSON.stringify(elements.suspectedAds.slice(0, CONTENT_LIMITS.adsPreviewCount), null, 2)}`;
-  }
-
-  // Add detected comments for comment removal and content extraction
-  if (
-    (taskType === TASK_TYPES.COMMENT_REMOVAL || taskType === TASK_TYPES.CONTENT_EXTRACTION) &&
-    elements.suspectedComments?.length > 0
-  ) {
-    contextInfo += `\n=== DETECTED COMMENTS (${elements.suspectedComments.length} found) ===\n${JSON.stringify(elements.suspectedComments, null, 2)}`;
-  }
-
   // Add translation data for translation tasks
   if (taskType === TASK_TYPES.TRANSLATION && translationData) {
-    contextInfo += `\n=== TRANSLATION DATA ===
+    header += `\n=== TRANSLATION DATA ===
 Target Language: ${translationData.targetLanguage}
 Number of text blocks to translate: ${translationData.textBlocks?.length || 0}
 
@@ -174,25 +354,16 @@ ${JSON.stringify(translationData.translations, null, 2)}
 ${JSON.stringify(translationData.textBlocks?.slice(0, 20), null, 2)}`;
   }
 
-  // Add headings
-  contextInfo += `\n=== HEADINGS ===\n${JSON.stringify(elements.headings, null, 2)}`;
-
-  // Add page HTML
-  contextInfo += `\n=== PAGE HTML (partial) ===\n${pageContent.html.substring(0, CONTENT_LIMITS.htmlContextLength)}`;
-
-  // Add interactive elements for element hiding and general tasks
-  if (taskType === TASK_TYPES.ELEMENT_HIDING || taskType === TASK_TYPES.GENERAL) {
-    contextInfo += `\n=== INTERACTIVE ELEMENTS ===
-Buttons: ${JSON.stringify(elements.buttons, null, 2)}
-Links (first ${CONTENT_LIMITS.linksPreviewCount}): ${JSON.stringify(elements.links.slice(0, CONTENT_LIMITS.linksPreviewCount), null, 2)}
-Inputs: ${JSON.stringify(elements.inputs, null, 2)}`;
-  }
-
-  contextInfo += `\n
+  const footer = `\n
 === IMPORTANT ===
 Generate working CSS and/or JavaScript code to fulfill the user's request.
-Use the detected elements and selectors provided above.
+Use the detected elements provided above, targeting them by ref where one is listed.
 Respond ONLY with valid JSON in the specified format.`;
 
-  return contextInfo;
+  const { text, report } = packContext(prompt, getPageContextSections(taskType, pageContent, hasScreenshot), {
+    reservedTokens: estimateTokens(header + footer),
+  });
+  console.log('[Browser Wand] Packed page context:', report.usedTokens, 'of', report.tokenBudget, 'tokens');
+
+  return { userMessage: header + text + footer, contextReport: report };
 }
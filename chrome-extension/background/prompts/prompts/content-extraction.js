@@ -22,7 +22,10 @@ CRITICAL SAFETY RULES:
 4. If content detection fails, show a warning instead of hiding everything
 
 CONTENT DETECTION STRATEGY:
-Use these selector categories in order of reliability:
+findMainContent() uses the shared article scorer (bwFindArticleRoot), which weighs text density, link density,
+paragraph count, class and id hints and DOM depth. The first MAIN CONTENT CANDIDATE (type "articleRoot") is the
+element it picks, so reader mode keeps the same content that translation and summaries use.
+If that candidate is wrong, these selector categories are the most reliable, in order:
 
 1. Schema.org / Data Attributes (most reliable):
 ${formatSelectorsForPrompt([...CONTENT_SELECTORS.schemaOrg, ...CONTENT_SELECTORS.dataAttributes])}
@@ -55,4 +58,4 @@ ${getContentExtractionScript()}
 IMPORTANT:
 1. The JavaScript above is the COMPLETE solution
 2. Return empty CSS (css: "") since styling is handled in the JS
-3. If you see specific content patterns in the page HTML, add them to CONTENT_SELECTORS`;
+3. Only if the articleRoot candidate is wrong, replace the findMainContent() call with a selector matching the page`;
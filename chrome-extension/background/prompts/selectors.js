@@ -240,6 +240,8 @@ export const MARKERS = {
   hide: 'data-bw-hide',
   adHidden: 'data-bw-ad-hidden',
   translated: 'data-bw-translated',
+  // Set by page capture on every element it reports; see bwRef in js-templates/dom-utils.js
+  elementRef: 'data-bw-ref',
 };
 
 /**
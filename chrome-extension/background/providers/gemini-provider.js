@@ -0,0 +1,102 @@
+/**
+ * Gemini provider
+ * Talks to the official Gemini API, whose request/response format is the
+ * canonical format used throughout llm-client.js
+ */
+
+import { PROVIDER_IDS, AVAILABLE_MODELS } from '../config.js';
+
+// Models that support generateContent but do not return text (speech, embeddings, attributed QA)
+const NON_TEXT_MODEL_PATTERN = /tts|audio|embedding|aqa/i;
+
+export const geminiProvider = {
+  id: PROVIDER_IDS.GEMINI,
+  name: 'Google Gemini',
+  requiresApiKey: true,
+  capabilities: {
+    searchGrounding: true,
+    imageOutput: true,
+    imageInput: true,
+    jsonMode: true,
+  },
+
+  /**
+   * Builds the HTTP request for a generateContent or streamGenerateContent call
+   * @param {Object} params - Request parameters
+   * @param {string} params.baseUrl - API base URL
+   * @param {string} params.apiKey - The API key for authentication
+   * @param {string} params.model - The model ID to use
+   * @param {Object} params.body - Gemini-format request body
+   * @param {boolean} [params.stream] - Whether to request a server-sent event stream
+   * @returns {{url: string, headers: Object, body: Object}} - The HTTP request
+   */
+  buildRequest({ baseUrl, apiKey, model, body, stream = false }) {
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    // The key goes in a header so it never shows up in URLs, logs or error messages
+    return {
+      url: `${baseUrl}/models/${model}:${method}`,
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body,
+    };
+  },
+
+  /**
+   * Gemini responses are already in the canonical format
+   * @param {Object} data - Raw API response data
+   * @returns {Object} - Gemini-format response data
+   */
+  normalizeResponse(data) {
+    return data;
+  },
+
+  /**
+   * Stream events are partial responses in the canonical format
+   * @param {Object} data - Parsed server-sent event data
+   * @returns {Object} - Gemini-format response chunk
+   */
+  normalizeStreamChunk(data) {
+    return data;
+  },
+
+  /**
+   * Builds the HTTP request that lists the models available to a key
+   * @param {Object} params - Request parameters
+   * @param {string} params.baseUrl - API base URL
+   * @param {string} params.apiKey - The API key to list models for
+   * @returns {{url: string, headers: Object}} - The HTTP request
+   */
+  buildModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: `${baseUrl}/models?pageSize=1000`,
+      headers: { 'x-goog-api-key': apiKey },
+    };
+  },
+
+  /**
+   * Maps a models list response to model descriptors
+   * The API does not report output types or grounding support, so capabilities
+   * are inferred from the model ID
+   * @param {Object} data - Raw models list response
+   * @returns {Array<Object>} - Models with id, name, description and capabilities
+   */
+  normalizeModels(data) {
+    return (data.models || [])
+      .filter((model) => model.supportedGenerationMethods?.includes('generateContent'))
+      .map((model) => {
+        const id = model.name.replace(/^models\//, '');
+        const known = AVAILABLE_MODELS.find((candidate) => candidate.id === id);
+        const outputsImages = id.includes('image');
+        return {
+          id,
+          name: known?.name || model.displayName || id,
+          description: known?.description || '',
+          capabilities: {
+            text: true,
+            image: outputsImages,
+            searchGrounding: id.startsWith('gemini-') && !outputsImages,
+          },
+        };
+      })
+      .filter((model) => !NON_TEXT_MODEL_PATTERN.test(model.id));
+  },
+};
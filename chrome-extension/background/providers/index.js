@@ -0,0 +1,34 @@
+/**
+ * LLM providers index
+ * Registry of available providers and capability lookups
+ */
+
+import { DEFAULT_PROVIDER } from '../config.js';
+import { geminiProvider } from './gemini-provider.js';
+import { openAICompatibleProvider } from './openai-compatible-provider.js';
+import { localProvider } from './local-provider.js';
+
+const PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openAICompatibleProvider.id]: openAICompatibleProvider,
+  [localProvider.id]: localProvider,
+};
+
+/**
+ * Gets a provider by ID, falling back to the default provider
+ * @param {string} providerId - The provider ID
+ * @returns {Object} - Provider definition
+ */
+export function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Checks whether a provider supports an optional capability
+ * @param {string} providerId - The provider ID
+ * @param {string} capability - Capability name from PROVIDER_CAPABILITIES
+ * @returns {boolean} - True if the capability is supported
+ */
+export function providerSupports(providerId, capability) {
+  return !!getProvider(providerId).capabilities[capability];
+}
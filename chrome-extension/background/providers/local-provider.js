@@ -0,0 +1,19 @@
+/**
+ * Local provider
+ * Targets a local Ollama or llama.cpp server through its OpenAI-compatible endpoint
+ */
+
+import { PROVIDER_IDS } from '../config.js';
+import { createOpenAICompatibleProvider } from './openai-compatible-provider.js';
+
+export const localProvider = createOpenAICompatibleProvider({
+  id: PROVIDER_IDS.LOCAL,
+  name: 'Local (Ollama / llama.cpp)',
+  requiresApiKey: false,
+  capabilities: {
+    searchGrounding: false,
+    imageOutput: false,
+    imageInput: false,
+    jsonMode: false,
+  },
+});
@@ -0,0 +1,272 @@
+/**
+ * OpenAI-compatible provider
+ * Translates Gemini-format requests to the Chat Completions API and maps the
+ * responses back, so any server exposing /chat/completions can be used
+ */
+
+import { PROVIDER_IDS } from '../config.js';
+
+const FINISH_REASON_MAP = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY',
+};
+
+/**
+ * Maps Chat Completions token usage to Gemini usage metadata
+ * @param {Object} usage - Chat Completions usage object
+ * @returns {Object} - Gemini-format usage metadata
+ */
+function normalizeUsage(usage) {
+  return {
+    promptTokenCount: usage.prompt_tokens,
+    candidatesTokenCount: usage.completion_tokens,
+    totalTokenCount: usage.total_tokens,
+  };
+}
+
+/**
+ * Converts a Gemini responseSchema to JSON Schema for response_format
+ * @param {Object} schema - Schema in the Gemini format (uppercase type names)
+ * @returns {Object} - Equivalent JSON Schema
+ */
+function toJsonSchema(schema) {
+  const type = schema.type.toLowerCase();
+  const jsonSchema = { type: schema.nullable ? [type, 'null'] : type };
+
+  ['description', 'enum', 'required', 'minItems', 'maxItems'].forEach((key) => {
+    if (schema[key] !== undefined) {
+      jsonSchema[key] = schema[key];
+    }
+  });
+  if (schema.properties) {
+    jsonSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  if (schema.items) {
+    jsonSchema.items = toJsonSchema(schema.items);
+  }
+
+  return jsonSchema;
+}
+
+/**
+ * Joins the text parts of a Gemini content object
+ * @param {Object} content - Gemini content with parts
+ * @returns {string} - Concatenated text
+ */
+function joinTextParts(content) {
+  return (content?.parts || [])
+    .filter((part) => part.text !== undefined)
+    .map((part) => part.text)
+    .join('');
+}
+
+/**
+ * Converts a Gemini content object to Chat Completions message content
+ * Inline images become data URL image_url parts next to the text
+ * @param {Object} content - Gemini content with parts
+ * @returns {string|Array<Object>} - Plain text, or content parts when the turn has images
+ */
+function toChatContent(content) {
+  const images = (content?.parts || []).filter((part) => part.inlineData);
+  if (images.length === 0) {
+    return joinTextParts(content);
+  }
+
+  return [
+    { type: 'text', text: joinTextParts(content) },
+    ...images.map(({ inlineData }) => ({
+      type: 'image_url',
+      image_url: { url: `data:${inlineData.mimeType};base64,${inlineData.data}` },
+    })),
+  ];
+}
+
+/**
+ * Converts a Gemini-format request body to Chat Completions messages
+ * @param {Object} body - Gemini-format request body
+ * @returns {Array<{role: string, content: (string|Array<Object>)}>} - Chat messages
+ */
+function toChatMessages(body) {
+  const messages = [];
+
+  const systemText = joinTextParts(body.systemInstruction);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+
+  for (const content of body.contents || []) {
+    messages.push({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: toChatContent(content),
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Creates an OpenAI-compatible provider definition
+ * @param {Object} options - Provider options
+ * @param {string} options.id - Provider ID
+ * @param {string} options.name - Display name
+ * @param {boolean} options.requiresApiKey - Whether requests need a bearer token
+ * @param {Object} options.capabilities - Supported optional features
+ * @returns {Object} - Provider definition
+ */
+export function createOpenAICompatibleProvider({ id, name, requiresApiKey, capabilities }) {
+  return {
+    id,
+    name,
+    requiresApiKey,
+    capabilities,
+
+    /**
+     * Builds the HTTP request for a chat completion call
+     * @param {Object} params - Request parameters
+     * @param {string} params.baseUrl - API base URL (e.g. https://api.openai.com/v1)
+     * @param {string} params.apiKey - The API key for authentication
+     * @param {string} params.model - The model ID to use
+     * @param {Object} params.body - Gemini-format request body
+     * @param {boolean} [params.stream] - Whether to request a server-sent event stream
+     * @returns {{url: string, headers: Object, body: Object}} - The HTTP request
+     */
+    buildRequest({ baseUrl, apiKey, model, body, stream = false }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const generationConfig = body.generationConfig || {};
+      const chatBody = {
+        model,
+        messages: toChatMessages(body),
+      };
+      if (generationConfig.maxOutputTokens !== undefined) {
+        chatBody.max_tokens = generationConfig.maxOutputTokens;
+      }
+      if (generationConfig.temperature !== undefined) {
+        chatBody.temperature = generationConfig.temperature;
+      }
+      if (generationConfig.responseSchema) {
+        chatBody.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(generationConfig.responseSchema) },
+        };
+      }
+      if (stream) {
+        chatBody.stream = true;
+        // Ask for a final chunk with token usage so streamed requests are tracked too
+        chatBody.stream_options = { include_usage: true };
+      }
+
+      return {
+        url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        headers,
+        body: chatBody,
+      };
+    },
+
+    /**
+     * Maps a Chat Completions response to the Gemini response format
+     * @param {Object} data - Raw API response data
+     * @returns {Object} - Gemini-format response data
+     */
+    normalizeResponse(data) {
+      if (data.error) {
+        return { error: data.error };
+      }
+
+      const choice = data.choices?.[0];
+      const normalized = {
+        candidates: choice
+          ? [
+              {
+                content: { role: 'model', parts: [{ text: choice.message?.content || '' }] },
+                finishReason: FINISH_REASON_MAP[choice.finish_reason] || 'STOP',
+              },
+            ]
+          : [],
+      };
+
+      if (data.usage) {
+        normalized.usageMetadata = normalizeUsage(data.usage);
+      }
+
+      return normalized;
+    },
+
+    /**
+     * Maps a streamed Chat Completions delta to a Gemini response chunk
+     * @param {Object} data - Parsed server-sent event data
+     * @returns {Object} - Gemini-format response chunk
+     */
+    normalizeStreamChunk(data) {
+      if (data.error) {
+        return { error: data.error };
+      }
+
+      const choice = data.choices?.[0];
+      if (!choice) {
+        // The usage chunk requested with stream_options has no choices
+        return data.usage ? { candidates: [], usageMetadata: normalizeUsage(data.usage) } : { candidates: [] };
+      }
+
+      const candidate = {
+        content: { role: 'model', parts: [{ text: choice.delta?.content || '' }] },
+      };
+      if (choice.finish_reason) {
+        candidate.finishReason = FINISH_REASON_MAP[choice.finish_reason] || 'STOP';
+      }
+
+      return { candidates: [candidate] };
+    },
+
+    /**
+     * Builds the HTTP request that lists the models the server offers
+     * @param {Object} params - Request parameters
+     * @param {string} params.baseUrl - API base URL
+     * @param {string} [params.apiKey] - The API key, if the server needs one
+     * @returns {{url: string, headers: Object}} - The HTTP request
+     */
+    buildModelsRequest({ baseUrl, apiKey }) {
+      return {
+        url: `${baseUrl.replace(/\/+$/, '')}/models`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      };
+    },
+
+    /**
+     * Maps a /models response to model descriptors
+     * The endpoint only lists IDs, so every model gets the provider's capabilities
+     * @param {Object} data - Raw models list response
+     * @returns {Array<Object>} - Models with id, name, description and capabilities
+     */
+    normalizeModels(data) {
+      return (data.data || []).map((model) => ({
+        id: model.id,
+        name: model.id,
+        description: '',
+        capabilities: {
+          text: true,
+          image: !!capabilities.imageOutput,
+          searchGrounding: !!capabilities.searchGrounding,
+        },
+      }));
+    },
+  };
+}
+
+export const openAICompatibleProvider = createOpenAICompatibleProvider({
+  id: PROVIDER_IDS.OPENAI_COMPATIBLE,
+  name: 'OpenAI-compatible',
+  requiresApiKey: true,
+  capabilities: {
+    searchGrounding: false,
+    imageOutput: false,
+    imageInput: true,
+    jsonMode: true,
+  },
+});
@@ -0,0 +1,86 @@
+/**
+ * Fixture store
+ * Reads fixtures packaged with the extension and keeps recorded responses in
+ * chrome.storage.local, both grouped by task type and keyed by prompt hash
+ */
+
+import { REPLAY_CONFIG } from '../config.js';
+
+// Task type -> Promise of its packaged fixture entries, loaded once per service worker lifetime
+const packagedFixtures = new Map();
+
+// Serializes read-modify-write cycles so parallel batches do not lose recordings
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the packaged fixture file for a task type
+ * @param {string} taskType - Task type
+ * @returns {Promise<Object>} - Entries keyed by prompt hash, empty if there is no file
+ */
+function loadPackagedFixtures(taskType) {
+  if (!packagedFixtures.has(taskType)) {
+    const url = chrome.runtime.getURL(`${REPLAY_CONFIG.fixturesPath}/${taskType}.json`);
+    const loading = fetch(url)
+      .then((response) => (response.ok ? response.json() : { entries: {} }))
+      .then((file) => file.entries || {})
+      .catch(() => ({}));
+    packagedFixtures.set(taskType, loading);
+  }
+  return packagedFixtures.get(taskType);
+}
+
+/**
+ * Loads all recordings
+ * @returns {Promise<Object>} - Entries keyed by task type, then prompt hash
+ */
+export async function loadRecordings() {
+  const result = await chrome.storage.local.get(REPLAY_CONFIG.recordingsKey);
+  return result[REPLAY_CONFIG.recordingsKey] || {};
+}
+
+/**
+ * Finds a fixture, preferring recordings over packaged files
+ * @param {string} taskType - Task type
+ * @param {string} hash - Prompt hash
+ * @returns {Promise<Object|null>} - Fixture entry, or null if none matches
+ */
+export async function findFixture(taskType, hash) {
+  const recordings = await loadRecordings();
+  const recorded = recordings[taskType]?.[hash];
+  if (recorded) return recorded;
+
+  const packaged = await loadPackagedFixtures(taskType);
+  return packaged[hash] || null;
+}
+
+/**
+ * Saves a recorded fixture, replacing any earlier recording of the same request
+ * @param {string} taskType - Task type
+ * @param {string} hash - Prompt hash
+ * @param {Object} entry - Fixture entry
+ * @returns {Promise<void>}
+ */
+export function saveRecording(taskType, hash, entry) {
+  writeQueue = writeQueue
+    .then(async () => {
+      const recordings = await loadRecordings();
+      recordings[taskType] = { ...recordings[taskType], [hash]: entry };
+      await chrome.storage.local.set({ [REPLAY_CONFIG.recordingsKey]: recordings });
+    })
+    .catch((error) => {
+      console.warn('[Browser Wand] Failed to save recording:', error);
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Removes all recordings
+ * @returns {Promise<number>} - Number of recordings removed
+ */
+export async function clearRecordings() {
+  const recordings = await loadRecordings();
+  const removed = Object.values(recordings).reduce((count, entries) => count + Object.keys(entries).length, 0);
+  await chrome.storage.local.remove(REPLAY_CONFIG.recordingsKey);
+  return removed;
+}
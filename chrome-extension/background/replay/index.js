@@ -0,0 +1,13 @@
+/**
+ * Replay module
+ * Record/replay LLM backend for offline development and deterministic runs
+ */
+
+export {
+  FixtureNotFoundError,
+  hashPrompt,
+  replayResponse,
+  recordResponse,
+  exportRecordedFixtures,
+  clearRecordedFixtures,
+} from './replay-backend.js';
@@ -0,0 +1,141 @@
+/**
+ * Replay backend
+ * Answers LLM requests from recorded fixtures, matched by task type and a hash
+ * of the prompt, and records live responses as new fixtures
+ */
+
+import { TASK_TYPES } from '../config.js';
+import { sha256 } from '../utils/hash.js';
+import { findFixture, saveRecording, loadRecordings, clearRecordings } from './fixture-store.js';
+
+const FIXTURE_FILE_VERSION = 1;
+
+/**
+ * Error thrown in replay mode when no fixture matches a request
+ */
+export class FixtureNotFoundError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Lookup details
+   * @param {string} details.taskType - Task type the fixture was looked up under
+   * @param {string} details.hash - Prompt hash that had no fixture
+   */
+  constructor(message, { taskType, hash }) {
+    super(message);
+    this.name = 'FixtureNotFoundError';
+    this.taskType = taskType;
+    this.hash = hash;
+  }
+}
+
+/**
+ * Gets the task type fixtures are grouped under
+ * @param {Object} session - LLM session
+ * @returns {string} - Task type
+ */
+function getFixtureTaskType(session) {
+  return session.taskType || TASK_TYPES.GENERAL;
+}
+
+/**
+ * Joins the text of a Gemini content object
+ * @param {Object} content - Gemini content with parts
+ * @returns {string} - Concatenated text
+ */
+function joinText(content) {
+  return (content?.parts || []).map((part) => part.text || '').join('');
+}
+
+/**
+ * Hashes the prompt of a request: system instruction and conversation turns
+ * Model, provider and generation settings are left out so fixtures replay under any of them
+ * @param {Object} requestBody - Gemini-format request body
+ * @returns {Promise<string>} - Prompt hash
+ */
+export function hashPrompt(requestBody) {
+  const turns = (requestBody.contents || []).map((content) => [content.role, joinText(content)]);
+  return sha256(JSON.stringify([joinText(requestBody.systemInstruction), turns]));
+}
+
+/**
+ * Returns the recorded response for a request
+ * @param {Object} session - LLM session (task type)
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @returns {Promise<Object>} - Gemini-format response data
+ * @throws {FixtureNotFoundError} - If no fixture matches the request
+ */
+export async function replayResponse(session, requestBody, label) {
+  const taskType = getFixtureTaskType(session);
+  const hash = await hashPrompt(requestBody);
+  const fixture = await findFixture(taskType, hash);
+
+  if (!fixture) {
+    console.warn(`[Browser Wand] ${label}: No fixture for`, { taskType, hash });
+    throw new FixtureNotFoundError(
+      `No recorded ${taskType} response matches this request (prompt hash ${hash.substring(0, 12)}). Record it first in Record mode.`,
+      { taskType, hash }
+    );
+  }
+
+  console.log(`[Browser Wand] ${label}: Replaying fixture`, { taskType, hash, recordedAt: fixture.synthetic ? 'synthetic' : fixture.recordedAt });
+  return fixture.response;
+}
+
+/**
+ * Records a live response as a fixture
+ * @param {Object} session - LLM session (provider and task type)
+ * @param {string} model - Model that served the request
+ * @param {Object} requestBody - Gemini-format request body
+ * @param {string} label - Name of the calling entry point
+ * @param {Object} data - Gemini-format response data
+ * @returns {Promise<void>}
+ */
+export async function recordResponse(session, model, requestBody, label, data) {
+  const taskType = getFixtureTaskType(session);
+  const hash = await hashPrompt(requestBody);
+  const lastTurn = requestBody.contents?.[requestBody.contents.length - 1];
+
+  await saveRecording(taskType, hash, {
+    label,
+    provider: session.providerId,
+    model,
+    promptPreview: joinText(lastTurn).substring(0, 200),
+    recordedAt: new Date().toISOString(),
+    response: data,
+  });
+  console.log(`[Browser Wand] ${label}: Recorded fixture`, { taskType, hash });
+}
+
+/**
+ * Builds fixture files from the recordings, one per task type
+ * @returns {Promise<Object>} - Result with {fileName, content} for each task type
+ */
+export async function exportRecordedFixtures() {
+  try {
+    const recordings = await loadRecordings();
+    const files = Object.entries(recordings).map(([taskType, entries]) => ({
+      fileName: `${taskType}.json`,
+      content: JSON.stringify({ version: FIXTURE_FILE_VERSION, taskType, entries }, null, 2),
+    }));
+    return { success: true, data: { files } };
+  } catch (error) {
+    console.error('[Browser Wand] exportRecordedFixtures error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Removes all recordings
+ * @returns {Promise<Object>} - Result with the number of recordings removed
+ */
+export async function clearRecordedFixtures() {
+  try {
+    const removed = await clearRecordings();
+    console.log('[Browser Wand] Recordings cleared:', removed);
+    return { success: true, data: { removed } };
+  } catch (error) {
+    console.error('[Browser Wand] clearRecordedFixtures error:', error);
+    return { success: false, error: error.message };
+  }
+}
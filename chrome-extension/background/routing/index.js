@@ -0,0 +1,6 @@
+/**
+ * Routing module
+ * Per-task model and generation parameter routing
+ */
+
+export { loadTaskRouting, resolveTaskRoute, getTaskRouting, saveTaskRouting } from './task-routing.js';
@@ -0,0 +1,109 @@
+/**
+ * Task routing
+ * Maps each task type to a model and generation parameters, starting from
+ * TASK_ROUTING_CONFIG.defaults with the overrides saved from the popup settings
+ */
+
+import { TASK_ROUTING_CONFIG, TASK_TYPES } from '../config.js';
+
+/**
+ * Parses a number from the settings, clamped to a range
+ * @param {*} value - Raw value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {boolean} integer - Whether to round to a whole number
+ * @returns {number|null} - Clamped number, or null if the value is empty or not a number
+ */
+function parseBounded(value, min, max, integer) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = integer ? Math.round(Number(value)) : Number(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Cleans a route from the settings, falling back to the defaults for invalid fields
+ * @param {Object} route - Route from the popup
+ * @param {Object} defaults - Default route for the task type
+ * @returns {Object} - Route with model, temperature, maxOutputTokens and thinkingBudget
+ */
+function sanitizeRoute(route, defaults) {
+  const temperature = parseBounded(route.temperature, 0, TASK_ROUTING_CONFIG.maxTemperature, false);
+  const maxOutputTokens = parseBounded(route.maxOutputTokens, 1, TASK_ROUTING_CONFIG.maxOutputTokens, true);
+
+  return {
+    model: typeof route.model === 'string' ? route.model.trim() : defaults.model,
+    temperature: temperature ?? defaults.temperature,
+    maxOutputTokens: maxOutputTokens ?? defaults.maxOutputTokens,
+    // Empty means the model default; -1 asks Gemini for a dynamic budget
+    thinkingBudget: parseBounded(route.thinkingBudget, -1, TASK_ROUTING_CONFIG.maxThinkingBudget, true),
+  };
+}
+
+/**
+ * Loads the routing table
+ * @returns {Promise<Object>} - Route for every task type
+ */
+export async function loadTaskRouting() {
+  const result = await chrome.storage.local.get(TASK_ROUTING_CONFIG.storageKey);
+  const overrides = result[TASK_ROUTING_CONFIG.storageKey] || {};
+
+  return Object.fromEntries(
+    Object.entries(TASK_ROUTING_CONFIG.defaults).map(([taskType, defaults]) => [
+      taskType,
+      { ...defaults, ...overrides[taskType] },
+    ])
+  );
+}
+
+/**
+ * Gets the route for a task type
+ * @param {Object} routing - Routing table from loadTaskRouting
+ * @param {string} [taskType] - Task type (defaults to GENERAL)
+ * @returns {Object} - Route with model, temperature, maxOutputTokens and thinkingBudget
+ */
+export function resolveTaskRoute(routing, taskType) {
+  return routing[taskType] || routing[TASK_TYPES.GENERAL];
+}
+
+/**
+ * Gets the routing table and its defaults for the popup settings
+ * @returns {Promise<Object>} - Result with routes and defaults keyed by task type
+ */
+export async function getTaskRouting() {
+  try {
+    const routes = await loadTaskRouting();
+    return { success: true, data: { routes, defaults: TASK_ROUTING_CONFIG.defaults } };
+  } catch (error) {
+    console.error('[Browser Wand] getTaskRouting error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Saves routing overrides from the popup settings
+ * @param {Object} payload - The request payload
+ * @param {Object|null} payload.routes - Routes keyed by task type; null restores the defaults
+ * @returns {Promise<Object>} - Result with the saved routing table
+ */
+export async function saveTaskRouting({ routes }) {
+  try {
+    if (!routes) {
+      await chrome.storage.local.remove(TASK_ROUTING_CONFIG.storageKey);
+    } else {
+      const overrides = {};
+      Object.entries(TASK_ROUTING_CONFIG.defaults).forEach(([taskType, defaults]) => {
+        if (routes[taskType]) {
+          overrides[taskType] = sanitizeRoute(routes[taskType], defaults);
+        }
+      });
+      await chrome.storage.local.set({ [TASK_ROUTING_CONFIG.storageKey]: overrides });
+    }
+
+    console.log('[Browser Wand] Task routing saved:', routes ? 'custom' : 'defaults');
+    return { success: true, data: { routes: await loadTaskRouting() } };
+  } catch (error) {
+    console.error('[Browser Wand] saveTaskRouting error:', error);
+    return { success: false, error: error.message };
+  }
+}
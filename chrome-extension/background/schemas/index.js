@@ -0,0 +1,7 @@
+/**
+ * Response schemas module
+ * Structured output schemas and validation for LLM responses
+ */
+
+export { RESPONSE_SCHEMAS, buildTranslationSchema, buildIntentClassificationSchema } from './response-schemas.js';
+export { SchemaValidationError, validateSchema, parseStructuredResponse } from './schema-validator.js';
@@ -0,0 +1,158 @@
+/**
+ * Response schemas
+ * Structured output schemas per task, in the Gemini responseSchema format
+ * (an OpenAPI subset). The same schema is sent with the request and used to
+ * validate the parsed response.
+ */
+
+const STRING = { type: 'STRING' };
+
+const MODIFICATION_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    code: { type: 'STRING', description: 'JavaScript code to run on the page, or an empty string' },
+    css: { type: 'STRING', description: 'CSS rules to inject, or an empty string' },
+    explanation: { type: 'STRING', description: 'Brief explanation of what changes were made' },
+  },
+  required: ['code', 'css', 'explanation'],
+};
+
+const PRODUCT_SEARCH_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    type: { type: 'STRING', enum: ['products'] },
+    summary: STRING,
+    results: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: STRING,
+          price: { type: 'STRING', description: 'Price with currency symbol, or an empty string' },
+          source: STRING,
+          description: STRING,
+        },
+        required: ['title', 'price', 'source'],
+      },
+    },
+  },
+  required: ['type', 'summary', 'results'],
+};
+
+const INFORMATION_SEARCH_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    type: { type: 'STRING', enum: ['information'] },
+    summary: STRING,
+    keyPoints: { type: 'ARRAY', items: STRING },
+    sources: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: STRING,
+          url: STRING,
+          snippet: STRING,
+        },
+        required: ['title'],
+      },
+    },
+  },
+  required: ['type', 'summary', 'keyPoints', 'sources'],
+};
+
+const NEWS_TIMELINE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    type: { type: 'STRING', enum: ['news_timeline'] },
+    topic: STRING,
+    backgroundSummary: STRING,
+    currentStatus: STRING,
+    timeline: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          date: STRING,
+          title: STRING,
+          description: STRING,
+          source: STRING,
+          url: STRING,
+          importance: { type: 'STRING', enum: ['high', 'medium', 'low'] },
+        },
+        required: ['date', 'title', 'description'],
+      },
+    },
+    sources: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: STRING,
+          url: STRING,
+        },
+        required: ['title'],
+      },
+    },
+  },
+  required: ['type', 'topic', 'backgroundSummary', 'currentStatus', 'timeline', 'sources'],
+};
+
+/**
+ * Named schemas; the name is used in validation error messages
+ */
+export const RESPONSE_SCHEMAS = {
+  MODIFICATION: { name: 'modification', schema: MODIFICATION_SCHEMA },
+  PRODUCT_SEARCH: { name: 'product search', schema: PRODUCT_SEARCH_SCHEMA },
+  INFORMATION_SEARCH: { name: 'information search', schema: INFORMATION_SEARCH_SCHEMA },
+  NEWS_TIMELINE: { name: 'news timeline', schema: NEWS_TIMELINE_SCHEMA },
+};
+
+/**
+ * Builds the translation schema for a batch
+ * The array sits under an object key because some providers only accept object roots
+ * @param {number} count - Number of text blocks in the batch
+ * @returns {Object} - Named translation schema requiring exactly `count` strings
+ */
+export function buildTranslationSchema(count) {
+  return {
+    name: 'translation',
+    schema: {
+      type: 'OBJECT',
+      properties: {
+        translations: { type: 'ARRAY', items: STRING, minItems: count, maxItems: count },
+      },
+      required: ['translations'],
+    },
+  };
+}
+
+/**
+ * Builds the intent classification schema
+ * @param {string[]} taskTypes - Task types the classifier may choose from
+ * @returns {Object} - Named schema for a task type, a confidence and ranked alternatives
+ */
+export function buildIntentClassificationSchema(taskTypes) {
+  const taskType = { type: 'STRING', enum: taskTypes };
+  const confidence = { type: 'NUMBER', description: 'How sure the classification is, from 0 to 1' };
+
+  return {
+    name: 'intent classification',
+    schema: {
+      type: 'OBJECT',
+      properties: {
+        taskType,
+        confidence,
+        alternatives: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: { taskType, confidence },
+            required: ['taskType', 'confidence'],
+          },
+        },
+      },
+      required: ['taskType', 'confidence', 'alternatives'],
+    },
+  };
+}
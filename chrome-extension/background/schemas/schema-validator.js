@@ -0,0 +1,152 @@
+/**
+ * Schema validator
+ * Parses LLM JSON output and checks it against a response schema
+ */
+
+/**
+ * Error thrown when an LLM response is not valid JSON or does not match its schema
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.schemaName - Name of the expected schema
+   * @param {string[]} details.issues - What was wrong, one entry per problem
+   * @param {string} details.rawText - The response text that failed
+   */
+  constructor(message, { schemaName, issues, rawText }) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.issues = issues;
+    this.rawText = rawText;
+  }
+}
+
+// Stop collecting after this many issues; the first few explain the failure
+const MAX_ISSUES = 10;
+
+/**
+ * Returns the schema type name of a JSON value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} - Schema type (OBJECT, ARRAY, STRING, NUMBER, INTEGER, BOOLEAN or NULL)
+ */
+function getValueType(value) {
+  if (value === null) return 'NULL';
+  if (Array.isArray(value)) return 'ARRAY';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'NUMBER';
+  return (typeof value).toUpperCase();
+}
+
+/**
+ * Checks a value's type against the schema type; integers also satisfy NUMBER
+ * @param {*} value - Parsed JSON value
+ * @param {string} schemaType - Schema type name
+ * @returns {boolean} - True if the type matches
+ */
+function matchesType(value, schemaType) {
+  const expected = schemaType.toUpperCase();
+  const actual = getValueType(value);
+  return actual === expected || (expected === 'NUMBER' && actual === 'INTEGER');
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema in the Gemini responseSchema format
+ * @param {string} [path] - Path of the value, for issue messages
+ * @param {string[]} [issues] - Issues found so far
+ * @returns {string[]} - Issues found, empty if the value is valid
+ */
+export function validateSchema(value, schema, path = '$', issues = []) {
+  if (issues.length >= MAX_ISSUES) return issues;
+
+  if (value === null || value === undefined) {
+    if (!schema.nullable) {
+      issues.push(`${path}: expected ${schema.type.toLowerCase()}, got ${value === null ? 'null' : 'nothing'}`);
+    }
+    return issues;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    issues.push(`${path}: expected ${schema.type.toLowerCase()}, got ${getValueType(value).toLowerCase()}`);
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push(`${path}: expected one of ${schema.enum.join(', ')}, got "${value}"`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      issues.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, issues));
+    }
+    return issues;
+  }
+
+  if (schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        issues.push(`${path}.${key}: missing required field`);
+      }
+    }
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        validateSchema(value[key], propertySchema, `${path}.${key}`, issues);
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Removes a markdown code block wrapper, which providers without a JSON mode may add
+ * @param {string} text - Raw response text
+ * @returns {string} - Text inside the code block, or the trimmed input
+ */
+function stripJsonCodeBlock(text) {
+  const trimmed = text.trim();
+  const codeBlockMatch = trimmed.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+  return codeBlockMatch ? codeBlockMatch[1].trim() : trimmed;
+}
+
+/**
+ * Parses an LLM response and validates it against a named schema
+ * @param {string} text - Raw response text
+ * @param {{name: string, schema: Object}} responseSchema - Named schema from RESPONSE_SCHEMAS
+ * @returns {*} - The parsed, valid value
+ * @throws {SchemaValidationError} - If the text is not JSON or does not match the schema
+ */
+export function parseStructuredResponse(text, responseSchema) {
+  const { name, schema } = responseSchema;
+
+  let value;
+  try {
+    value = JSON.parse(stripJsonCodeBlock(text));
+  } catch (error) {
+    throw new SchemaValidationError(`The AI returned an invalid ${name} response (not valid JSON)`, {
+      schemaName: name,
+      issues: [error.message],
+      rawText: text,
+    });
+  }
+
+  const issues = validateSchema(value, schema);
+  if (issues.length > 0) {
+    console.warn(`[Browser Wand] parseStructuredResponse: ${name} response failed validation:`, issues);
+    throw new SchemaValidationError(`The AI returned an invalid ${name} response (${issues[0]})`, {
+      schemaName: name,
+      issues,
+      rawText: text,
+    });
+  }
+
+  return value;
+}
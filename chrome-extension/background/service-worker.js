@@ -6,6 +6,26 @@
 console.log('[Browser Wand] Service Worker initializing...');
 
 import { modifyPage } from './handlers/modify-page.js';
+import { handleChatFollowUp } from './handlers/chat-follow-up.js';
+import { executeCodeInPage } from './page-executor.js';
+import { clearResponseCache } from './cache/index.js';
+import { exportRecordedFixtures, clearRecordedFixtures } from './replay/index.js';
+import { getUsageSummary, getModelPricing } from './usage/index.js';
+import {
+  getKeyProfiles,
+  unlockKeyVault,
+  lockKeyVault,
+  resetKeyVault,
+  saveKeyProfile,
+  deleteKeyProfile,
+  setActiveKeyProfile,
+} from './credentials/index.js';
+import { getTaskRouting, saveTaskRouting } from './routing/index.js';
+import { listModels } from './models/index.js';
+import { classifyIntent } from './classification/index.js';
+import { listSlashCommands } from './commands/index.js';
+import { clearConversation, handleTabUpdated } from './conversations/index.js';
+import { classifyError } from './errors.js';
 
 console.log('[Browser Wand] Service Worker imports loaded successfully');
 
@@ -13,51 +33,31 @@ const MESSAGE_TYPES = {
   MODIFY_PAGE: 'MODIFY_PAGE',
   EXECUTE_CODE: 'EXECUTE_CODE',
   LOAD_EXTERNAL_SCRIPT: 'LOAD_EXTERNAL_SCRIPT',
+  CANCEL_REQUEST: 'CANCEL_REQUEST',
+  CLEAR_CACHE: 'CLEAR_CACHE',
+  GET_USAGE_SUMMARY: 'GET_USAGE_SUMMARY',
+  GET_MODEL_PRICING: 'GET_MODEL_PRICING',
+  EXPORT_RECORDED_FIXTURES: 'EXPORT_RECORDED_FIXTURES',
+  CLEAR_RECORDED_FIXTURES: 'CLEAR_RECORDED_FIXTURES',
+  GET_KEY_PROFILES: 'GET_KEY_PROFILES',
+  UNLOCK_KEY_VAULT: 'UNLOCK_KEY_VAULT',
+  LOCK_KEY_VAULT: 'LOCK_KEY_VAULT',
+  RESET_KEY_VAULT: 'RESET_KEY_VAULT',
+  SAVE_KEY_PROFILE: 'SAVE_KEY_PROFILE',
+  DELETE_KEY_PROFILE: 'DELETE_KEY_PROFILE',
+  SET_ACTIVE_KEY_PROFILE: 'SET_ACTIVE_KEY_PROFILE',
+  GET_TASK_ROUTING: 'GET_TASK_ROUTING',
+  SAVE_TASK_ROUTING: 'SAVE_TASK_ROUTING',
+  LIST_MODELS: 'LIST_MODELS',
+  CLASSIFY_TASK: 'CLASSIFY_TASK',
+  LIST_SLASH_COMMANDS: 'LIST_SLASH_COMMANDS',
+  CHAT_FOLLOW_UP: 'CHAT_FOLLOW_UP',
 };
 
 /**
- * Executes code in the page's main world using chrome.scripting.executeScript
- * This bypasses page CSP restrictions by injecting a script element into the page
- * @param {number} tabId - The tab ID to execute in
- * @param {string} code - The JavaScript code to execute
- * @returns {Promise<Object>} - Execution result
+ * Abort controllers for in-flight MODIFY_PAGE requests, keyed by popup request ID
  */
-async function executeCodeInPage(tabId, code) {
-  try {
-    // Use chrome.scripting.executeScript with a static function that receives code as argument
-    // The function creates a script element to execute the code, which bypasses CSP
-    const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      world: 'MAIN',
-      args: [code],
-      func: (codeToExecute) => {
-        try {
-          // Create a script element and inject it into the page
-          // This executes in the page's context and bypasses extension CSP
-          const script = document.createElement('script');
-          script.textContent = codeToExecute;
-          document.documentElement.appendChild(script);
-          script.remove();
-          return { success: true };
-        } catch (error) {
-          console.error('Browser Wand: Code execution error:', error);
-          return { success: false, error: error.message };
-        }
-      },
-    });
-
-    console.log('[Browser Wand] executeCodeInPage results:', results);
-
-    if (results && results.length > 0 && results[0].result) {
-      return results[0].result;
-    }
-
-    return { success: true };
-  } catch (error) {
-    console.error('[Browser Wand] executeCodeInPage error:', error);
-    return { success: false, error: error.message };
-  }
-}
+const activeRequests = new Map();
 
 /**
  * Loads an external script into the page's main world
@@ -87,8 +87,65 @@ async function loadExternalScript(tabId, url) {
   }
 }
 
+/**
+ * Runs a page modification that the popup can cancel with CANCEL_REQUEST
+ * @param {Object} payload - MODIFY_PAGE payload, including an optional requestId
+ * @returns {Promise<Object>} - Modification result
+ */
+async function runCancellableModifyPage(payload) {
+  const controller = new AbortController();
+  const { requestId } = payload;
+  if (requestId) {
+    activeRequests.set(requestId, controller);
+  }
+
+  try {
+    return await modifyPage({ ...payload, signal: controller.signal });
+  } finally {
+    if (requestId) {
+      activeRequests.delete(requestId);
+    }
+  }
+}
+
+/**
+ * Aborts an in-flight request
+ * @param {Object} payload - The request payload
+ * @param {string} payload.requestId - ID the popup sent with MODIFY_PAGE
+ * @returns {Object} - Result indicating whether a request was cancelled
+ */
+function cancelRequest({ requestId }) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) {
+    return { success: false, error: 'Request is not running' };
+  }
+
+  console.log('[Browser Wand] Cancelling request:', requestId);
+  controller.abort();
+  activeRequests.delete(requestId);
+  return { success: true };
+}
+
 const messageHandlers = {
-  [MESSAGE_TYPES.MODIFY_PAGE]: modifyPage,
+  [MESSAGE_TYPES.MODIFY_PAGE]: runCancellableModifyPage,
+  [MESSAGE_TYPES.CANCEL_REQUEST]: cancelRequest,
+  [MESSAGE_TYPES.CLEAR_CACHE]: clearResponseCache,
+  [MESSAGE_TYPES.GET_USAGE_SUMMARY]: getUsageSummary,
+  [MESSAGE_TYPES.GET_MODEL_PRICING]: getModelPricing,
+  [MESSAGE_TYPES.EXPORT_RECORDED_FIXTURES]: exportRecordedFixtures,
+  [MESSAGE_TYPES.CLEAR_RECORDED_FIXTURES]: clearRecordedFixtures,
+  [MESSAGE_TYPES.GET_KEY_PROFILES]: getKeyProfiles,
+  [MESSAGE_TYPES.UNLOCK_KEY_VAULT]: unlockKeyVault,
+  [MESSAGE_TYPES.LOCK_KEY_VAULT]: lockKeyVault,
+  [MESSAGE_TYPES.RESET_KEY_VAULT]: resetKeyVault,
+  [MESSAGE_TYPES.SAVE_KEY_PROFILE]: saveKeyProfile,
+  [MESSAGE_TYPES.DELETE_KEY_PROFILE]: deleteKeyProfile,
+  [MESSAGE_TYPES.SET_ACTIVE_KEY_PROFILE]: setActiveKeyProfile,
+  [MESSAGE_TYPES.GET_TASK_ROUTING]: getTaskRouting,
+  [MESSAGE_TYPES.SAVE_TASK_ROUTING]: saveTaskRouting,
+  [MESSAGE_TYPES.LIST_MODELS]: listModels,
+  [MESSAGE_TYPES.CLASSIFY_TASK]: classifyIntent,
+  [MESSAGE_TYPES.LIST_SLASH_COMMANDS]: listSlashCommands,
 };
 
 /**
@@ -113,7 +170,7 @@ async function handleMessage(message) {
     return result;
   } catch (error) {
     console.error('[Browser Wand] Handler error:', error);
-    return { success: false, error: error.message || 'Unknown error occurred' };
+    return { success: false, errorCode: classifyError(error), error: error.message || 'Unknown error occurred' };
   }
 }
 
@@ -171,6 +228,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Handle CHAT_FOLLOW_UP - questions from the chat form of a modal, answered in the sender's tab
+  if (message.type === MESSAGE_TYPES.CHAT_FOLLOW_UP) {
+    (async () => {
+      try {
+        const tabId = sender.tab?.id;
+        if (!tabId) {
+          sendResponse({ success: false, error: 'No tab ID available' });
+          return;
+        }
+        // The chat form lives in the top frame; content scripts of other frames never get the token
+        if (sender.frameId !== 0) {
+          sendResponse({ success: false, error: 'Follow-up questions are only accepted from the top frame' });
+          return;
+        }
+        const { question, chatToken } = message.payload;
+        const result = await handleChatFollowUp({ tabId, question, chatToken });
+        sendResponse(result);
+      } catch (error) {
+        console.error('[Browser Wand] CHAT_FOLLOW_UP error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
   // Handle the message asynchronously
   (async () => {
     try {
@@ -187,4 +269,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// Follow-up conversations last until the tab navigates away or closes
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  handleTabUpdated(tabId, changeInfo).catch((error) => {
+    console.error('[Browser Wand] Could not end conversation:', error);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearConversation(tabId).catch((error) => {
+    console.error('[Browser Wand] Could not end conversation:', error);
+  });
+});
+
 console.log('[Browser Wand] Service Worker fully initialized and message listener registered');
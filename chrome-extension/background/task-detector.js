@@ -1,9 +1,12 @@
 /**
  * Task type detection module
  * Analyzes user prompts to determine the appropriate modification strategy
+ * Prompts in a language with a localized rule set (see task-rules/) are matched against
+ * those rules first, and against the English rules when none of them match
  */
 
-import { TASK_TYPES } from './config.js';
+import { TASK_TYPES, CLASSIFIER_CONFIG } from './config.js';
+import { detectPromptLanguage, getLocalizedTaskRules, foldAccents, findLanguageName } from './task-rules/index.js';
 
 const CONTENT_EXTRACTION_PATTERNS = [
   /only\s+(show|display|keep)\s+(the\s+)?(main\s+)?(article|content|text|story|body)/,
@@ -39,6 +42,12 @@ const COMMENT_KEYWORDS = ['comment', 'discussion', 'disqus', 'reply', 'replies']
 const STYLING_KEYWORDS = ['dark', 'light', 'theme', 'color', 'background', 'font'];
 const CONTENT_PROTECTION_KEYWORDS = ['article', 'content', 'main', 'text', 'story'];
 
+// Ad and comment keywords only ask for removal next to one of these ("make the ads area dark" does not)
+const REMOVAL_ACTION_PATTERN = /\b(?:hide|remove|delete|block|get\s+rid|no|without|disable|strip)\b/;
+
+// Endings a keyword may take and still count as the same word ("ads", "sponsored", "comments")
+const KEYWORD_SUFFIX = '(?:s|es|ed|ing)?';
+
 const THEMATIC_RESKINNING_PATTERNS = [
   /(?:make|turn|transform|convert|style|reskin|restyle)\s+(?:this|the)?\s*(?:page|site|website)?\s*(?:look|appear|seem)?\s*(?:like|into|as)\s+(?:a\s+)?(?:\d+s\s+)?(?:cyberpunk|retro|vintage|hacker|terminal|matrix|neon|synthwave|vaporwave|steampunk|gothic|medieval|futuristic|sci[\s-]?fi|newspaper|magazine|comic|cartoon|anime|children'?s?\s*book|storybook|fairy\s*tale|minimalist|brutalist|art\s*deco|art\s*nouveau|victorian|renaissance|baroque|pixel|8[\s-]?bit|90s|80s|70s|60s|nostalgic|old[\s-]?school|grunge|punk|pastel|cozy|warm|cold|dark|horror|spooky|halloween|christmas|festive|tropical|beach|forest|nature|ocean|space|cosmic|galactic)/i,
   /(?:cyberpunk|retro|vintage|hacker|terminal|matrix|neon|synthwave|vaporwave|steampunk|gothic|medieval|futuristic|sci[\s-]?fi|newspaper|magazine|comic|cartoon|anime|children'?s?\s*book|storybook|fairy\s*tale|minimalist|brutalist|art\s*deco|art\s*nouveau|victorian|renaissance|baroque|pixel|8[\s-]?bit|90s|80s|70s|60s|nostalgic|old[\s-]?school|grunge|punk|pastel|cozy|warm|cold|dark|horror|spooky|halloween|christmas|festive|tropical|beach|forest|nature|ocean|space|cosmic|galactic)\s+(?:style|theme|look|aesthetic|vibe|mood|feel|design|reskin)/i,
@@ -49,6 +58,7 @@ const THEMATIC_RESKINNING_PATTERNS = [
 
 const THEMATIC_RESKINNING_KEYWORDS = [
   'look like a',
+  'look like an',
   'style like',
   'reskin',
   'restyle',
@@ -250,24 +260,35 @@ const SUPPORTED_LANGUAGES = [
   'indonesian', 'malay', 'dutch', 'polish', 'turkish', 'hebrew', 'greek',
 ];
 
-/**
- * Checks if the prompt matches content extraction patterns
- */
-function isContentExtractionRequest(prompt) {
-  for (const pattern of CONTENT_EXTRACTION_PATTERNS) {
-    if (pattern.test(prompt)) {
-      return true;
-    }
-  }
-
-  for (const keyword of CONTENT_EXTRACTION_KEYWORDS) {
-    if (prompt.includes(keyword)) {
-      return true;
-    }
-  }
+// Confidence of a single rule: a pattern describes the whole request, a keyword only hints at it
+const RULE_WEIGHTS = {
+  PATTERN: 0.9,
+  KEYWORD: 0.7,
+  PARTIAL_KEYWORD: 0.4,   // Keyword without the action it needs ("ads" without "remove"), or a bare hiding word
+  NO_MATCH: 0.5,          // Nothing matched, so the request falls back to GENERAL
+};
+
+// Order in which detectTaskType breaks ties between equally strong rules, also used for the localized rule sets
+const TASK_PRIORITY = [
+  TASK_TYPES.MAGIC_BAR,
+  TASK_TYPES.TRANSLATION,
+  TASK_TYPES.SUMMARIZE,
+  TASK_TYPES.ANALYZE,
+  TASK_TYPES.CONTENT_EXTRACTION,
+  TASK_TYPES.AD_REMOVAL,
+  TASK_TYPES.COMMENT_REMOVAL,
+  TASK_TYPES.THEMATIC_RESKINNING,
+  TASK_TYPES.STYLING,
+  TASK_TYPES.ELEMENT_HIDING,
+];
 
-  return false;
-}
+// Task types whose rules can match the same request without contradicting each other
+const COMPATIBLE_TASK_TYPES = [
+  [TASK_TYPES.ELEMENT_HIDING, TASK_TYPES.AD_REMOVAL],
+  [TASK_TYPES.ELEMENT_HIDING, TASK_TYPES.COMMENT_REMOVAL],
+  [TASK_TYPES.ELEMENT_HIDING, TASK_TYPES.CONTENT_EXTRACTION],
+  [TASK_TYPES.STYLING, TASK_TYPES.THEMATIC_RESKINNING],
+];
 
 /**
  * Checks if the prompt is a "remove everything except" pattern
@@ -290,6 +311,14 @@ function containsKeyword(prompt, keywords) {
   return keywords.some((keyword) => prompt.includes(keyword));
 }
 
+/**
+ * Checks if the prompt contains any keywords from a list as whole words
+ * ("ad" matches "ads" but not "add" or "header")
+ */
+function containsWord(prompt, keywords) {
+  return keywords.some((keyword) => new RegExp(`\\b${escapeRegExp(keyword)}${KEYWORD_SUFFIX}\\b`).test(prompt));
+}
+
 /**
  * Checks if the prompt is a general element hiding request
  * (not targeting content-related elements)
@@ -297,7 +326,7 @@ function containsKeyword(prompt, keywords) {
 function isElementHidingRequest(prompt) {
   const hasHideAction =
     prompt.includes('hide') || prompt.includes('remove') || prompt.includes('delete');
-  const targetsContent = containsKeyword(prompt, CONTENT_PROTECTION_KEYWORDS);
+  const targetsContent = containsWord(prompt, CONTENT_PROTECTION_KEYWORDS);
 
   return hasHideAction && !targetsContent;
 }
@@ -315,25 +344,6 @@ function isGeneralHidingRequest(prompt) {
   );
 }
 
-/**
- * Checks if the prompt is a translation request
- */
-function isTranslationRequest(prompt) {
-  for (const pattern of TRANSLATION_PATTERNS) {
-    if (pattern.test(prompt)) {
-      return true;
-    }
-  }
-
-  for (const keyword of TRANSLATION_KEYWORDS) {
-    if (prompt.includes(keyword)) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
 /**
  * Checks if the prompt indicates user wants content inserted INTO the page (not in popup)
  */
@@ -373,66 +383,20 @@ function isSummarizeRequest(prompt) {
 }
 
 /**
- * Checks if the prompt is an analyze request
- */
-function isAnalyzeRequest(prompt) {
-  for (const pattern of ANALYZE_PATTERNS) {
-    if (pattern.test(prompt)) {
-      return true;
-    }
-  }
-
-  for (const keyword of ANALYZE_KEYWORDS) {
-    if (prompt.includes(keyword)) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-/**
- * Checks if the prompt is a Magic Bar search request
- * Magic Bar is a universal search feature that uses Google Search grounding
- */
-function isMagicBarRequest(prompt) {
-  for (const pattern of MAGIC_BAR_PATTERNS) {
-    if (pattern.test(prompt)) {
-      return true;
-    }
-  }
-
-  for (const keyword of MAGIC_BAR_KEYWORDS) {
-    if (prompt.includes(keyword)) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-/**
- * Checks if the prompt is a thematic reskinning request
- * (transforming the page to match a specific mood, era, or aesthetic)
+ * Lowercases a prompt for a localized rule set, removing accents if the rule set is written without them
+ * @param {string} prompt - The user's request
+ * @param {Object} ruleSet - Localized rule set
+ * @returns {string} - Prompt as the rule set's patterns expect it
  */
-function isThematicReskinningRequest(prompt) {
-  for (const pattern of THEMATIC_RESKINNING_PATTERNS) {
-    if (pattern.test(prompt)) {
-      return true;
-    }
-  }
-
-  for (const keyword of THEMATIC_RESKINNING_KEYWORDS) {
-    if (prompt.includes(keyword)) {
-      return true;
-    }
-  }
-
-  return false;
+function normalizeForRuleSet(prompt, ruleSet) {
+  const lowerPrompt = prompt.toLowerCase();
+  return ruleSet.foldAccents ? foldAccents(lowerPrompt) : lowerPrompt;
 }
 
 /**
  * Extracts target language from the prompt
+ * Language names may be in English, in the prompt's language ("traduce al inglés",
+ * "翻译成英文") or in the language itself ("español", "中文")
  * @param {string} prompt - The user's request
  * @returns {string|null} - The detected target language or null
  */
@@ -449,13 +413,25 @@ export function extractTargetLanguage(prompt) {
     }
   }
 
+  const ruleSet = getLocalizedTaskRules(detectPromptLanguage(prompt));
+  if (ruleSet) {
+    const localizedPrompt = normalizeForRuleSet(prompt, ruleSet);
+    for (const pattern of ruleSet.targetLanguagePatterns) {
+      const match = localizedPrompt.match(pattern);
+      const language = match && findLanguageName(match[1], { atStart: true });
+      if (language) {
+        return language;
+      }
+    }
+  }
+
   for (const lang of SUPPORTED_LANGUAGES) {
     if (lowerPrompt.includes(lang)) {
       return lang.charAt(0).toUpperCase() + lang.slice(1);
     }
   }
 
-  return null;
+  return findLanguageName(prompt);
 }
 
 /**
@@ -464,68 +440,149 @@ export function extractTargetLanguage(prompt) {
  * @returns {string} - The detected task type
  */
 export function detectTaskType(prompt) {
-  const lowerPrompt = prompt.toLowerCase();
-
-  // Priority 1: Magic Bar request (universal web search feature)
-  if (isMagicBarRequest(lowerPrompt)) {
-    return TASK_TYPES.MAGIC_BAR;
-  }
-
-  // Priority 2: Translation request
-  if (isTranslationRequest(lowerPrompt)) {
-    return TASK_TYPES.TRANSLATION;
-  }
-
-  // Priority 3: Summarize request
-  if (isSummarizeRequest(lowerPrompt)) {
-    return TASK_TYPES.SUMMARIZE;
-  }
+  // English words in a localized prompt are often substrings of other words ("ad" in "todas"),
+  // so the English rules only run when the prompt's own rules find nothing
+  const matches = getLocalizedRuleMatches(prompt) || getRuleMatches(prompt.toLowerCase());
+  return findStrongestMatch(matches) || TASK_TYPES.GENERAL;
+}
 
-  // Priority 4: Analyze request (questions and analysis about the page)
-  if (isAnalyzeRequest(lowerPrompt)) {
-    return TASK_TYPES.ANALYZE;
-  }
+/**
+ * Picks the task type whose rules match the prompt most strongly
+ * @param {Map<string, number>} matches - Rule weight by task type
+ * @returns {string|null} - Task type, the first in TASK_PRIORITY among equally strong ones,
+ *   or null if nothing matched
+ */
+function findStrongestMatch(matches) {
+  return TASK_PRIORITY.reduce(
+    (strongest, taskType) => ((matches.get(taskType) || 0) > (matches.get(strongest) || 0) ? taskType : strongest),
+    null
+  );
+}
 
-  // Priority 5: Content extraction (most specific)
-  if (isContentExtractionRequest(lowerPrompt)) {
-    return TASK_TYPES.CONTENT_EXTRACTION;
-  }
+/**
+ * Escapes a keyword for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-  // Priority 6: Remove except pattern (treat as content extraction)
-  if (isRemoveExceptPattern(lowerPrompt)) {
-    return TASK_TYPES.CONTENT_EXTRACTION;
+/**
+ * Weighs how strongly a rule's patterns and keywords match the prompt
+ * @param {string} prompt - Lowercased prompt
+ * @param {RegExp[]} patterns - Patterns describing a whole request
+ * @param {string[]} keywords - Keywords hinting at the request
+ * @param {boolean} [wordBoundaries] - Whether keywords must be whole words to count
+ * @returns {number} - A RULE_WEIGHTS value, or 0 if nothing matched
+ */
+function getRuleWeight(prompt, patterns, keywords, wordBoundaries = true) {
+  if (patterns.some((pattern) => pattern.test(prompt))) {
+    return RULE_WEIGHTS.PATTERN;
   }
+  // Languages written without spaces have no word boundaries, so any keyword found counts
+  const matchesKeyword = wordBoundaries ? containsWord(prompt, keywords) : containsKeyword(prompt, keywords);
+  return matchesKeyword ? RULE_WEIGHTS.KEYWORD : 0;
+}
 
-  // Priority 7: Ad removal
-  if (containsKeyword(lowerPrompt, AD_KEYWORDS)) {
-    return TASK_TYPES.AD_REMOVAL;
+/**
+ * Weighs a removal rule (ads, comments), which only counts in full when the prompt asks to remove
+ * @param {string} prompt - Lowercased prompt
+ * @param {string[]} keywords - Keywords naming what to remove
+ * @returns {number} - A RULE_WEIGHTS value, or 0 if no keyword matched
+ */
+function getRemovalRuleWeight(prompt, keywords) {
+  if (!getRuleWeight(prompt, [], keywords)) {
+    return 0;
   }
+  return REMOVAL_ACTION_PATTERN.test(prompt) ? RULE_WEIGHTS.KEYWORD : RULE_WEIGHTS.PARTIAL_KEYWORD;
+}
 
-  // Priority 8: Comment removal
-  if (containsKeyword(lowerPrompt, COMMENT_KEYWORDS)) {
-    return TASK_TYPES.COMMENT_REMOVAL;
-  }
+/**
+ * Weighs every task type whose rules match the prompt, in no particular order
+ * @param {string} prompt - Lowercased prompt
+ * @returns {Map<string, number>} - Rule weight by task type
+ */
+function getRuleMatches(prompt) {
+  const weights = [
+    [TASK_TYPES.MAGIC_BAR, getRuleWeight(prompt, MAGIC_BAR_PATTERNS, MAGIC_BAR_KEYWORDS)],
+    [TASK_TYPES.TRANSLATION, getRuleWeight(prompt, TRANSLATION_PATTERNS, TRANSLATION_KEYWORDS)],
+    [TASK_TYPES.SUMMARIZE, isSummarizeRequest(prompt) ? getRuleWeight(prompt, SUMMARIZE_PATTERNS, SUMMARIZE_KEYWORDS) : 0],
+    [TASK_TYPES.ANALYZE, getRuleWeight(prompt, ANALYZE_PATTERNS, ANALYZE_KEYWORDS)],
+    [
+      TASK_TYPES.CONTENT_EXTRACTION,
+      getRuleWeight(prompt, CONTENT_EXTRACTION_PATTERNS, CONTENT_EXTRACTION_KEYWORDS) ||
+        (isRemoveExceptPattern(prompt) ? RULE_WEIGHTS.KEYWORD : 0),
+    ],
+    [TASK_TYPES.AD_REMOVAL, getRemovalRuleWeight(prompt, AD_KEYWORDS)],
+    [TASK_TYPES.COMMENT_REMOVAL, getRemovalRuleWeight(prompt, COMMENT_KEYWORDS)],
+    [TASK_TYPES.THEMATIC_RESKINNING, getRuleWeight(prompt, THEMATIC_RESKINNING_PATTERNS, THEMATIC_RESKINNING_KEYWORDS)],
+    [TASK_TYPES.STYLING, getRuleWeight(prompt, [], STYLING_KEYWORDS)],
+    [
+      TASK_TYPES.ELEMENT_HIDING,
+      isElementHidingRequest(prompt)
+        ? RULE_WEIGHTS.KEYWORD
+        : isGeneralHidingRequest(prompt) ? RULE_WEIGHTS.PARTIAL_KEYWORD : 0,
+    ],
+  ];
+
+  return new Map(weights.filter(([, weight]) => weight > 0));
+}
 
-  // Priority 9: Thematic reskinning (check before basic styling - more specific)
-  if (isThematicReskinningRequest(lowerPrompt)) {
-    return TASK_TYPES.THEMATIC_RESKINNING;
+/**
+ * Weighs every task type whose rules match the prompt in the rule set of its language
+ * @param {string} prompt - The user's request
+ * @returns {Map<string, number>|null} - Rule weight by task type, or null if the prompt is
+ *   in English or a language without a rule set, or none of the rules match
+ */
+function getLocalizedRuleMatches(prompt) {
+  const ruleSet = getLocalizedTaskRules(detectPromptLanguage(prompt));
+  if (!ruleSet) {
+    return null;
   }
 
-  // Priority 10: Styling changes
-  if (containsKeyword(lowerPrompt, STYLING_KEYWORDS)) {
-    return TASK_TYPES.STYLING;
-  }
+  const localizedPrompt = normalizeForRuleSet(prompt, ruleSet);
+  const weights = TASK_PRIORITY.map((taskType) => {
+    const { patterns, keywords } = ruleSet.rules[taskType];
+    return [taskType, getRuleWeight(localizedPrompt, patterns, keywords, ruleSet.wordBoundaries)];
+  }).filter(([, weight]) => weight > 0);
 
-  // Priority 11: Element hiding (non-content related)
-  if (isElementHidingRequest(lowerPrompt)) {
-    return TASK_TYPES.ELEMENT_HIDING;
-  }
+  return weights.length > 0 ? new Map(weights) : null;
+}
 
-  // Priority 12: General hiding requests
-  if (isGeneralHidingRequest(lowerPrompt)) {
-    return TASK_TYPES.ELEMENT_HIDING;
-  }
+/**
+ * Checks whether two task types can both match a request without contradicting each other
+ */
+function areCompatibleTaskTypes(a, b) {
+  return COMPATIBLE_TASK_TYPES.some(([first, second]) => (first === a && second === b) || (first === b && second === a));
+}
 
-  // Default: General modification
-  return TASK_TYPES.GENERAL;
+/**
+ * Detects the task type from a user prompt with the keyword rules, and rates the result
+ * The task type is the one detectTaskType picks, the most strongly matching one; its
+ * confidence drops when rules for other, contradicting task types match too
+ * @param {string} prompt - The user's modification request
+ * @returns {{taskType: string, confidence: number, alternatives: Array<{taskType: string, confidence: number}>, source: string}}
+ *   - Detected task type, confidence between 0 and 1, other matching task types (strongest first)
+ *     and 'rules' as the source
+ */
+export function detectTaskTypeWithConfidence(prompt) {
+  const taskType = detectTaskType(prompt);
+  const matches = getLocalizedRuleMatches(prompt) || getRuleMatches(prompt.toLowerCase());
+  const weight = matches.get(taskType) || RULE_WEIGHTS.NO_MATCH;
+
+  const alternatives = [...matches.entries()]
+    .filter(([type]) => type !== taskType)
+    .map(([type, confidence]) => ({ taskType: type, confidence }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const strongestConflict = alternatives
+    .filter((alternative) => !areCompatibleTaskTypes(taskType, alternative.taskType))
+    .reduce((max, alternative) => Math.max(max, alternative.confidence), 0);
+  const confidence = Math.max(0.05, weight - strongestConflict * CLASSIFIER_CONFIG.disagreementPenalty);
+
+  return {
+    taskType,
+    confidence: Math.round(confidence * 100) / 100,
+    alternatives: alternatives.slice(0, CLASSIFIER_CONFIG.maxAlternatives),
+    source: 'rules',
+  };
 }
@@ -0,0 +1,135 @@
+/**
+ * Spanish task rules
+ * Patterns and keywords for prompts written in Spanish. Prompts are matched without accents,
+ * since they are often typed without them ("pagina", "traduccion"), so none are written here
+ */
+
+import { TASK_TYPES } from '../config.js';
+
+export const SPANISH_TASK_RULES = {
+  language: 'es',
+  name: 'Spanish',
+  // Words common in Spanish requests and rare in English ones, used to detect the language
+  markers: [
+    'el', 'la', 'los', 'las', 'del', 'al', 'una', 'unos', 'unas', 'esta', 'este', 'esto', 'que',
+    'por', 'para', 'con', 'pagina', 'todo', 'todos', 'todas', 'y', 'en', 'de', 'mas',
+    'oculta', 'ocultar', 'quita', 'quitar', 'elimina', 'eliminar', 'borra', 'traduce', 'traducir',
+    'resume', 'resumir', 'cambia', 'cambiar', 'muestra', 'mostrar', 'pon', 'haz', 'busca', 'buscar',
+  ],
+  // Words too common in requests to tell page elements apart (see prompts/context-packer.js)
+  stopWords: [
+    'los', 'las', 'del', 'una', 'unos', 'unas', 'que', 'por', 'para', 'con', 'sin', 'como',
+    'esta', 'este', 'esto', 'estas', 'estos', 'esa', 'ese', 'eso', 'sus', 'son', 'hay', 'pero',
+    'todo', 'todos', 'todas', 'mas', 'menos', 'solo', 'tambien', 'aqui', 'favor', 'quiero',
+    'puedes', 'pagina', 'sitio', 'web', 'haz', 'hacer', 'cambia', 'cambiar', 'oculta', 'ocultar',
+    'quita', 'quitar', 'elimina', 'eliminar', 'borra', 'borrar', 'muestra', 'mostrar', 'pon',
+    'poner', 'agrega', 'agregar', 'anade', 'anadir', 'mueve', 'mover',
+  ],
+  wordBoundaries: true,
+  foldAccents: true,
+
+  rules: {
+    [TASK_TYPES.MAGIC_BAR]: {
+      patterns: [
+        /\b(?:busca|buscar|buscame)\b.*\b(?:en\s+(?:internet|la\s+web|google)|en\s+linea|online)\b/,
+        /\b(?:genera|generar|crea|crear|dibuja|dibujar|haz)\s+(?:una?\s+)?(?:imagen|ilustracion|foto|dibujo)\b/,
+        /\b(?:productos?|articulos?)\s+(?:similares|parecidos|relacionados)\b/,
+        /\bcompara(?:r)?\s+(?:los\s+)?precios\b/,
+        /\b(?:ultimas|recientes)\s+noticias\b/,
+        /\bnoticias\s+(?:sobre|de|relacionadas)\b/,
+      ],
+      keywords: ['busqueda web', 'buscar en internet', 'productos similares', 'comparar precios', 'imagen de'],
+    },
+    [TASK_TYPES.TRANSLATION]: {
+      patterns: [
+        /\btradu(?:ce|cir|zca|zcas|ccion)\w*\b/,
+        /\btraduccion\s+(?:al\s+lado|junto)\b/,
+        /\b(?:modo|vista)\s+bilingue\b/,
+      ],
+      keywords: ['traduce', 'traducir', 'traduccion', 'bilingue', 'lado a lado'],
+    },
+    [TASK_TYPES.SUMMARIZE]: {
+      patterns: [
+        /\bresum(?:e|en|ir|eme|elo|ela)\b/,
+        /\b(?:puntos|ideas)\s+(?:clave|principales)\b/,
+        /\bde\s+que\s+(?:trata|va)\s+(?:esta|este|la|el)\b/,
+      ],
+      keywords: ['resumen', 'sintetiza', 'en pocas palabras'],
+    },
+    [TASK_TYPES.ANALYZE]: {
+      patterns: [
+        /\banaliza(?:r)?\s+(?:esta|este|la|el)\b/,
+        /\bcuant[oa]s\s+(?:\w+\s+){1,3}hay\b/,
+        /\b(?:explica|explicame|describe)\s+(?:esta|este|la|el|que)\b/,
+        /\b(?:lista|enumera)\s+(?:todos|todas)\b/,
+      ],
+      keywords: ['analiza', 'analizar', 'analisis', 'cuantos', 'cuantas'],
+    },
+    [TASK_TYPES.CONTENT_EXTRACTION]: {
+      patterns: [
+        /\bsolo\s+(?:el\s+|la\s+)?(?:articulo|contenido|texto|noticia)\b/,
+        /\b(?:muestra|deja|manten|mostrar|dejar)\s+solo\s+(?:el\s+|la\s+)?(?:articulo|contenido|texto)\b/,
+        /\bmodo\s+(?:de\s+)?(?:lectura|lector)\b/,
+        /\b(?:oculta|quita|elimina|borra)\s+todo\s+(?:excepto|menos|salvo)\b/,
+      ],
+      keywords: ['modo lectura', 'modo lector', 'articulo principal', 'contenido principal'],
+    },
+    [TASK_TYPES.AD_REMOVAL]: {
+      patterns: [],
+      keywords: ['anuncio', 'publicidad', 'patrocinado', 'promocion', 'promociones', 'banner', 'ventana emergente', 'popup'],
+    },
+    [TASK_TYPES.COMMENT_REMOVAL]: {
+      patterns: [],
+      keywords: ['comentario', 'discusion', 'respuesta', 'opiniones'],
+    },
+    [TASK_TYPES.THEMATIC_RESKINNING]: {
+      patterns: [
+        /\b(?:haz|convierte|transforma|cambia)\b.*\b(?:parezca|parecer|como|estilo)\s+(?:una?\s+)?(?:cyberpunk|retro|vintage|periodico|revista|comic|anime|terminal|hacker|neon|steampunk|gotic[oa]|medieval|futurista|pixel|minimalista|navidad|halloween)\b/,
+        /\b(?:estilo|estetica|tema|look)\s+(?:cyberpunk|retro|vintage|periodico|revista|comic|anime|terminal|hacker|neon|steampunk|gotico|medieval|futurista|pixel|minimalista|navideno|de\s+los\s+\d0s)\b/,
+      ],
+      keywords: ['cyberpunk', 'steampunk', 'estetica', 'futurista', 'minimalista'],
+    },
+    [TASK_TYPES.STYLING]: {
+      patterns: [],
+      keywords: ['modo oscuro', 'oscuro', 'claro', 'tema', 'color', 'fondo', 'fuente', 'letra'],
+    },
+    [TASK_TYPES.ELEMENT_HIDING]: {
+      patterns: [],
+      keywords: ['oculta', 'ocultar', 'esconde', 'esconder', 'quita', 'quitar', 'elimina', 'eliminar', 'borra', 'borrar', 'sin'],
+    },
+  },
+
+  // "traduce esta pagina al ingles": the language comes after "a", "al" or "en"
+  targetLanguagePatterns: [/\btradu\w*\s+(?:.*?\s)?(?:a|al|en)\s+(\w+(?:\s+\w+)?)/],
+
+  // Names of languages as written in Spanish, without accents
+  languageNames: {
+    'chino simplificado': 'Simplified Chinese',
+    'chino tradicional': 'Traditional Chinese',
+    'chino': 'Chinese',
+    'mandarin': 'Mandarin',
+    'cantones': 'Cantonese',
+    'ingles': 'English',
+    'espanol': 'Spanish',
+    'castellano': 'Spanish',
+    'frances': 'French',
+    'aleman': 'German',
+    'italiano': 'Italian',
+    'portugues': 'Portuguese',
+    'japones': 'Japanese',
+    'coreano': 'Korean',
+    'ruso': 'Russian',
+    'arabe': 'Arabic',
+    'hindi': 'Hindi',
+    'tailandes': 'Thai',
+    'vietnamita': 'Vietnamese',
+    'indonesio': 'Indonesian',
+    'malayo': 'Malay',
+    'neerlandes': 'Dutch',
+    'holandes': 'Dutch',
+    'polaco': 'Polish',
+    'turco': 'Turkish',
+    'hebreo': 'Hebrew',
+    'griego': 'Greek',
+  },
+};
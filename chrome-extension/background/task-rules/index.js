@@ -0,0 +1,126 @@
+/**
+ * Task rules module
+ * Localized task detection rules, the detection of a prompt's language, and language codes
+ * and names written in other languages for finding the target language of a translation
+ */
+
+import { CHINESE_TASK_RULES } from './zh.js';
+import { SPANISH_TASK_RULES } from './es.js';
+import { NATIVE_LANGUAGE_NAMES, LANGUAGE_CODES } from './language-names.js';
+
+// Rule sets by language code; prompts in any other language use the English rules
+const LOCALIZED_TASK_RULES = {
+  [CHINESE_TASK_RULES.language]: CHINESE_TASK_RULES,
+  [SPANISH_TASK_RULES.language]: SPANISH_TASK_RULES,
+};
+
+// Words common in English requests, weighed against a rule set's markers
+const ENGLISH_MARKERS = [
+  'the', 'this', 'that', 'and', 'to', 'of', 'all', 'page', 'make', 'hide', 'remove', 'show',
+  'translate', 'into', 'with', 'please', 'me', 'it', 'on', 'from',
+];
+
+// Aliases of every rule set and the native names, longest first so "繁體中文" wins over "中文"
+const LANGUAGE_NAME_ALIASES = Object.entries({
+  ...NATIVE_LANGUAGE_NAMES,
+  ...Object.assign({}, ...Object.values(LOCALIZED_TASK_RULES).map((ruleSet) => ruleSet.languageNames)),
+})
+  .map(([alias, name]) => [foldAccents(alias.toLowerCase()), name])
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Removes accents from Latin letters ("página" becomes "pagina")
+ * @param {string} text - Text to fold
+ * @returns {string} - Text without combining accents
+ */
+export function foldAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+/**
+ * Counts how many words of a prompt are in a marker list
+ * @param {string[]} words - Lowercased words of the prompt, without accents
+ * @param {string[]} markers - Marker words
+ * @returns {number} - Number of marker words
+ */
+function countMarkers(words, markers) {
+  return words.filter((word) => markers.includes(word)).length;
+}
+
+/**
+ * Detects the language of a prompt among the languages that have a rule set
+ * Scripts decide for languages with their own script; Latin-script languages need more of
+ * their marker words than English ones, or letters English does not use (ñ, ¿, á)
+ * @param {string} prompt - The user's request
+ * @returns {string} - Language code of a rule set, or 'en'
+ */
+export function detectPromptLanguage(prompt) {
+  const text = prompt.toLowerCase();
+  const words = foldAccents(text).match(/[a-z]+/g) || [];
+  const englishScore = countMarkers(words, ENGLISH_MARKERS);
+
+  for (const ruleSet of Object.values(LOCALIZED_TASK_RULES)) {
+    if (ruleSet.script) {
+      if (ruleSet.script.test(text) && !ruleSet.excludedScript?.test(text)) {
+        return ruleSet.language;
+      }
+      continue;
+    }
+
+    const accentScore = /[ñ¿¡áéíóú]/.test(text) ? 1 : 0;
+    const score = countMarkers(words, ruleSet.markers) + accentScore;
+    if (score > 0 && score > englishScore) {
+      return ruleSet.language;
+    }
+  }
+
+  return 'en';
+}
+
+/**
+ * Gets the rule set of a language
+ * @param {string} language - Language code from detectPromptLanguage
+ * @returns {Object|null} - Rule set, or null for English and languages without one
+ */
+export function getLocalizedTaskRules(language) {
+  return LOCALIZED_TASK_RULES[language] || null;
+}
+
+/**
+ * Finds a language name written in another language ("español", "中文", "inglés")
+ * @param {string} text - Text to search, such as the words after "translate to"
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.atStart] - Only match a name that starts the text
+ * @returns {string|null} - English name of the language, or null if none is found
+ */
+export function findLanguageName(text, { atStart = false } = {}) {
+  const foldedText = foldAccents(text.toLowerCase()).trim();
+
+  for (const [alias, name] of LANGUAGE_NAME_ALIASES) {
+    // Latin-script names must be whole words, so "ruso" is not found in "recurso"
+    const isLatin = /^[a-z\s]+$/.test(alias);
+    const start = atStart ? '^' : isLatin ? '(?<![a-z])' : '';
+    if (new RegExp(`${start}${alias}${isLatin ? '(?![a-z])' : ''}`).test(foldedText)) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a language given as a code ("ja", "zh-TW"), an English name or a name in another
+ * language ("español", "中文")
+ * @param {string} value - Language as typed
+ * @returns {string|null} - English name of the language, or null if it is not recognized
+ */
+export function resolveLanguage(value) {
+  const lowerValue = value.trim().toLowerCase().replace(/_/g, '-');
+  if (LANGUAGE_CODES[lowerValue]) {
+    return LANGUAGE_CODES[lowerValue];
+  }
+  if (/^[a-z]+(?: [a-z]+)?$/.test(lowerValue) && Object.values(LANGUAGE_CODES).some((name) => name.toLowerCase() === lowerValue)) {
+    return lowerValue.replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+  }
+  return findLanguageName(lowerValue, { atStart: true });
+}
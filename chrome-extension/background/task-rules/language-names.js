@@ -0,0 +1,61 @@
+/**
+ * Native language names
+ * Names of languages as written in the language itself, for prompts like "translate to español"
+ */
+
+export const NATIVE_LANGUAGE_NAMES = {
+  '中文': 'Chinese',
+  '简体中文': 'Simplified Chinese',
+  '繁體中文': 'Traditional Chinese',
+  '普通话': 'Mandarin',
+  '廣東話': 'Cantonese',
+  'español': 'Spanish',
+  'castellano': 'Spanish',
+  'français': 'French',
+  'deutsch': 'German',
+  'italiano': 'Italian',
+  'português': 'Portuguese',
+  '日本語': 'Japanese',
+  '한국어': 'Korean',
+  'русский': 'Russian',
+  'العربية': 'Arabic',
+  'हिन्दी': 'Hindi',
+  'ไทย': 'Thai',
+  'tiếng việt': 'Vietnamese',
+  'bahasa indonesia': 'Indonesian',
+  'bahasa melayu': 'Malay',
+  'nederlands': 'Dutch',
+  'polski': 'Polish',
+  'türkçe': 'Turkish',
+  'עברית': 'Hebrew',
+  'ελληνικά': 'Greek',
+};
+
+// ISO 639-1 codes (and the Chinese script variants) accepted by /translate
+export const LANGUAGE_CODES = {
+  'zh': 'Chinese',
+  'zh-cn': 'Simplified Chinese',
+  'zh-hans': 'Simplified Chinese',
+  'zh-tw': 'Traditional Chinese',
+  'zh-hant': 'Traditional Chinese',
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'ru': 'Russian',
+  'ar': 'Arabic',
+  'hi': 'Hindi',
+  'th': 'Thai',
+  'vi': 'Vietnamese',
+  'id': 'Indonesian',
+  'ms': 'Malay',
+  'nl': 'Dutch',
+  'pl': 'Polish',
+  'tr': 'Turkish',
+  'he': 'Hebrew',
+  'el': 'Greek',
+};
@@ -0,0 +1,158 @@
+/**
+ * Chinese task rules
+ * Patterns and keywords for prompts written in Chinese, in simplified and traditional characters
+ * Chinese is written without spaces, so keywords match anywhere in the prompt
+ */
+
+import { TASK_TYPES } from '../config.js';
+
+export const CHINESE_TASK_RULES = {
+  language: 'zh',
+  name: 'Chinese',
+  // Han characters without Japanese kana
+  script: /\p{Script=Han}/u,
+  excludedScript: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  // Character pairs too common in requests to tell page elements apart (see prompts/context-packer.js)
+  stopWords: [
+    '页面', '頁面', '网页', '網頁', '网站', '網站', '隐藏', '隱藏', '删除', '刪除', '去掉', '移除',
+    '显示', '顯示', '修改', '改成', '变成', '變成', '添加', '所有', '全部', '一些', '一下', '这个',
+    '這個', '那个', '那個', '帮我', '幫我', '请把', '請把', '上的', '里的', '裡的', '中的',
+  ],
+  wordBoundaries: false,
+  foldAccents: false,
+
+  rules: {
+    [TASK_TYPES.MAGIC_BAR]: {
+      patterns: [
+        /(?:上网|上網|网上|網上|在线|線上|谷歌)(?:搜索|搜尋|查找|查一下|查查)/,
+        /(?:搜索|搜尋|查找)(?:一下)?(?:关于|關於|有关|有關)/,
+        /(?:生成|画|畫|创建|創建|制作|製作)(?:一[张張幅个個])?(?:图片|圖片|图像|圖像|插画|插畫|照片)/,
+        /(?:相似|类似|類似|同款)的?(?:产品|產品|商品)/,
+        /(?:最新|相关|相關)的?(?:新闻|新聞|资讯|資訊)/,
+      ],
+      keywords: ['比价', '比價', '同款', '搜一下', '网上搜', '網上搜', '生成图片', '生成圖片'],
+    },
+    [TASK_TYPES.TRANSLATION]: {
+      patterns: [
+        /(?:翻译|翻譯|译|譯)(?:成|为|為|到|至)/,
+        /(?:双语|雙語)(?:对照|對照|模式|显示|顯示)/,
+      ],
+      keywords: ['翻译', '翻譯', '双语', '雙語', '中英对照', '中英對照'],
+    },
+    [TASK_TYPES.SUMMARIZE]: {
+      patterns: [
+        /(?:总结|總結|概括|归纳|歸納)(?:一下)?/,
+        /(?:主要|关键|關鍵)(?:内容|內容|观点|觀點|要点|要點)/,
+      ],
+      keywords: ['摘要', '概要', '要点', '要點', '概述', '太长不看', '太長不看'],
+    },
+    [TASK_TYPES.ANALYZE]: {
+      patterns: [
+        /(?:分析|解释|解釋|说明|說明)(?:一下)?(?:这个|這個|此|本)?(?:页面|頁面|网页|網頁|网站|網站|内容|內容)/,
+        /(?:有多少|有几|有幾|多少个|多少個)/,
+        /(?:列出|找出)(?:所有|全部)/,
+      ],
+      keywords: ['分析'],
+    },
+    [TASK_TYPES.CONTENT_EXTRACTION]: {
+      patterns: [
+        /(?:只|仅|僅)(?:显示|顯示|保留|留下|看)(?:正文|文章|主要内容|主要內容)/,
+        /(?:提取|抽取)(?:正文|文章|主要内容|主要內容)/,
+        /(?:隐藏|隱藏|去掉|删除|刪除)(?:其他|其它|其余|其餘)(?:所有)?(?:内容|內容|部分)/,
+      ],
+      keywords: ['阅读模式', '閱讀模式', '阅读视图', '閱讀視圖', '只看正文'],
+    },
+    [TASK_TYPES.AD_REMOVAL]: {
+      patterns: [],
+      keywords: ['广告', '廣告', '推广', '推廣', '赞助', '贊助', '弹窗', '彈窗', '横幅', '橫幅', '浮层', '浮層'],
+    },
+    [TASK_TYPES.COMMENT_REMOVAL]: {
+      patterns: [],
+      keywords: ['评论', '評論', '留言', '回复', '回覆', '讨论', '討論'],
+    },
+    [TASK_TYPES.THEMATIC_RESKINNING]: {
+      patterns: [
+        /(?:变成|變成|改成|换成|換成|做成|弄成|改为|改為).{0,12}(?:风格|風格|主题|主題|样子|樣子|感觉|感覺)/,
+        /(?:赛博朋克|賽博朋克|复古|復古|怀旧|懷舊|蒸汽朋克|哥特|像素|报纸|報紙|漫画|漫畫|童话|童話|极简|極簡|科幻|黑客).{0,4}(?:风格|風格|主题|主題|风|風)/,
+      ],
+      keywords: ['赛博朋克', '賽博朋克', '蒸汽朋克', '改头换面', '改頭換面'],
+    },
+    [TASK_TYPES.STYLING]: {
+      patterns: [],
+      keywords: [
+        '深色', '暗色', '夜间模式', '夜間模式', '暗黑模式', '浅色', '淺色', '主题', '主題',
+        '颜色', '顏色', '背景', '字体', '字體', '字号', '字號',
+      ],
+    },
+    [TASK_TYPES.ELEMENT_HIDING]: {
+      patterns: [],
+      keywords: ['隐藏', '隱藏', '去掉', '去除', '删除', '刪除', '移除', '屏蔽', '关掉', '關掉', '不要显示', '不要顯示'],
+    },
+  },
+
+  // "翻译成英文": the language the page is translated into follows the verb
+  targetLanguagePatterns: [/(?:翻译|翻譯|译|譯)(?:成|为|為|到|至)\s*(\S+)/],
+
+  // Names of languages as written in Chinese
+  languageNames: {
+    '简体中文': 'Simplified Chinese',
+    '簡體中文': 'Simplified Chinese',
+    '繁体中文': 'Traditional Chinese',
+    '繁體中文': 'Traditional Chinese',
+    '中文': 'Chinese',
+    '汉语': 'Chinese',
+    '漢語': 'Chinese',
+    '普通话': 'Mandarin',
+    '普通話': 'Mandarin',
+    '粤语': 'Cantonese',
+    '粵語': 'Cantonese',
+    '英语': 'English',
+    '英語': 'English',
+    '英文': 'English',
+    '西班牙语': 'Spanish',
+    '西班牙語': 'Spanish',
+    '西班牙文': 'Spanish',
+    '法语': 'French',
+    '法語': 'French',
+    '法文': 'French',
+    '德语': 'German',
+    '德語': 'German',
+    '德文': 'German',
+    '意大利语': 'Italian',
+    '義大利語': 'Italian',
+    '葡萄牙语': 'Portuguese',
+    '葡萄牙語': 'Portuguese',
+    '日语': 'Japanese',
+    '日語': 'Japanese',
+    '日文': 'Japanese',
+    '韩语': 'Korean',
+    '韓語': 'Korean',
+    '韩文': 'Korean',
+    '韓文': 'Korean',
+    '俄语': 'Russian',
+    '俄語': 'Russian',
+    '俄文': 'Russian',
+    '阿拉伯语': 'Arabic',
+    '阿拉伯語': 'Arabic',
+    '印地语': 'Hindi',
+    '印地語': 'Hindi',
+    '泰语': 'Thai',
+    '泰語': 'Thai',
+    '越南语': 'Vietnamese',
+    '越南語': 'Vietnamese',
+    '印尼语': 'Indonesian',
+    '印尼語': 'Indonesian',
+    '马来语': 'Malay',
+    '馬來語': 'Malay',
+    '荷兰语': 'Dutch',
+    '荷蘭語': 'Dutch',
+    '波兰语': 'Polish',
+    '波蘭語': 'Polish',
+    '土耳其语': 'Turkish',
+    '土耳其語': 'Turkish',
+    '希伯来语': 'Hebrew',
+    '希伯來語': 'Hebrew',
+    '希腊语': 'Greek',
+    '希臘語': 'Greek',
+  },
+};
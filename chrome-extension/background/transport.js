@@ -0,0 +1,248 @@
+/**
+ * HTTP transport module
+ * Shared fetch wrapper for every LLM request, with exponential backoff,
+ * Retry-After support, per-error-class retry policies and cancellation
+ * A 429 pauses every request to the same origin, so parallel batches back off together
+ */
+
+import { RETRY_CONFIG } from './config.js';
+
+export const ERROR_CLASSES = {
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+  CLIENT_ERROR: 'CLIENT_ERROR',
+};
+
+const SERVER_ERROR_STATUSES = [500, 502, 503, 504];
+
+// Origin -> time (ms) until which requests wait after a 429 from that origin
+const rateLimitGates = new Map();
+
+/**
+ * Error thrown when a request fails after all allowed attempts
+ */
+export class ApiRequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {number} [details.status] - HTTP status, absent for network errors
+   * @param {string} details.errorClass - One of ERROR_CLASSES
+   * @param {number} details.attempts - Number of attempts made
+   */
+  constructor(message, { status, errorClass, attempts }) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.errorClass = errorClass;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Checks whether an error was caused by the request being cancelled
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for abort errors
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Maps an HTTP status to an error class
+ * @param {number} status - HTTP status code
+ * @returns {string} - One of ERROR_CLASSES
+ */
+function classifyStatus(status) {
+  if (status === 429) return ERROR_CLASSES.RATE_LIMITED;
+  if (SERVER_ERROR_STATUSES.includes(status)) return ERROR_CLASSES.SERVER_ERROR;
+  if (status === 404) return ERROR_CLASSES.MODEL_UNAVAILABLE;
+  return ERROR_CLASSES.CLIENT_ERROR;
+}
+
+/**
+ * Parses a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} headerValue - The header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfterHeader(headerValue) {
+  if (!headerValue) return null;
+
+  const seconds = Number(headerValue);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Reads the retry delay Gemini puts in the error body (google.rpc.RetryInfo)
+ * @param {Object|null} errorData - Parsed error response body
+ * @returns {number|null} - Delay in milliseconds, or null if absent
+ */
+function parseRetryInfo(errorData) {
+  const retryInfo = errorData?.error?.details?.find((detail) => detail.retryDelay);
+  const match = retryInfo?.retryDelay?.match(/^([\d.]+)s$/);
+  return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Computes the exponential backoff delay for a retry
+ * @param {Object} policy - Retry policy for the error class
+ * @param {number} retryIndex - Zero-based index of the retry
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffDelay(policy, retryIndex) {
+  const exponential = Math.min(policy.baseDelayMs * 2 ** retryIndex, RETRY_CONFIG.maxDelayMs);
+  const jitter = exponential * RETRY_CONFIG.jitterRatio * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + jitter));
+}
+
+/**
+ * Waits for the given number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Pauses new requests to an origin until the given delay has passed
+ * @param {string} origin - Request origin
+ * @param {number} waitMs - Delay in milliseconds
+ */
+function closeRateLimitGate(origin, waitMs) {
+  const until = Date.now() + waitMs;
+  if (until > (rateLimitGates.get(origin) || 0)) {
+    rateLimitGates.set(origin, until);
+  }
+}
+
+/**
+ * Waits while another request to the same origin is backing off from a 429
+ * @param {string} origin - Request origin
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimitGate(origin, label, signal) {
+  const waitMs = (rateLimitGates.get(origin) || 0) - Date.now();
+  if (waitMs > 0) {
+    console.log(`[Browser Wand] ${label}: Waiting ${waitMs}ms for rate limit backoff`);
+    await delay(waitMs, signal);
+  }
+}
+
+/**
+ * Builds a readable error message from an error response body
+ * @param {number} status - HTTP status code
+ * @param {string} errorText - Raw response body
+ * @param {Object|null} errorData - Parsed response body, if it was JSON
+ * @returns {string} - Error message
+ */
+function buildErrorMessage(status, errorText, errorData) {
+  if (errorData?.error?.message) {
+    return `API error: ${errorData.error.message}`;
+  }
+  if (errorData) {
+    return `API request failed: ${status}`;
+  }
+  return `API request failed: ${status} - ${errorText}`;
+}
+
+/**
+ * Fetches a URL, retrying rate-limit, server and network errors
+ * Retries stop when the error class allows no more retries, the attempt budget
+ * is spent, or the server asks to wait longer than RETRY_CONFIG.maxRetryAfterMs
+ * Aborting init.signal stops the request and any pending backoff immediately
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @param {string} label - Name of the calling entry point, used in logs
+ * @returns {Promise<Response>} - The successful response
+ * @throws {ApiRequestError} - If the request does not succeed
+ * @throws {DOMException} - AbortError if the request was cancelled
+ */
+export async function fetchWithRetry(url, init, label) {
+  const retriesByClass = {};
+  const origin = new URL(url).origin;
+
+  for (let attempt = 1; ; attempt++) {
+    let failure;
+    init.signal?.throwIfAborted();
+    await waitForRateLimitGate(origin, label, init.signal);
+
+    try {
+      const response = await fetch(url, init);
+      console.log(`[Browser Wand] ${label} Response Status:`, response.status, response.statusText);
+
+      if (response.ok) {
+        return response;
+      }
+
+      const errorText = await response.text();
+      let errorData = null;
+      try {
+        errorData = JSON.parse(errorText);
+      } catch {
+        // Non-JSON error body
+      }
+
+      console.error(`[Browser Wand] ${label} API Error:`, { status: response.status, attempt, errorText });
+      failure = {
+        status: response.status,
+        errorClass: classifyStatus(response.status),
+        message: buildErrorMessage(response.status, errorText, errorData),
+        retryAfterMs: parseRetryAfterHeader(response.headers.get('Retry-After')) ?? parseRetryInfo(errorData),
+      };
+    } catch (fetchError) {
+      if (isAbortError(fetchError)) {
+        throw fetchError;
+      }
+      console.error(`[Browser Wand] ${label} Fetch Error:`, { attempt, message: fetchError.message });
+      failure = {
+        errorClass: ERROR_CLASSES.NETWORK_ERROR,
+        message: `Network error: ${fetchError.message}`,
+        retryAfterMs: null,
+      };
+    }
+
+    const policy = RETRY_CONFIG.policies[failure.errorClass];
+    const retriesUsed = retriesByClass[failure.errorClass] || 0;
+    const canRetry = policy.retry && retriesUsed < policy.maxRetries && attempt < RETRY_CONFIG.maxAttempts;
+    const waitMs = failure.retryAfterMs ?? computeBackoffDelay(policy, retriesUsed);
+
+    if (!canRetry || waitMs > RETRY_CONFIG.maxRetryAfterMs) {
+      throw new ApiRequestError(failure.message, {
+        status: failure.status,
+        errorClass: failure.errorClass,
+        attempts: attempt,
+      });
+    }
+
+    retriesByClass[failure.errorClass] = retriesUsed + 1;
+    if (failure.errorClass === ERROR_CLASSES.RATE_LIMITED) {
+      closeRateLimitGate(origin, waitMs);
+    }
+    console.warn(`[Browser Wand] ${label}: ${failure.errorClass}, retrying in ${waitMs}ms (attempt ${attempt + 1} of ${RETRY_CONFIG.maxAttempts})`);
+    await delay(waitMs, init.signal);
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Usage index
+ * Re-exports usage tracking and budget enforcement
+ */
+
+export {
+  recordUsage,
+  assertWithinBudget,
+  getUsageSummary,
+  getModelPricing,
+  BudgetExceededError,
+} from './usage-tracker.js';
@@ -0,0 +1,301 @@
+/**
+ * Usage tracker
+ * Records token and image usage per task type in chrome.storage.local,
+ * estimates cost from MODEL_PRICING and the prices saved in the settings,
+ * and enforces the daily and monthly budgets
+ */
+
+import { USAGE_CONFIG, MODEL_PRICING, TASK_TYPES } from '../config.js';
+import { getProvider } from '../providers/index.js';
+
+const EMPTY_TOTALS = { requests: 0, promptTokens: 0, outputTokens: 0, images: 0, costUsd: 0, unpricedModels: [] };
+const PRICE_FIELDS = ['inputPerMillion', 'outputPerMillion', 'perImage'];
+
+// Serializes read-modify-write cycles so concurrent calls do not lose records
+let writeQueue = Promise.resolve();
+
+/**
+ * Error thrown when a budget has been used up
+ */
+export class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key
+ * @param {Date} date - The date
+ * @returns {string} - Day key
+ */
+function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Cleans a price from the settings
+ * @param {Object} price - Price with inputPerMillion, outputPerMillion and perImage
+ * @returns {Object|null} - Price with non-negative numbers (empty fields count as 0), or null
+ *   if no field holds a number
+ */
+function sanitizePrice(price) {
+  const values = PRICE_FIELDS.map((field) => parseFloat(price?.[field]));
+  if (values.every((value) => !Number.isFinite(value))) return null;
+  return Object.fromEntries(PRICE_FIELDS.map((field, index) => [
+    field,
+    Number.isFinite(values[index]) ? Math.max(0, values[index]) : 0,
+  ]));
+}
+
+/**
+ * Loads the price table: MODEL_PRICING with the prices saved in the settings
+ * @returns {Promise<Object>} - Price by model ID
+ */
+async function loadPricing() {
+  const result = await chrome.storage.local.get(USAGE_CONFIG.pricingKey);
+  const saved = result[USAGE_CONFIG.pricingKey] || {};
+  const pricing = { ...MODEL_PRICING };
+  Object.entries(saved).forEach(([model, price]) => {
+    const clean = sanitizePrice(price);
+    if (model.trim() && clean) pricing[model.trim()] = clean;
+  });
+  return pricing;
+}
+
+/**
+ * Gets the price of a model served through a session's provider
+ * @param {Object} pricing - Price table from loadPricing
+ * @param {Object} session - LLM session
+ * @param {string} model - Model ID
+ * @returns {Object|null} - Price, a zero price for providers that need no key (local servers),
+ *   or null if the model has no price
+ */
+function getModelPrice(pricing, session, model) {
+  if (pricing[model]) return pricing[model];
+  return getProvider(session.providerId).requiresApiKey ? null : { inputPerMillion: 0, outputPerMillion: 0 };
+}
+
+/**
+ * Estimates the cost of a request
+ * @param {Object} pricing - Price of the model that served it
+ * @param {number} promptTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @param {number} images - Generated images
+ * @returns {number} - Estimated cost in USD
+ */
+function estimateCost(pricing, promptTokens, outputTokens, images) {
+  return (
+    (promptTokens / 1e6) * pricing.inputPerMillion +
+    (outputTokens / 1e6) * pricing.outputPerMillion +
+    images * (pricing.perImage || 0)
+  );
+}
+
+/**
+ * Counts generated images in a Gemini-format response
+ * @param {Object} data - Gemini-format response data
+ * @returns {number} - Number of inline image parts
+ */
+function countImageParts(data) {
+  return (data.candidates?.[0]?.content?.parts || []).filter((part) =>
+    part.inlineData?.mimeType?.startsWith('image/')
+  ).length;
+}
+
+/**
+ * Adds one request's numbers to a totals object
+ * @param {Object} totals - Totals to update
+ * @param {Object} entry - Request usage
+ * @returns {Object} - Updated totals
+ */
+function addToTotals(totals, entry) {
+  return {
+    requests: totals.requests + entry.requests,
+    promptTokens: totals.promptTokens + entry.promptTokens,
+    outputTokens: totals.outputTokens + entry.outputTokens,
+    images: totals.images + entry.images,
+    costUsd: totals.costUsd + entry.costUsd,
+    // Records from before prices could be missing have no list
+    unpricedModels: [...new Set([...(totals.unpricedModels || []), ...(entry.unpricedModels || [])])],
+  };
+}
+
+/**
+ * Loads the stored usage record
+ * @returns {Promise<Object>} - Usage record keyed by day, then task type
+ */
+async function loadUsage() {
+  const result = await chrome.storage.local.get(USAGE_CONFIG.storageKey);
+  return result[USAGE_CONFIG.storageKey] || { days: {} };
+}
+
+/**
+ * Removes days older than USAGE_CONFIG.retentionDays
+ * @param {Object} usage - Usage record, modified in place
+ */
+function pruneOldDays(usage) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - USAGE_CONFIG.retentionDays);
+  const cutoffKey = getDayKey(cutoff);
+
+  Object.keys(usage.days).forEach((dayKey) => {
+    if (dayKey < cutoffKey) delete usage.days[dayKey];
+  });
+}
+
+/**
+ * Sums usage per task type over the given days
+ * @param {Object[]} days - Per-day records keyed by task type
+ * @returns {{byTask: Object, total: Object}} - Totals per task type and overall
+ */
+function aggregateDays(days) {
+  const byTask = {};
+  let total = { ...EMPTY_TOTALS };
+
+  days.forEach((day) => {
+    Object.entries(day).forEach(([taskType, entry]) => {
+      byTask[taskType] = addToTotals(byTask[taskType] || EMPTY_TOTALS, entry);
+      total = addToTotals(total, entry);
+    });
+  });
+
+  return { byTask, total };
+}
+
+/**
+ * Returns the days of the current month from a usage record
+ * @param {Object} usage - Usage record
+ * @returns {Object[]} - Per-day records for this month
+ */
+function getMonthDays(usage) {
+  const monthPrefix = getDayKey().slice(0, 7);
+  return Object.entries(usage.days)
+    .filter(([dayKey]) => dayKey.startsWith(monthPrefix))
+    .map(([, day]) => day);
+}
+
+/**
+ * Reads the configured budgets
+ * @returns {Promise<{dailyUsd: number, monthlyUsd: number}>} - Budgets, 0 meaning no limit
+ */
+async function loadBudget() {
+  const result = await chrome.storage.local.get([USAGE_CONFIG.dailyBudgetKey, USAGE_CONFIG.monthlyBudgetKey]);
+  return {
+    dailyUsd: Number(result[USAGE_CONFIG.dailyBudgetKey]) || 0,
+    monthlyUsd: Number(result[USAGE_CONFIG.monthlyBudgetKey]) || 0,
+  };
+}
+
+/**
+ * Records the usage reported in an LLM response
+ * A model without a price is recorded with no cost and listed as unpriced
+ * @param {Object} session - LLM session (provider, credentials, model and task type)
+ * @param {string} model - Model that served the request
+ * @param {Object} data - Gemini-format response data
+ * @returns {Promise<void>}
+ */
+export function recordUsage(session, model, data) {
+  const promptTokens = data.usageMetadata?.promptTokenCount || 0;
+  const outputTokens = data.usageMetadata?.candidatesTokenCount || 0;
+  const images = countImageParts(data);
+  const taskType = session.taskType || TASK_TYPES.GENERAL;
+
+  writeQueue = writeQueue
+    .then(async () => {
+      const price = getModelPrice(await loadPricing(), session, model);
+      const entry = {
+        requests: 1,
+        promptTokens,
+        outputTokens,
+        images,
+        costUsd: price ? estimateCost(price, promptTokens, outputTokens, images) : 0,
+        unpricedModels: price ? [] : [model],
+      };
+      const usage = await loadUsage();
+      const dayKey = getDayKey();
+      const day = usage.days[dayKey] || {};
+      day[taskType] = addToTotals(day[taskType] || EMPTY_TOTALS, entry);
+      usage.days[dayKey] = day;
+      pruneOldDays(usage);
+      await chrome.storage.local.set({ [USAGE_CONFIG.storageKey]: usage });
+    })
+    .catch((error) => {
+      console.warn('[Browser Wand] Failed to record usage:', error);
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Throws if today's or this month's spending has reached its budget, or if a budget is set
+ * and the model about to be called has no price, since its cost could not be counted
+ * @param {Object} [session] - LLM session the request is made for
+ * @param {string} [model] - Model about to be called
+ * @returns {Promise<void>}
+ * @throws {BudgetExceededError} - If a budget is used up or cannot be enforced
+ */
+export async function assertWithinBudget(session, model) {
+  const [usage, budget, pricing] = await Promise.all([loadUsage(), loadBudget(), loadPricing()]);
+
+  if ((budget.dailyUsd > 0 || budget.monthlyUsd > 0) && model && !getModelPrice(pricing, session, model)) {
+    throw new BudgetExceededError(
+      `${model} has no price, so its cost cannot be counted toward your spending limits. Add its price under Model Prices in Settings, or remove the limits.`
+    );
+  }
+
+  if (budget.dailyUsd > 0) {
+    const spentToday = aggregateDays([usage.days[getDayKey()] || {}]).total.costUsd;
+    if (spentToday >= budget.dailyUsd) {
+      throw new BudgetExceededError(
+        `Daily budget of $${budget.dailyUsd.toFixed(2)} reached ($${spentToday.toFixed(2)} spent today). Raise it in Settings or try again tomorrow.`
+      );
+    }
+  }
+
+  if (budget.monthlyUsd > 0) {
+    const spentThisMonth = aggregateDays(getMonthDays(usage)).total.costUsd;
+    if (spentThisMonth >= budget.monthlyUsd) {
+      throw new BudgetExceededError(
+        `Monthly budget of $${budget.monthlyUsd.toFixed(2)} reached ($${spentThisMonth.toFixed(2)} spent this month). Raise it in Settings to continue.`
+      );
+    }
+  }
+}
+
+/**
+ * Gets the price table for the popup settings
+ * @returns {Promise<Object>} - Result with the prices in use and the defaults, keyed by model ID
+ */
+export async function getModelPricing() {
+  try {
+    return { success: true, data: { prices: await loadPricing(), defaults: MODEL_PRICING } };
+  } catch (error) {
+    console.error('[Browser Wand] getModelPricing error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Builds the usage dashboard data
+ * Totals list the models that served requests without a price, whose cost is not included
+ * @returns {Promise<Object>} - Result with today's and this month's totals by task type, and the budgets
+ */
+export async function getUsageSummary() {
+  try {
+    const [usage, budget] = await Promise.all([loadUsage(), loadBudget()]);
+    return {
+      success: true,
+      data: {
+        today: aggregateDays([usage.days[getDayKey()] || {}]),
+        month: aggregateDays(getMonthDays(usage)),
+        budget,
+      },
+    };
+  } catch (error) {
+    console.error('[Browser Wand] getUsageSummary error:', error);
+    return { success: false, error: error.message };
+  }
+}
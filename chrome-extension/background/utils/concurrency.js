@@ -0,0 +1,37 @@
+/**
+ * Concurrency utilities
+ * Bounded-concurrency scheduler for running LLM batches in parallel
+ */
+
+/**
+ * Runs a worker over every item with at most `limit` calls in flight
+ * Results keep the order of the input items. The first rejection stops new
+ * items from starting and rejects the whole run; calls already in flight finish
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {AbortSignal} [signal] - Optional signal that stops new items from starting
+ * @returns {Promise<Array>} - Worker results in item order
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function runNext() {
+    while (!failed && nextIndex < items.length) {
+      signal?.throwIfAborted();
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
@@ -0,0 +1,15 @@
+/**
+ * Hash utilities
+ */
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
@@ -0,0 +1,173 @@
+/**
+ * Article Scorer Module
+ * Finds the element holding a page's main content by scoring the containers of its paragraphs
+ * on text density, link density, paragraph count, class and id hints and DOM depth
+ *
+ * Loaded as a content script for page capture, and injected once into the page's main world
+ * for generated code that calls it, so reader mode, translation and summaries all pick the same
+ * article root. Its two functions are defined as read-only globals, replacing any the page
+ * defined under the same names, so page scripts that run later cannot swap them. A page that
+ * defined them read-only itself before the scorer loaded keeps its own; that cannot be undone
+ */
+
+(() => {
+  /**
+   * Checks whether a global is a function that can no longer be reassigned or redefined
+   * @param {string} name - Global name
+   * @returns {boolean} - True if the global is a read-only function
+   */
+  const isReadOnlyFunction = (name) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+    return typeof descriptor?.value === 'function' && !descriptor.writable && !descriptor.configurable;
+  };
+
+  // Already loaded in this world; read-only functions cannot be defined twice
+  if (isReadOnlyFunction('bwScoreArticleCandidates') && isReadOnlyFunction('bwFindArticleRoot')) return;
+
+  const SCORING = {
+    // Elements whose text counts as a paragraph, and the shortest text that counts
+    paragraphSelector: 'p, pre, blockquote, td',
+    minParagraphLength: 25,
+    // Ancestors a paragraph scores for; the one n levels up gets 1 / (n + 1) of its score
+    ancestorLevels: 3,
+    // Least text an article root may hold; pages below it have no article root
+    minArticleLength: 300,
+    // Characters per descendant element at which text density stops adding to the score
+    denseTextPerElement: 40,
+    // An ancestor scoring this share of the best candidate replaces it (articles split into sections)
+    ancestorShare: 0.75,
+    classWeight: 25,
+    positiveHints: /article|body|content|entry|main|page|post|text|blog|story|prose/i,
+    negativeHints: /banner|breadcrumb|combx|comment|community|contact|disqus|extra|foot|header|menu|nav|related|remark|replies|reply|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|promo|popup|newsletter|pagination|pager|widget|^ad-|-ad$/i,
+    tagWeights: {
+      ARTICLE: 10,
+      MAIN: 10,
+      DIV: 5,
+      SECTION: 3,
+      PRE: 3,
+      TD: 3,
+      BLOCKQUOTE: 3,
+      ADDRESS: -3,
+      OL: -3,
+      UL: -3,
+      DL: -3,
+      LI: -3,
+      FORM: -3,
+      ASIDE: -10,
+      NAV: -10,
+      HEADER: -10,
+      FOOTER: -10,
+    },
+    // Browser Wand's own panels and modals are never content
+    excluded: '[id^="browser-wand-"]',
+  };
+
+  const defaultQueryAll = (selector) => document.querySelectorAll(selector);
+
+  /**
+   * Weighs an element's class, id and schema.org hints
+   */
+  function getHintWeight(el) {
+    const identifier = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    let weight = 0;
+    if (SCORING.positiveHints.test(identifier)) weight += SCORING.classWeight;
+    if (SCORING.negativeHints.test(identifier)) weight -= SCORING.classWeight;
+    if (el.getAttribute('itemprop') === 'articleBody' || el.getAttribute('role') === 'main') {
+      weight += SCORING.classWeight;
+    }
+    return weight;
+  }
+
+  /**
+   * Gets the parent of an element, stepping out of a shadow root to its host
+   */
+  function getParent(el) {
+    return el.parentElement || el.getRootNode().host || null;
+  }
+
+  function getLinkDensity(el, textLength) {
+    if (textLength === 0) return 1;
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach(link => {
+      linkLength += (link.textContent || '').trim().length;
+    });
+    return Math.min(1, linkLength / textLength);
+  }
+
+  /**
+   * Scores the containers of the page's paragraphs
+   * @param {Object} [options] - Scoring options
+   * @param {Function} [options.queryAll] - Finds elements by selector; pass a deep query to include shadow roots and frames
+   * @returns {Array<{element: Element, score: number, textLength: number, linkDensity: number, paragraphCount: number}>} - Candidates, best first
+   */
+  function scoreArticleCandidates({ queryAll = defaultQueryAll } = {}) {
+    const candidates = new Map();
+
+    Array.from(queryAll(SCORING.paragraphSelector)).forEach(paragraph => {
+      if (paragraph.closest(SCORING.excluded)) return;
+      const text = (paragraph.textContent || '').trim();
+      if (text.length < SCORING.minParagraphLength) return;
+
+      const commaCount = text.split(/[,，、]/).length - 1;
+      const paragraphScore = 1 + commaCount + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = getParent(paragraph);
+      for (let level = 0; ancestor && level < SCORING.ancestorLevels; level++) {
+        let candidate = candidates.get(ancestor);
+        if (!candidate) {
+          candidate = {
+            element: ancestor,
+            contentScore: (SCORING.tagWeights[ancestor.tagName] || 0) + getHintWeight(ancestor),
+            paragraphCount: 0
+          };
+          candidates.set(ancestor, candidate);
+        }
+        candidate.contentScore += paragraphScore / (level + 1);
+        candidate.paragraphCount++;
+        ancestor = getParent(ancestor);
+      }
+    });
+
+    return Array.from(candidates.values()).map(({ element, contentScore, paragraphCount }) => {
+      const textLength = (element.textContent || '').trim().length;
+      const linkDensity = getLinkDensity(element, textLength);
+      const textDensity = textLength / (element.querySelectorAll('*').length + 1);
+      const densityFactor = 0.5 + 0.5 * Math.min(1, textDensity / SCORING.denseTextPerElement);
+      return {
+        element,
+        score: Math.round(contentScore * (1 - linkDensity) * densityFactor * 100) / 100,
+        textLength,
+        linkDensity: Math.round(linkDensity * 100) / 100,
+        paragraphCount
+      };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Finds the element holding the page's main content
+   * @param {Object} [options] - Scoring options
+   * @param {Function} [options.queryAll] - Finds elements by selector; pass a deep query to include shadow roots and frames
+   * @param {Array<Object>} [options.candidates] - Candidates already scored by scoreArticleCandidates
+   * @returns {Element|null} - Article root, or null if no candidate holds enough text
+   */
+  function findArticleRoot({ queryAll = defaultQueryAll, candidates = null } = {}) {
+    const scored = (candidates || scoreArticleCandidates({ queryAll }))
+      .filter(candidate => candidate.textLength >= SCORING.minArticleLength && candidate.score > 0);
+    if (scored.length === 0) return null;
+
+    let best = scored[0];
+    // Articles split into sibling sections score best as their common ancestor
+    scored.forEach(candidate => {
+      if (candidate.score >= best.score * SCORING.ancestorShare && candidate.element.contains(best.element) && candidate !== best) {
+        best = candidate;
+      }
+    });
+    return best.element;
+  }
+
+  // Attributes are spelled out so globals the page already defined become read-only too
+  Object.defineProperties(globalThis, {
+    bwScoreArticleCandidates: { value: scoreArticleCandidates, writable: false, configurable: false },
+    bwFindArticleRoot: { value: findArticleRoot, writable: false, configurable: false },
+  });
+})();
@@ -1,8 +1,31 @@
 (() => {
   const STORAGE_KEY = 'browserWandOriginalStyles';
   const INJECTED_STYLE_ID = 'browser-wand-injected-styles';
+  const MODAL_OVERLAY_ID = 'browser-wand-modal-overlay';
+  const MAX_LAYOUT_BOXES = 40;
+  // Open shadow roots and same-origin frames read per capture, and how their host selectors are joined
+  const MAX_CAPTURE_ROOTS = 50;
+  const HOST_PATH_SEPARATOR = ' >>> ';
+  // Reference numbers of captured elements (MARKERS.elementRef in background/prompts/selectors.js)
+  const ELEMENT_REF_ATTRIBUTE = 'data-bw-ref';
+  const CHAT_FORM_STYLES = {
+    form: 'display:flex;gap:8px;margin:0;',
+    input: 'flex:1;padding:10px 14px;border:1px solid #ddd;border-radius:8px;font-size:15px;color:#333;background:#fff;',
+    button: 'padding:10px 18px;border:none;border-radius:8px;background:#8b5cf6;color:#fff;font-size:15px;font-weight:600;cursor:pointer;'
+  };
 
   let originalStates = new Map();
+  // Roots found for the capture in progress, so each query does not walk the page again
+  let captureRoots = null;
+  // Article candidates scored for the capture in progress (see article-scorer.js)
+  let articleCandidates = null;
+  // Elements given a reference number, so it can be restored when the page re-renders them
+  const elementRefs = new Map();
+  let nextElementRef = 1;
+  // Token of the tab's follow-up conversation, sent with each question (see attachChatForm)
+  let chatToken = null;
+  // Modal chat slots that already hold a form
+  const chatSlots = new WeakSet();
   let appliedModifications = {
     code: [],
     css: []
@@ -11,7 +34,7 @@
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'GET_PAGE_CONTENT':
-        sendResponse(getPageContent());
+        sendResponse(getPageContent(message.payload));
         break;
       case 'GET_MODIFICATION_STATE':
         sendResponse({
@@ -36,6 +59,15 @@
         resetModifications();
         sendResponse({ success: true });
         break;
+      case 'MATCH_SELECTOR':
+        sendResponse({ matches: matchesSelector(message.payload.selector) });
+        break;
+      case 'ENABLE_CHAT':
+        // The modal may already be shown, or appear when the popup applies the result
+        chatToken = message.payload.chatToken;
+        attachChatForm();
+        sendResponse({ success: true });
+        break;
       default:
         // Don't respond to unknown message types - let other listeners handle them
         // (e.g., focus-tracker.js handles START_FOCUS_MODE, STOP_FOCUS_MODE, GET_FOCUS_STATUS)
@@ -44,48 +76,449 @@
     return true;
   });
 
-  function getPageContent() {
-    const content = {
-      url: window.location.href,
-      title: document.title,
-      html: getSimplifiedHTML(),
-      text: getVisibleText(),
-      elements: getElementsSummary(),
-      textBlocks: getTextBlocks()
-    };
-    return content;
+  /**
+   * Checks whether text is a CSS selector that matches elements and can head a style rule
+   * Descriptions such as "the cookie banner" parse as selectors too, but match nothing
+   */
+  function matchesSelector(selector) {
+    try {
+      // A selector that closes the rule early or opens a string would spill into the CSS around it
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(`${selector} {}`);
+      return sheet.cssRules.length === 1 && sheet.cssRules[0] instanceof CSSStyleRule &&
+        document.querySelector(selector) !== null;
+    } catch {
+      return false;
+    }
   }
 
-  function getTextBlocks() {
-    const blocks = [];
-    const contentSelectors = [
-      '[itemprop="articleBody"]', 'article', 'main', '[role="main"]',
-      '[class*="article-content"]', '[class*="post-content"]', '[class*="entry-content"]',
-      '[class*="story-body"]', '[class*="article-body"]'
-    ];
+  /**
+   * Adds the follow-up question form to the chat slot of an analysis or summary modal
+   * The form lives in a closed shadow root of this isolated world, so page scripts can neither
+   * read the question nor submit one; only questions the user types reach the service worker
+   */
+  function attachChatForm() {
+    const slot = chatToken && document.querySelector(`#${MODAL_OVERLAY_ID} [data-bw-role="chat-slot"]`);
+    if (!slot || chatSlots.has(slot)) {
+      return;
+    }
+    chatSlots.add(slot);
+
+    let shadow;
+    try {
+      shadow = slot.attachShadow({ mode: 'closed' });
+    } catch (error) {
+      // The page gave the slot a shadow root of its own
+      console.error('Browser Wand: Could not add the follow-up form:', error.message);
+      return;
+    }
+    const form = document.createElement('form');
+    form.style.cssText = CHAT_FORM_STYLES.form;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Ask a follow-up question...';
+    input.autocomplete = 'off';
+    input.style.cssText = CHAT_FORM_STYLES.input;
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.textContent = 'Ask';
+    button.style.cssText = CHAT_FORM_STYLES.button;
+
+    form.appendChild(input);
+    form.appendChild(button);
+    shadow.appendChild(form);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      sendChatQuestion(input, button);
+    });
+  }
+
+  /**
+   * Sends a follow-up question from the modal chat form to the service worker,
+   * which streams the answer into the modal
+   */
+  async function sendChatQuestion(input, button) {
+    const question = input.value.trim();
+    if (!question || input.disabled) {
+      return;
+    }
+
+    input.value = '';
+    input.disabled = true;
+    button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CHAT_FOLLOW_UP',
+        payload: { question, chatToken }
+      });
+      if (!response || !response.success) {
+        console.error('Browser Wand: Follow-up failed:', response?.error);
+        // Rejected questions never reach the chat thread, so the form says why
+        input.placeholder = response?.error || 'The question could not be sent';
+      }
+    } catch (error) {
+      console.error('Browser Wand: Failed to send follow-up:', error.message);
+    } finally {
+      input.disabled = false;
+      button.disabled = false;
+      input.focus();
+    }
+  }
+
+  function getPageContent(options = {}) {
+    captureRoots = findCaptureRoots();
+    articleCandidates = getArticleCandidates();
+    try {
+      restoreElementRefs();
+      // Elements get their reference numbers first, so the page HTML shows them too
+      const elements = getElementsSummary();
+      const article = getArticle();
+      const content = {
+        url: window.location.href,
+        title: document.title,
+        html: getSimplifiedHTML(),
+        article,
+        text: getVisibleText(),
+        elements,
+        textBlocks: getTextBlocks()
+      };
+      if (options.includeLayout) {
+        content.layout = getVisibleLayout(content.elements);
+      }
+      return content;
+    } finally {
+      captureRoots = null;
+      articleCandidates = null;
+    }
+  }
+
+  /**
+   * Lists the trees page capture reads: the document, then the open shadow roots and
+   * same-origin frames inside it, each with the host path that leads to it from the document
+   * @returns {Array<{root: Document|ShadowRoot, hosts: Element[], hostPath: string|null}>}
+   */
+  function findCaptureRoots() {
+    const roots = [{ root: document, hosts: [], hostPath: null }];
+
+    for (let i = 0; i < roots.length; i++) {
+      const parent = roots[i];
+      parent.root.querySelectorAll('*').forEach(el => {
+        if (roots.length >= MAX_CAPTURE_ROOTS) return;
+        const nestedRoot = getNestedRoot(el);
+        if (!nestedRoot) return;
+
+        roots.push({
+          root: nestedRoot,
+          hosts: [...parent.hosts, el],
+          hostPath: getDeepSelector(parent.hostPath, generateUniqueSelector(el))
+        });
+      });
+    }
+
+    return roots;
+  }
+
+  function getCaptureRoots() {
+    return captureRoots || findCaptureRoots();
+  }
 
-    let mainContent = null;
-    for (const selector of contentSelectors) {
+  /**
+   * Gets the open shadow root of a host, or the document of a frame the page may read
+   * @returns {ShadowRoot|Document|null} - null for other elements, closed shadow roots and cross-origin frames
+   */
+  function getNestedRoot(el) {
+    if (el.shadowRoot) {
+      return el.shadowRoot;
+    }
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
       try {
-        const el = document.querySelector(selector);
-        if (el && (el.textContent || '').trim().length > 300) {
-          mainContent = el;
-          break;
+        return el.contentDocument?.body ? el.contentDocument : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Joins a host path and a selector inside the last host, as in "my-app >>> iframe#embed >>> p.intro"
+   */
+  function getDeepSelector(hostPath, selector) {
+    return hostPath ? hostPath + HOST_PATH_SEPARATOR + selector : selector;
+  }
+
+  /**
+   * Finds the elements matching a selector in the document, its open shadow roots and same-origin frames
+   * @param {string} selector - CSS selector, matched within each root
+   * @param {Element} [container] - Only search this element and the roots nested inside it
+   * @returns {Array<{el: Element, hostPath: string|null}>} - Matches with the host path of their root
+   */
+  function queryAllDeep(selector, container = null) {
+    const matches = [];
+
+    getCaptureRoots().forEach(({ root, hosts, hostPath }) => {
+      let scope = root;
+      if (container) {
+        if (container.getRootNode() === root) {
+          scope = container;
+        } else if (!hosts.some(host => container.contains(host))) {
+          return;
         }
-      } catch (e) {}
+      }
+      scope.querySelectorAll(selector).forEach(el => matches.push({ el, hostPath }));
+    });
+
+    return matches;
+  }
+
+  /**
+   * Finds the first element matching a selector in the root at the end of a host path
+   */
+  function queryDeep(hostPath, selector) {
+    const entry = getCaptureRoots().find(candidate => candidate.hostPath === (hostPath || null));
+    return entry ? entry.root.querySelector(selector) : null;
+  }
+
+  /**
+   * Gets the host path of the shadow root or frame an element is in
+   * @returns {string|null} - null for elements of the document itself
+   */
+  function getHostPath(el) {
+    const entry = getCaptureRoots().find(candidate => candidate.root === el.getRootNode());
+    return entry ? entry.hostPath : null;
+  }
+
+  function getArticleCandidates() {
+    return articleCandidates || bwScoreArticleCandidates({
+      queryAll: selector => queryAllDeep(selector).map(match => match.el)
+    });
+  }
+
+  // The same scorer picks the article root for reader mode and translation in the page
+  function findArticleRoot() {
+    return bwFindArticleRoot({ candidates: getArticleCandidates() });
+  }
+
+  /**
+   * Gets the simplified markup of the article root, which summaries read instead of the whole page
+   * @returns {Object|null} - Selector, host path and markup, or null if the page has no article root
+   */
+  function getArticle() {
+    const root = findArticleRoot();
+    if (!root) return null;
+
+    let html = simplifyMarkup(root.shadowRoot || root);
+    if (html.length > 80000) {
+      html = html.substring(0, 80000) + '... [truncated]';
     }
+    const hostPath = getHostPath(root);
+    return tagHostPath({
+      ref: getElementRef(root, hostPath),
+      selector: generateUniqueSelector(root),
+      tag: root.tagName.toLowerCase(),
+      html
+    }, hostPath);
+  }
 
-    if (!mainContent) {
-      mainContent = document.body;
+  /**
+   * Describes an element by the attributes a re-render keeps: its tag, id, stable classes
+   * and identifying attributes
+   */
+  function getIdentity(el) {
+    const classes = typeof el.className === 'string'
+      ? el.className.trim().split(/\s+/).filter(c => c && !c.match(/^(js-|is-|has-)/)).join('.')
+      : '';
+    const attributes = ['href', 'src', 'name', 'type', 'role', 'aria-label', 'alt']
+      .map(name => el.getAttribute(name) || '')
+      .join('|');
+    return [el.tagName, el.id, classes, attributes].join('|');
+  }
+
+  // Identity and the start of the text, which tells apart elements with the same attributes
+  function getFingerprint(el) {
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+    return `${getIdentity(el)}|${text}`;
+  }
+
+  /**
+   * Gets the reference number of a captured element, tagging it with data-bw-ref the first time
+   * Generated code finds the element again with bwRef(ref)
+   */
+  function getElementRef(el, hostPath) {
+    let ref = Number(el.getAttribute(ELEMENT_REF_ATTRIBUTE));
+    if (!ref) {
+      ref = nextElementRef++;
+      el.setAttribute(ELEMENT_REF_ATTRIBUTE, ref);
+    } else if (ref >= nextElementRef) {
+      // Tagged before this content script was injected again
+      nextElementRef = ref + 1;
     }
 
-    const paragraphs = mainContent.querySelectorAll('p');
-    paragraphs.forEach((p, i) => {
+    elementRefs.set(ref, {
+      hostPath: hostPath || null,
+      selector: generateUniqueSelector(el),
+      fingerprint: getFingerprint(el)
+    });
+    return ref;
+  }
+
+  /**
+   * Gives missing reference numbers back to the elements a re-render replaced: the element now
+   * at the old selector if its fingerprint still matches, or else the only element with that
+   * fingerprint. References that match nothing are dropped
+   */
+  function restoreElementRefs() {
+    if (elementRefs.size === 0) return;
+    const roots = getCaptureRoots();
+
+    elementRefs.forEach(({ hostPath, selector, fingerprint }, ref) => {
+      const root = roots.find(candidate => candidate.hostPath === hostPath)?.root;
+      if (root?.querySelector(`[${ELEMENT_REF_ATTRIBUTE}="${ref}"]`)) return;
+
+      let match = null;
+      if (root) {
+        const isFree = el => !el.hasAttribute(ELEMENT_REF_ATTRIBUTE) &&
+          fingerprint.startsWith(`${getIdentity(el)}|`) && getFingerprint(el) === fingerprint;
+        try {
+          match = root.querySelector(selector);
+        } catch (e) {}
+        if (!match || !isFree(match)) {
+          const tag = fingerprint.substring(0, fingerprint.indexOf('|')).toLowerCase();
+          const matches = Array.from(root.querySelectorAll(tag)).filter(isFree);
+          match = matches.length === 1 ? matches[0] : null;
+        }
+      }
+
+      if (match) {
+        match.setAttribute(ELEMENT_REF_ATTRIBUTE, ref);
+      } else {
+        elementRefs.delete(ref);
+      }
+    });
+  }
+
+  /**
+   * Adds the host path to a captured element's details when it is inside a shadow root or frame
+   */
+  function tagHostPath(details, hostPath) {
+    if (hostPath) {
+      details.hostPath = hostPath;
+    }
+    return details;
+  }
+
+  // Computed styles come from the window of the frame the element is in
+  function getStyle(el) {
+    return el.ownerDocument.defaultView.getComputedStyle(el);
+  }
+
+  /**
+   * Gets an element's box in the top viewport, adding the offsets of the frames it is in
+   */
+  function getViewportRect(el) {
+    const rect = el.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    let frame = el.ownerDocument.defaultView.frameElement;
+    while (frame) {
+      const frameRect = frame.getBoundingClientRect();
+      left += frameRect.left + frame.clientLeft;
+      top += frameRect.top + frame.clientTop;
+      frame = frame.ownerDocument.defaultView.frameElement;
+    }
+    return { left, top, right: left + rect.width, bottom: top + rect.height };
+  }
+
+  /**
+   * Gets the viewport and the on-screen boxes of the page's main regions, keyed by the
+   * same selectors as the elements summary, so a screenshot can be matched to the DOM
+   */
+  function getVisibleLayout(elements) {
+    // Candidate elements mapped to the host path of their root
+    const candidates = new Map();
+
+    queryAllDeep(
+      'header, nav, main, article, aside, footer, [role="banner"], [role="navigation"], ' +
+      '[role="main"], [role="complementary"], [role="contentinfo"], [role="dialog"]'
+    ).forEach(({ el, hostPath }) => candidates.set(el, hostPath));
+
+    // Fixed and sticky bars, banners and popups usually sit near the top of the tree
+    queryAllDeep('body > *, body > * > *').forEach(({ el, hostPath }) => {
+      const position = getStyle(el).position;
+      if (position === 'fixed' || position === 'sticky') {
+        candidates.set(el, hostPath);
+      }
+    });
+
+    [...elements.suspectedAds, ...elements.suspectedComments, ...elements.mainContentCandidates].forEach(item => {
+      try {
+        const el = queryDeep(item.hostPath, item.selector);
+        if (el) candidates.set(el, item.hostPath || null);
+      } catch (e) {}
+    });
+
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    const boxes = [];
+    const seen = new Set();
+
+    candidates.forEach((hostPath, el) => {
+      if (el.closest(`#${MODAL_OVERLAY_ID}`)) return;
+
+      const rect = getViewportRect(el);
+      const left = Math.max(0, rect.left);
+      const top = Math.max(0, rect.top);
+      const right = Math.min(viewportWidth, rect.right);
+      const bottom = Math.min(viewportHeight, rect.bottom);
+      if (right - left < 10 || bottom - top < 10) return;
+
+      const selector = generateUniqueSelector(el);
+      const deepSelector = getDeepSelector(hostPath, selector);
+      if (seen.has(deepSelector)) return;
+      seen.add(deepSelector);
+
+      const position = getStyle(el).position;
+      boxes.push(tagHostPath({
+        ref: getElementRef(el, hostPath),
+        selector,
+        tag: el.tagName.toLowerCase(),
+        x: Math.round(left),
+        y: Math.round(top),
+        width: Math.round(right - left),
+        height: Math.round(bottom - top),
+        position: position === 'fixed' || position === 'sticky' ? position : null
+      }, hostPath));
+    });
+
+    boxes.sort((a, b) => b.width * b.height - a.width * a.height);
+
+    return {
+      viewport: {
+        width: viewportWidth,
+        height: viewportHeight,
+        scrollX: Math.round(window.scrollX),
+        scrollY: Math.round(window.scrollY),
+        devicePixelRatio: window.devicePixelRatio || 1
+      },
+      boxes: boxes.slice(0, MAX_LAYOUT_BOXES)
+    };
+  }
+
+  function getTextBlocks() {
+    const blocks = [];
+    const mainContent = findArticleRoot() || document.body;
+
+    // Paragraphs of shadow roots and frames inside the main content follow its own
+    const paragraphs = queryAllDeep('p', mainContent);
+    paragraphs.forEach(({ el: p }, i) => {
       if (i >= 30) return;
       const text = p.textContent?.trim();
       if (text && text.length > 50 && text.length < 2000) {
-        const isHidden = window.getComputedStyle(p).display === 'none' ||
-                         window.getComputedStyle(p).visibility === 'hidden';
+        const isHidden = getStyle(p).display === 'none' ||
+                         getStyle(p).visibility === 'hidden';
         if (!isHidden) {
           blocks.push(text);
         }
@@ -95,8 +528,37 @@
     return blocks;
   }
 
+  /**
+   * Gets the simplified markup of the document, followed by that of each shadow root and frame
+   * under a comment naming its host path
+   */
   function getSimplifiedHTML() {
-    const clone = document.body.cloneNode(true);
+    let html = getCaptureRoots().map(({ root, hostPath }) => {
+      if (!hostPath) {
+        return simplifyMarkup(document.body);
+      }
+      const kind = root.nodeType === Node.DOCUMENT_NODE ? 'frame' : 'shadow root';
+      return `<!-- ${kind} of ${hostPath} --> ${simplifyMarkup(root.body || root)}`;
+    }).join(' ');
+
+    if (html.length > 80000) {
+      html = html.substring(0, 80000) + '... [truncated]';
+    }
+
+    return html;
+  }
+
+  /**
+   * Gets the markup of an element or shadow root without scripts, styles and most attributes
+   */
+  function simplifyMarkup(source) {
+    let clone;
+    if (source.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      clone = document.createElement('div');
+      source.childNodes.forEach(node => clone.appendChild(node.cloneNode(true)));
+    } else {
+      clone = source.cloneNode(true);
+    }
 
     const scriptsAndStyles = clone.querySelectorAll('script, style, noscript, svg, iframe');
     scriptsAndStyles.forEach(el => el.remove());
@@ -112,19 +574,27 @@
       });
     });
 
-    let html = clone.innerHTML;
-    html = html.replace(/\s+/g, ' ').trim();
+    return clone.innerHTML.replace(/\s+/g, ' ').trim();
+  }
 
-    if (html.length > 80000) {
-      html = html.substring(0, 80000) + '... [truncated]';
+  function getVisibleText() {
+    const texts = [];
+
+    getCaptureRoots().forEach(({ root }) => {
+      collectVisibleText(root.body || root, texts);
+    });
+
+    let result = texts.join(' ');
+    if (result.length > 10000) {
+      result = result.substring(0, 10000) + '... [truncated]';
     }
 
-    return html;
+    return result;
   }
 
-  function getVisibleText() {
+  function collectVisibleText(container, texts) {
     const walker = document.createTreeWalker(
-      document.body,
+      container,
       NodeFilter.SHOW_TEXT,
       {
         acceptNode: (node) => {
@@ -136,7 +606,7 @@
             return NodeFilter.FILTER_REJECT;
           }
 
-          const style = window.getComputedStyle(parent);
+          const style = getStyle(parent);
           if (style.display === 'none' || style.visibility === 'hidden') {
             return NodeFilter.FILTER_REJECT;
           }
@@ -149,18 +619,10 @@
       }
     );
 
-    const texts = [];
     while (walker.nextNode()) {
       const text = walker.currentNode.textContent.trim();
       if (text) texts.push(text);
     }
-
-    let result = texts.join(' ');
-    if (result.length > 10000) {
-      result = result.substring(0, 10000) + '... [truncated]';
-    }
-
-    return result;
   }
 
   function getElementsSummary() {
@@ -178,63 +640,68 @@
       mainContentCandidates: []
     };
 
-    document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"]').forEach((el, i) => {
+    queryAllDeep('button, [role="button"], input[type="button"], input[type="submit"]').forEach(({ el, hostPath }, i) => {
       if (i < 20) {
-        summary.buttons.push({
+        summary.buttons.push(tagHostPath({
+          ref: getElementRef(el, hostPath),
           text: el.textContent?.trim().substring(0, 50) || el.value || '',
           id: el.id || null,
           classes: el.className || null
-        });
+        }, hostPath));
       }
     });
 
-    document.querySelectorAll('a[href]').forEach((el, i) => {
+    queryAllDeep('a[href]').forEach(({ el, hostPath }, i) => {
       if (i < 20) {
-        summary.links.push({
+        summary.links.push(tagHostPath({
+          ref: getElementRef(el, hostPath),
           text: el.textContent?.trim().substring(0, 50) || '',
           href: el.href?.substring(0, 100) || '',
           id: el.id || null,
           classes: el.className || null
-        });
+        }, hostPath));
       }
     });
 
-    document.querySelectorAll('input, textarea, select').forEach((el, i) => {
+    queryAllDeep('input, textarea, select').forEach(({ el, hostPath }, i) => {
       if (i < 20) {
-        summary.inputs.push({
+        summary.inputs.push(tagHostPath({
+          ref: getElementRef(el, hostPath),
           type: el.type || el.tagName.toLowerCase(),
           name: el.name || null,
           id: el.id || null,
           placeholder: el.placeholder || null,
           classes: el.className || null
-        });
+        }, hostPath));
       }
     });
 
-    document.querySelectorAll('img').forEach((el, i) => {
+    queryAllDeep('img').forEach(({ el, hostPath }, i) => {
       if (i < 10) {
-        summary.images.push({
+        summary.images.push(tagHostPath({
+          ref: getElementRef(el, hostPath),
           alt: el.alt || '',
           src: el.src?.substring(0, 100) || '',
           id: el.id || null,
           classes: el.className || null
-        });
+        }, hostPath));
       }
     });
 
-    document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((el, i) => {
+    queryAllDeep('h1, h2, h3, h4, h5, h6').forEach(({ el, hostPath }, i) => {
       if (i < 15) {
-        summary.headings.push({
+        summary.headings.push(tagHostPath({
+          ref: getElementRef(el, hostPath),
           level: el.tagName.toLowerCase(),
           text: el.textContent?.trim().substring(0, 100) || '',
           id: el.id || null,
           classes: el.className || null
-        });
+        }, hostPath));
       }
     });
 
-    summary.divs.count = document.querySelectorAll('div').length;
-    summary.spans.count = document.querySelectorAll('span').length;
+    summary.divs.count = queryAllDeep('div').length;
+    summary.spans.count = queryAllDeep('span').length;
 
     summary.semanticStructure = getSemanticStructure();
     summary.suspectedAds = getSuspectedAds();
@@ -258,15 +725,16 @@
     const semanticTags = ['header', 'nav', 'main', 'article', 'section', 'aside', 'footer'];
 
     semanticTags.forEach(tag => {
-      document.querySelectorAll(tag).forEach((el, i) => {
+      queryAllDeep(tag).forEach(({ el, hostPath }, i) => {
         if (i < 5) {
-          structure[tag].push({
+          structure[tag].push(tagHostPath({
+            ref: getElementRef(el, hostPath),
             id: el.id || null,
             classes: el.className || null,
             selector: generateUniqueSelector(el),
             textPreview: el.textContent?.trim().substring(0, 100) || '',
             childCount: el.children.length
-          });
+          }, hostPath));
         }
       });
     });
@@ -322,23 +790,25 @@
 
     adSelectors.forEach(selector => {
       try {
-        document.querySelectorAll(selector).forEach(el => {
+        queryAllDeep(selector).forEach(({ el, hostPath }) => {
           const uniqueSelector = generateUniqueSelector(el);
-          if (seen.has(uniqueSelector) || ads.length >= 30) return;
+          const deepSelector = getDeepSelector(hostPath, uniqueSelector);
+          if (seen.has(deepSelector) || ads.length >= 30) return;
 
           // Check for false positives
           const identifier = ((el.className || '') + ' ' + (el.id || '')).toLowerCase();
           const isFalsePositive = excludePatterns.some(p => p.test(identifier));
           if (isFalsePositive) return;
 
-          seen.add(uniqueSelector);
-          ads.push({
+          seen.add(deepSelector);
+          ads.push(tagHostPath({
+            ref: getElementRef(el, hostPath),
             selector: uniqueSelector,
             tag: el.tagName.toLowerCase(),
             id: el.id || null,
             classes: el.className || null,
             matchedPattern: selector
-          });
+          }, hostPath));
         });
       } catch (e) {}
     });
@@ -362,17 +832,19 @@
 
     commentSelectors.forEach(selector => {
       try {
-        document.querySelectorAll(selector).forEach(el => {
+        queryAllDeep(selector).forEach(({ el, hostPath }) => {
           const uniqueSelector = generateUniqueSelector(el);
-          if (!seen.has(uniqueSelector) && comments.length < 20) {
-            seen.add(uniqueSelector);
-            comments.push({
+          const deepSelector = getDeepSelector(hostPath, uniqueSelector);
+          if (!seen.has(deepSelector) && comments.length < 20) {
+            seen.add(deepSelector);
+            comments.push(tagHostPath({
+              ref: getElementRef(el, hostPath),
               selector: uniqueSelector,
               tag: el.tagName.toLowerCase(),
               id: el.id || null,
               classes: el.className || null,
               matchedPattern: selector
-            });
+            }, hostPath));
           }
         });
       } catch (e) {}
@@ -381,75 +853,32 @@
     return comments;
   }
 
+  /**
+   * Lists the best scored article candidates, the article root first
+   */
   function getMainContentCandidates() {
-    const candidates = [];
-
-    const mainEl = document.querySelector('main');
-    if (mainEl) {
-      candidates.push({
-        type: 'main',
-        selector: generateUniqueSelector(mainEl),
-        id: mainEl.id || null,
-        classes: mainEl.className || null
-      });
-    }
-
-    const articleEl = document.querySelector('article');
-    if (articleEl) {
-      candidates.push({
-        type: 'article',
-        selector: generateUniqueSelector(articleEl),
-        id: articleEl.id || null,
-        classes: articleEl.className || null
-      });
-    }
-
-    const contentSelectors = [
-      // Schema.org attributes (most reliable)
-      '[itemprop="articleBody"]', '[itemprop="mainContentOfPage"]',
-      // Data attributes
-      '[data-testid*="article-body"]', '[data-testid*="article-content"]',
-      '[data-component*="article-body"]', '[data-story-body]',
-      // Straits Times specific patterns
-      '[class*="article-content-rawhtml"]', '[class*="group-story-body"]',
-      '.str-article-body', '[class*="st-article"]',
-      // General content patterns
-      '[class*="content"]', '[class*="article"]', '[class*="post"]', '[class*="entry"]',
-      '[class*="story"]', '[class*="body"]', '[class*="text"]',
-      '[id*="content"]', '[id*="article"]', '[id*="post"]', '[id*="entry"]',
-      '[id*="story"]', '[id*="main"]',
-      '[role="main"]', '[role="article"]',
-      // CamelCase patterns
-      '[class*="ArticleBody"]', '[class*="StoryBody"]', '[class*="ArticleContent"]'
+    const articleRoot = findArticleRoot();
+    const candidates = getArticleCandidates();
+    const ordered = [
+      ...candidates.filter(candidate => candidate.element === articleRoot),
+      ...candidates.filter(candidate => candidate.element !== articleRoot)
     ];
 
-    const seen = new Set();
-    contentSelectors.forEach(selector => {
-      try {
-        document.querySelectorAll(selector).forEach(el => {
-          const textLength = el.textContent?.trim().length || 0;
-          if (textLength > 500 && candidates.length < 10) {
-            const uniqueSelector = generateUniqueSelector(el);
-            if (!seen.has(uniqueSelector)) {
-              seen.add(uniqueSelector);
-              candidates.push({
-                type: 'contentCandidate',
-                selector: uniqueSelector,
-                tag: el.tagName.toLowerCase(),
-                id: el.id || null,
-                classes: el.className || null,
-                textLength: textLength,
-                matchedPattern: selector
-              });
-            }
-          }
-        });
-      } catch (e) {}
+    return ordered.slice(0, 10).map(({ element, score, textLength, linkDensity, paragraphCount }) => {
+      const hostPath = getHostPath(element);
+      return tagHostPath({
+        ref: getElementRef(element, hostPath),
+        type: element === articleRoot ? 'articleRoot' : 'contentCandidate',
+        selector: generateUniqueSelector(element),
+        tag: element.tagName.toLowerCase(),
+        id: element.id || null,
+        classes: element.className || null,
+        score,
+        textLength,
+        linkDensity,
+        paragraphCount
+      }, hostPath);
     });
-
-    candidates.sort((a, b) => (b.textLength || 0) - (a.textLength || 0));
-
-    return candidates.slice(0, 10);
   }
 
   function generateUniqueSelector(el) {
@@ -460,7 +889,8 @@
     const path = [];
     let current = el;
 
-    while (current && current !== document.body && path.length < 5) {
+    // Selectors are unique within the element's own document or shadow root
+    while (current && current !== el.ownerDocument.body && path.length < 5) {
       let selector = current.tagName.toLowerCase();
 
       if (current.id) {
@@ -494,6 +924,8 @@
 
   async function applyModifications(payload) {
     saveOriginalStates();
+    // The page may have re-rendered while the model wrote the code
+    restoreElementRefs();
 
     let cssApplied = false;
     let codeExecuted = false;
@@ -512,11 +944,13 @@
     }
 
     cleanupEmptySpaces();
+    attachChatForm();
 
     return {
       success: cssApplied || codeExecuted,
       cssApplied,
       codeExecuted,
+      errorCode: !codeExecuted && payload.code ? 'CSP_BLOCKED' : null,
       error: !codeExecuted && payload.code ? 'Code execution failed - page may have strict Content Security Policy' : null
     };
   }
@@ -0,0 +1,204 @@
+/**
+ * Replay runner
+ * Runs the scenarios of replay-scenarios.json through the MODIFY_PAGE handler outside the
+ * browser, answering every LLM call from the packaged fixtures in llm/. chrome.* is replaced
+ * by in-memory storage and network requests fail, so a scenario passes only if the whole
+ * pipeline (prompt building, fixture lookup, parsing and code generation) works offline.
+ * The detection prompts are checked against the keyword rules of task-detector.js first
+ *
+ * With --record the scenarios are sent to the live provider instead, with the key in
+ * BROWSER_WAND_API_KEY, and the responses are written to the fixture files
+ *
+ * Usage: node fixtures/run-replay.mjs [--record] [scenario name...]
+ * Needs Node 20.19 or later (ES module syntax detection and global fetch)
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const FIXTURES_DIR = dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = dirname(FIXTURES_DIR);
+const SCENARIOS_FILE = join(FIXTURES_DIR, 'replay-scenarios.json');
+
+const args = process.argv.slice(2);
+const recording = args.includes('--record');
+const selectedNames = args.filter((arg) => !arg.startsWith('--'));
+
+/**
+ * Creates an in-memory stand-in for a chrome.storage area
+ * @returns {Object} - Storage area with get, set and remove
+ */
+function createStorageArea() {
+  const items = {};
+  return {
+    async get(keys) {
+      const names = keys == null ? Object.keys(items) : [].concat(keys);
+      return Object.fromEntries(names.filter((name) => name in items).map((name) => [name, structuredClone(items[name])]));
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((name) => delete items[name]);
+    },
+  };
+}
+
+/**
+ * Replaces the chrome APIs the background modules use outside a tab
+ * Packaged files resolve to file URLs in this checkout
+ */
+function installChromeStub() {
+  globalThis.chrome = {
+    storage: { local: createStorageArea(), session: createStorageArea() },
+    runtime: {
+      getURL: (path) => pathToFileURL(join(EXTENSION_DIR, path)).href,
+      // No popup is listening for progress messages
+      sendMessage: async () => {
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      },
+    },
+  };
+}
+
+/**
+ * Serves file URLs from disk, and only allows network requests while recording
+ * Fixture lookups fetch their packaged files through chrome.runtime.getURL
+ */
+function installFetchStub() {
+  const networkFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const url = String(input instanceof Request ? input.url : input);
+    if (url.startsWith('file:')) {
+      try {
+        return new Response(await readFile(fileURLToPath(url)), { status: 200 });
+      } catch {
+        return new Response('Not found', { status: 404 });
+      }
+    }
+    if (!recording) {
+      throw new TypeError(`Network access is disabled in replay runs: ${url}`);
+    }
+    return networkFetch(input, init);
+  };
+}
+
+/**
+ * Checks a result against the expectations of its scenario
+ * A string must equal the data field; each string of a list must appear in it
+ * @param {Object} result - MODIFY_PAGE result
+ * @param {Object} expect - Expected data fields
+ * @returns {string[]} - Failed expectations, empty if the scenario passed
+ */
+function checkResult(result, expect) {
+  if (!result.success) {
+    return [result.error || 'Request failed'];
+  }
+
+  return Object.entries(expect).flatMap(([field, expected]) => {
+    const actual = result.data[field];
+    if (!Array.isArray(expected)) {
+      return actual === expected ? [] : [`${field} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`];
+    }
+    return expected
+      .filter((text) => !String(actual ?? '').includes(text))
+      .map((text) => `${field} does not contain ${JSON.stringify(text)}`);
+  });
+}
+
+/**
+ * Checks the task type the keyword rules detect for each detection prompt
+ * @param {Function} detectTaskType - Detector from task-detector.js
+ * @param {Array<{prompt: string, taskType: string}>} detection - Prompts and their expected task types
+ * @returns {number} - Number of prompts detected as another task type
+ */
+function checkDetection(detectTaskType, detection) {
+  let failures = 0;
+  for (const { prompt, taskType } of detection) {
+    const detected = detectTaskType(prompt);
+    failures += detected === taskType ? 0 : 1;
+    console.log(`${detected === taskType ? 'ok  ' : 'FAIL'} ${taskType.padEnd(20)} detect "${prompt}"`);
+    if (detected !== taskType) console.log(`     detected as ${detected}`);
+  }
+  return failures;
+}
+
+/**
+ * Writes the recordings into the fixture files, replacing entries of the same prompt
+ * @param {Function} exportRecordedFixtures - Exporter from the replay module
+ * @returns {Promise<void>}
+ */
+async function writeRecordings(exportRecordedFixtures) {
+  const exported = await exportRecordedFixtures();
+  if (!exported.success) {
+    throw new Error(exported.error);
+  }
+
+  for (const { fileName, content } of exported.data.files) {
+    const path = join(FIXTURES_DIR, 'llm', fileName);
+    const recorded = JSON.parse(content);
+    const existing = await readFile(path, 'utf8').then(JSON.parse, () => ({ entries: {} }));
+    recorded.entries = { ...existing.entries, ...recorded.entries };
+    await writeFile(path, `${JSON.stringify(recorded, null, 2)}\n`);
+    console.log(`Wrote ${fileName}`);
+  }
+}
+
+async function main() {
+  if (recording && !process.env.BROWSER_WAND_API_KEY) {
+    console.error('Set BROWSER_WAND_API_KEY to record fixtures');
+    process.exit(1);
+  }
+
+  installChromeStub();
+  installFetchStub();
+  if (recording) {
+    // Stored the way earlier versions kept their single key, which key profiles read without a vault
+    await chrome.storage.local.set({ apiKey: process.env.BROWSER_WAND_API_KEY });
+  }
+
+  // Handler logs would bury the report; warnings and errors still show
+  console.log = ((log) => (...values) => {
+    if (!String(values[0]).startsWith('[Browser Wand]')) log(...values);
+  })(console.log);
+
+  const { modifyPage } = await import('../background/handlers/modify-page.js');
+  const { exportRecordedFixtures } = await import('../background/replay/index.js');
+  const { detectTaskType } = await import('../background/task-detector.js');
+
+  const { pages, detection, scenarios } = JSON.parse(await readFile(SCENARIOS_FILE, 'utf8'));
+  const selected = selectedNames.length > 0
+    ? scenarios.filter((scenario) => selectedNames.includes(scenario.name))
+    : scenarios;
+  // Detection needs no fixtures, so it only runs with the full set of scenarios
+  const detectionFailures = selectedNames.length > 0 ? 0 : checkDetection(detectTaskType, detection);
+  let failures = 0;
+
+  for (const scenario of selected) {
+    const result = await modifyPage({
+      model: process.env.BROWSER_WAND_MODEL,
+      prompt: scenario.prompt,
+      taskType: scenario.taskType,
+      pageContent: structuredClone(pages[scenario.page]),
+      backendMode: recording ? 'record' : 'replay',
+    });
+
+    const problems = checkResult(result, scenario.expect);
+    failures += problems.length > 0 ? 1 : 0;
+    console.log(`${problems.length > 0 ? 'FAIL' : 'ok  '} ${scenario.taskType.padEnd(20)} ${scenario.name}`);
+    problems.forEach((problem) => console.log(`     ${problem}`));
+  }
+
+  if (recording) {
+    await writeRecordings(exportRecordedFixtures);
+  }
+
+  console.log(`\n${selected.length - failures} of ${selected.length} scenarios passed`);
+  if (detectionFailures > 0) {
+    console.log(`${detectionFailures} detection prompts were detected as another task type`);
+  }
+  process.exitCode = failures + detectionFailures > 0 ? 1 : 0;
+}
+
+main();
@@ -1,5 +1,5 @@
-const DEFAULT_API_KEY = '9b6ecfa8-c757-4a51-ac75-e460a80ca69b';
 const SAVED_SCRIPTS_KEY = 'browserWandSavedScripts';
+const RECENT_COMMAND_ARGS_KEY = 'browserWandRecentCommandArgs';
 const DEFAULT_MODEL = 'gemini-3-pro-preview';
 
 // Script categories from config.js
@@ -9,12 +9,172 @@ const SCRIPT_CATEGORIES = {
   SAVABLE_RUNTIME: 'SAVABLE_RUNTIME',
 };
 
+// Provider defaults from config.js
+const DEFAULT_PROVIDER = 'gemini';
+const PROVIDER_DEFAULTS = {
+  gemini: { baseUrl: '', model: DEFAULT_MODEL, note: '' },
+  'openai-compatible': {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    note: 'Web search and image generation need Google Gemini.',
+  },
+  local: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    note: 'No API key needed. Web search and image generation need Google Gemini.',
+  },
+};
+
+// Key check results from background/models/model-catalog.js that stop a new key from being saved
+const BLOCKING_KEY_ERRORS = ['MISSING_KEY', 'INVALID_KEY', 'RESTRICTED_KEY'];
+
+const MODEL_CAPABILITY_LABELS = {
+  text: 'Text',
+  image: 'Image',
+  searchGrounding: 'Search',
+};
+
+// Task types from config.js that a request can run as, in the order offered for overrides
+const TASK_TYPE_OPTIONS = [
+  'GENERAL',
+  'STYLING',
+  'THEMATIC_RESKINNING',
+  'ELEMENT_HIDING',
+  'AD_REMOVAL',
+  'COMMENT_REMOVAL',
+  'CONTENT_EXTRACTION',
+  'TRANSLATION',
+  'SUMMARIZE',
+  'ANALYZE',
+  'MAGIC_BAR',
+];
+
+// Task type of compound requests from config.js, offered only when the prompt splits into steps
+const MULTI_STEP_TASK_TYPE = 'MULTI_STEP';
+// A MODIFY_PAGE request may take this long per step before it is cancelled
+const MODIFY_TIMEOUT_MS = 120000;
+
+// Classifications below CLASSIFIER_CONFIG.confidenceThreshold from config.js are flagged
+const TASK_CONFIDENCE_THRESHOLD = 0.7;
+// Pause in typing before the prompt is classified by the keyword rules
+const TASK_CLASSIFY_DELAY_MS = 600;
+// Arguments remembered per slash command for the autocomplete menu
+const MAX_RECENT_COMMAND_ARGS = 5;
+
+// Error codes from background/errors.js: what to tell the user and which next step to offer
+const ERROR_CODE_HELP = {
+  INVALID_KEY: {
+    title: 'API key rejected',
+    explanation: 'Check the key saved for this profile in Settings.',
+    action: 'settings',
+  },
+  MISSING_KEY: {
+    title: 'No API key',
+    explanation: 'This profile has no saved key. Add one in Settings, or switch to a profile that has one.',
+    action: 'settings',
+  },
+  BUDGET: {
+    title: 'Budget reached',
+    explanation: 'Your spending limit for this period is used up. Raise it in Settings, or wait for the next period.',
+    action: 'budget',
+  },
+  QUOTA: {
+    title: 'Quota reached',
+    explanation: 'This key is out of requests for now. Switch to another model or profile, or try again later.',
+    action: 'switchModel',
+  },
+  SAFETY_BLOCK: {
+    title: 'Blocked by safety filters',
+    explanation: 'The AI declined this request. Rephrase it and try again.',
+    action: 'rephrase',
+  },
+  RECITATION: {
+    title: 'Blocked for recitation',
+    explanation: 'The answer repeated existing text too closely. Rephrase the request or switch model.',
+    action: 'switchModel',
+  },
+  NETWORK: {
+    title: 'Connection problem',
+    explanation: 'The AI service could not be reached. Check your connection and retry.',
+    action: 'retry',
+  },
+  TIMEOUT: {
+    title: 'Request timed out',
+    explanation: 'The AI took too long to answer. Retry, or switch to a faster model.',
+    action: 'retry',
+  },
+  CANCELLED: {
+    title: 'Cancelled',
+    explanation: 'The request was stopped before it finished. No changes were applied.',
+    action: 'retry',
+  },
+  PARSE_FAILURE: {
+    title: 'Unusable answer',
+    explanation: 'The AI answer could not be read. Retry, or rephrase the request.',
+    action: 'retry',
+  },
+  CSP_BLOCKED: {
+    title: 'Page blocked the change',
+    explanation: 'This page does not allow injected scripts. Ask for a style-only change instead.',
+    action: 'rephrase',
+  },
+  MODEL_UNAVAILABLE: {
+    title: 'Model unavailable',
+    explanation: 'This model cannot be used with your key or provider. Pick another model in Settings.',
+    action: 'switchModel',
+  },
+};
+
+const ERROR_ACTION_LABELS = {
+  settings: 'Open settings',
+  budget: 'Change limits',
+  switchModel: 'Switch model',
+  retry: 'Retry',
+  rephrase: 'Edit prompt',
+};
+
 document.addEventListener('DOMContentLoaded', () => {
   const settingsToggle = document.getElementById('settingsToggle');
   const settingsPanel = document.getElementById('settingsPanel');
+  const profileSwitcher = document.getElementById('profileSwitcher');
+  const profileNameInput = document.getElementById('profileName');
+  const newProfileBtn = document.getElementById('newProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
   const apiKeyInput = document.getElementById('apiKey');
+  const apiKeyHint = document.getElementById('apiKeyHint');
+  const keyStatus = document.getElementById('keyStatus');
+  const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+  const unlockVaultBtn = document.getElementById('unlockVaultBtn');
+  const vaultStatus = document.getElementById('vaultStatus');
+  const resetVaultBtn = document.getElementById('resetVaultBtn');
+  const providerSelect = document.getElementById('providerSelect');
+  const providerEndpointGroup = document.getElementById('providerEndpointGroup');
+  const providerBaseUrlInput = document.getElementById('providerBaseUrl');
+  const customModelInput = document.getElementById('customModel');
+  const providerNote = document.getElementById('providerNote');
+  const geminiModelGroup = document.getElementById('geminiModelGroup');
+  const modelOptions = document.getElementById('modelOptions');
+  const refreshModelsBtn = document.getElementById('refreshModelsBtn');
+  const providerModelOptions = document.getElementById('providerModelOptions');
+  const routingModelOptions = document.getElementById('routingModelOptions');
+  const taskRoutingBody = document.getElementById('taskRoutingBody');
+  const resetRoutingBtn = document.getElementById('resetRoutingBtn');
   const saveSettingsBtn = document.getElementById('saveSettings');
+  const clearCacheBtn = document.getElementById('clearCacheBtn');
+  const dailyBudgetInput = document.getElementById('dailyBudget');
+  const monthlyBudgetInput = document.getElementById('monthlyBudget');
+  const modelPricingBody = document.getElementById('modelPricingBody');
+  const backendModeSelect = document.getElementById('backendMode');
+  const attachScreenshotInput = document.getElementById('attachScreenshot');
+  const fixtureActions = document.getElementById('fixtureActions');
+  const exportFixturesBtn = document.getElementById('exportFixturesBtn');
+  const clearFixturesBtn = document.getElementById('clearFixturesBtn');
   const userPromptInput = document.getElementById('userPrompt');
+  const taskRow = document.getElementById('taskRow');
+  const taskTypeSelect = document.getElementById('taskTypeSelect');
+  const taskConfidence = document.getElementById('taskConfidence');
+  const planSteps = document.getElementById('planSteps');
+  const commandMenu = document.getElementById('commandMenu');
   const modifyBtn = document.getElementById('modifyBtn');
   const modifyBtnText = modifyBtn.querySelector('.btn-text');
   const modifyBtnIconDefault = modifyBtn.querySelector('.btn-icon-default');
@@ -26,11 +186,20 @@ document.addEventListener('DOMContentLoaded', () => {
   const appMain = document.querySelector('.app-main');
   const resultSection = document.getElementById('resultSection');
   const resultContent = document.getElementById('resultContent');
+  const resultMeta = document.getElementById('resultMeta');
+  const contextDetails = document.getElementById('contextDetails');
+  const contextSummary = document.getElementById('contextSummary');
+  const contextTerms = document.getElementById('contextTerms');
+  const contextSections = document.getElementById('contextSections');
   const saveScriptBtn = document.getElementById('saveScriptBtn');
   const savedScriptsToggle = document.getElementById('savedScriptsToggle');
   const savedScriptsPanel = document.getElementById('savedScriptsPanel');
   const savedScriptsList = document.getElementById('savedScriptsList');
   const savedScriptsCount = document.getElementById('savedScriptsCount');
+  const usageToggle = document.getElementById('usageToggle');
+  const usagePanel = document.getElementById('usagePanel');
+  const usageContent = document.getElementById('usageContent');
+  const usageTodayBadge = document.getElementById('usageTodayBadge');
   const saveScriptModal = document.getElementById('saveScriptModal');
   const scriptNameInput = document.getElementById('scriptNameInput');
   const cancelSaveBtn = document.getElementById('cancelSaveBtn');
@@ -43,13 +212,50 @@ document.addEventListener('DOMContentLoaded', () => {
   const startFocusBtn = document.getElementById('startFocusBtn');
   const stopFocusBtn = document.getElementById('stopFocusBtn');
   const focusStatus = document.getElementById('focusStatus');
+  const cancelRequestBtn = document.getElementById('cancelRequestBtn');
+  const statusActionBtn = document.getElementById('statusActionBtn');
 
   // Store the last successful modification for saving
   let lastModificationData = null;
   let lastPrompt = '';
 
+  // ID of the MODIFY_PAGE request in flight, so it can be cancelled
+  let activeRequestId = null;
+
+  // Next step offered by the status bar button after a failure
+  let statusAction = null;
+
+  // Task type shown for the prompt; steps holds the plan of a compound prompt, pending
+  // the CLASSIFY_TASK request while it runs and settled whether a model call could still change it
+  let taskClassification = { prompt: '', taskType: null, steps: null, overridden: false, pending: null, settled: false };
+  let classifyTimer = null;
+  // Incremented per CLASSIFY_TASK request so responses for older prompts are ignored
+  let classifyRequestCount = 0;
+
+  // Slash commands as listed by the service worker, and the arguments last used with each
+  let slashCommands = [];
+  let recentCommandArgs = {};
+  // Entries shown in the command menu and the one Enter or Tab accepts
+  let commandMenuItems = [];
+  let commandMenuIndex = 0;
+
+  // Key profiles as listed by the service worker (never includes key material)
+  let keyProfiles = [];
+  let activeProfileId = null;
+  // Profile shown in the settings form, null while creating a new one
+  let editingProfileId = null;
+  let vaultState = { created: false, unlocked: false };
+
+  // Incremented per LIST_MODELS request so responses to older requests are ignored
+  let modelsRequestCount = 0;
+  // Profile model that has no card yet, selected once the models list has loaded
+  let pendingGeminiModel = null;
+
+  renderTaskTypeOptions();
+  loadSlashCommands();
   loadSettings();
   loadSavedScripts();
+  loadUsageSummary();
   checkFocusModeStatus();
 
   settingsToggle.addEventListener('click', () => {
@@ -60,8 +266,50 @@ document.addEventListener('DOMContentLoaded', () => {
     savedScriptsPanel.classList.toggle('hidden');
   });
 
+  usageToggle.addEventListener('click', () => {
+    usagePanel.classList.toggle('hidden');
+    if (!usagePanel.classList.contains('hidden')) {
+      loadUsageSummary();
+    }
+  });
+
   saveSettingsBtn.addEventListener('click', saveSettings);
+  profileSwitcher.addEventListener('change', handleProfileSwitch);
+  newProfileBtn.addEventListener('click', handleNewProfile);
+  deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+  unlockVaultBtn.addEventListener('click', handleVaultButton);
+  vaultPassphraseInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      handleVaultButton();
+    }
+  });
+  resetVaultBtn.addEventListener('click', handleResetVault);
+  resetRoutingBtn.addEventListener('click', handleResetRouting);
+  providerSelect.addEventListener('change', () => {
+    updateProviderFields();
+    loadModels();
+  });
+  providerBaseUrlInput.addEventListener('change', () => loadModels());
+  refreshModelsBtn.addEventListener('click', () => loadModels());
+  clearCacheBtn.addEventListener('click', handleClearCache);
+  backendModeSelect.addEventListener('change', updateBackendFields);
+  exportFixturesBtn.addEventListener('click', handleExportFixtures);
+  clearFixturesBtn.addEventListener('click', handleClearFixtures);
   modifyBtn.addEventListener('click', handleModify);
+  userPromptInput.addEventListener('input', () => {
+    scheduleTaskClassification();
+    updateCommandMenu();
+  });
+  userPromptInput.addEventListener('keydown', handleCommandMenuKeydown);
+  userPromptInput.addEventListener('blur', hideCommandMenu);
+  userPromptInput.addEventListener('blur', classifyFinishedPrompt);
+  taskTypeSelect.addEventListener('change', handleTaskTypeOverride);
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'TASK_PLAN_PROGRESS') {
+      handleTaskPlanProgress(message.payload);
+    }
+    return false;
+  });
   resetBtn.addEventListener('click', handleReset);
   magicBarBtn.addEventListener('click', handleMagicBarSearch);
   magicBarInput.addEventListener('keydown', (e) => {
@@ -78,6 +326,8 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   startFocusBtn.addEventListener('click', handleStartFocus);
   stopFocusBtn.addEventListener('click', handleStopFocus);
+  cancelRequestBtn.addEventListener('click', handleCancelRequest);
+  statusActionBtn.addEventListener('click', handleStatusAction);
   saveScriptBtn.addEventListener('click', openSaveModal);
   cancelSaveBtn.addEventListener('click', closeSaveModal);
   confirmSaveBtn.addEventListener('click', handleSaveScript);
@@ -94,31 +344,1011 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   async function loadSettings() {
-    const result = await chrome.storage.local.get(['apiKey', 'model']);
-    if (result.apiKey) {
-      apiKeyInput.value = result.apiKey;
-    }
-    const savedModel = result.model || DEFAULT_MODEL;
-    const modelRadio = document.querySelector(`input[name="model"][value="${savedModel}"]`);
-    if (modelRadio) {
-      modelRadio.checked = true;
-    }
+    const result = await chrome.storage.local.get(['dailyBudgetUsd', 'monthlyBudgetUsd', 'backendMode', 'attachScreenshot']);
+    dailyBudgetInput.value = result.dailyBudgetUsd || '';
+    monthlyBudgetInput.value = result.monthlyBudgetUsd || '';
+    backendModeSelect.value = result.backendMode || 'live';
+    attachScreenshotInput.checked = !!result.attachScreenshot;
+    await loadModelPricing();
+    updateBackendFields();
+    await loadKeyProfiles();
+    await loadTaskRouting();
   }
 
   async function saveSettings() {
+    await chrome.storage.local.set({
+      dailyBudgetUsd: parseBudget(dailyBudgetInput.value),
+      monthlyBudgetUsd: parseBudget(monthlyBudgetInput.value),
+      modelPricing: collectModelPricing(),
+      backendMode: backendModeSelect.value,
+      attachScreenshot: attachScreenshotInput.checked,
+    });
+    await loadModelPricing();
+
+    // Check a new key before keeping it, so a bad key fails here instead of on the first request
     const apiKey = apiKeyInput.value.trim();
-    const selectedModel = document.querySelector('input[name="model"]:checked')?.value || DEFAULT_MODEL;
-    await chrome.storage.local.set({ apiKey, model: selectedModel });
+    if (apiKey) {
+      const keyCheck = await loadModels(apiKey);
+      if (keyCheck && !keyCheck.success && BLOCKING_KEY_ERRORS.includes(keyCheck.keyError)) {
+        showStatus('error', 'API key not saved', keyCheck.error);
+        return;
+      }
+    }
+
+    // New keys are encrypted by the service worker, which needs the vault unlocked first
+    if (apiKey && !vaultState.unlocked && !(await unlockVault())) {
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_KEY_PROFILE',
+      payload: {
+        id: editingProfileId,
+        name: profileNameInput.value,
+        provider: getSelectedProvider(),
+        providerBaseUrl: getProviderBaseUrl(),
+        model: getProfileModel(),
+        apiKey,
+      },
+    });
+    if (!response?.success) {
+      showStatus('error', 'Could not save profile', response?.error || 'Unknown error');
+      return;
+    }
+
+    await loadKeyProfiles();
+
+    const routingResponse = await chrome.runtime.sendMessage({
+      type: 'SAVE_TASK_ROUTING',
+      payload: { routes: collectTaskRouting() },
+    });
+    if (!routingResponse?.success) {
+      showStatus('error', 'Could not save task routing', routingResponse?.error || 'Unknown error');
+      return;
+    }
+    renderTaskRouting(routingResponse.data.routes);
+
     showStatus('success', 'Settings saved!', '');
     setTimeout(() => hideStatus(), 2000);
   }
 
-  function getApiKey() {
-    return apiKeyInput.value.trim() || DEFAULT_API_KEY;
+  // Default prices from the service worker, so only changed prices are saved
+  let defaultModelPricing = {};
+
+  async function loadModelPricing() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_MODEL_PRICING' });
+    if (response?.success) {
+      defaultModelPricing = response.data.defaults;
+      renderModelPricing(response.data.prices);
+    }
+  }
+
+  /**
+   * Renders one row of price inputs per priced model, and an empty row to add a model
+   * @param {Object} prices - Prices keyed by model ID
+   */
+  function renderModelPricing(prices) {
+    const rows = [...Object.entries(prices), ['', {}]].map(([model, price]) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="text" class="pricing-input" data-field="model" list="routingModelOptions" placeholder="Model ID"></td>
+        <td><input type="number" class="pricing-input" data-field="inputPerMillion" min="0" step="0.01"></td>
+        <td><input type="number" class="pricing-input" data-field="outputPerMillion" min="0" step="0.01"></td>
+        <td><input type="number" class="pricing-input" data-field="perImage" min="0" step="0.001"></td>
+      `;
+      row.querySelectorAll('.pricing-input').forEach((input) => {
+        const value = input.dataset.field === 'model' ? model : price[input.dataset.field];
+        input.value = value === null || value === undefined ? '' : value;
+      });
+      return row;
+    });
+    modelPricingBody.replaceChildren(...rows);
+  }
+
+  /**
+   * Reads the price inputs that differ from the defaults; the service worker validates the values
+   * @returns {Object} - Prices keyed by model ID
+   */
+  function collectModelPricing() {
+    const prices = {};
+    modelPricingBody.querySelectorAll('tr').forEach((row) => {
+      const price = {};
+      row.querySelectorAll('.pricing-input').forEach((input) => {
+        price[input.dataset.field] = input.value.trim();
+      });
+      const { model, ...fields } = price;
+      const defaults = defaultModelPricing[model] || {};
+      const changed = Object.entries(fields).some(([field, value]) => value !== '' && Number(value) !== (defaults[field] || 0));
+      if (model && changed) {
+        prices[model] = fields;
+      }
+    });
+    return prices;
+  }
+
+  async function loadTaskRouting() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TASK_ROUTING' });
+    if (response?.success) {
+      renderTaskRouting(response.data.routes);
+    }
+  }
+
+  /**
+   * Renders one row of model and generation inputs per task type
+   * @param {Object} routes - Routes keyed by task type
+   */
+  function renderTaskRouting(routes) {
+    taskRoutingBody.replaceChildren(...Object.entries(routes).map(([taskType, route]) => {
+      const row = document.createElement('tr');
+      row.dataset.taskType = taskType;
+      row.innerHTML = `
+        <td>${formatTaskType(taskType)}</td>
+        <td><input type="text" class="routing-input" data-field="model" list="routingModelOptions" placeholder="Profile"></td>
+        <td><input type="number" class="routing-input" data-field="temperature" min="0" max="2" step="0.1"></td>
+        <td><input type="number" class="routing-input" data-field="maxOutputTokens" min="1" step="256"></td>
+        <td><input type="number" class="routing-input" data-field="thinkingBudget" min="-1" step="256" placeholder="Default"></td>
+      `;
+      row.querySelectorAll('.routing-input').forEach((input) => {
+        const value = route[input.dataset.field];
+        input.value = value === null || value === undefined ? '' : value;
+      });
+      return row;
+    }));
+  }
+
+  /**
+   * Reads the routing inputs; the service worker validates and clamps the values
+   * @returns {Object} - Routes keyed by task type
+   */
+  function collectTaskRouting() {
+    const routes = {};
+    taskRoutingBody.querySelectorAll('tr').forEach((row) => {
+      const route = {};
+      row.querySelectorAll('.routing-input').forEach((input) => {
+        route[input.dataset.field] = input.value;
+      });
+      routes[row.dataset.taskType] = route;
+    });
+    return routes;
+  }
+
+  async function handleResetRouting() {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_TASK_ROUTING', payload: { routes: null } });
+    if (response?.success) {
+      renderTaskRouting(response.data.routes);
+      showStatus('success', 'Task routing restored', 'Every task uses the default settings again');
+    } else {
+      showStatus('error', 'Could not restore task routing', response?.error || 'Unknown error');
+    }
+    setTimeout(() => hideStatus(), 2000);
+  }
+
+  /**
+   * Loads the key profiles and vault state, then shows the active profile in the form
+   */
+  async function loadKeyProfiles() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_KEY_PROFILES' });
+    if (!response?.success) {
+      showStatus('error', 'Could not load key profiles', response?.error || 'Unknown error');
+      return;
+    }
+
+    keyProfiles = response.data.profiles;
+    activeProfileId = response.data.activeProfileId;
+    vaultState = { created: response.data.vaultCreated, unlocked: response.data.vaultUnlocked };
+    renderProfileSwitcher();
+    fillProfileForm(keyProfiles.find((profile) => profile.id === activeProfileId) || null);
+    updateVaultFields();
+  }
+
+  function renderProfileSwitcher() {
+    profileSwitcher.replaceChildren(...keyProfiles.map((profile) => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      return option;
+    }));
+    profileSwitcher.value = activeProfileId;
+  }
+
+  /**
+   * Shows a profile in the settings form, or an empty form for a new profile
+   * The stored key is never sent to the popup; the field only takes a replacement
+   * @param {Object|null} profile - Profile to show
+   */
+  function fillProfileForm(profile) {
+    editingProfileId = profile ? profile.id : null;
+    const provider = profile && PROVIDER_DEFAULTS[profile.provider] ? profile.provider : DEFAULT_PROVIDER;
+    const isGemini = provider === DEFAULT_PROVIDER;
+
+    profileNameInput.value = profile ? profile.name : '';
+    providerSelect.value = provider;
+    providerBaseUrlInput.value = profile?.providerBaseUrl || '';
+    customModelInput.value = (!isGemini && profile?.model) || '';
+    const geminiModel = (isGemini && profile?.model) || DEFAULT_MODEL;
+    const modelRadio = findModelRadio(geminiModel);
+    modelOptions.querySelectorAll('input[name="model"]').forEach((radio) => {
+      radio.checked = radio === modelRadio;
+    });
+    pendingGeminiModel = modelRadio ? null : geminiModel;
+
+    apiKeyInput.value = '';
+    apiKeyInput.placeholder = profile?.hasKey ? 'Saved and encrypted. Enter a new key to replace it' : 'Enter your API key';
+    apiKeyHint.textContent = profile?.hasKey ? '' : 'Keys are encrypted with your passphrase before they are saved.';
+    deleteProfileBtn.disabled = !!profile && keyProfiles.length <= 1;
+    updateProviderFields();
+    loadModels();
+  }
+
+  /**
+   * Loads the models available to the profile's key, which also checks the key
+   * @param {string} [apiKey] - Unsaved key to check instead of the profile's key
+   * @returns {Promise<Object|null>} - LIST_MODELS response, or null if a newer request replaced it
+   */
+  async function loadModels(apiKey = '') {
+    const requestNumber = ++modelsRequestCount;
+    setKeyStatus('', 'Checking API key...');
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'LIST_MODELS',
+      payload: {
+        profileId: editingProfileId,
+        provider: getSelectedProvider(),
+        providerBaseUrl: getProviderBaseUrl(),
+        apiKey,
+      },
+    });
+    if (requestNumber !== modelsRequestCount) {
+      return null;
+    }
+
+    if (response?.success) {
+      renderModels(response.data.models);
+      setKeyStatus('ok', `API key works: ${response.data.models.length} models available`);
+    } else if (response?.vaultLocked) {
+      setKeyStatus('', 'Unlock your keys to check this key and load its models.');
+    } else {
+      setKeyStatus('error', response?.error || 'Could not load the models list');
+    }
+    return response;
+  }
+
+  /**
+   * Shows the result of the last key check
+   * @param {string} state - 'ok', 'error', or empty for neutral
+   * @param {string} text - Message to show
+   */
+  function setKeyStatus(state, text) {
+    keyStatus.textContent = text;
+    keyStatus.classList.toggle('hidden', !text);
+    keyStatus.classList.toggle('key-status-ok', state === 'ok');
+    keyStatus.classList.toggle('key-status-error', state === 'error');
+  }
+
+  /**
+   * Offers the listed models: as cards for Gemini, and as suggestions for the
+   * custom model and task routing fields
+   * @param {Array<Object>} models - Models from LIST_MODELS
+   */
+  function renderModels(models) {
+    [providerModelOptions, routingModelOptions].forEach((list) => {
+      list.replaceChildren(...models.map((model) => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = model.name;
+        return option;
+      }));
+    });
+
+    if (getSelectedProvider() !== DEFAULT_PROVIDER) {
+      return;
+    }
+
+    // Keep the profile's model selectable even if the key does not list it
+    const selectedModel = getCheckedGeminiModel();
+    const cards = [...models];
+    if (!models.some((model) => model.id === selectedModel)) {
+      cards.unshift({ id: selectedModel, name: selectedModel, description: 'Not in this key\'s models list', capabilities: {} });
+    }
+
+    modelOptions.innerHTML = cards.map(renderModelCard).join('');
+    // Values are set through the DOM since model IDs come from the API
+    modelOptions.querySelectorAll('input[name="model"]').forEach((radio, index) => {
+      radio.value = cards[index].id;
+    });
+    findModelRadio(selectedModel).checked = true;
+    pendingGeminiModel = null;
+  }
+
+  function findModelRadio(modelId) {
+    return [...modelOptions.querySelectorAll('input[name="model"]')].find((radio) => radio.value === modelId);
+  }
+
+  function getCheckedGeminiModel() {
+    return modelOptions.querySelector('input[name="model"]:checked')?.value || pendingGeminiModel || DEFAULT_MODEL;
+  }
+
+  function renderModelCard(model) {
+    const tier = /pro/i.test(model.id) ? 'pro' : 'flash';
+    const tierLabel = tier === 'pro' ? 'Pro' : /lite/i.test(model.id) ? 'Lite' : 'Flash';
+    const tags = Object.entries(MODEL_CAPABILITY_LABELS)
+      .filter(([capability]) => model.capabilities[capability])
+      .map(([, label]) => `<span class="model-tag">${label}</span>`)
+      .join('');
+
+    return `
+      <label class="model-card">
+        <input type="radio" name="model">
+        <div class="model-card-content">
+          <span class="model-icon ${tier}">${tierLabel}</span>
+          <div class="model-info">
+            <span class="model-name">${escapeHtml(model.name)}</span>
+            ${model.description ? `<span class="model-desc">${escapeHtml(model.description)}</span>` : ''}
+            ${tags ? `<span class="model-tags">${tags}</span>` : ''}
+          </div>
+          <span class="model-check">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+              <polyline points="20 6 9 17 4 12"></polyline>
+            </svg>
+          </span>
+        </div>
+      </label>
+    `;
+  }
+
+  function updateVaultFields() {
+    vaultPassphraseInput.classList.toggle('hidden', vaultState.unlocked);
+    resetVaultBtn.classList.toggle('hidden', !vaultState.created || vaultState.unlocked);
+    if (vaultState.unlocked) {
+      unlockVaultBtn.textContent = 'Lock';
+      vaultStatus.textContent = 'Keys are unlocked until the browser closes.';
+    } else if (vaultState.created) {
+      unlockVaultBtn.textContent = 'Unlock';
+      vaultStatus.textContent = 'Enter your passphrase to use your saved keys.';
+    } else {
+      unlockVaultBtn.textContent = 'Set';
+      vaultStatus.textContent = 'Choose a passphrase to encrypt the keys you save.';
+    }
+  }
+
+  /**
+   * Unlocks the key vault with the entered passphrase, creating it on first use
+   * @returns {Promise<boolean>} - True if the vault is unlocked
+   */
+  async function unlockVault() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UNLOCK_KEY_VAULT',
+      payload: { passphrase: vaultPassphraseInput.value },
+    });
+    if (!response?.success) {
+      showStatus('error', 'Could not unlock keys', response?.error || 'Unknown error');
+      vaultPassphraseInput.focus();
+      return false;
+    }
+
+    vaultPassphraseInput.value = '';
+    vaultState = { created: true, unlocked: true };
+    updateVaultFields();
+    return true;
+  }
+
+  async function handleVaultButton() {
+    unlockVaultBtn.disabled = true;
+    try {
+      if (vaultState.unlocked) {
+        await chrome.runtime.sendMessage({ type: 'LOCK_KEY_VAULT' });
+        vaultState.unlocked = false;
+        updateVaultFields();
+      } else if (await unlockVault()) {
+        await loadKeyProfiles();
+        showStatus('success', 'Keys unlocked', '');
+        setTimeout(() => hideStatus(), 2000);
+      }
+    } finally {
+      unlockVaultBtn.disabled = false;
+    }
+  }
+
+  async function handleResetVault() {
+    if (!confirm('Remove every saved API key? Your profiles are kept, but you will have to enter the keys again.')) {
+      return;
+    }
+    const response = await chrome.runtime.sendMessage({ type: 'RESET_KEY_VAULT' });
+    if (response?.success) {
+      await loadKeyProfiles();
+      showStatus('success', 'Saved keys removed', `${response.data.removed} keys removed`);
+    } else {
+      showStatus('error', 'Could not remove keys', response?.error || 'Unknown error');
+    }
+    setTimeout(() => hideStatus(), 2000);
+  }
+
+  async function handleProfileSwitch() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_ACTIVE_KEY_PROFILE',
+      payload: { id: profileSwitcher.value },
+    });
+    if (!response?.success) {
+      showStatus('error', 'Could not switch profile', response?.error || 'Unknown error');
+    }
+    await loadKeyProfiles();
+  }
+
+  function handleNewProfile() {
+    fillProfileForm(null);
+    settingsPanel.classList.remove('collapsed');
+    profileNameInput.focus();
+  }
+
+  async function handleDeleteProfile() {
+    // Deleting an unsaved new profile just goes back to the active one
+    if (!editingProfileId) {
+      fillProfileForm(keyProfiles.find((profile) => profile.id === activeProfileId) || null);
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'DELETE_KEY_PROFILE',
+      payload: { id: editingProfileId },
+    });
+    if (response?.success) {
+      await loadKeyProfiles();
+    } else {
+      showStatus('error', 'Could not delete profile', response?.error || 'Unknown error');
+    }
+  }
+
+  /**
+   * Shows why a request needs the passphrase and points the user to it
+   * @param {string} message - Error from the service worker
+   */
+  function showVaultLocked(message) {
+    showStatus('error', 'Keys locked', message);
+    settingsPanel.classList.remove('collapsed');
+    vaultPassphraseInput.focus();
+  }
+
+  /**
+   * Parses a budget input, treating empty or invalid values as no limit
+   * @param {string} value - Input value
+   * @returns {number} - Budget in USD, 0 for no limit
+   */
+  function parseBudget(value) {
+    const amount = parseFloat(value);
+    return amount > 0 ? amount : 0;
+  }
+
+  async function handleClearCache() {
+    clearCacheBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+      if (response?.success) {
+        showStatus('success', 'Cache cleared', `${response.data.removed} cached responses removed`);
+      } else {
+        showStatus('error', 'Could not clear cache', response?.error || 'Unknown error');
+      }
+    } catch (error) {
+      showStatus('error', 'Could not clear cache', error.message);
+    } finally {
+      clearCacheBtn.disabled = false;
+      setTimeout(() => hideStatus(), 2000);
+    }
+  }
+
+  /**
+   * Shows the recording export and clear buttons outside live mode
+   */
+  function updateBackendFields() {
+    fixtureActions.classList.toggle('hidden', backendModeSelect.value === 'live');
+  }
+
+  /**
+   * Downloads the recorded responses as fixture files, one per task type,
+   * to be copied into chrome-extension/fixtures/llm/
+   */
+  async function handleExportFixtures() {
+    exportFixturesBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'EXPORT_RECORDED_FIXTURES' });
+      if (!response?.success) {
+        showStatus('error', 'Could not export recordings', response?.error || 'Unknown error');
+        return;
+      }
+      const { files } = response.data;
+      files.forEach((file) => {
+        const url = URL.createObjectURL(new Blob([file.content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      });
+      if (files.length === 0) {
+        showStatus('error', 'Nothing to export', 'Switch to Record mode and run some requests first.');
+      } else {
+        showStatus('success', 'Recordings exported', `${files.length} fixture files downloaded`);
+      }
+    } catch (error) {
+      showStatus('error', 'Could not export recordings', error.message);
+    } finally {
+      exportFixturesBtn.disabled = false;
+      setTimeout(() => hideStatus(), 2000);
+    }
+  }
+
+  async function handleClearFixtures() {
+    clearFixturesBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_RECORDED_FIXTURES' });
+      if (response?.success) {
+        showStatus('success', 'Recordings cleared', `${response.data.removed} recorded responses removed`);
+      } else {
+        showStatus('error', 'Could not clear recordings', response?.error || 'Unknown error');
+      }
+    } catch (error) {
+      showStatus('error', 'Could not clear recordings', error.message);
+    } finally {
+      clearFixturesBtn.disabled = false;
+      setTimeout(() => hideStatus(), 2000);
+    }
+  }
+
+  /**
+   * Shows the endpoint fields for OpenAI-compatible and local providers,
+   * and the Gemini model cards for Gemini
+   */
+  function updateProviderFields() {
+    const provider = getSelectedProvider();
+    const defaults = PROVIDER_DEFAULTS[provider];
+    const isGemini = provider === DEFAULT_PROVIDER;
+
+    providerEndpointGroup.classList.toggle('hidden', isGemini);
+    geminiModelGroup.classList.toggle('hidden', !isGemini);
+    providerBaseUrlInput.placeholder = defaults.baseUrl;
+    customModelInput.placeholder = defaults.model;
+    providerNote.textContent = defaults.note;
+  }
+
+  function getSelectedProvider() {
+    return providerSelect.value || DEFAULT_PROVIDER;
+  }
+
+  function getProviderBaseUrl() {
+    if (getSelectedProvider() === DEFAULT_PROVIDER) {
+      return '';
+    }
+    return providerBaseUrlInput.value.trim();
+  }
+
+  /**
+   * Gets the default model saved with a profile, empty for the provider default
+   */
+  function getProfileModel() {
+    if (getSelectedProvider() !== DEFAULT_PROVIDER) {
+      return customModelInput.value.trim();
+    }
+    return getCheckedGeminiModel();
   }
 
   function getSelectedModel() {
-    return document.querySelector('input[name="model"]:checked')?.value || DEFAULT_MODEL;
+    const provider = getSelectedProvider();
+    if (provider !== DEFAULT_PROVIDER) {
+      return customModelInput.value.trim() || PROVIDER_DEFAULTS[provider].model;
+    }
+    return getCheckedGeminiModel();
+  }
+
+  /**
+   * Gets the profile, provider, model and backend mode sent with every LLM request
+   */
+  function getConnectionSettings() {
+    return {
+      profileId: activeProfileId,
+      model: getSelectedModel(),
+      provider: getSelectedProvider(),
+      providerBaseUrl: getProviderBaseUrl(),
+      backendMode: backendModeSelect.value
+    };
+  }
+
+  function buildModifyPayload(tab, prompt, pageContent, previousModifications, { taskType, taskPlan } = {}) {
+    return {
+      ...getConnectionSettings(),
+      prompt,
+      taskType,
+      taskPlan,
+      pageContent,
+      previousModifications,
+      attachScreenshot: attachScreenshotInput.checked,
+      tabId: tab.id
+    };
+  }
+
+  /**
+   * Fills the task type select; a compound prompt also gets its plan as the first option
+   * @param {number} [planStepCount] - Number of steps in the prompt's plan, if it has one
+   */
+  function renderTaskTypeOptions(planStepCount = 0) {
+    const options = TASK_TYPE_OPTIONS.map((taskType) => {
+      const option = document.createElement('option');
+      option.value = taskType;
+      option.textContent = formatTaskType(taskType);
+      return option;
+    });
+    if (planStepCount > 1) {
+      const planOption = document.createElement('option');
+      planOption.value = MULTI_STEP_TASK_TYPE;
+      planOption.textContent = `Multi-step plan (${planStepCount} steps)`;
+      options.unshift(planOption);
+    }
+    taskTypeSelect.replaceChildren(...options);
+  }
+
+  /**
+   * Shows the steps of a plan with their status, or hides the list
+   * @param {Array<{prompt: string, taskType: string, status?: string}>|null} steps - Steps in order
+   */
+  function renderPlanSteps(steps) {
+    planSteps.classList.toggle('hidden', !steps);
+    planSteps.replaceChildren(...(steps || []).map((step) => {
+      const item = document.createElement('li');
+      item.className = `plan-step ${step.status || ''}`.trim();
+      item.title = step.error || '';
+      const type = document.createElement('span');
+      type.className = 'plan-step-type';
+      type.textContent = formatTaskType(step.taskType);
+      item.append(type, step.prompt);
+      return item;
+    }));
+  }
+
+  /**
+   * Shows which step of a running plan the service worker is on (TASK_PLAN_PROGRESS)
+   * @param {Object} progress - Steps with their status and the index of the current step
+   */
+  function handleTaskPlanProgress({ steps, current }) {
+    renderPlanSteps(steps);
+    const step = steps[current];
+    if (step?.status === 'running') {
+      showStatus('loading', 'Modifying page...', `Step ${current + 1} of ${steps.length}: ${formatTaskType(step.taskType)}`);
+    }
+  }
+
+  /**
+   * Classifies the prompt with the keyword rules once the user stops typing, so its task type
+   * is shown before running. The model is only asked once the prompt is finished (see
+   * classifyFinishedPrompt and resolveTask), so half-typed prompts cost nothing.
+   * Editing the prompt drops a task type the user picked for the previous text
+   */
+  function scheduleTaskClassification() {
+    clearTimeout(classifyTimer);
+    const prompt = userPromptInput.value.trim();
+    if (!prompt) {
+      classifyRequestCount++;
+      taskClassification = { prompt: '', taskType: null, steps: null, overridden: false, pending: null, settled: false };
+      taskRow.classList.add('hidden');
+      renderPlanSteps(null);
+      return;
+    }
+    classifyTimer = setTimeout(() => classifyPrompt(prompt, true), TASK_CLASSIFY_DELAY_MS);
+  }
+
+  /**
+   * Checks whether the shown task type is final for a prompt: picked by the user, or a
+   * classification a model call would not change
+   * @returns {boolean} - True if the prompt needs no further classification
+   */
+  function isClassificationSettled(prompt) {
+    return taskClassification.prompt === prompt && (taskClassification.overridden || taskClassification.settled);
+  }
+
+  /**
+   * Lets the model decide the task type when the user leaves the prompt and the rules were unsure
+   */
+  function classifyFinishedPrompt() {
+    const prompt = userPromptInput.value.trim();
+    if (!prompt || isClassificationSettled(prompt)) {
+      return;
+    }
+    clearTimeout(classifyTimer);
+    classifyPrompt(prompt, false);
+  }
+
+  /**
+   * Starts classifying a prompt
+   * @param {string} prompt - Trimmed prompt
+   * @param {boolean} rulesOnly - Classify with the keyword rules only, without a model call
+   * @returns {Promise<Object|null>} - Task type and plan, or null if classification failed or a newer prompt replaced it
+   */
+  function classifyPrompt(prompt, rulesOnly) {
+    const pending = requestTaskClassification(prompt, rulesOnly);
+    taskClassification = { prompt, taskType: null, steps: null, overridden: false, pending, settled: !rulesOnly };
+    return pending;
+  }
+
+  async function requestTaskClassification(prompt, rulesOnly) {
+    const requestNumber = ++classifyRequestCount;
+    taskRow.classList.remove('hidden');
+    taskConfidence.textContent = 'Detecting...';
+    taskConfidence.classList.remove('low');
+    taskConfidence.title = '';
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'CLASSIFY_TASK',
+        payload: { ...getConnectionSettings(), prompt, rulesOnly }
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (requestNumber !== classifyRequestCount) {
+      return null;
+    }
+    if (taskClassification.overridden) {
+      return getClassifiedTask();
+    }
+    if (!response?.success) {
+      // The service worker detects the task type itself when none is sent
+      console.warn('[Browser Wand Popup] Task classification failed:', response?.error);
+      taskClassification = { prompt, taskType: null, steps: null, overridden: false, pending: null, settled: false };
+      taskRow.classList.add('hidden');
+      renderPlanSteps(null);
+      return null;
+    }
+
+    const { taskType, confidence, alternatives, source, steps = null } = response.data;
+    // Unsure rules are only a preview; the model decides once the prompt is finished
+    const settled = !rulesOnly || source !== 'rules' || confidence >= TASK_CONFIDENCE_THRESHOLD;
+    taskClassification = { prompt, taskType, steps, overridden: false, pending: null, settled };
+    renderTaskTypeOptions(steps?.length);
+    renderPlanSteps(steps);
+    taskTypeSelect.value = taskType;
+    // A slash command names its task, so there is nothing to override
+    taskTypeSelect.disabled = source === 'command';
+    taskConfidence.textContent = source === 'command'
+      ? 'Command'
+      : `${Math.round(confidence * 100)}% · ${source === 'model' ? 'AI' : 'rules'}`;
+    taskConfidence.classList.toggle('low', confidence < TASK_CONFIDENCE_THRESHOLD);
+    taskConfidence.title = alternatives.length > 0
+      ? `Also possible: ${alternatives.map((alternative) => `${formatTaskType(alternative.taskType)} (${Math.round(alternative.confidence * 100)}%)`).join(', ')}`
+      : '';
+    return getClassifiedTask();
+  }
+
+  function handleTaskTypeOverride() {
+    taskClassification = { ...taskClassification, taskType: taskTypeSelect.value, overridden: true, pending: null };
+    taskConfidence.textContent = 'Chosen by you';
+    taskConfidence.classList.remove('low');
+    taskConfidence.title = '';
+    // Picking a single task type runs the whole prompt as that task instead of the plan
+    renderPlanSteps(taskClassification.taskType === MULTI_STEP_TASK_TYPE ? taskClassification.steps : null);
+  }
+
+  /**
+   * Gets the task type shown for the prompt, with its steps when it runs as a plan
+   * @returns {{taskType: string, taskPlan?: Array<Object>}} - Task for buildModifyPayload
+   */
+  function getClassifiedTask() {
+    const { taskType, steps } = taskClassification;
+    if (taskType !== MULTI_STEP_TASK_TYPE) {
+      return { taskType };
+    }
+    return { taskType, taskPlan: steps.map(({ prompt, taskType: stepTaskType }) => ({ prompt, taskType: stepTaskType })) };
+  }
+
+  /**
+   * Gets the task to run the prompt as: the user's pick, or the classification,
+   * classifying now if the prompt changed since it was last classified or only the
+   * unsure rules have seen it
+   * @returns {Promise<Object>} - Task type and plan; empty to let the service worker detect them
+   */
+  async function resolveTask(prompt) {
+    if (isClassificationSettled(prompt)) {
+      if (taskClassification.taskType) {
+        return getClassifiedTask();
+      }
+      if (taskClassification.pending) {
+        return (await taskClassification.pending) || {};
+      }
+    }
+    clearTimeout(classifyTimer);
+    return (await classifyPrompt(prompt, false)) || {};
+  }
+
+  async function loadSlashCommands() {
+    try {
+      const [response, stored] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'LIST_SLASH_COMMANDS' }),
+        chrome.storage.local.get([RECENT_COMMAND_ARGS_KEY]),
+      ]);
+      slashCommands = response?.success ? response.data : [];
+      recentCommandArgs = stored[RECENT_COMMAND_ARGS_KEY] || {};
+    } catch (error) {
+      console.warn('[Browser Wand Popup] Could not load slash commands:', error);
+    }
+  }
+
+  /**
+   * Lists the commands matching the name being typed, or once a command and a space are typed,
+   * its recent arguments and suggestions matching the argument being typed
+   */
+  function updateCommandMenu() {
+    const match = userPromptInput.value.match(/^\/([a-z]*)(\s+([\s\S]*))?$/i);
+    if (!match || slashCommands.length === 0) {
+      hideCommandMenu();
+      return;
+    }
+
+    const name = match[1].toLowerCase();
+    if (match[2] === undefined) {
+      renderCommandMenu(slashCommands
+        // A command without an argument is complete once its name is typed
+        .filter((command) => command.name.startsWith(name) && (command.argument || command.name !== name))
+        .map((command) => ({
+          value: command.argument ? `/${command.name} ` : `/${command.name}`,
+          label: `/${command.name}`,
+          argument: command.argument ? `<${command.argument}>` : '',
+          detail: command.description,
+        })));
+      return;
+    }
+
+    const command = slashCommands.find((candidate) => candidate.name === name);
+    if (!command) {
+      hideCommandMenu();
+      return;
+    }
+    const typed = match[3].trim().toLowerCase();
+    const recent = recentCommandArgs[command.name] || [];
+    renderCommandMenu([...new Set([...recent, ...command.suggestions])]
+      .filter((value) => value.toLowerCase().startsWith(typed) && value.toLowerCase() !== typed)
+      .map((value) => ({
+        value: `/${command.name} ${value}`,
+        label: value,
+        argument: '',
+        detail: recent.includes(value) ? 'Recent' : '',
+      })));
+  }
+
+  function renderCommandMenu(items) {
+    commandMenuItems = items;
+    commandMenuIndex = 0;
+    commandMenu.classList.toggle('hidden', items.length === 0);
+    commandMenu.replaceChildren(...items.map((item, index) => {
+      const entry = document.createElement('li');
+      entry.className = 'command-menu-item';
+      entry.setAttribute('role', 'option');
+      const label = document.createElement('span');
+      label.className = 'command-menu-label';
+      label.textContent = item.label;
+      const argument = document.createElement('span');
+      argument.className = 'command-menu-argument';
+      argument.textContent = item.argument;
+      const detail = document.createElement('span');
+      detail.className = 'command-menu-detail';
+      detail.textContent = item.detail;
+      entry.append(label, argument, detail);
+      // mousedown rather than click, so the prompt box keeps focus
+      entry.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        acceptCommandMenuItem(index);
+      });
+      return entry;
+    }));
+    highlightCommandMenuItem();
+  }
+
+  function highlightCommandMenuItem() {
+    [...commandMenu.children].forEach((entry, index) => {
+      const active = index === commandMenuIndex;
+      entry.classList.toggle('active', active);
+      entry.setAttribute('aria-selected', String(active));
+      if (active) {
+        entry.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  function hideCommandMenu() {
+    commandMenuItems = [];
+    commandMenu.classList.add('hidden');
+  }
+
+  function acceptCommandMenuItem(index) {
+    userPromptInput.value = commandMenuItems[index].value;
+    userPromptInput.setSelectionRange(userPromptInput.value.length, userPromptInput.value.length);
+    scheduleTaskClassification();
+    updateCommandMenu();
+  }
+
+  function handleCommandMenuKeydown(e) {
+    if (commandMenuItems.length === 0) {
+      return;
+    }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      commandMenuIndex = (commandMenuIndex + step + commandMenuItems.length) % commandMenuItems.length;
+      highlightCommandMenuItem();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      acceptCommandMenuItem(commandMenuIndex);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      hideCommandMenu();
+    }
+  }
+
+  /**
+   * Remembers the argument of a slash command that ran, most recent first
+   * @param {string} prompt - Prompt that was run
+   */
+  async function rememberCommandArgument(prompt) {
+    const match = prompt.match(/^\/([a-z]+)\s+([\s\S]+)$/i);
+    const name = match?.[1].toLowerCase();
+    if (!match || !slashCommands.some((command) => command.name === name)) {
+      return;
+    }
+    const argument = match[2].trim();
+    const recent = (recentCommandArgs[name] || []).filter((value) => value.toLowerCase() !== argument.toLowerCase());
+    recentCommandArgs = { ...recentCommandArgs, [name]: [argument, ...recent].slice(0, MAX_RECENT_COMMAND_ARGS) };
+    await chrome.storage.local.set({ [RECENT_COMMAND_ARGS_KEY]: recentCommandArgs });
+  }
+
+  /**
+   * Sends a MODIFY_PAGE request to the service worker and waits for the result
+   * The request can be stopped with the Cancel button, and is cancelled on timeout
+   * so the service worker stops calling the API
+   */
+  function sendModifyRequest(payload, timeoutMessage, timeoutMs = MODIFY_TIMEOUT_MS) {
+    const requestId = crypto.randomUUID();
+    activeRequestId = requestId;
+    cancelRequestBtn.classList.remove('hidden');
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        cancelActiveRequest();
+        const timeoutError = new Error(timeoutMessage);
+        timeoutError.errorCode = 'TIMEOUT';
+        reject(timeoutError);
+      }, timeoutMs);
+
+      chrome.runtime.sendMessage({ type: 'MODIFY_PAGE', payload: { ...payload, requestId } }, (response) => {
+        clearTimeout(timeout);
+        const lastError = chrome.runtime.lastError;
+        if (activeRequestId !== requestId) {
+          // Cancelled from the popup; ignore a result that finished before the abort arrived
+          resolve({ success: false, cancelled: true, error: 'Request cancelled' });
+          return;
+        }
+        activeRequestId = null;
+        cancelRequestBtn.classList.add('hidden');
+        loadUsageSummary();
+        if (lastError) {
+          reject(new Error(lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  function cancelActiveRequest() {
+    if (!activeRequestId) {
+      return;
+    }
+    const requestId = activeRequestId;
+    activeRequestId = null;
+    cancelRequestBtn.classList.add('hidden');
+    chrome.runtime.sendMessage({ type: 'CANCEL_REQUEST', payload: { requestId } });
+  }
+
+  function handleCancelRequest() {
+    console.log('[Browser Wand Popup] Cancelling request:', activeRequestId);
+    cancelActiveRequest();
+    showStatus('loading', 'Cancelling...', 'Stopping the AI request...');
   }
 
   async function getCurrentTab() {
@@ -126,6 +1356,30 @@ document.addEventListener('DOMContentLoaded', () => {
     return tab;
   }
 
+  /**
+   * Applies a MODIFY_PAGE result in the page, unless the service worker already did (plans
+   * are applied step by step as they run)
+   */
+  async function applyResponseData(tabId, data) {
+    if (data.applied) {
+      return { success: true };
+    }
+    return chrome.tabs.sendMessage(tabId, {
+      type: 'APPLY_MODIFICATIONS',
+      payload: {
+        code: data.code,
+        css: data.css
+      }
+    });
+  }
+
+  function getAppliedDetail(data) {
+    if (data.steps) {
+      return `${data.steps.length} steps: ${data.steps.map((step) => formatTaskType(step.taskType)).join(', ')}`;
+    }
+    return data.fromCache ? 'Loaded from cache' : '';
+  }
+
   async function handleModify() {
     const prompt = userPromptInput.value.trim();
     if (!prompt) {
@@ -134,12 +1388,15 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     setButtonsDisabled(true);
-    showStatus('loading', 'Modifying page...', 'Reading page content...');
+    showStatus('loading', 'Modifying page...', 'Detecting task...');
 
     try {
+      const task = await resolveTask(prompt);
+      showStatus('loading', 'Modifying page...', 'Reading page content...');
       const tab = await getCurrentTab();
       console.log('[Browser Wand Popup] Getting page content from tab:', tab.id);
-      const pageContent = await getPageContent(tab.id);
+      // Element boxes let the AI match a screenshot to the page's selectors
+      const pageContent = await getPageContent(tab.id, { includeLayout: attachScreenshotInput.checked });
       console.log('[Browser Wand Popup] Page content received:', {
         hasContent: !!pageContent,
         keys: pageContent ? Object.keys(pageContent) : null
@@ -151,34 +1408,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
       console.log('[Browser Wand Popup] Sending MODIFY_PAGE message to service worker...');
 
-      // Send message with timeout handling
-      const sendMessageWithTimeout = (message, timeoutMs = 120000) => {
-        return new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            reject(new Error('Request timed out. The AI service might be slow or unavailable.'));
-          }, timeoutMs);
-
-          chrome.runtime.sendMessage(message, (response) => {
-            clearTimeout(timeout);
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else {
-              resolve(response);
-            }
-          });
-        });
-      };
-
-      const response = await sendMessageWithTimeout({
-        type: 'MODIFY_PAGE',
-        payload: {
-          apiKey: getApiKey(),
-          prompt,
-          pageContent,
-          previousModifications: modificationState,
-          model: getSelectedModel()
-        }
-      });
+      const response = await sendModifyRequest(
+        buildModifyPayload(tab, prompt, pageContent, modificationState, task),
+        'Request timed out. The AI service might be slow or unavailable.',
+        MODIFY_TIMEOUT_MS * (task.taskPlan?.length || 1)
+      );
 
       console.log('[Browser Wand Popup] Response from service worker:', response);
 
@@ -187,18 +1421,27 @@ document.addEventListener('DOMContentLoaded', () => {
         throw new Error('No response from service worker. Please try reloading the extension.');
       }
 
+      if (response.cancelled) {
+        showStatus('error', 'Cancelled', 'No changes were applied.');
+        return;
+      }
+
+      if (response.budgetExceeded) {
+        showStatus('error', 'Budget reached', response.error);
+        return;
+      }
+
+      if (response.vaultLocked) {
+        showVaultLocked(response.error);
+        return;
+      }
+
       if (response.success) {
         console.log('[Browser Wand Popup] Modification successful, applying changes...');
         console.log('[Browser Wand Popup] Code to apply:', response.data.code?.substring(0, 200));
         showStatus('loading', 'Modifying page...', 'Applying changes...');
 
-        const applyResult = await chrome.tabs.sendMessage(tab.id, {
-          type: 'APPLY_MODIFICATIONS',
-          payload: {
-            code: response.data.code,
-            css: response.data.css
-          }
-        });
+        const applyResult = await applyResponseData(tab.id, response.data);
 
         console.log('[Browser Wand Popup] Apply result:', applyResult);
 
@@ -208,17 +1451,21 @@ document.addEventListener('DOMContentLoaded', () => {
         const hasModifications = hasCode || hasCss;
 
         if (applyResult && applyResult.success && hasModifications) {
-          showStatus('success', 'Modifications applied!', '');
+          showStatus('success', 'Modifications applied!', getAppliedDetail(response.data));
           showResult(response.data.explanation, response.data);
 
           // Store for potential saving
           lastModificationData = response.data;
           lastPrompt = prompt;
+          rememberCommandArgument(prompt);
         } else if (applyResult && applyResult.error) {
-          showStatus('error', 'Application failed', applyResult.error);
+          showFailure('Application failed', applyResult, { input: userPromptInput });
         } else if (!hasModifications) {
           // No code or CSS was generated - likely a parsing issue
-          showStatus('error', 'No modifications generated', 'The AI response could not be parsed. Please try rephrasing your request.');
+          showFailure('No modifications generated', {
+            errorCode: 'PARSE_FAILURE',
+            error: 'The AI response could not be parsed. Please try rephrasing your request.'
+          }, { retry: handleModify, input: userPromptInput });
           console.error('[Browser Wand Popup] No code or CSS generated. Response explanation:', response.data.explanation?.substring(0, 500));
         } else {
           showStatus('success', 'Modifications applied!', '');
@@ -227,14 +1474,15 @@ document.addEventListener('DOMContentLoaded', () => {
           // Store for potential saving
           lastModificationData = response.data;
           lastPrompt = prompt;
+          rememberCommandArgument(prompt);
         }
       } else {
         console.error('[Browser Wand Popup] Modification failed:', response.error);
-        showStatus('error', 'Modification failed', response.error);
+        showFailure('Modification failed', response, { retry: handleModify, input: userPromptInput });
       }
     } catch (error) {
       console.error('[Browser Wand Popup] Error in handleModify:', error);
-      showStatus('error', 'Error', error.message);
+      showFailure('Error', { errorCode: error.errorCode, error: error.message }, { retry: handleModify, input: userPromptInput });
     } finally {
       setButtonsDisabled(false);
     }
@@ -276,38 +1524,30 @@ document.addEventListener('DOMContentLoaded', () => {
 
       showStatus('loading', 'Magic Bar Searching...', 'Searching the web...');
 
-      const sendMessageWithTimeout = (message, timeoutMs = 120000) => {
-        return new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            reject(new Error('Request timed out. The search might be slow or unavailable.'));
-          }, timeoutMs);
-
-          chrome.runtime.sendMessage(message, (response) => {
-            clearTimeout(timeout);
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else {
-              resolve(response);
-            }
-          });
-        });
-      };
-
-      const response = await sendMessageWithTimeout({
-        type: 'MODIFY_PAGE',
-        payload: {
-          apiKey: getApiKey(),
-          prompt: searchQuery,
-          pageContent,
-          previousModifications: null,
-          model: getSelectedModel()
-        }
-      });
+      const response = await sendModifyRequest(
+        buildModifyPayload(tab, searchQuery, pageContent, null),
+        'Request timed out. The search might be slow or unavailable.'
+      );
 
       if (!response) {
         throw new Error('No response from service worker. Please try reloading the extension.');
       }
 
+      if (response.cancelled) {
+        showStatus('error', 'Cancelled', 'Search was stopped.');
+        return;
+      }
+
+      if (response.budgetExceeded) {
+        showStatus('error', 'Budget reached', response.error);
+        return;
+      }
+
+      if (response.vaultLocked) {
+        showVaultLocked(response.error);
+        return;
+      }
+
       if (response.success) {
         showStatus('loading', 'Magic Bar Searching...', 'Displaying results...');
 
@@ -328,7 +1568,7 @@ document.addEventListener('DOMContentLoaded', () => {
           showStatus('success', 'Search complete!', '');
           showResult(response.data.explanation, response.data);
         } else if (applyResult && applyResult.error) {
-          showStatus('error', 'Display failed', applyResult.error);
+          showFailure('Display failed', applyResult, { input: magicBarInput });
         } else if (!hasMagicModifications) {
           showStatus('error', 'Search failed', 'Could not display search results. Please try again.');
           console.error('[Browser Wand Popup] Magic bar: No code or CSS generated.');
@@ -337,11 +1577,11 @@ document.addEventListener('DOMContentLoaded', () => {
           showResult(response.data.explanation, response.data);
         }
       } else {
-        showStatus('error', 'Search failed', response.error);
+        showFailure('Search failed', response, { retry: handleMagicBarSearch, input: magicBarInput });
       }
     } catch (error) {
       console.error('[Browser Wand Popup] Error in handleMagicBarSearch:', error);
-      showStatus('error', 'Error', error.message);
+      showFailure('Error', { errorCode: error.errorCode, error: error.message }, { retry: handleMagicBarSearch, input: magicBarInput });
     } finally {
       setButtonsDisabled(false);
     }
@@ -499,6 +1739,11 @@ document.addEventListener('DOMContentLoaded', () => {
       script.targetLanguage = lastModificationData.targetLanguage || null;
     }
 
+    // Plans keep their steps, so a plan with a runtime step can run them again
+    if (lastModificationData.steps) {
+      script.steps = lastModificationData.steps.map(({ prompt, taskType }) => ({ prompt, taskType }));
+    }
+
     const scripts = await getSavedScripts();
     scripts.unshift(script);
 
@@ -514,6 +1759,100 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => hideStatus(), 2000);
   }
 
+  async function loadUsageSummary() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_USAGE_SUMMARY' });
+      if (!response?.success) {
+        usageContent.innerHTML = `<div class="usage-note">Could not load usage: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+        return;
+      }
+      renderUsageSummary(response.data);
+    } catch (error) {
+      console.error('[Browser Wand Popup] Failed to load usage summary:', error);
+    }
+  }
+
+  /**
+   * Renders today's and this month's usage tables with their budgets
+   */
+  function renderUsageSummary({ today, month, budget }) {
+    const unpricedModels = month.total.unpricedModels || [];
+    usageTodayBadge.textContent = formatTotalCost(today.total);
+    usageContent.innerHTML = `
+      ${renderUsagePeriod('Today', today, budget.dailyUsd)}
+      ${renderUsagePeriod('This month', month, budget.monthlyUsd)}
+      <div class="usage-note">Costs are estimates based on the prices under Model Prices in Settings.</div>
+      ${unpricedModels.length > 0 ? `<div class="usage-note">Not included: requests to ${escapeHtml(unpricedModels.join(', '))}, which have no price. Add their prices in Settings.</div>` : ''}
+    `;
+  }
+
+  function renderUsagePeriod(label, period, budgetUsd) {
+    const budgetExceeded = budgetUsd > 0 && period.total.costUsd >= budgetUsd;
+    const budgetText = budgetUsd > 0
+      ? `${formatTotalCost(period.total)} / ${formatCost(budgetUsd)}`
+      : formatTotalCost(period.total);
+    const rows = Object.entries(period.byTask)
+      .sort(([, a], [, b]) => b.costUsd - a.costUsd)
+      .map(([taskType, totals]) => renderUsageRow(formatTaskType(taskType), totals))
+      .join('');
+
+    return `
+      <div class="usage-period">
+        <div class="usage-period-title">
+          <span>${label}</span>
+          <span class="${budgetExceeded ? 'usage-budget-exceeded' : ''}">${budgetText}</span>
+        </div>
+        <table class="usage-table">
+          <thead>
+            <tr><th>Task</th><th>Requests</th><th>Tokens</th><th>Images</th><th>Cost</th></tr>
+          </thead>
+          <tbody>
+            ${rows || '<tr><td colspan="5">No requests yet</td></tr>'}
+          </tbody>
+          <tfoot>
+            ${renderUsageRow('Total', period.total)}
+          </tfoot>
+        </table>
+      </div>
+    `;
+  }
+
+  function renderUsageRow(label, totals) {
+    return `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td>${totals.requests}</td>
+        <td>${formatTokenCount(totals.promptTokens + totals.outputTokens)}</td>
+        <td>${totals.images}</td>
+        <td>${formatTotalCost(totals)}</td>
+      </tr>
+    `;
+  }
+
+  function formatTaskType(taskType) {
+    return taskType.charAt(0) + taskType.slice(1).toLowerCase().replace(/_/g, ' ');
+  }
+
+  function formatTokenCount(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+    return String(count);
+  }
+
+  function formatCost(costUsd) {
+    return costUsd > 0 && costUsd < 0.01 ? '<$0.01' : `$${costUsd.toFixed(2)}`;
+  }
+
+  /**
+   * Formats the cost of usage totals, marking requests to models without a price
+   */
+  function formatTotalCost(totals) {
+    if (!totals.unpricedModels?.length) {
+      return formatCost(totals.costUsd);
+    }
+    return totals.costUsd > 0 ? `${formatCost(totals.costUsd)} + unpriced` : 'Unpriced';
+  }
+
   async function getSavedScripts() {
     const result = await chrome.storage.local.get([SAVED_SCRIPTS_KEY]);
     return result[SAVED_SCRIPTS_KEY] || [];
@@ -599,48 +1938,37 @@ document.addEventListener('DOMContentLoaded', () => {
 
         showStatus('loading', 'Processing...', 'Generating fresh content...');
 
-        const sendMessageWithTimeout = (message, timeoutMs = 120000) => {
-          return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-              reject(new Error('Request timed out. The AI service might be slow or unavailable.'));
-            }, timeoutMs);
-
-            chrome.runtime.sendMessage(message, (response) => {
-              clearTimeout(timeout);
-              if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message));
-              } else {
-                resolve(response);
-              }
-            });
-          });
-        };
-
-        const response = await sendMessageWithTimeout({
-          type: 'MODIFY_PAGE',
-          payload: {
-            apiKey: getApiKey(),
-            prompt: script.prompt,
-            pageContent,
-            previousModifications: modificationState,
-            model: getSelectedModel()
-          }
-        });
+        // A saved plan runs its steps again, including the ones that could be saved as code
+        const taskPlan = script.steps;
+        const response = await sendModifyRequest(
+          buildModifyPayload(tab, script.prompt, pageContent, modificationState, { taskType: script.taskType, taskPlan }),
+          'Request timed out. The AI service might be slow or unavailable.',
+          MODIFY_TIMEOUT_MS * (taskPlan?.length || 1)
+        );
 
         if (!response) {
           throw new Error('No response from service worker. Please try reloading the extension.');
         }
 
+        if (response.cancelled) {
+          showStatus('error', 'Cancelled', 'No changes were applied.');
+          return;
+        }
+
+        if (response.budgetExceeded) {
+          showStatus('error', 'Budget reached', response.error);
+          return;
+        }
+
+        if (response.vaultLocked) {
+          showVaultLocked(response.error);
+          return;
+        }
+
         if (response.success) {
           showStatus('loading', 'Processing...', 'Applying changes...');
 
-          const applyResult = await chrome.tabs.sendMessage(tab.id, {
-            type: 'APPLY_MODIFICATIONS',
-            payload: {
-              code: response.data.code,
-              css: response.data.css
-            }
-          });
+          const applyResult = await applyResponseData(tab.id, response.data);
 
           if (applyResult && applyResult.success) {
             showStatus('success', 'Applied!', script.name);
@@ -649,12 +1977,12 @@ document.addEventListener('DOMContentLoaded', () => {
               taskType: script.taskType,
             });
           } else if (applyResult && applyResult.error) {
-            showStatus('error', 'Failed to apply', applyResult.error);
+            showFailure('Failed to apply', applyResult);
           } else {
             showStatus('success', 'Applied!', script.name);
           }
         } else {
-          showStatus('error', 'Processing failed', response.error);
+          showFailure('Processing failed', response, { retry: () => handleApplySavedScript(scriptId) });
         }
       } else {
         // For STATIC_SCRIPT, apply directly without LLM call
@@ -675,14 +2003,14 @@ document.addEventListener('DOMContentLoaded', () => {
             taskType: script.taskType,
           });
         } else if (applyResult && applyResult.error) {
-          showStatus('error', 'Failed to apply', applyResult.error);
+          showFailure('Failed to apply', applyResult);
         } else {
           showStatus('success', 'Applied!', script.name);
         }
       }
     } catch (error) {
       console.error('[Browser Wand Popup] Error applying saved script:', error);
-      showStatus('error', 'Error', error.message);
+      showFailure('Error', { errorCode: error.errorCode, error: error.message }, { retry: () => handleApplySavedScript(scriptId) });
     } finally {
       setButtonsDisabled(false);
     }
@@ -697,15 +2025,16 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => hideStatus(), 2000);
   }
 
-  async function getPageContent(tabId) {
+  async function getPageContent(tabId, options = {}) {
+    const message = { type: 'GET_PAGE_CONTENT', payload: options };
     try {
-      const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_CONTENT' });
+      const response = await chrome.tabs.sendMessage(tabId, message);
       return response;
     } catch (error) {
       // Content script might not be injected yet, try to inject it
       if (error.message?.includes('Receiving end does not exist')) {
         await injectContentScript(tabId);
-        const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_CONTENT' });
+        const response = await chrome.tabs.sendMessage(tabId, message);
         return response;
       }
       throw error;
@@ -730,7 +2059,7 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['content/content.js']
+        files: ['content/article-scorer.js', 'content/content.js']
       });
       // Small delay to ensure script is fully initialized
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -769,6 +2098,9 @@ document.addEventListener('DOMContentLoaded', () => {
     statusBar.classList.remove('hidden');
     appMain.classList.add('has-status-bar');
     statusBarText.textContent = text;
+    statusBarText.title = '';
+    statusActionBtn.classList.add('hidden');
+    statusAction = null;
 
     statusBarIcon.classList.remove('success', 'error');
 
@@ -822,9 +2154,67 @@ document.addEventListener('DOMContentLoaded', () => {
     hideStatusBar();
   }
 
+  /**
+   * Shows a failed result, explained by its error code with a button for the next step
+   * Results without a known code fall back to the raw error message
+   * @param {string} title - Status title used when the code is unknown
+   * @param {Object} failure - Failed result with error and optional errorCode
+   * @param {Object} [options] - What the next step acts on
+   * @param {Function} [options.retry] - Runs the failed action again
+   * @param {HTMLElement} [options.input] - Prompt input to focus for a rephrase
+   */
+  function showFailure(title, failure, { retry = null, input = userPromptInput } = {}) {
+    const help = ERROR_CODE_HELP[failure.errorCode];
+    if (!help) {
+      showStatus('error', title, failure.error);
+      return;
+    }
+
+    console.warn('[Browser Wand Popup] Request failed:', failure.errorCode, failure.error);
+    showStatus('error', help.title, help.explanation);
+    // The raw message stays available on hover for bug reports
+    statusBarText.title = failure.error || '';
+
+    const actions = {
+      settings: () => openSettingsAt(apiKeyInput),
+      budget: () => openSettingsAt(dailyBudgetInput),
+      switchModel: () => openSettingsAt(providerSelect.value === DEFAULT_PROVIDER ? modelOptions : customModelInput),
+      retry,
+      rephrase: () => {
+        input.focus();
+        input.select();
+      },
+    };
+    statusAction = actions[help.action];
+    if (statusAction) {
+      statusActionBtn.textContent = ERROR_ACTION_LABELS[help.action];
+      statusActionBtn.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Opens the settings panel and brings a field into view
+   * @param {HTMLElement} field - Field to show
+   */
+  function openSettingsAt(field) {
+    settingsPanel.classList.remove('collapsed');
+    field.scrollIntoView({ block: 'center' });
+    field.focus();
+  }
+
+  function handleStatusAction() {
+    const action = statusAction;
+    hideStatus();
+    if (action) {
+      action();
+    }
+  }
+
   function showResult(content, data = null) {
     resultSection.classList.remove('hidden');
     resultContent.textContent = content;
+    showServedModels(data);
+    showContextReport(data);
 
     // Show/hide save button based on script category
     if (data && isSavableCategory(data.scriptCategory)) {
@@ -834,9 +2224,65 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Shows which models answered, and flags a fallback from the requested model
+   * @param {Object|null} data - Response data with requestedModel and servedModels
+   */
+  function showServedModels(data) {
+    const servedModels = data?.servedModels || [];
+    resultMeta.classList.toggle('hidden', servedModels.length === 0);
+    if (servedModels.length === 0) {
+      resultMeta.textContent = '';
+      return;
+    }
+
+    // Plans have no single requested model, since each step follows its own route
+    const fellBack = !!data.requestedModel && servedModels.some((model) => model !== data.requestedModel);
+    resultMeta.textContent = `Answered by ${servedModels.join(', ')}` +
+      (fellBack ? ` (fallback from ${data.requestedModel})` : '');
+  }
+
+  /**
+   * Shows what page context the request was sent with: each section's items that fit the
+   * token budget, and the first of those that were dropped
+   * @param {Object|null} data - Response data with contextReport
+   */
+  function showContextReport(data) {
+    const report = data?.contextReport;
+    contextDetails.classList.toggle('hidden', !report);
+    contextSections.replaceChildren();
+    if (!report) {
+      return;
+    }
+
+    contextSummary.textContent = `Page context: ${report.usedTokens.toLocaleString()} of ` +
+      `${report.tokenBudget.toLocaleString()} tokens`;
+    const matchedOn = [...report.terms, ...report.refs.map((ref) => `ref ${ref}`)];
+    contextTerms.textContent = matchedOn.length > 0
+      ? `Ranked by: ${matchedOn.join(', ')}`
+      : 'No terms to rank by, so the top of the page came first';
+
+    report.sections.forEach((section) => {
+      const item = document.createElement('li');
+      item.textContent = `${section.label}: ${section.included} of ${section.total}` +
+        (section.relevant > 0 ? ` (${section.relevant} matching)` : '') +
+        `, ${section.tokens.toLocaleString()} tokens`;
+      if (section.dropped.length > 0) {
+        const dropped = document.createElement('span');
+        dropped.className = 'context-dropped';
+        const more = section.total - section.included - section.dropped.length;
+        dropped.textContent = `Dropped: ${section.dropped.join('; ')}` + (more > 0 ? ` and ${more} more` : '');
+        item.appendChild(dropped);
+      }
+      contextSections.appendChild(item);
+    });
+  }
+
   function hideResult() {
     resultSection.classList.add('hidden');
     resultContent.textContent = '';
+    resultMeta.classList.add('hidden');
+    contextDetails.classList.add('hidden');
     saveScriptBtn.classList.add('hidden');
   }
 